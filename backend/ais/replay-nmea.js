@@ -0,0 +1,198 @@
+/**
+ * AIS NMEAログ リプレイスクリプト
+ * 記録済みのAIVDM/AIVDOセンテンスをWebSocketの aisData アクションで再送信
+ *
+ * 使い方:
+ *   node replay-nmea.js <file> [--url wss://...] [--speed 10] [--batch 20]
+ *
+ * ファイル形式（1行1センテンス）:
+ *   2025-09-15T05:30:00Z !AIVDM,1,1,,A,...,0*hh   … ISO8601の受信時刻付き
+ *   \c:1757914200*hh\!AIVDM,1,1,,A,...,0*hh       … NMEA 4.0タグブロック付き
+ *   !AIVDM,1,1,,A,...,0*hh                         … 時刻なし（間隔なしで送信）
+ */
+
+const fs = require('fs');
+const WebSocket = require('ws');
+
+const DEFAULT_URL = process.env.VTS_WS_URL || 'ws://localhost:8080';
+
+/**
+ * コマンドライン引数を解析
+ */
+function parseArgs(argv) {
+  const options = {
+    file: null,
+    url: DEFAULT_URL,
+    speed: 1,
+    batch: 20
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--url') {
+      options.url = argv[++i];
+    } else if (arg === '--speed') {
+      options.speed = Number(argv[++i]);
+    } else if (arg === '--batch') {
+      options.batch = parseInt(argv[++i], 10);
+    } else if (!options.file) {
+      options.file = arg;
+    }
+  }
+
+  if (!options.file) {
+    throw new Error('リプレイするNMEAファイルを指定してください');
+  }
+
+  if (!(options.speed > 0)) {
+    throw new Error('--speed は正の数で指定してください');
+  }
+
+  return options;
+}
+
+/**
+ * ログ行を受信時刻とセンテンスに分解
+ * @param {string} line - ログ行
+ * @returns {Object|null} - { time: number|null, sentence: string }
+ */
+function parseLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.startsWith('#')) {
+    return null;
+  }
+
+  const start = trimmed.search(/[!$]AIVD[MO]/);
+  if (start === -1) {
+    return null;
+  }
+
+  const prefix = trimmed.substring(0, start).trim();
+  const sentence = trimmed.substring(start);
+  let time = null;
+
+  const tagTime = prefix.match(/c:(\d+)/);
+  if (tagTime) {
+    time = parseInt(tagTime[1], 10) * 1000;
+  } else if (prefix) {
+    const parsed = Date.parse(prefix);
+    time = Number.isNaN(parsed) ? null : parsed;
+  }
+
+  return { time, sentence };
+}
+
+/**
+ * 送信バッチを作成
+ * 同一時刻のセンテンスをまとめ、分割メッセージは同じバッチに収める
+ */
+function buildBatches(entries, maxBatchSize) {
+  const batches = [];
+  let current = null;
+
+  for (const entry of entries) {
+    const fields = entry.sentence.split(',');
+    const fragmentCount = parseInt(fields[1], 10);
+    const fragmentNumber = parseInt(fields[2], 10);
+    const inFragmentGroup = fragmentCount > 1 && fragmentNumber > 1;
+
+    const startNewBatch = !current ||
+      (!inFragmentGroup && (
+        current.sentences.length >= maxBatchSize ||
+        (entry.time !== null && entry.time !== current.time)
+      ));
+
+    if (startNewBatch) {
+      current = { time: entry.time, sentences: [] };
+      batches.push(current);
+    }
+
+    current.sentences.push(entry.sentence);
+  }
+
+  return batches;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function replay(options) {
+  const entries = fs.readFileSync(options.file, 'utf8')
+    .split(/\r?\n/)
+    .map(parseLine)
+    .filter(Boolean);
+
+  const batches = buildBatches(entries, options.batch);
+
+  console.log('🛰️  AISリプレイを開始します');
+  console.log(`   ファイル: ${options.file}`);
+  console.log(`   センテンス数: ${entries.length} / バッチ数: ${batches.length}`);
+  console.log(`   接続先: ${options.url}`);
+  console.log(`   再生速度: x${options.speed}`);
+
+  const ws = new WebSocket(options.url);
+
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+
+  let acknowledged = 0;
+  ws.on('message', (data) => {
+    const message = JSON.parse(data.toString());
+    if (message.type === 'aisReceived') {
+      acknowledged++;
+      const { decoded, invalid, vessels } = message.payload;
+      console.log(`   ✅ 取り込み: ${decoded}件 (不正: ${invalid}件, 船舶: ${vessels.join(', ') || '-'})`);
+    } else if (message.type === 'error') {
+      console.error(`   ❌ エラー: ${message.error}`);
+    }
+  });
+
+  let previousTime = null;
+  for (const batch of batches) {
+    if (previousTime !== null && batch.time !== null && batch.time > previousTime) {
+      await sleep((batch.time - previousTime) / options.speed);
+    }
+    if (batch.time !== null) {
+      previousTime = batch.time;
+    }
+
+    ws.send(JSON.stringify({
+      action: 'aisData',
+      payload: {
+        sentences: batch.sentences,
+        source: 'replay'
+      },
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  // 応答を待ってから切断
+  const deadline = Date.now() + 10000;
+  while (acknowledged < batches.length && Date.now() < deadline) {
+    await sleep(200);
+  }
+
+  ws.close();
+  console.log(`\n🏁 リプレイ完了（応答 ${acknowledged}/${batches.length}）`);
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('使い方: node replay-nmea.js <file> [--url wss://...] [--speed 10] [--batch 20]');
+    process.exit(1);
+  }
+
+  replay(options).catch(error => {
+    console.error('❌ リプレイに失敗しました:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseLine, buildBatches };
@@ -3,12 +3,15 @@
  * Bedrock APIを使用した自然言語処理とAI応答生成
  */
 
-const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
 const Logger = require('../shared/logger');
 const dynamodbClient = require('../shared/dynamodb-client');
+const { createLLMProvider } = require('../shared/llm-provider');
+const SmcpAnalyzer = require('../shared/smcp-analyzer');
+
+const smcpAnalyzer = new SmcpAnalyzer();
 
 // グローバルインスタンス
-let bedrockClient;
+let llmProvider;
 let logger;
 
 /**
@@ -26,9 +29,10 @@ exports.handler = async (event, context) => {
     });
   }
 
-  if (!bedrockClient) {
-    bedrockClient = new BedrockRuntimeClient({
-      region: process.env.AWS_REGION || 'ap-northeast-1'
+  // LLM_PROVIDER=local の場合はBedrockを使わずにルールベースで応答
+  if (!llmProvider) {
+    llmProvider = createLLMProvider({
+      modelId: process.env.BEDROCK_MODEL_ID || 'anthropic.claude-sonnet-4-20250514-v1:0'
     });
   }
 
@@ -53,6 +57,10 @@ exports.handler = async (event, context) => {
       case 'ANALYZE_SAFETY':
         result = await analyzeSafety(event);
         break;
+
+      case 'ANALYZE_SMCP':
+        result = analyzeSmcp(event);
+        break;
       
       default:
         throw new Error(`Unknown event type: ${event.type}`);
@@ -135,7 +143,21 @@ async function classifyIntent(event) {
 async function generateResponse(event) {
   const { transcript, context, sessionId } = event;
 
-  const prompt = `あなたは海上交通管制官のアシスタントです。以下のVHF無線通信に対する適切な応答を生成してください。
+  // 英語の交信（language: en / en-US）にはSMCPに沿った英語で応答する
+  const prompt = String(event.language || '').toLowerCase().startsWith('en')
+    ? `You are an assistant to a VTS operator. Generate an appropriate response to the following VHF radio communication.
+
+Communication: "${transcript}"
+Context: ${JSON.stringify(context || {})}
+
+Generate a clear and concise response in English following the IMO Standard Marine Communication Phrases (SMCP), using message markers.
+The response should include:
+1. Acknowledgement of receipt
+2. Any necessary instruction or information
+3. The next action
+
+Response:`
+    : `あなたは海上交通管制官のアシスタントです。以下のVHF無線通信に対する適切な応答を生成してください。
 
 通信内容: "${transcript}"
 コンテキスト: ${JSON.stringify(context || {})}
@@ -151,8 +173,14 @@ async function generateResponse(event) {
   try {
     const response = await invokeBedrockModel(prompt);
 
+    // SMCP_MODE=rewrite（またはevent.smcpMode）の場合はSMCP準拠の英語を併記
+    const smcpMode = event.smcpMode || process.env.SMCP_MODE || 'analyze';
+    const smcpResponse = smcpMode === 'rewrite' ? smcpAnalyzer.rewrite(response) : undefined;
+
     const result = {
       suggestedResponse: response,
+      ...(smcpResponse && { smcpResponse }),
+      ...(smcpMode !== 'off' && { smcp: smcpAnalyzer.analyze(smcpResponse || response, { role: 'VTS' }) }),
       timestamp: new Date().toISOString(),
       sessionId
     };
@@ -213,13 +241,36 @@ async function analyzeSafety(event) {
   }
 }
 
+/**
+ * SMCP分析（メッセージマーカーの付与と非標準表現の指摘、ルールベースのためモデルは呼ばない）
+ * @param {Object} event - イベントデータ（transcript, role: VTS / VESSEL / PILOT / PORT / UNKNOWN）
+ * @returns {Object} - 分析結果
+ */
+function analyzeSmcp(event) {
+  const { transcript, role, sessionId } = event;
+
+  if (!transcript || typeof transcript !== 'string') {
+    throw new Error('transcript is required');
+  }
+
+  const result = smcpAnalyzer.analyze(transcript, { role });
+
+  logger.info('SMCP analyzed', {
+    sessionId,
+    markers: result.markers,
+    issues: result.issues.length
+  });
+
+  return { ...result, sessionId };
+}
+
 /**
  * Bedrockモデルを呼び出し
  * @param {string} prompt - プロンプト
  * @returns {Promise<string>} - モデルの応答
  */
 async function invokeBedrockModel(prompt) {
-  const modelId = process.env.BEDROCK_MODEL_ID || 'anthropic.claude-sonnet-4-20250514-v1:0';
+  const modelId = llmProvider.modelId;
 
   const payload = {
     anthropic_version: "bedrock-2023-05-31",
@@ -234,28 +285,21 @@ async function invokeBedrockModel(prompt) {
     top_p: 0.9
   };
 
-  const command = new InvokeModelCommand({
-    modelId,
-    body: JSON.stringify(payload),
-    contentType: 'application/json',
-    accept: 'application/json'
-  });
-
   try {
-    const response = await bedrockClient.send(command);
-    const responseBody = JSON.parse(new TextDecoder().decode(response.body));
+    const responseText = await llmProvider.invoke(payload);
     
     logger.debug('Bedrock model invoked', {
+      provider: llmProvider.name,
       modelId,
       promptLength: prompt.length,
-      responseLength: responseBody.content[0].text.length
+      responseLength: responseText.length
     });
 
     logger.metric('BedrockInvocations', 1, 'Count', {
       modelId
     });
 
-    return responseBody.content[0].text;
+    return responseText;
 
   } catch (error) {
     logger.error('Failed to invoke Bedrock model', error);
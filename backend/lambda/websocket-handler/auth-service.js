@@ -0,0 +1,316 @@
+/**
+ * Auth Service
+ * WebSocket接続（$connect）のトークン認証と、管制官の役割によるアクション単位の認可
+ * - 本番: 設定したIssuer（Cognitoユーザープール等）が発行したRS256のJWTをJWKSの公開鍵で検証
+ * - ローカル開発: 開発用Issuer（AUTH_DEV_SECRET）が発行したHS256のJWT（backend/local/dev-server.js が発行）
+ */
+
+const crypto = require('crypto');
+const Logger = require('./shared/logger');
+
+// 管制官の役割
+const ROLES = {
+  OPERATOR: 'operator',     // 管制官（交信・AI推奨応答の承認・インシデント対応）
+  SUPERVISOR: 'supervisor', // 当直責任者（管制官の操作 + インシデントの担当割当）
+  OBSERVER: 'observer'      // 閲覧のみ（履歴・インシデント・警報の参照）
+};
+
+// 複数の役割を持つ場合に採用する順（権限の強い順）
+const ROLE_PRECEDENCE = [ROLES.SUPERVISOR, ROLES.OPERATOR, ROLES.OBSERVER];
+
+const ALL_ROLES = Object.values(ROLES);
+const OPERATOR_ROLES = [ROLES.OPERATOR, ROLES.SUPERVISOR];
+
+// アクションごとに許可する役割（未定義のアクションはルーター側で Unknown action として扱う）
+const ACTION_ROLES = {
+  ping: ALL_ROLES,
+  getHistory: ALL_ROLES,
+  getAudioClip: ALL_ROLES,
+  getAlerts: ALL_ROLES,
+  getIncidents: ALL_ROLES,
+  getIncident: ALL_ROLES,
+  message: OPERATOR_ROLES,
+  startTranscription: OPERATOR_ROLES,
+  stopTranscription: OPERATOR_ROLES,
+  audioData: OPERATOR_ROLES,
+  aisData: OPERATOR_ROLES,
+  setSpeakerRole: OPERATOR_ROLES,
+  approveResponse: OPERATOR_ROLES,
+  editResponse: OPERATOR_ROLES,
+  rejectResponse: OPERATOR_ROLES,
+  acknowledgeIncident: OPERATOR_ROLES,
+  respondToIncident: OPERATOR_ROLES,
+  closeIncident: OPERATOR_ROLES,
+  addIncidentNote: OPERATOR_ROLES,
+  assignIncident: [ROLES.SUPERVISOR]
+};
+
+// 有効期限・有効開始の判定で許容する時計のずれ（秒）
+const CLOCK_SKEW_SECONDS = 60;
+
+// JWKS（公開鍵）のキャッシュ期間
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+
+// 未知の kid によるJWKSの再取得の最小間隔（不正な kid のトークンで取得先に負荷をかけさせないため）
+const JWKS_MIN_REFRESH_MS = 30 * 1000;
+
+// JWKSの取得のタイムアウト（$connect の応答を待たせすぎないため）
+const JWKS_TIMEOUT_MS = 5000;
+
+// 開発用トークンの既定の有効期間（秒、1当直）
+const DEV_TOKEN_TTL_SECONDS = 8 * 60 * 60;
+
+class AuthService {
+  /**
+   * @param {Object} options - オプション
+   * @param {string} options.issuer - 信頼するIssuer（既定: AUTH_ISSUER）
+   * @param {string} options.audience - 受け入れるAudience・クライアントID（既定: AUTH_AUDIENCE、空の場合は検証しない）
+   * @param {string} options.jwksUrl - 公開鍵の取得先（既定: AUTH_JWKS_URL または <issuer>/.well-known/jwks.json）
+   * @param {string} options.roleClaim - 役割を格納したクレーム（既定: AUTH_ROLE_CLAIM または role）
+   * @param {string} options.devIssuer - 開発用Issuer（既定: AUTH_DEV_ISSUER または vts-local-dev）
+   * @param {string} options.devSecret - 開発用トークンの署名鍵（既定: AUTH_DEV_SECRET、空の場合は開発用トークンを受け付けない）
+   * @param {Function} options.fetch - JWKSの取得に使うfetch
+   */
+  constructor(options = {}) {
+    this.logger = new Logger({ component: 'AuthService' });
+    this.issuer = options.issuer ?? process.env.AUTH_ISSUER ?? '';
+    this.audience = options.audience ?? process.env.AUTH_AUDIENCE ?? '';
+    this.jwksUrl = options.jwksUrl || process.env.AUTH_JWKS_URL || (this.issuer ? `${this.issuer.replace(/\/$/, '')}/.well-known/jwks.json` : '');
+    this.roleClaim = options.roleClaim || process.env.AUTH_ROLE_CLAIM || 'role';
+    this.devIssuer = options.devIssuer || process.env.AUTH_DEV_ISSUER || 'vts-local-dev';
+    this.devSecret = options.devSecret ?? process.env.AUTH_DEV_SECRET ?? '';
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+
+    // kid → 公開鍵
+    this.signingKeys = new Map();
+    this.signingKeysFetchedAt = 0;
+    this.signingKeysRequestedAt = 0;
+    this.signingKeysRefresh = null;
+
+    if (!this.issuer && !this.devSecret) {
+      this.logger.error('No token issuer configured, all connections will be rejected');
+    }
+  }
+
+  /**
+   * トークンを検証し、接続に記録するユーザー情報を返す
+   * @param {string} token - JWT
+   * @returns {Promise<Object>} - { userId, userName, role, issuer, tokenExpiresAt }
+   */
+  async authenticate(token) {
+    if (!token) {
+      throw this.createError(401, 'Authentication token is required');
+    }
+
+    const claims = await this.verify(token);
+
+    const userId = claims.sub;
+    if (!userId) {
+      throw this.createError(401, 'Token has no subject');
+    }
+
+    const role = this.resolveRole(claims);
+    if (!role) {
+      throw this.createError(403, 'No VTS role is assigned to the user');
+    }
+
+    return {
+      userId,
+      userName: claims.preferred_username || claims['cognito:username'] || claims.name || userId,
+      role,
+      issuer: claims.iss,
+      tokenExpiresAt: new Date(claims.exp * 1000).toISOString()
+    };
+  }
+
+  /**
+   * JWTの署名・Issuer・Audience・有効期間を検証
+   * @param {string} token - JWT
+   * @returns {Promise<Object>} - クレーム
+   */
+  async verify(token) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+      throw this.createError(401, 'Malformed token');
+    }
+
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+      claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+      throw this.createError(401, 'Malformed token');
+    }
+
+    const signingInput = Buffer.from(`${parts[0]}.${parts[1]}`);
+    const signature = Buffer.from(parts[2], 'base64url');
+
+    if (this.devSecret && claims.iss === this.devIssuer) {
+      if (header.alg !== 'HS256') {
+        throw this.createError(401, 'Unsupported token algorithm');
+      }
+      const expected = crypto.createHmac('sha256', this.devSecret).update(signingInput).digest();
+      if (expected.length !== signature.length || !crypto.timingSafeEqual(expected, signature)) {
+        throw this.createError(401, 'Invalid token signature');
+      }
+    } else if (this.issuer && claims.iss === this.issuer) {
+      if (header.alg !== 'RS256') {
+        throw this.createError(401, 'Unsupported token algorithm');
+      }
+      const key = await this.getSigningKey(header.kid);
+      if (!crypto.verify('RSA-SHA256', signingInput, key, signature)) {
+        throw this.createError(401, 'Invalid token signature');
+      }
+    } else {
+      throw this.createError(401, 'Untrusted token issuer');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS <= now) {
+      throw this.createError(401, 'Token expired');
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > now) {
+      throw this.createError(401, 'Token is not yet valid');
+    }
+
+    // Cognitoのアクセストークンは aud の代わりに client_id を持つ
+    if (this.audience) {
+      const audiences = [].concat(claims.aud || claims.client_id || []);
+      if (!audiences.includes(this.audience)) {
+        throw this.createError(401, 'Token audience mismatch');
+      }
+    }
+
+    return claims;
+  }
+
+  /**
+   * クレームから役割を決定（配列・カンマ区切りの場合は権限の強いもの）
+   * @param {Object} claims - クレーム
+   * @returns {string|null} - 役割
+   */
+  resolveRole(claims) {
+    const value = claims[this.roleClaim] ?? claims['cognito:groups'];
+    const candidates = (Array.isArray(value) ? value : String(value || '').split(','))
+      .map(role => String(role).trim().toLowerCase());
+
+    return ROLE_PRECEDENCE.find(role => candidates.includes(role)) || null;
+  }
+
+  /**
+   * kid に対応する公開鍵を取得（未知の kid は鍵の更新とみなしてJWKSを再取得、再取得は JWKS_MIN_REFRESH_MS ごとに1回まで）
+   */
+  async getSigningKey(kid) {
+    const now = Date.now();
+    const expired = now - this.signingKeysFetchedAt > JWKS_CACHE_MS;
+    const unknown = !this.signingKeys.has(kid) && now - this.signingKeysRequestedAt >= JWKS_MIN_REFRESH_MS;
+    if (expired || unknown) {
+      // 同時に接続したクライアントの再取得は1回にまとめる
+      this.signingKeysRefresh = this.signingKeysRefresh || this.refreshSigningKeys().finally(() => {
+        this.signingKeysRefresh = null;
+      });
+      await this.signingKeysRefresh;
+    }
+
+    const key = this.signingKeys.get(kid);
+    if (!key) {
+      throw this.createError(401, 'Unknown token signing key');
+    }
+    return key;
+  }
+
+  async refreshSigningKeys() {
+    this.signingKeysRequestedAt = Date.now();
+
+    let response;
+    try {
+      response = await this.fetch(this.jwksUrl, { signal: AbortSignal.timeout(JWKS_TIMEOUT_MS) });
+    } catch (error) {
+      this.logger.error('Failed to fetch JWKS', { jwksUrl: this.jwksUrl, error: error.message });
+      throw this.createError(503, 'Token signing keys are unavailable');
+    }
+    if (!response.ok) {
+      this.logger.error('Failed to fetch JWKS', { jwksUrl: this.jwksUrl, status: response.status });
+      throw this.createError(503, 'Token signing keys are unavailable');
+    }
+
+    const { keys = [] } = await response.json();
+    this.signingKeys = new Map(
+      keys
+        .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+        .map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])
+    );
+    this.signingKeysFetchedAt = Date.now();
+
+    this.logger.info('JWKS refreshed', { jwksUrl: this.jwksUrl, keys: this.signingKeys.size });
+  }
+
+  /**
+   * 開発用Issuerのトークンを発行（ローカル開発サーバー・E2Eテスト用）
+   * @param {Object} options - オプション
+   * @param {string} options.userId - ユーザーID
+   * @param {string} options.role - 役割
+   * @param {number} options.expiresIn - 有効期間（秒）
+   * @returns {string} - JWT
+   */
+  issueDevToken({ userId, role = ROLES.OPERATOR, expiresIn = DEV_TOKEN_TTL_SECONDS } = {}) {
+    if (!this.devSecret) {
+      throw this.createError(500, 'AUTH_DEV_SECRET is not configured');
+    }
+    if (!userId) {
+      throw this.createError(400, 'userId is required');
+    }
+    if (!ALL_ROLES.includes(role)) {
+      throw this.createError(400, `Unknown role: ${role}`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const signingInput = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({
+      iss: this.devIssuer,
+      sub: userId,
+      ...(this.audience && { aud: this.audience }),
+      [this.roleClaim]: role,
+      iat: now,
+      exp: now + expiresIn
+    })}`;
+    const signature = crypto.createHmac('sha256', this.devSecret).update(signingInput).digest('base64url');
+
+    return `${signingInput}.${signature}`;
+  }
+
+  /**
+   * 役割にアクションが許可されているか
+   * @param {string} role - 役割
+   * @param {string} action - アクション
+   * @returns {boolean}
+   */
+  static isAllowed(role, action) {
+    const roles = ACTION_ROLES[action];
+    return roles ? roles.includes(role) : true;
+  }
+
+  /**
+   * $connect のイベントからトークンを取得（ブラウザはヘッダーを指定できないためクエリパラメータ token も受け付ける）
+   * @param {Object} event - API Gateway イベント
+   * @returns {string|null}
+   */
+  static extractToken(event) {
+    const headers = event.headers || {};
+    const authorization = headers.Authorization || headers.authorization || '';
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1] : (event.queryStringParameters?.token || null);
+  }
+
+  createError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+AuthService.ROLES = ROLES;
+AuthService.ACTION_ROLES = ACTION_ROLES;
+
+module.exports = AuthService;
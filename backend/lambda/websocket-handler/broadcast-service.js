@@ -0,0 +1,113 @@
+/**
+ * Broadcast Service
+ * センター内の全管制卓（CONNECTED の接続、StatusIndex）へのメッセージの一斉送信
+ * - 役割（role）・担当海域（portArea）で送信先を絞り込める（属性を持たない接続には常に送信）
+ * - 切断済み（410 Gone）の接続は接続テーブルから削除する
+ */
+
+const Logger = require('./shared/logger');
+
+// 送信先の範囲
+const SCOPES = {
+  ALL: 'all', // センター内の全管制卓
+  PORT_AREA: 'portArea' // 発生元と同じ担当海域の管制卓（担当海域のない管制卓を含む）
+};
+
+class BroadcastService {
+  /**
+   * @param {Object} options - オプション
+   * @param {ConnectionManager} options.connectionManager - 接続マネージャー（CONNECTED の接続の取得・削除）
+   * @param {Function} options.send - (connectionId, data) => Promise 1接続への送信
+   * @param {Array<string>} options.roles - 送信先の役割（既定: ALERT_BROADCAST_ROLES、空はすべて）
+   * @param {string} options.scope - 送信先の範囲（all / portArea、既定: ALERT_BROADCAST_SCOPE または all）
+   */
+  constructor(options = {}) {
+    this.logger = new Logger({ component: 'BroadcastService' });
+    this.connectionManager = options.connectionManager;
+    this.send = options.send;
+    this.roles = options.roles || BroadcastService.parseList(process.env.ALERT_BROADCAST_ROLES);
+
+    const scope = options.scope || process.env.ALERT_BROADCAST_SCOPE || SCOPES.ALL;
+    if (!Object.values(SCOPES).includes(scope)) {
+      this.logger.warn('Unknown broadcast scope, using all', { scope });
+    }
+    this.scope = Object.values(SCOPES).includes(scope) ? scope : SCOPES.ALL;
+  }
+
+  /**
+   * CONNECTED の全管制卓にメッセージを送信
+   * @param {Object} message - 送信するメッセージ
+   * @param {Object} filter - 送信先の絞り込み
+   * @param {Array<string>} filter.roles - 役割（省略時は既定の役割）
+   * @param {string} filter.portArea - 担当海域（scope が portArea の場合のみ適用）
+   * @param {string} filter.excludeConnectionId - 送信しない接続（発生元等）
+   * @returns {Promise<Object>} - { recipients, sent, pruned, failed }
+   */
+  async broadcast(message, filter = {}) {
+    const connections = await this.connectionManager.getActiveConnections();
+    const recipients = connections.filter(connection => this.matches(connection, filter));
+
+    const results = await Promise.allSettled(
+      recipients.map(connection => this.send(connection.connectionId, message))
+    );
+
+    const summary = { recipients: recipients.length, sent: 0, pruned: 0, failed: 0 };
+    for (const [index, result] of results.entries()) {
+      if (result.status === 'fulfilled') {
+        summary.sent++;
+      } else if (this.isGone(result.reason)) {
+        // 切断の通知（$disconnect）を受けていない接続
+        await this.connectionManager.removeConnection(recipients[index].connectionId);
+        summary.pruned++;
+      } else {
+        summary.failed++;
+      }
+    }
+
+    this.logger.info('Message broadcast', { messageType: message.type, ...summary });
+
+    if (summary.pruned > 0) {
+      this.logger.metric('StaleConnectionsPruned', summary.pruned, 'Count');
+    }
+
+    return summary;
+  }
+
+  /**
+   * 送信先の条件に合う接続か
+   */
+  matches(connection, filter) {
+    if (connection.connectionId === filter.excludeConnectionId) {
+      return false;
+    }
+
+    const roles = filter.roles || this.roles;
+    if (roles.length > 0 && connection.role && !roles.includes(connection.role)) {
+      return false;
+    }
+
+    if (this.scope === SCOPES.PORT_AREA && filter.portArea && connection.portArea && connection.portArea !== filter.portArea) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * 接続が既に存在しない（410 Gone）
+   */
+  isGone(error) {
+    return error?.name === 'GoneException' || error?.statusCode === 410 || error?.$metadata?.httpStatusCode === 410;
+  }
+
+  /**
+   * カンマ区切りの設定値を配列に変換
+   */
+  static parseList(value) {
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+  }
+}
+
+BroadcastService.SCOPES = SCOPES;
+
+module.exports = BroadcastService;
@@ -197,6 +197,31 @@ class ConnectionManager {
     }
   }
 
+  /**
+   * ユーザーの接続中の接続を取得（UserIdIndex）
+   * @param {string} userId - ユーザーID
+   * @returns {Promise<Array>} - 接続のリスト（接続時刻の古い順）
+   */
+  async getUserConnections(userId) {
+    try {
+      return await dynamodbClient.query(this.connectionsTable, {
+        IndexName: 'UserIdIndex',
+        KeyConditionExpression: 'userId = :userId',
+        FilterExpression: '#status = :status',
+        ExpressionAttributeNames: {
+          '#status': 'status'
+        },
+        ExpressionAttributeValues: {
+          ':userId': userId,
+          ':status': 'CONNECTED'
+        }
+      });
+    } catch (error) {
+      this.logger.error('Failed to get user connections', error);
+      return [];
+    }
+  }
+
   /**
    * 接続の健全性をチェック
    * @param {string} connectionId - WebSocket接続ID
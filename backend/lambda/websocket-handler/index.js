@@ -5,11 +5,15 @@
  */
 
 const ConnectionManager = require('./connection-manager');
+const AuthService = require('./auth-service');
 const MessageRouter = require('./message-router');
 const Logger = require('./shared/logger');
+const MessageValidator = require('./shared/message-validator');
+const TranscribeSessionStore = require('./shared/transcribe-session-store');
 
 // グローバルインスタンス（Lambda実行環境での再利用）
 let connectionManager;
+let authService;
 let messageRouter;
 let logger;
 
@@ -32,6 +36,10 @@ exports.handler = async (event, context) => {
     connectionManager = new ConnectionManager();
   }
 
+  if (!authService) {
+    authService = new AuthService();
+  }
+
   if (!messageRouter) {
     const endpoint = `https://${event.requestContext.domainName}/${event.requestContext.stage}`;
     messageRouter = new MessageRouter(endpoint);
@@ -54,11 +62,11 @@ exports.handler = async (event, context) => {
   try {
     switch (routeKey) {
       case '$connect':
-        response = await handleConnect(event, connectionManager);
+        response = await handleConnect(event, connectionManager, authService, messageRouter);
         break;
       
       case '$disconnect':
-        response = await handleDisconnect(event, connectionManager);
+        response = await handleDisconnect(event, connectionManager, messageRouter);
         break;
       
       case '$default':
@@ -111,11 +119,15 @@ exports.handler = async (event, context) => {
 
 /**
  * $connect ルートのハンドラー
+ * トークンを検証できない接続は拒否する（API Gatewayは2xx以外のレスポンスで接続を確立しない）
+ * クライアントが提示したサブプロトコル（vts.v2, vts.v1）から対応する最新のものを選択してレスポンスヘッダーで返す
  * @param {Object} event - API Gateway イベント
  * @param {ConnectionManager} connectionManager - 接続マネージャー
+ * @param {AuthService} authService - 認証サービス
+ * @param {MessageRouter} messageRouter - メッセージルーター
  * @returns {Promise<Object>} - レスポンス
  */
-async function handleConnect(event, connectionManager) {
+async function handleConnect(event, connectionManager, authService, messageRouter) {
   const connectionId = event.requestContext.connectionId;
   const { sourceIp, userAgent } = event.requestContext.identity || {};
   
@@ -125,31 +137,72 @@ async function handleConnect(event, connectionManager) {
     userAgent
   });
 
+  let user;
+  try {
+    user = await authService.authenticate(AuthService.extractToken(event));
+  } catch (error) {
+    const statusCode = error.statusCode || 401;
+
+    logger.warn('Connection rejected', { connectionId, sourceIp, statusCode, reason: error.message });
+    logger.audit('CLIENT_REJECTED', { connectionId, sourceIp, reason: error.message });
+    logger.metric('AuthenticationFailures', 1, 'Count', { statusCode });
+
+    return {
+      statusCode,
+      body: JSON.stringify({ error: statusCode === 403 ? 'Forbidden' : 'Unauthorized' })
+    };
+  }
+
+  // サブプロトコルを指定しない旧クライアントは vts.v1 として扱う
+  const offered = MessageValidator.extractProtocols(event);
+  const negotiated = MessageValidator.negotiateProtocol(offered);
+  if (!negotiated) {
+    logger.warn('Connection rejected', { connectionId, sourceIp, statusCode: 400, reason: 'Unsupported protocol', offered });
+    logger.audit('CLIENT_REJECTED', { connectionId, sourceIp, reason: `Unsupported protocol: ${offered}` });
+
+    return {
+      statusCode: 400,
+      body: JSON.stringify({ error: 'Unsupported protocol', supported: Object.keys(MessageValidator.PROTOCOLS) })
+    };
+  }
+
   try {
-    // クエリパラメータからメタデータを取得
     const queryParams = event.queryStringParameters || {};
     
-    // 接続メタデータを準備
+    // 接続メタデータを準備（ユーザーID・役割はトークンから取得し、クライアントの指定は担当海域のみ受け付ける）
     const metadata = {
       clientIp: sourceIp,
       userAgent: userAgent,
       stage: event.requestContext.stage,
       domainName: event.requestContext.domainName,
       connectedVia: 'WebSocket',
-      ...queryParams // クエリパラメータから追加のメタデータを含める
+      protocolVersion: negotiated.protocolVersion,
+      ...user,
+      ...(typeof queryParams.portArea === 'string' && queryParams.portArea && { portArea: queryParams.portArea.slice(0, 64) })
     };
 
     // 接続を登録
     await connectionManager.registerConnection(connectionId, metadata);
 
+    // 会話の所有者を記録（再接続後に以前の会話の履歴を取得する際に確認）
+    await messageRouter.conversationHistory.recordOwner(connectionId, user.userId);
+
+    // 同じユーザーが接続中の管制卓（UserIdIndex、この接続を含む）
+    const userConnections = await connectionManager.getUserConnections(user.userId);
+
     logger.audit('CLIENT_CONNECTED', {
       connectionId,
       sourceIp,
-      metadata
+      userId: user.userId,
+      role: user.role,
+      portArea: metadata.portArea,
+      protocolVersion: negotiated.protocolVersion,
+      userConnections: userConnections.length
     });
 
     return {
       statusCode: 200,
+      ...(negotiated.protocol && { headers: { 'Sec-WebSocket-Protocol': negotiated.protocol } }),
       body: JSON.stringify({ 
         message: 'Connected successfully',
         connectionId 
@@ -171,9 +224,10 @@ async function handleConnect(event, connectionManager) {
  * $disconnect ルートのハンドラー
  * @param {Object} event - API Gateway イベント
  * @param {ConnectionManager} connectionManager - 接続マネージャー
+ * @param {MessageRouter} messageRouter - メッセージルーター
  * @returns {Promise<Object>} - レスポンス
  */
-async function handleDisconnect(event, connectionManager) {
+async function handleDisconnect(event, connectionManager, messageRouter) {
   const connectionId = event.requestContext.connectionId;
   const { sourceIp } = event.requestContext.identity || {};
   
@@ -183,8 +237,25 @@ async function handleDisconnect(event, connectionManager) {
   });
 
   try {
+    // 文字起こしセッションを停止（リースを解放）
+    // 音声チャンネルを指定したセッションは接続情報に記録したチャンネルごとに停止する
+    const connection = await connectionManager.getConnection(connectionId);
+    const sessionKeys = [
+      connectionId,
+      ...(connection?.audioChannels || []).map(channel => TranscribeSessionStore.sessionKey(connectionId, channel))
+    ];
+    for (const sessionKey of sessionKeys) {
+      try {
+        const lease = await messageRouter.transcriptionSessions.getActiveLease(sessionKey);
+        await messageRouter.endTranscriptionSession(sessionKey, lease);
+      } catch (error) {
+        logger.warn('Failed to stop transcription session on disconnect', { connectionId, sessionKey, error: error.message });
+      }
+    }
+
     // 接続を削除
     await connectionManager.removeConnection(connectionId);
+    messageRouter.forgetConnection(connectionId);
 
     logger.audit('CLIENT_DISCONNECTED', {
       connectionId,
@@ -267,6 +338,11 @@ process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
   
   try {
+    // 保持中の文字起こしセッションのリースを解放（他インスタンスが即座に引き継げるように）
+    if (messageRouter) {
+      await messageRouter.transcribeProcessor.stopAllSessions();
+    }
+
     // アクティブな接続を取得して通知
     if (connectionManager) {
       const activeConnections = await connectionManager.getActiveConnections();
@@ -4,11 +4,42 @@
  */
 
 const { ApiGatewayManagementApiClient, PostToConnectionCommand } = require('@aws-sdk/client-apigatewaymanagementapi');
-const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const Logger = require('./shared/logger');
 const dynamodbClient = require('./shared/dynamodb-client');
 const TranscribeProcessor = require('./shared/transcribe-processor');
+const TranscribeSessionService = require('./shared/transcribe-session-service');
+const TranscribeSessionStore = require('./shared/transcribe-session-store');
 const BedrockProcessor = require('./shared/bedrock-processor');
+const AISProcessor = require('./shared/ais-processor');
+const VesselResolver = require('./shared/vessel-resolver');
+const ResponseApprovalManager = require('./shared/response-approval-manager');
+const ConversationHistory = require('./shared/conversation-history');
+const AudioFrameCodec = require('./shared/audio-frame');
+const RecordingStore = require('./shared/recording-store');
+const SpeakerRoleResolver = require('./shared/speaker-role-resolver');
+const SmcpAnalyzer = require('./shared/smcp-analyzer');
+const DistressClassifier = require('./shared/distress-classifier');
+const IncidentManager = require('./shared/incident-manager');
+const ConnectionManager = require('./connection-manager');
+const BroadcastService = require('./broadcast-service');
+const AuthService = require('./auth-service');
+const RateLimiter = require('./shared/rate-limiter');
+const MessageValidator = require('./shared/message-validator');
+
+const { APPROVAL_STATUS } = ResponseApprovalManager;
+const { INCIDENT_STATUS } = IncidentManager;
+
+// 生成途中の推奨応答を送信する最小間隔（ミリ秒）
+const PARTIAL_RESPONSE_INTERVAL_MS = 200;
+
+// 音声フレームの受信で接続のアクティビティ（lastActivity）を更新する最小間隔（ミリ秒）
+const AUDIO_ACTIVITY_INTERVAL_MS = 60000;
+
+// 処理中のクライアントのメッセージ（{ connectionId, requestId, action, error }）
+// 処理中に同じ接続へ送信するメッセージに requestId を付与する
+const requestContext = new AsyncLocalStorage();
 
 class MessageRouter {
   constructor(endpoint) {
@@ -20,23 +51,102 @@ class MessageRouter {
       region: process.env.AWS_REGION || 'ap-northeast-1'
     });
 
-    // S3 Client（音声ファイル保存用）
-    this.s3Client = new S3Client({
-      region: process.env.AWS_REGION || 'ap-northeast-1'
-    });
-
     // Transcribe Processor初期化
     this.transcribeProcessor = new TranscribeProcessor();
     
     // Transcribe結果のコールバック設定
+    // ストリームは開始したメッセージの処理後も続くため、結果には requestId を付与しない
     this.transcribeProcessor.onTranscriptionResult = async (connectionId, result) => {
-      await this.handleTranscriptionResult(connectionId, result);
+      await requestContext.exit(() => this.handleTranscriptionResult(connectionId, result));
+    };
+
+    // 音声の欠落・並べ替えの統計をクライアントに通知
+    this.transcribeProcessor.onAudioStats = async (connectionId, stats) => {
+      await requestContext.exit(() => this.sendToConnection(connectionId, {
+        type: 'audioStats',
+        payload: stats,
+        timestamp: new Date().toISOString()
+      }));
+    };
+
+    // セッション録音（TRANSCRIPTION_SESSIONへの紐付け、再生用URLの発行）
+    this.recordingStore = new RecordingStore();
+
+    // 録音をTRANSCRIPTION_SESSIONに紐付け
+    this.transcribeProcessor.onRecordingStored = async (connectionId, manifest) => {
+      await this.recordingStore.link(connectionId, manifest);
     };
 
+    // セッションを保持するインスタンス（この実行環境・常駐ワーカー）への振り分け
+    this.transcriptionSessions = new TranscribeSessionService({ processor: this.transcribeProcessor });
+
     // Bedrock Processor初期化
     this.bedrockProcessor = new BedrockProcessor();
 
-    this.audioBucket = process.env.AUDIO_BUCKET || 'vts-audio-storage';
+    // AIS Processor初期化（船舶状態の管理）
+    this.aisProcessor = new AISProcessor();
+
+    // 話者ラベルとVTS・船舶・パイロット等の役割の対応付け
+    this.speakerRoles = new SpeakerRoleResolver();
+
+    // SMCPのメッセージマーカーの付与と非標準表現の指摘
+    this.smcpAnalyzer = new SmcpAnalyzer();
+
+    // Vessel Resolver初期化（文字起こしからの船舶特定）
+    this.vesselResolver = new VesselResolver({ aisProcessor: this.aisProcessor });
+
+    // AISの静的データ（船名・呼出符号）を船舶レジストリに登録
+    this.aisProcessor.onStaticData = async (mmsi, vessel) => {
+      await this.vesselResolver.registerVessel({ mmsi, ...vessel });
+    };
+
+    // AI推奨応答の承認ワークフロー
+    this.approvalManager = new ResponseApprovalManager();
+
+    // 遭難・緊急事態のインシデント（状態遷移・担当者・タイムライン）
+    this.incidentManager = new IncidentManager();
+
+    // 遭難・緊急の警報をセンター内の全管制卓に一斉送信（文字起こしの結果処理には接続マネージャーが渡されないため専用に持つ）
+    this.connectionManager = new ConnectionManager();
+    this.broadcastService = new BroadcastService({
+      connectionManager: this.connectionManager,
+      send: (targetConnectionId, data) => this.sendToConnection(targetConnectionId, data)
+    });
+
+    // 会話履歴（AI分析のマルチターン化、履歴取得API）
+    this.conversationHistory = new ConversationHistory();
+
+    // セッションキー（接続ID、チャンネル指定時は <接続ID>#<チャンネル名>）ごとに管制官が選択中の船舶（MMSI）
+    this.sessionVessels = new Map();
+
+    // 1つの接続で同時に文字起こしできる音声チャンネル数（VHF 16ch + 作業チャンネル等）
+    this.maxAudioChannels = parseInt(process.env.MAX_AUDIO_CHANNELS || '4', 10);
+
+    // 発話（<セッションID>#<結果ID>）ごとに途中結果の段階で定型応答を送った優先呼出の種別
+    // 最終結果で同じ種別の応答を重複して送らないために使う
+    this.distressAlerts = new Map();
+    this.maxDistressAlerts = 1000;
+
+    // アクションごとのメッセージのスキーマ検証（message-schemas.json）
+    this.messageValidator = new MessageValidator();
+
+    // 接続ごとの認証情報（ユーザーID・役割）とプロトコルバージョンのキャッシュ（メッセージごとの接続テーブルの読み取りを避ける）
+    this.connectionAuth = new Map();
+    this.authCacheMs = 60000;
+    this.maxConnectionAuth = 1000;
+
+    // アクションごとのレート制限とBedrock呼び出しの1時間あたりの予算（音声フレーム以外はLambdaインスタンス間で共有）
+    this.rateLimiter = new RateLimiter();
+
+    // 接続ごとに音声フレームの受信でアクティビティを更新した時刻（フレームごとに接続テーブルへ書き込まないため）
+    this.audioActivity = new Map();
+
+    // 接続・アクション（<接続ID>#<アクション>）ごとの rateLimited の通知済み期限（音声フレームごとに通知しないため）
+    this.rateLimitNotices = new Map();
+
+    // Bedrockのストリーミング応答（生成途中の推奨応答を aiResponsePartial で送信）
+    this.streamingEnabled = process.env.BEDROCK_STREAMING !== 'false';
+
     this.conversationsTable = process.env.CONVERSATIONS_TABLE || 'vts-conversations';
   }
 
@@ -51,13 +161,59 @@ class MessageRouter {
     const messageBody = event.body;
     
     try {
+      // バイナリフレーム（音声データ）はJSONを経由せずに処理
+      if (event.isBase64Encoded) {
+        return await this.handleBinaryMessage(connectionId, Buffer.from(messageBody || '', 'base64'), connectionManager);
+      }
+
       // メッセージをパース
-      const message = JSON.parse(messageBody);
-      
-      // メッセージフォーマットの検証
-      if (!this.validateMessage(message)) {
-        await this.sendError(connectionId, 'Invalid message format');
-        return { statusCode: 400, body: 'Invalid message format' };
+      let message;
+      try {
+        message = JSON.parse(messageBody);
+      } catch (error) {
+        return await this.rejectInvalidMessage(connectionId, { action: null, errors: [{ field: '', message: 'must be valid JSON' }] });
+      }
+
+      // クライアントが requestId を指定した場合は、処理中の送信に付与し、処理結果を ack / nack で通知
+      const context = {
+        connectionId,
+        requestId: this.messageValidator.requestIdOf(message),
+        action: typeof message?.action === 'string' ? message.action : null
+      };
+
+      return await requestContext.run(context, async () => {
+        const result = await this.processMessage(connectionId, message, connectionManager);
+        await this.acknowledge(context, result);
+        return result;
+      });
+    } catch (error) {
+      this.logger.error('Message routing failed', error);
+      await this.sendError(connectionId, 'Internal server error');
+      return { statusCode: 500, body: 'Internal server error' };
+    }
+  }
+
+  /**
+   * JSONメッセージの検証・認可・アクションへの振り分け
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} message - パースしたメッセージ
+   * @param {ConnectionManager} connectionManager - 接続マネージャー
+   * @returns {Promise<Object>} - 処理結果
+   */
+  async processMessage(connectionId, message, connectionManager) {
+    try {
+      // 接続時に合意したプロトコルバージョンのスキーマで検証
+      const { protocolVersion } = await this.getConnectionContext(connectionId, connectionManager);
+      const validation = this.messageValidator.validate(message, protocolVersion);
+      if (!validation.valid) {
+        return await this.rejectInvalidMessage(connectionId, validation);
+      }
+
+      // 接続の役割でアクションを認可
+      const denied = await this.authorize(connectionId, message.action, connectionManager)
+        || await this.enforceRateLimit(connectionId, message.action, connectionManager);
+      if (denied) {
+        return denied;
       }
 
       // 接続のアクティビティを更新
@@ -67,19 +223,20 @@ class MessageRouter {
       this.logger.audit('MESSAGE_RECEIVED', {
         connectionId,
         action: message.action,
+        requestId: message.requestId,
         timestamp: message.timestamp || new Date().toISOString()
       });
 
       // アクションに基づいてルーティング
-      // 注意：payloadフィールドが存在しない場合は、message全体をpayloadとして扱う
-      const payload = message.payload || message;
+      // 注意：vts.v1 でpayloadフィールドが存在しない場合は、message全体（エンベロープを除く）をpayloadとして扱う
+      const { payload } = validation;
       
       switch (message.action) {
         case 'message':
           return await this.handleMessage(connectionId, payload);
         
         case 'startTranscription':
-          return await this.handleStartTranscription(connectionId, payload);
+          return await this.handleStartTranscription(connectionId, payload, connectionManager);
         
         case 'stopTranscription':
           return await this.handleStopTranscription(connectionId, payload);
@@ -88,7 +245,52 @@ class MessageRouter {
           return await this.handleAudioData(connectionId, payload);
         
         case 'ping':
-          return await this.handlePing(connectionId);
+          return await this.handlePing(connectionId, protocolVersion);
+        
+        case 'aisData':
+          return await this.handleAisData(connectionId, payload);
+        
+        case 'getHistory':
+          return await this.handleGetHistory(connectionId, payload, connectionManager);
+        
+        case 'getAudioClip':
+          return await this.handleGetAudioClip(connectionId, payload, connectionManager);
+        
+        case 'setSpeakerRole':
+          return await this.handleSetSpeakerRole(connectionId, payload, connectionManager);
+        
+        case 'approveResponse':
+          return await this.handleResponseDecision(connectionId, payload, APPROVAL_STATUS.APPROVED, connectionManager);
+        
+        case 'editResponse':
+          return await this.handleResponseDecision(connectionId, payload, APPROVAL_STATUS.EDITED, connectionManager);
+        
+        case 'rejectResponse':
+          return await this.handleResponseDecision(connectionId, payload, APPROVAL_STATUS.REJECTED, connectionManager);
+        
+        case 'getAlerts':
+          return await this.handleGetAlerts(connectionId);
+        
+        case 'getIncidents':
+          return await this.handleGetIncidents(connectionId, payload);
+        
+        case 'getIncident':
+          return await this.handleGetIncident(connectionId, payload);
+        
+        case 'acknowledgeIncident':
+          return await this.handleIncidentTransition(connectionId, payload, INCIDENT_STATUS.ACKNOWLEDGED, connectionManager);
+        
+        case 'respondToIncident':
+          return await this.handleIncidentTransition(connectionId, payload, INCIDENT_STATUS.RESPONDING, connectionManager);
+        
+        case 'closeIncident':
+          return await this.handleIncidentTransition(connectionId, payload, INCIDENT_STATUS.CLOSED, connectionManager);
+        
+        case 'assignIncident':
+          return await this.handleAssignIncident(connectionId, payload, connectionManager);
+        
+        case 'addIncidentNote':
+          return await this.handleAddIncidentNote(connectionId, payload, connectionManager);
         
         default:
           await this.sendError(connectionId, `Unknown action: ${message.action}`);
@@ -102,28 +304,100 @@ class MessageRouter {
   }
 
   /**
-   * メッセージフォーマットの検証
-   * @param {Object} message - メッセージオブジェクト
-   * @returns {boolean} - 有効かどうか
+   * バイナリメッセージの処理（ヘッダー付き音声フレーム）
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Buffer} buffer - 受信したフレーム
+   * @param {ConnectionManager} connectionManager - 接続マネージャー
+   * @returns {Promise<Object>} - 処理結果
    */
-  validateMessage(message) {
-    if (!message || typeof message !== 'object') {
-      return false;
+  async handleBinaryMessage(connectionId, buffer, connectionManager) {
+    const denied = await this.authorize(connectionId, 'audioData', connectionManager)
+      || await this.enforceRateLimit(connectionId, 'audioData', connectionManager);
+    if (denied) {
+      return denied;
     }
 
-    if (!message.action || typeof message.action !== 'string') {
-      return false;
+    let frame;
+    try {
+      frame = AudioFrameCodec.decode(buffer);
+    } catch (error) {
+      this.logger.warn('Invalid binary frame', { connectionId, size: buffer.length, error: error.message });
+      await this.sendError(connectionId, error.message);
+      return { statusCode: 400, body: error.message };
     }
 
-    // timestampは任意だが、存在する場合はISO8601形式であることを確認
-    if (message.timestamp) {
-      const timestampPattern = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z?$/;
-      if (!timestampPattern.test(message.timestamp)) {
-        return false;
-      }
+    await this.updateAudioActivity(connectionId, connectionManager);
+
+    return await this.handleAudioData(connectionId, frame);
+  }
+
+  /**
+   * 音声フレームの受信による接続のアクティビティの更新（AUDIO_ACTIVITY_INTERVAL_MS ごとに1回）
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {ConnectionManager} connectionManager - 接続マネージャー
+   */
+  async updateAudioActivity(connectionId, connectionManager) {
+    const now = Date.now();
+    if (now - (this.audioActivity.get(connectionId) || 0) < AUDIO_ACTIVITY_INTERVAL_MS) {
+      return;
+    }
+
+    await connectionManager.updateActivity(connectionId);
+
+    this.audioActivity.delete(connectionId);
+    this.audioActivity.set(connectionId, now);
+    while (this.audioActivity.size > this.maxConnectionAuth) {
+      this.audioActivity.delete(this.audioActivity.keys().next().value);
+    }
+  }
+
+  /**
+   * requestId を指定したメッセージの処理結果を通知（2xx は ack、それ以外は nack）
+   * ack / nack は処理中に送信したメッセージ（messageReceived, aiResponse, error 等）の後に送信する
+   * @param {Object} context - 処理中のメッセージ（requestId, action, 送信したエラー）
+   * @param {Object} result - 処理結果（statusCode, body）
+   */
+  async acknowledge(context, result) {
+    if (!context.requestId) {
+      return;
+    }
+
+    const succeeded = result.statusCode >= 200 && result.statusCode < 300;
+    const message = succeeded
+      ? { type: 'ack', requestId: context.requestId, action: context.action }
+      : {
+        type: 'nack',
+        ...context.error?.details,
+        requestId: context.requestId,
+        action: context.action,
+        statusCode: result.statusCode,
+        error: context.error?.message || result.body
+      };
+
+    try {
+      await this.sendToConnection(context.connectionId, { ...message, timestamp: new Date().toISOString() });
+    } catch (error) {
+      this.logger.warn('Failed to send acknowledgement', { connectionId: context.connectionId, requestId: context.requestId });
     }
+  }
+
+  /**
+   * スキーマ検証に失敗したメッセージを拒否（フィールドごとのエラーをクライアントに返す）
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} validation - 検証結果（action, errors）
+   * @returns {Promise<Object>} - 処理結果
+   */
+  async rejectInvalidMessage(connectionId, { action, errors }) {
+    this.logger.warn('Invalid message', { connectionId, action, errors });
+    this.logger.metric('ValidationFailures', 1, 'Count', { action: action || 'unknown' });
+
+    await this.sendError(connectionId, 'Invalid message', {
+      code: 'validationFailed',
+      action,
+      errors
+    });
 
-    return true;
+    return { statusCode: 400, body: JSON.stringify({ error: 'Invalid message', errors }) };
   }
 
   /**
@@ -147,6 +421,7 @@ class MessageRouter {
       MessageContent: messageText,
       MessageType: payload.type || 'text',
       VesselInfo: payload.vesselInfo || {},
+      VesselName: payload.vesselInfo?.name,
       Priority: payload.priority || 'NORMAL',
       Timestamp: new Date().toISOString()
     };
@@ -160,32 +435,59 @@ class MessageRouter {
       timestamp: conversationItem.Timestamp
     });
 
-    // BedrockによるAI処理（メッセージテキストがある場合）
-    if (messageText && this.bedrockProcessor) {
+    // MAYDAY / PAN-PAN / SECURITE はBedrockを呼び出さずに定型応答（1時間あたりの予算の対象外）
+    const distress = messageText && this.bedrockProcessor ? this.bedrockProcessor.classifyDistress(messageText) : null;
+
+    // BedrockによるAI処理（メッセージテキストがあり、優先呼出または予算が残っている場合）
+    if (messageText && this.bedrockProcessor && (distress || await this.checkBedrockBudget(connectionId))) {
       try {
-        // AI応答を生成
-        const aiResponse = await this.bedrockProcessor.processVTSCommunication(
-          messageText, 
-          {
-            connectionId,
-            vesselInfo: payload.vesselInfo,
-            priority: payload.priority,
-            location: payload.vesselInfo?.position || '博多港',
-            timestamp: new Date().toISOString()
-          }
-        );
+        // AISの船舶状態で船舶情報を補完
+        const vesselInfo = await this.resolveVesselInfo(connectionId, payload);
+
+        const streamId = this.createStreamId();
+        let aiResponse;
+        if (distress) {
+          aiResponse = await this.bedrockProcessor.generateEmergencyResponse(messageText, {
+            language: payload.languageCode,
+            detection: distress
+          });
+        } else {
+          // 同一接続（船舶が特定できる場合は同一船舶）の直近の交信
+          const history = await this.conversationHistory.getRecentTurns(connectionId, {
+            vesselName: vesselInfo?.name,
+            excludeItem: conversationItem.ItemTimestamp
+          });
 
-        // AI応答をクライアントに送信
-        await this.sendToConnection(connectionId, {
-          type: 'aiResponse',
-          payload: {
-            classification: aiResponse.classification,
-            suggestedResponse: aiResponse.suggestedResponse,
-            confidence: aiResponse.confidence,
-            riskFactors: aiResponse.riskFactors,
-            recommendedActions: aiResponse.recommendedActions,
-            timestamp: aiResponse.timestamp
-          }
+          // AI応答を生成（生成途中の応答は逐次クライアントへ送信）
+          aiResponse = await this.bedrockProcessor.processWithHistory(
+            messageText,
+            history,
+            {
+              onPartial: this.createPartialSender(connectionId, streamId),
+              connectionId,
+              vesselInfo,
+              priority: payload.priority,
+              language: payload.languageCode,
+              location: payload.vesselInfo?.position || '博多港',
+              timestamp: new Date().toISOString()
+            }
+          );
+        }
+
+        // AI応答を承認待ちとして保存し、クライアントに送信
+        aiResponse.streamId = streamId;
+        const aiResponseItem = await this.sendPendingAIResponse(connectionId, aiResponse, {
+          SourceItem: conversationItem.ItemTimestamp,
+          SourceText: messageText,
+          VesselName: vesselInfo?.name
+        });
+
+        // 遭難・緊急はインシデントとして追跡
+        await this.openIncidentFor(connectionId, aiResponse, {
+          responseId: aiResponseItem.ItemTimestamp,
+          sourceText: messageText,
+          channel: payload.channel,
+          vesselInfo
         });
 
         this.logger.info('AI response sent', {
@@ -208,32 +510,75 @@ class MessageRouter {
 
   /**
    * 音声文字起こし開始の処理
+   * channelを指定した場合は同じ接続の他チャンネルと並行して文字起こしする
    * @param {string} connectionId - WebSocket接続ID
    * @param {Object} payload - ペイロード
+   * @param {ConnectionManager} connectionManager - 接続マネージャー（チャンネルの記録用）
    * @returns {Promise<Object>} - 処理結果
    */
-  async handleStartTranscription(connectionId, payload) {
+  async handleStartTranscription(connectionId, payload, connectionManager) {
     this.logger.info('Starting transcription', { connectionId, payload });
 
     try {
-      // 言語コード取得
-      const languageCode = payload.languageCode || payload.language || 'ja-JP';
+      // 言語コード（ja-JP / en-US、auto は発話ごとに言語を識別）
+      const languageCode = TranscribeProcessor.normalizeLanguage(payload.languageCode || payload.language);
+      if (!languageCode) {
+        await this.sendError(connectionId, `Unsupported language: ${payload.languageCode || payload.language}`);
+        return { statusCode: 400, body: 'Unsupported language' };
+      }
+      const sampleRate = payload.sampleRate || payload.sampleRateHertz || 16000;
+      const channel = TranscribeSessionStore.normalizeChannel(payload.channel);
+      const sessionKey = TranscribeSessionStore.sessionKey(connectionId, channel);
+      const sessionId = channel
+        ? `TRANS-${connectionId}-${channel}-${Date.now()}`
+        : `TRANS-${connectionId}-${Date.now()}`;
+
+      // 音声コーデックの決定（codecs: 優先順の候補, encodingFormat: 単一指定）
+      const requestedCodecs = payload.codecs || payload.codec || payload.encodingFormat;
+      const codec = TranscribeProcessor.negotiateCodec(requestedCodecs);
+      if (!codec) {
+        await this.sendError(connectionId, `Unsupported audio codec: ${[].concat(requestedCodecs).join(', ')}`);
+        return { statusCode: 400, body: 'Unsupported audio codec' };
+      }
+
+      // 切断時に全チャンネルのセッションを停止できるよう接続に記録
+      await this.registerAudioChannel(connectionManager, connectionId, channel);
       
-      // Transcribeセッションを開始
-      await this.transcribeProcessor.startSession(connectionId, languageCode);
+      // Transcribeセッションを開始（所有権をリースとして記録）
+      const lease = await this.transcriptionSessions.start(sessionKey, {
+        sessionId,
+        languageCode,
+        sampleRate,
+        codec,
+        mmsi: payload.mmsi ? String(payload.mmsi) : undefined
+      });
+
+      // 管制官が交信相手の船舶を選択している場合は記録
+      if (payload.mmsi) {
+        this.sessionVessels.set(sessionKey, String(payload.mmsi));
+      } else {
+        this.sessionVessels.delete(sessionKey);
+      }
 
-      // セッション情報をDynamoDBに保存
-      const sessionId = `TRANS-${connectionId}-${Date.now()}`;
+      // セッション情報をDynamoDBに保存（録音の紐付けのためリースと同じ開始日時をキーにする）
+      const startedAt = lease?.startedAt || new Date().toISOString();
       const sessionData = {
         ConversationID: sessionId,
-        ItemTimestamp: `SESSION#${new Date().toISOString()}`,
+        ItemTimestamp: `SESSION#${startedAt}`,
         ItemType: 'TRANSCRIPTION_SESSION',
         ConnectionID: connectionId,
+        Channel: channel || undefined,
         Status: 'STARTED',
         Language: languageCode,
-        // VocabularyName: process.env.TRANSCRIBE_VOCABULARY_NAME || 'maritime-vts-vocabulary-ja', // TODO: ボキャブラリー作成後に有効化
-        SampleRate: payload.sampleRate || 16000,
-        StartedAt: new Date().toISOString()
+        // 語彙がREADYでない場合は語彙なしで開始している（VocabularyStateに理由）
+        VocabularyName: lease?.vocabularyName,
+        VocabularyState: lease?.vocabularyState,
+        SampleRate: sampleRate,
+        Codec: codec,
+        MediaEncoding: TranscribeProcessor.MEDIA_ENCODINGS[codec],
+        VesselMMSI: payload.mmsi ? String(payload.mmsi) : undefined,
+        OwnerInstance: lease?.ownerId,
+        StartedAt: startedAt
       };
 
       await dynamodbClient.putItem(this.conversationsTable, sessionData);
@@ -243,20 +588,33 @@ class MessageRouter {
         type: 'status',
         message: 'Transcription started',
         sessionId: sessionId,
+        channel,
+        languageCode,
+        codec,
+        sampleRate,
+        vocabularyName: lease?.vocabularyName || null,
+        vocabularyState: lease?.vocabularyState,
         timestamp: new Date().toISOString()
       });
 
       this.logger.audit('TRANSCRIPTION_STARTED', {
         connectionId,
+        channel,
         sessionId,
         language: sessionData.Language,
-        vocabularyName: sessionData.VocabularyName
+        codec,
+        vocabularyName: sessionData.VocabularyName,
+        vocabularyState: sessionData.VocabularyState
       });
 
       return { statusCode: 200, body: 'Transcription started' };
       
     } catch (error) {
       this.logger.error('Failed to start transcription', error);
+      if (error.statusCode) {
+        await this.sendError(connectionId, error.message);
+        return { statusCode: error.statusCode, body: error.message };
+      }
       await this.sendError(connectionId, 'Failed to start transcription');
       return { statusCode: 500, body: 'Failed to start transcription' };
     }
@@ -271,24 +629,57 @@ class MessageRouter {
   async handleStopTranscription(connectionId, payload) {
     this.logger.info('Stopping transcription', { connectionId, payload });
 
-    // Transcribeセッションを停止
-    this.transcribeProcessor.stopSession(connectionId);
+    let channel;
+    try {
+      channel = TranscribeSessionStore.normalizeChannel(payload.channel);
+    } catch (error) {
+      await this.sendError(connectionId, error.message);
+      return { statusCode: error.statusCode, body: error.message };
+    }
+    const sessionKey = TranscribeSessionStore.sessionKey(connectionId, channel);
 
-    const sessionId = payload.sessionId || `TRANS-${connectionId}`;
-    
-    // セッション情報が存在する場合は更新
+    // 停止前にリースから停止するセッション（ID・開始日時）を取得
+    let lease = null;
     try {
-      await dynamodbClient.updateItem(
-        this.conversationsTable,
-        { ConversationID: sessionId, ItemTimestamp: `SESSION#${sessionId}` },
-        {
-          Status: 'STOPPED',
-          StoppedAt: new Date().toISOString()
-        }
-      );
+      lease = await this.transcriptionSessions.getActiveLease(sessionKey);
+    } catch (error) {
+      this.logger.warn('Failed to read Transcribe session lease', { connectionId, sessionKey, error: error.message });
+    }
+
+    // 古い停止要求で再開後のセッションを止めない
+    if (lease && payload.sessionId && payload.sessionId !== lease.sessionId) {
+      const message = `Session ${payload.sessionId} is not active on this channel`;
+      await this.sendError(connectionId, message);
+      return { statusCode: 409, body: message };
+    }
+
+    // Transcribeセッションを停止（他インスタンス・ワーカーが保持している場合も停止）
+    try {
+      await this.endTranscriptionSession(sessionKey, lease);
     } catch (error) {
-      // セッションが存在しない場合もエラーにしない
-      this.logger.debug('Session not found or already stopped', { sessionId });
+      this.logger.error('Failed to stop Transcribe session', error);
+    }
+
+    const sessionId = lease?.sessionId || null;
+    if (sessionId) {
+      // 開始時に保存したセッション情報を更新（存在しない項目は作成しない）
+      try {
+        await dynamodbClient.updateItem(
+          this.conversationsTable,
+          { ConversationID: sessionId, ItemTimestamp: `SESSION#${lease.startedAt}` },
+          {
+            Status: 'STOPPED',
+            StoppedAt: new Date().toISOString()
+          },
+          { ConditionExpression: 'attribute_exists(ConversationID)' }
+        );
+      } catch (error) {
+        if (!dynamodbClient.isConditionalCheckFailed(error)) {
+          this.logger.error('Failed to update transcription session', error);
+        } else {
+          this.logger.debug('Session not found', { sessionId });
+        }
+      }
     }
 
     // クライアントに停止確認を送信
@@ -296,65 +687,120 @@ class MessageRouter {
       type: 'status',
       message: 'Transcription stopped',
       sessionId: sessionId,
+      channel,
       timestamp: new Date().toISOString()
     });
 
     this.logger.audit('TRANSCRIPTION_STOPPED', {
       connectionId,
+      channel,
       sessionId
     });
 
     return { statusCode: 200, body: 'Transcription stopped' };
   }
 
+  /**
+   * 文字起こし中の音声チャンネルを接続情報（audioChannels）に記録
+   * 切断時はこの一覧から各チャンネルのセッションを停止する
+   * @param {ConnectionManager} connectionManager - 接続マネージャー
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {string|null} channel - チャンネル名（未指定の場合は記録しない）
+   * @returns {Promise<void>}
+   */
+  async registerAudioChannel(connectionManager, connectionId, channel) {
+    if (!channel || !connectionManager) {
+      return;
+    }
+
+    const connection = await connectionManager.getConnection(connectionId);
+    const channels = connection?.audioChannels || [];
+    if (channels.includes(channel)) {
+      return;
+    }
+
+    if (channels.length >= this.maxAudioChannels) {
+      const error = new Error(`Too many audio channels (max ${this.maxAudioChannels})`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    await connectionManager.addMetadata(connectionId, { audioChannels: [...channels, channel] });
+  }
+
   /**
    * 音声データの処理
    * @param {string} connectionId - WebSocket接続ID
-   * @param {Object} payload - ペイロード（Base64エンコードされた音声データを含む）
+   * @param {Object} payload - ペイロード（Base64エンコードされた音声データ、またはデコード済みの音声フレーム）
    * @returns {Promise<Object>} - 処理結果
    */
   async handleAudioData(connectionId, payload) {
     try {
       // payloadがaudioプロパティを持つ場合（フロントエンドからの形式）
+      // バイナリフレームの場合はaudioがBuffer
       const audioData = payload.audio || payload.audioData;
       const sessionId = payload.sessionId || `TRANS-${connectionId}-${Date.now()}`;
       const sequenceNumber = payload.sequenceNumber || 0;
 
-      if (!audioData) {
+      if (!audioData || audioData.length === 0) {
         await this.sendError(connectionId, 'Audio data is required');
         return { statusCode: 400, body: 'Invalid audio data' };
       }
 
-      // Transcribeセッションがなければ自動開始
-      if (!this.transcribeProcessor.sessions.has(connectionId)) {
-        this.logger.info('Auto-starting Transcribe session', { connectionId });
-        await this.transcribeProcessor.startSession(connectionId);
-      }
+      const audioSize = Buffer.isBuffer(audioData) ? audioData.length : Buffer.byteLength(audioData, 'base64');
+      const channel = TranscribeSessionStore.normalizeChannel(payload.channel);
+
+      // ストリームを保持するインスタンス（チャンネルごとのセッション）に音声データを送る
+      const sessionKey = TranscribeSessionStore.sessionKey(connectionId, channel);
+      const { route } = await this.transcriptionSessions.sendAudio(sessionKey, audioData, {
+        sessionId: payload.sessionId,
+        sampleRate: payload.sampleRate,
+        codec: payload.codec,
+        sequenceNumber: Number.isInteger(payload.sequenceNumber) ? payload.sequenceNumber : undefined,
+        isLastChunk: Boolean(payload.isLastChunk)
+      });
 
-      // 音声データをTranscribe Processorに送る
-      await this.transcribeProcessor.processAudioChunk(connectionId, audioData);
+      if (route === 'dropped') {
+        // 別の実行環境がストリームを保持している（常駐ワーカー未使用時）
+        // 音声が失われたことをクライアントに通知し、チャンクの再送を促す
+        await this.sendError(connectionId, 'Audio data was not delivered to the transcription session', {
+          code: 'audioNotDelivered',
+          channel,
+          sessionId: payload.sessionId,
+          sequenceNumber: Number.isInteger(payload.sequenceNumber) ? payload.sequenceNumber : undefined,
+          retryable: true
+        });
+        return { statusCode: 409, body: 'Audio data received by non-owner instance' };
+      }
 
-      // デバッグ用：S3に音声ファイルを保存（オプション）
-      if (process.env.SAVE_AUDIO_TO_S3 === 'true') {
-        const audioBuffer = Buffer.from(audioData, 'base64');
-        const s3Key = `audio/${sessionId}/${Date.now()}-${sequenceNumber}.raw`;
-        await this.saveAudioToS3(audioBuffer, s3Key);
+      if (route === 'takeover') {
+        await this.sendToConnection(connectionId, {
+          type: 'status',
+          message: 'Transcription session resumed',
+          channel,
+          timestamp: new Date().toISOString()
+        });
       }
 
       this.logger.debug('Audio data processed', {
         connectionId,
         sessionId,
         sequenceNumber,
-        audioSize: audioData.length
+        transport: Buffer.isBuffer(audioData) ? 'binary' : 'json',
+        audioSize
       });
 
-      this.logger.metric('AudioDataProcessed', audioData.length, 'Bytes', {
+      this.logger.metric('AudioDataProcessed', audioSize, 'Bytes', {
         sessionId
       });
 
       return { statusCode: 200, body: 'Audio data received' };
     } catch (error) {
       this.logger.error('Failed to process audio data', error);
+      if (error.statusCode) {
+        await this.sendError(connectionId, error.message);
+        return { statusCode: error.statusCode, body: error.message };
+      }
       await this.sendError(connectionId, 'Failed to process audio data');
       return { statusCode: 500, body: 'Failed to process audio data' };
     }
@@ -368,33 +814,99 @@ class MessageRouter {
    */
   async handleTranscriptionResult(connectionId, result) {
     try {
+      const isFinal = !result.isPartial && result.text && result.text.length > 2;
+
+      // 完全な文字起こしの場合、船名・呼出符号・MMSIから船舶を特定
+      const vesselMatch = isFinal ? await this.vesselResolver.resolve(result.text) : null;
+
+      // 話者の役割（管制官の指定 → 名乗り → 表現による推定）
+      const speakerRole = await this.speakerRoles.resolve(result.sessionId, {
+        speaker: result.speaker,
+        text: result.text,
+        isPartial: !isFinal
+      });
+
+      // 完全な文字起こしの発話にSMCPのメッセージマーカーを付ける
+      const smcp = isFinal ? this.smcpAnalyzer.analyze(result.text, { role: speakerRole.role }) : undefined;
+
+      // MAYDAY / PAN-PAN / SECURITE は途中結果でも判定する
+      const distress = result.text ? this.bedrockProcessor.classifyDistress(result.text) : null;
+      const distressKey = `${result.sessionId || connectionId}#${result.resultId}`;
+
       // クライアントに文字起こし結果を送信
       await this.sendToConnection(connectionId, {
         type: 'transcription',
         payload: {
           transcriptText: result.text,
+          rawTranscriptText: result.rawText ?? result.text,
+          corrections: result.corrections || [],
           confidence: result.confidence,
           timestamp: result.timestamp,
           isPartial: result.isPartial,
-          speakerLabel: 'VTS'
+          speakerLabel: speakerRole.role,
+          speakerRoleSource: speakerRole.source,
+          speaker: result.speaker,
+          languageCode: result.languageCode,
+          smcp,
+          vesselInfo: vesselMatch?.vesselInfo,
+          resultId: result.resultId,
+          sessionId: result.sessionId,
+          channel: result.channel,
+          recordingId: result.recordingId,
+          startTime: result.startTime,
+          endTime: result.endTime
         }
       });
 
+      // 優先呼出は発話の終了を待たずに定型応答を送る
+      if (result.isPartial && distress) {
+        await this.sendEarlyDistressResponse(connectionId, result, distress, distressKey);
+      }
+
+      // 途中結果で送った応答の種別（最終結果で重複を判定）
+      const earlyPriority = result.isPartial ? undefined : this.distressAlerts.get(distressKey);
+      if (!result.isPartial) {
+        this.distressAlerts.delete(distressKey);
+      }
+
       // 完全な文字起こしの場合、AI処理を実行
-      if (!result.isPartial && result.text && result.text.length > 2) {
-        // 会話履歴を保存
+      if (isFinal) {
+        // 会話履歴を保存（特定した船舶はVesselTimeIndexで検索可能にする）
+        // 複数チャンネルの同時刻の発話が衝突しないようチャンネル名をキーに含める
         const transcriptionItem = {
           ConversationID: `CONN-${connectionId}`,
-          ItemTimestamp: `TRANS#${result.timestamp}`,
+          ItemTimestamp: result.channel ? `TRANS#${result.timestamp}#${result.channel}` : `TRANS#${result.timestamp}`,
           ItemType: 'TRANSCRIPTION',
           ConnectionID: connectionId,
+          Channel: result.channel || undefined,
+          LanguageCode: result.languageCode || undefined,
           TranscriptText: result.text,
+          // 補正した場合のみ補正前の文字列と補正内容を保存
+          RawTranscriptText: result.rawText !== undefined && result.rawText !== result.text ? result.rawText : undefined,
+          Corrections: result.corrections?.length ? result.corrections : undefined,
           Confidence: result.confidence,
-          Timestamp: result.timestamp
+          Timestamp: result.timestamp,
+          VesselName: vesselMatch?.vesselInfo.name,
+          VesselMMSI: vesselMatch?.vesselInfo.mmsi,
+          VesselInfo: vesselMatch?.vesselInfo,
+          VesselMatches: vesselMatch?.matches,
+          SpeakerLabel: result.speaker,
+          SpeakerRole: speakerRole.role,
+          SpeakerRoleSource: speakerRole.source,
+          SmcpMarkers: smcp.markers,
+          SmcpIssues: smcp.issues.length > 0 ? smcp.issues : undefined,
+          // 録音内の発話区間（getAudioClipで再生）
+          SessionID: result.sessionId,
+          RecordingID: result.recordingId,
+          AudioStartTime: result.startTime,
+          AudioEndTime: result.endTime
         };
 
         await dynamodbClient.putItem(this.conversationsTable, transcriptionItem);
 
+        // 対応中のインシデントがあれば交信をタイムラインに記録
+        await this.recordIncidentTranscript(connectionId, transcriptionItem);
+
         this.logger.info('Transcription saved, processing with AI', {
           connectionId,
           textLength: result.text.length,
@@ -402,47 +914,55 @@ class MessageRouter {
         });
 
         // AI処理をtry-catchでラップ
+        let aiResponse;
+        const streamId = this.createStreamId();
         try {
-          // Bedrockで分析（緊急性を自動判定）
-          const aiResponse = await this.bedrockProcessor.generateEmergencyResponse(result.text);
-          
-          // 非緊急の場合は詳細分析も実行
-          if (!aiResponse.isEmergency) {
-            const detailedResponse = await this.bedrockProcessor.processVTSCommunication(
+          if (distress) {
+            // 優先呼出は種別ごとの定型応答を即時生成（途中結果で同等以上の種別を送信済みなら省略）
+            const answered = earlyPriority && DistressClassifier.rank(earlyPriority) <= DistressClassifier.rank(distress.priority);
+            aiResponse = answered ? null : await this.bedrockProcessor.generateEmergencyResponse(result.text, {
+              language: result.languageCode,
+              detection: distress
+            });
+          } else if (!(await this.checkBedrockBudget(connectionId))) {
+            // 1時間あたりの予算を超えた場合は文字起こしのみ（優先呼出の定型応答は予算の対象外）
+            aiResponse = null;
+          } else {
+            // 過去の交信を踏まえて分析（生成途中の応答は逐次クライアントへ送信）
+            const vesselInfo = vesselMatch?.vesselInfo || await this.resolveVesselInfo(connectionId, { channel: result.channel });
+            const history = await this.conversationHistory.getRecentTurns(connectionId, {
+              vesselName: vesselInfo?.name,
+              excludeItem: transcriptionItem.ItemTimestamp
+            });
+
+            aiResponse = await this.bedrockProcessor.processWithHistory(
               result.text,
+              history,
               {
                 location: '博多港',
                 timestamp: new Date().toISOString(),
                 connectionId: connectionId,
-                vesselInfo: '未特定'
+                vesselInfo: vesselInfo || '未特定',
+                // 船舶の言語で応答する（英語の場合は管制官向けの日本語訳を付ける）
+                language: result.languageCode,
+                onPartial: this.createPartialSender(connectionId, streamId)
               }
             );
-            // 詳細分析の結果をマージ
-            Object.assign(aiResponse, detailedResponse);
           }
           
-          // AI応答をクライアントに送信
-          await this.sendToConnection(connectionId, {
-            type: 'aiResponse',
-            payload: aiResponse
-          });
-          
         } catch (aiError) {
           this.logger.error('AI processing failed', { error: aiError, connectionId, transcriptText: result.text });
           
-          // フォールバック応答を送信
-          await this.sendToConnection(connectionId, {
-            type: 'aiResponse',
-            payload: {
-              classification: 'AMBER',
-              suggestedResponse: 'AI処理中にエラーが発生しました。音声は正常に記録されています。もう一度お試しください。',
-              confidence: 0,
-              isEmergency: false,
-              error: true,
-              errorMessage: 'AI分析サービスが一時的に利用できません',
-              timestamp: new Date().toISOString()
-            }
-          });
+          // フォールバック応答
+          aiResponse = {
+            classification: 'AMBER',
+            suggestedResponse: 'AI処理中にエラーが発生しました。音声は正常に記録されています。もう一度お試しください。',
+            confidence: 0,
+            isEmergency: false,
+            error: true,
+            errorMessage: 'AI分析サービスが一時的に利用できません',
+            timestamp: new Date().toISOString()
+          };
           
           // AI処理エラーのメトリクスを記録
           this.logger.metric('AIProcessingErrors', 1, 'Count', {
@@ -450,31 +970,39 @@ class MessageRouter {
           });
         }
 
-        // AI応答を保存
-        const aiResponseItem = {
-          ConversationID: `CONN-${connectionId}`,
-          ItemTimestamp: `AI#${aiResponse.timestamp}`,
-          ItemType: 'AI_RESPONSE',
-          ConnectionID: connectionId,
-          Classification: aiResponse.classification,
-          SuggestedResponse: aiResponse.suggestedResponse,
-          Confidence: aiResponse.confidence,
-          RiskFactors: aiResponse.riskFactors,
-          RecommendedActions: aiResponse.recommendedActions,
-          Timestamp: aiResponse.timestamp
-        };
+        if (!aiResponse) {
+          this.logger.info(distress ? 'Priority call already answered from partial transcript' : 'AI analysis skipped', {
+            connectionId,
+            priority: distress?.priority
+          });
+        } else {
+          // AI応答を承認待ちとして保存し、クライアントに送信
+          aiResponse.streamId = streamId;
+          const aiResponseItem = await this.sendPendingAIResponse(connectionId, aiResponse, {
+            SourceItem: transcriptionItem.ItemTimestamp,
+            SourceText: result.text,
+            VesselName: vesselMatch?.vesselInfo.name
+          });
 
-        await dynamodbClient.putItem(this.conversationsTable, aiResponseItem);
+          // 遭難・緊急はインシデントとして追跡
+          await this.openIncidentFor(connectionId, aiResponse, {
+            responseId: aiResponseItem.ItemTimestamp,
+            sourceText: result.text,
+            channel: result.channel,
+            sessionId: result.sessionId,
+            vesselInfo: vesselMatch?.vesselInfo
+          });
 
-        this.logger.info('AI response sent', {
-          connectionId,
-          classification: aiResponse.classification,
-          confidence: aiResponse.confidence
-        });
+          this.logger.info('AI response sent', {
+            connectionId,
+            classification: aiResponse.classification,
+            confidence: aiResponse.confidence
+          });
 
-        this.logger.metric('AIResponsesSent', 1, 'Count', {
-          classification: aiResponse.classification
-        });
+          this.logger.metric('AIResponsesSent', 1, 'Count', {
+            classification: aiResponse.classification
+          });
+        }
       }
 
       this.logger.metric('TranscriptionsSent', 1, 'Count', {
@@ -487,90 +1015,941 @@ class MessageRouter {
   }
 
   /**
-   * Pingメッセージの処理（接続維持用）
+   * 途中結果で判定した優先呼出の定型応答を送信
+   * 同じ発話で同等以上の種別の応答を送信済みの場合は送らない
    * @param {string} connectionId - WebSocket接続ID
-   * @returns {Promise<Object>} - 処理結果
+   * @param {Object} result - Transcribe結果（途中結果）
+   * @param {Object} distress - classifyDistress の判定結果
+   * @param {string} distressKey - 発話のキー（<セッションID>#<結果ID>）
+   * @returns {Promise<void>}
    */
-  async handlePing(connectionId) {
-    await this.sendToConnection(connectionId, {
-      type: 'pong',
-      timestamp: new Date().toISOString()
-    });
+  async sendEarlyDistressResponse(connectionId, result, distress, distressKey) {
+    const sentPriority = this.distressAlerts.get(distressKey);
+    if (sentPriority && DistressClassifier.rank(sentPriority) <= DistressClassifier.rank(distress.priority)) {
+      return;
+    }
 
-    return { statusCode: 200, body: 'Pong' };
-  }
+    // 応答の生成中に届いた次の途中結果で重複しないよう先に記録
+    this.distressAlerts.set(distressKey, distress.priority);
+    if (this.distressAlerts.size > this.maxDistressAlerts) {
+      this.distressAlerts.delete(this.distressAlerts.keys().next().value);
+    }
 
-  /**
-   * 音声データをS3に保存
-   * @param {Buffer} audioBuffer - 音声データ
-   * @param {string} key - S3キー
-   * @returns {Promise<void>}
-   */
-  async saveAudioToS3(audioBuffer, key) {
     try {
-      const command = new PutObjectCommand({
-        Bucket: this.audioBucket,
-        Key: key,
-        Body: audioBuffer,
-        ContentType: 'audio/raw',
-        Metadata: {
-          timestamp: new Date().toISOString()
-        }
+      const aiResponse = await this.bedrockProcessor.generateEmergencyResponse(result.text, {
+        language: result.languageCode,
+        detection: distress
       });
 
-      await this.s3Client.send(command);
-      
-      this.logger.debug('Audio saved to S3', { 
-        bucket: this.audioBucket, 
-        key,
-        size: audioBuffer.length 
+      const aiResponseItem = await this.sendPendingAIResponse(connectionId, { ...aiResponse, earlyDetection: true }, {
+        SourceText: result.text,
+        SessionID: result.sessionId,
+        ResultID: result.resultId,
+        EarlyDetection: true
+      });
+
+      await this.openIncidentFor(connectionId, aiResponse, {
+        responseId: aiResponseItem.ItemTimestamp,
+        sourceText: result.text,
+        channel: result.channel,
+        sessionId: result.sessionId
+      });
+
+      this.logger.warn('Priority call answered from partial transcript', {
+        connectionId,
+        priority: distress.priority,
+        signal: distress.signal
+      });
+
+      this.logger.metric('PriorityCallsDetected', 1, 'Count', {
+        priority: distress.priority
       });
     } catch (error) {
-      this.logger.error('Failed to save audio to S3', error);
-      // S3への保存に失敗してもメイン処理は継続
+      // 送信できなかった場合は最終結果で改めて応答する
+      this.distressAlerts.delete(distressKey);
+      this.logger.error('Failed to send early priority call response', error);
     }
   }
 
   /**
-   * WebSocket接続にメッセージを送信
+   * 遭難・緊急（RED、MAYDAY / PAN-PAN）のAI応答からインシデントを発生させ、クライアントに通知
+   * 同じ接続・チャンネルで対応中のインシデントがある場合はそのインシデントを通知する（優先度が上がれば格上げ）
+   * インシデントの記録に失敗してもAI応答の送信は妨げない
    * @param {string} connectionId - WebSocket接続ID
-   * @param {Object} data - 送信するデータ
-   * @returns {Promise<void>}
+   * @param {Object} aiResponse - AI応答
+   * @param {Object} source - 発生元（responseId, sourceText, channel, sessionId, vesselInfo）
+   * @returns {Promise<Object|null>} - インシデント
    */
-  async sendToConnection(connectionId, data) {
+  async openIncidentFor(connectionId, aiResponse, source) {
+    const isDistress = aiResponse.classification === 'RED' || aiResponse.isEmergency === true;
+    if (!isDistress || aiResponse.error) {
+      return null;
+    }
+
     try {
-      const command = new PostToConnectionCommand({
-        ConnectionId: connectionId,
-        Data: JSON.stringify(data)
+      const { incident, created, escalated } = await this.incidentManager.openIncident(connectionId, {
+        classification: aiResponse.classification,
+        priority: aiResponse.priority,
+        signal: aiResponse.signal,
+        ...source
       });
 
-      await this.apiGatewayClient.send(command);
-      
-      this.logger.debug('Message sent to connection', { 
-        connectionId,
-        messageType: data.type 
+      await this.sendToConnection(connectionId, {
+        type: 'incident',
+        payload: { ...incident, created },
+        timestamp: new Date().toISOString()
       });
-    } catch (error) {
-      if (error.statusCode === 410) {
-        this.logger.warn('Connection no longer exists', { connectionId });
-      } else {
-        this.logger.error('Failed to send message to connection', error);
+
+      // 新規発生・格上げは全管制卓に警報を送信（受領されるまで各管制卓で警報を表示）
+      if (created || escalated) {
+        await this.broadcastAlert(connectionId, incident, { escalated });
       }
-      throw error;
+
+      return incident;
+    } catch (error) {
+      this.logger.error('Failed to open incident', { error, connectionId });
+      return null;
     }
   }
 
   /**
-   * エラーメッセージを送信
-   * @param {string} connectionId - WebSocket接続ID
-   * @param {string} errorMessage - エラーメッセージ
-   * @returns {Promise<void>}
+   * 遭難・緊急の警報をCONNECTEDの全管制卓に送信
+   * 警報は少なくとも1人の管制官がインシデントを受領（acknowledgeIncident）するまで解除されない
+   * @param {string} connectionId - 検知した接続ID
+   * @param {Object} incident - インシデント
+   * @param {Object} options - オプション
+   * @param {boolean} options.escalated - 対応中のインシデントの格上げかどうか
+   * @returns {Promise<Object|null>} - 送信結果（{ recipients, sent, pruned, failed }）
    */
-  async sendError(connectionId, errorMessage) {
+  async broadcastAlert(connectionId, incident, options = {}) {
     try {
-      await this.sendToConnection(connectionId, {
-        type: 'error',
-        error: errorMessage,
+      // 担当海域で絞り込む場合は発生元の管制卓の担当海域
+      const origin = this.broadcastService.scope === BroadcastService.SCOPES.PORT_AREA
+        ? await this.connectionManager.getConnection(connectionId)
+        : null;
+
+      const result = await this.broadcastService.broadcast({
+        type: 'alert',
+        payload: {
+          alertId: incident.incidentId,
+          incident,
+          escalated: options.escalated === true,
+          requiresAcknowledgement: true,
+          originConnectionId: connectionId
+        },
+        timestamp: new Date().toISOString()
+      }, { portArea: origin?.portArea });
+
+      this.logger.audit('ALERT_BROADCAST', {
+        incidentId: incident.incidentId,
+        classification: incident.classification,
+        priority: incident.priority,
+        escalated: options.escalated === true,
+        ...result
+      });
+
+      this.logger.metric('AlertsBroadcast', result.sent, 'Count', {
+        priority: incident.priority || incident.classification
+      });
+
+      if (result.sent === 0) {
+        this.logger.error('Alert was not delivered to any console', { incidentId: incident.incidentId, ...result });
+      }
+
+      return result;
+    } catch (error) {
+      this.logger.error('Failed to broadcast alert', { error, incidentId: incident.incidentId });
+      return null;
+    }
+  }
+
+  /**
+   * 警報の受領（インシデントの受領、または受領前の終結）を全管制卓に送信し、各管制卓の警報を解除させる
+   * @param {Object} incident - 受領・終結後のインシデント
+   * @param {string} operatorId - 受領した管制官
+   * @returns {Promise<void>}
+   */
+  async broadcastAlertAcknowledged(incident, operatorId) {
+    try {
+      await this.broadcastService.broadcast({
+        type: 'alertAcknowledged',
+        payload: {
+          alertId: incident.incidentId,
+          status: incident.status,
+          acknowledgedBy: operatorId,
+          acknowledgedAt: incident.acknowledgedAt || incident.closedAt
+        },
+        timestamp: new Date().toISOString()
+      });
+
+      this.logger.audit('ALERT_ACKNOWLEDGED', { incidentId: incident.incidentId, operatorId, status: incident.status });
+    } catch (error) {
+      this.logger.error('Failed to broadcast alert acknowledgement', { error, incidentId: incident.incidentId });
+    }
+  }
+
+  /**
+   * 対応中のインシデントのタイムラインに交信を記録し、更新したインシデントをクライアントに送信
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} transcriptionItem - 保存したTRANSCRIPTIONアイテム
+   * @returns {Promise<void>}
+   */
+  async recordIncidentTranscript(connectionId, transcriptionItem) {
+    try {
+      const incidentIds = await this.incidentManager.appendTranscript(connectionId, {
+        text: transcriptionItem.TranscriptText,
+        speakerRole: transcriptionItem.SpeakerRole,
+        channel: transcriptionItem.Channel,
+        sourceItem: transcriptionItem.ItemTimestamp
+      });
+
+      // 更新したタイムラインをクライアントに送信
+      for (const incidentId of incidentIds) {
+        await this.sendIncident(connectionId, await this.incidentManager.getIncident(incidentId));
+      }
+    } catch (error) {
+      this.logger.error('Failed to record incident timeline', { error, connectionId });
+    }
+  }
+
+  /**
+   * AI応答を承認待ちとして保存し、応答IDを付けてクライアントに送信
+   * 推奨応答は管制官が承認するまで送出（読み上げ）されない
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} aiResponse - AI応答
+   * @param {Object} attributes - AI_RESPONSEアイテムに追加する属性
+   * @returns {Promise<Object>} - 保存したAI_RESPONSEアイテム
+   */
+  async sendPendingAIResponse(connectionId, aiResponse, attributes = {}) {
+    const aiResponseItem = await this.approvalManager.createPendingResponse(connectionId, aiResponse, attributes);
+
+    await this.sendToConnection(connectionId, {
+      type: 'aiResponse',
+      payload: {
+        ...aiResponse,
+        responseId: aiResponseItem.ItemTimestamp,
+        approvalStatus: aiResponseItem.ApprovalStatus,
+        timestamp: aiResponseItem.Timestamp
+      }
+    });
+
+    return aiResponseItem;
+  }
+
+  /**
+   * ストリーミング応答の識別子を作成（aiResponsePartialと最終のaiResponseを対応付ける）
+   * @returns {string} - ストリームID
+   */
+  createStreamId() {
+    return `STREAM-${crypto.randomUUID()}`;
+  }
+
+  /**
+   * 生成途中の推奨応答をクライアントへ送信するコールバックを作成
+   * API Gatewayへの送信回数を抑えるため一定間隔で間引く
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {string} streamId - ストリームID
+   * @returns {Function|undefined} - コールバック（ストリーミング無効時はundefined）
+   */
+  createPartialSender(connectionId, streamId) {
+    if (!this.streamingEnabled) {
+      return undefined;
+    }
+
+    let lastSentAt = 0;
+
+    return async (partialText) => {
+      const now = Date.now();
+      if (now - lastSentAt < PARTIAL_RESPONSE_INTERVAL_MS) {
+        return;
+      }
+      lastSentAt = now;
+
+      await this.sendToConnection(connectionId, {
+        type: 'aiResponsePartial',
+        payload: {
+          streamId,
+          suggestedResponse: partialText,
+          timestamp: new Date().toISOString()
+        }
+      });
+    };
+  }
+
+  /**
+   * AI推奨応答に対する管制官の判断（承認・編集・却下）
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} payload - ペイロード（responseId, text, reason）
+   * @param {string} decision - APPROVED / EDITED / REJECTED
+   * @param {Object} connectionManager - ConnectionManager インスタンス
+   * @returns {Promise<Object>} - 処理結果
+   */
+  async handleResponseDecision(connectionId, payload, decision, connectionManager) {
+    try {
+      const operatorId = await this.resolveOperatorId(connectionId, connectionManager);
+
+      const result = await this.approvalManager.recordDecision({
+        connectionId,
+        responseId: payload.responseId,
+        decision,
+        operatorId,
+        editedText: payload.text,
+        reason: payload.reason
+      });
+
+      await this.sendToConnection(connectionId, {
+        type: 'responseDecision',
+        payload: result,
+        timestamp: result.decidedAt
+      });
+
+      return { statusCode: 200, body: JSON.stringify({ success: true, decisionId: result.decisionId }) };
+
+    } catch (error) {
+      if (error.statusCode) {
+        await this.sendError(connectionId, error.message);
+        return { statusCode: error.statusCode, body: error.message };
+      }
+
+      this.logger.error('Failed to record response decision', error);
+      await this.sendError(connectionId, 'Failed to record response decision');
+      return { statusCode: 500, body: 'Failed to record response decision' };
+    }
+  }
+
+  /**
+   * 操作した管制官のID（接続時に認証したユーザー、なければ接続ID）
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {ConnectionManager} connectionManager - 接続マネージャー
+   * @returns {Promise<string>} - 管制官ID
+   */
+  async resolveOperatorId(connectionId, connectionManager) {
+    const auth = await this.getConnectionAuth(connectionId, connectionManager);
+    return auth?.userId || `CONN-${connectionId}`;
+  }
+
+  /**
+   * 文字起こしセッションが接続したユーザーのものか（以前の接続のセッションは会話の所有者で確認）
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {string} sessionId - 文字起こしセッションID
+   * @param {ConnectionManager} connectionManager - 接続マネージャー
+   * @returns {Promise<boolean>}
+   */
+  async isSessionAccessible(connectionId, sessionId, connectionManager) {
+    const sessionConnectionId = await this.conversationHistory.getSessionConnectionId(sessionId);
+    if (!sessionConnectionId) {
+      return false;
+    }
+    if (sessionConnectionId === connectionId) {
+      return true;
+    }
+
+    const auth = await this.getConnectionAuth(connectionId, connectionManager);
+    return Boolean(auth?.userId) && await this.conversationHistory.getOwner(`CONN-${sessionConnectionId}`) === auth.userId;
+  }
+
+  /**
+   * 接続の役割でアクションを認可
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {string} action - アクション
+   * @param {ConnectionManager} connectionManager - 接続マネージャー
+   * @returns {Promise<Object|null>} - 拒否した場合の処理結果（許可した場合はnull）
+   */
+  async authorize(connectionId, action, connectionManager) {
+    const auth = await this.getConnectionAuth(connectionId, connectionManager);
+
+    let statusCode = null;
+    let reason = null;
+    if (!auth) {
+      statusCode = 401;
+      reason = 'Not authenticated';
+    } else if (auth.tokenExpiresAt && Date.parse(auth.tokenExpiresAt) <= Date.now()) {
+      // 接続中にトークンの有効期限が切れた場合は再接続（再認証）させる
+      statusCode = 401;
+      reason = 'Token expired, reconnect to continue';
+    } else if (!AuthService.isAllowed(auth.role, action)) {
+      statusCode = 403;
+      reason = `Action ${action} is not permitted for role ${auth.role}`;
+    }
+
+    if (!statusCode) {
+      return null;
+    }
+
+    this.logger.warn('Action denied', { connectionId, action, userId: auth?.userId, role: auth?.role, reason });
+    this.logger.audit('ACTION_DENIED', { connectionId, action, userId: auth?.userId, role: auth?.role, statusCode });
+    this.logger.metric('AuthorizationFailures', 1, 'Count', { action, statusCode });
+
+    await this.sendError(connectionId, reason);
+    return { statusCode, body: reason };
+  }
+
+  /**
+   * アクションのレート制限（接続単位・ユーザー単位のトークンバケット）
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {string} action - アクション
+   * @param {ConnectionManager} connectionManager - 接続マネージャー
+   * @returns {Promise<Object|null>} - 制限した場合の処理結果（許可した場合はnull）
+   */
+  async enforceRateLimit(connectionId, action, connectionManager) {
+    const auth = await this.getConnectionAuth(connectionId, connectionManager);
+    const result = await this.rateLimiter.consume(action, { connectionId, userId: auth?.userId });
+    if (result.allowed) {
+      return null;
+    }
+
+    this.logger.warn('Action rate limited', { connectionId, action, userId: auth?.userId, scope: result.scope, retryAfter: result.retryAfter });
+    this.logger.metric('RateLimited', 1, 'Count', { action, scope: result.scope });
+
+    await this.sendRateLimited(connectionId, action, result);
+    return { statusCode: 429, body: 'Rate limit exceeded' };
+  }
+
+  /**
+   * Bedrock呼び出しの1時間あたりの予算を消費
+   * @param {string} connectionId - WebSocket接続ID
+   * @returns {Promise<boolean>} - 呼び出せるかどうか（予算超過時はクライアントに rateLimited を送信）
+   */
+  async checkBedrockBudget(connectionId) {
+    const auth = await this.getConnectionAuth(connectionId, this.connectionManager);
+    const result = await this.rateLimiter.consumeBedrockBudget({ connectionId, userId: auth?.userId });
+    if (result.allowed) {
+      return true;
+    }
+
+    await this.sendRateLimited(connectionId, 'bedrock', result);
+    return false;
+  }
+
+  /**
+   * rateLimited のエラーを送信（同じアクションは再試行可能になるまで1回のみ通知）
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {string} action - 制限したアクション（Bedrockの予算は bedrock）
+   * @param {Object} result - RateLimiterの結果（scope, retryAfter）
+   */
+  async sendRateLimited(connectionId, action, result) {
+    const message = action === 'bedrock' ? 'AI analysis budget exceeded' : 'Rate limit exceeded';
+    const details = { code: 'rateLimited', action, scope: result.scope, retryAfter: result.retryAfter };
+
+    const noticeKey = `${connectionId}#${action}`;
+    if ((this.rateLimitNotices.get(noticeKey) || 0) > Date.now()) {
+      // 通知済みでも requestId を指定したメッセージの nack には含める
+      this.recordRequestError(connectionId, message, details);
+      return;
+    }
+
+    this.rateLimitNotices.delete(noticeKey);
+    this.rateLimitNotices.set(noticeKey, Date.now() + result.retryAfter * 1000);
+    while (this.rateLimitNotices.size > this.maxConnectionAuth) {
+      this.rateLimitNotices.delete(this.rateLimitNotices.keys().next().value);
+    }
+
+    await this.sendError(connectionId, message, details);
+  }
+
+  /**
+   * 接続時に認証したユーザー情報
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {ConnectionManager} connectionManager - 接続マネージャー
+   * @returns {Promise<Object|null>} - { userId, role, tokenExpiresAt } 認証されていない接続はnull
+   */
+  async getConnectionAuth(connectionId, connectionManager) {
+    return (await this.getConnectionContext(connectionId, connectionManager)).auth;
+  }
+
+  /**
+   * 接続時に記録した認証情報とプロトコルバージョン（キャッシュ、なければ接続テーブルから取得）
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {ConnectionManager} connectionManager - 接続マネージャー
+   * @returns {Promise<Object>} - { auth, protocolVersion }
+   */
+  async getConnectionContext(connectionId, connectionManager) {
+    const cached = this.connectionAuth.get(connectionId);
+    if (cached && Date.now() - cached.cachedAt < this.authCacheMs) {
+      return cached;
+    }
+
+    const connection = connectionManager ? await connectionManager.getConnection(connectionId) : null;
+    const auth = connection?.userId && connection?.role
+      ? { userId: connection.userId, role: connection.role, tokenExpiresAt: connection.tokenExpiresAt }
+      : null;
+    const context = {
+      auth,
+      protocolVersion: connection?.protocolVersion || MessageValidator.LEGACY_PROTOCOL_VERSION,
+      cachedAt: Date.now()
+    };
+
+    this.connectionAuth.delete(connectionId);
+    this.connectionAuth.set(connectionId, context);
+
+    // 古いものから削除
+    while (this.connectionAuth.size > this.maxConnectionAuth) {
+      this.connectionAuth.delete(this.connectionAuth.keys().next().value);
+    }
+
+    return context;
+  }
+
+  /**
+   * 切断した接続のキャッシュを削除
+   * @param {string} connectionId - WebSocket接続ID
+   */
+  forgetConnection(connectionId) {
+    this.connectionAuth.delete(connectionId);
+    this.audioActivity.delete(connectionId);
+    this.rateLimiter.forgetConnection(connectionId);
+  }
+
+  /**
+   * 文字起こしセッションを停止し、セッションごとに保持している状態を破棄
+   * 停止に失敗した場合も破棄する（リースは期限切れで解放される）
+   * @param {string} sessionKey - セッションキー
+   * @param {Object|null} lease - 停止前に取得したリース（getActiveLease）
+   */
+  async endTranscriptionSession(sessionKey, lease) {
+    try {
+      await this.transcriptionSessions.stop(sessionKey);
+    } finally {
+      this.sessionVessels.delete(sessionKey);
+      if (lease?.sessionId) {
+        this.speakerRoles.clearSession(lease.sessionId);
+      }
+    }
+  }
+
+  /**
+   * 受領されていない警報（OPEN のインシデント）の取得
+   * 接続・再接続した管制卓が未受領の警報を表示するために使う
+   * @param {string} connectionId - WebSocket接続ID
+   * @returns {Promise<Object>} - 処理結果
+   */
+  async handleGetAlerts(connectionId) {
+    return this.handleIncidentAction(connectionId, 'Failed to get alerts', async () => {
+      const incidents = await this.incidentManager.listIncidents({ status: INCIDENT_STATUS.OPEN });
+
+      await this.sendToConnection(connectionId, {
+        type: 'alerts',
+        payload: {
+          alerts: incidents.map(incident => ({
+            alertId: incident.incidentId,
+            incident,
+            escalated: false,
+            requiresAcknowledgement: true,
+            originConnectionId: incident.connectionId
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+
+      return { statusCode: 200, body: JSON.stringify({ success: true, count: incidents.length }) };
+    });
+  }
+
+  /**
+   * インシデント一覧の取得（既定は対応中のすべて）
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} payload - ペイロード（status）
+   * @returns {Promise<Object>} - 処理結果
+   */
+  async handleGetIncidents(connectionId, payload) {
+    return this.handleIncidentAction(connectionId, 'Failed to get incidents', async () => {
+      const incidents = await this.incidentManager.listIncidents({ status: payload.status });
+
+      await this.sendToConnection(connectionId, {
+        type: 'incidents',
+        payload: { incidents },
+        timestamp: new Date().toISOString()
+      });
+
+      return { statusCode: 200, body: JSON.stringify({ success: true, count: incidents.length }) };
+    });
+  }
+
+  /**
+   * インシデントとタイムラインの取得
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} payload - ペイロード（incidentId, limit）
+   * @returns {Promise<Object>} - 処理結果
+   */
+  async handleGetIncident(connectionId, payload) {
+    return this.handleIncidentAction(connectionId, 'Failed to get incident', async () => {
+      const incident = await this.incidentManager.getIncident(payload.incidentId, { limit: payload.limit });
+
+      await this.sendIncident(connectionId, incident);
+
+      return { statusCode: 200, body: JSON.stringify({ success: true, incidentId: incident.incidentId }) };
+    });
+  }
+
+  /**
+   * インシデントの状態遷移（受領・対応開始・終結）
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} payload - ペイロード（incidentId, note）
+   * @param {string} status - 遷移先の状態
+   * @param {ConnectionManager} connectionManager - 接続マネージャー（管制官の特定）
+   * @returns {Promise<Object>} - 処理結果
+   */
+  async handleIncidentTransition(connectionId, payload, status, connectionManager) {
+    return this.handleIncidentAction(connectionId, 'Failed to update incident', async () => {
+      const operatorId = await this.resolveOperatorId(connectionId, connectionManager);
+
+      const updated = await this.incidentManager.transition({
+        incidentId: payload.incidentId,
+        status,
+        operatorId,
+        note: payload.note
+      });
+
+      // 受領（受領前の終結を含む）で全管制卓の警報を解除
+      if (status === INCIDENT_STATUS.ACKNOWLEDGED || (status === INCIDENT_STATUS.CLOSED && !updated.acknowledgedAt)) {
+        await this.broadcastAlertAcknowledged(updated, operatorId);
+      }
+
+      const incident = await this.incidentManager.getIncident(payload.incidentId);
+      await this.sendIncident(connectionId, incident);
+
+      return { statusCode: 200, body: JSON.stringify({ success: true, status }) };
+    });
+  }
+
+  /**
+   * インシデントの担当者の割当
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} payload - ペイロード（incidentId, assignee）
+   * @param {ConnectionManager} connectionManager - 接続マネージャー（管制官の特定）
+   * @returns {Promise<Object>} - 処理結果
+   */
+  async handleAssignIncident(connectionId, payload, connectionManager) {
+    return this.handleIncidentAction(connectionId, 'Failed to assign incident', async () => {
+      const operatorId = await this.resolveOperatorId(connectionId, connectionManager);
+
+      await this.incidentManager.assign({
+        incidentId: payload.incidentId,
+        assignee: payload.assignee,
+        operatorId
+      });
+
+      const incident = await this.incidentManager.getIncident(payload.incidentId);
+      await this.sendIncident(connectionId, incident);
+
+      return { statusCode: 200, body: JSON.stringify({ success: true, assignedTo: incident.assignedTo }) };
+    });
+  }
+
+  /**
+   * インシデントのタイムラインへのメモの追加
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} payload - ペイロード（incidentId, text）
+   * @param {ConnectionManager} connectionManager - 接続マネージャー（管制官の特定）
+   * @returns {Promise<Object>} - 処理結果
+   */
+  async handleAddIncidentNote(connectionId, payload, connectionManager) {
+    return this.handleIncidentAction(connectionId, 'Failed to add incident note', async () => {
+      const operatorId = await this.resolveOperatorId(connectionId, connectionManager);
+
+      await this.incidentManager.addNote({
+        incidentId: payload.incidentId,
+        text: payload.text,
+        operatorId
+      });
+
+      const incident = await this.incidentManager.getIncident(payload.incidentId);
+      await this.sendIncident(connectionId, incident);
+
+      return { statusCode: 200, body: JSON.stringify({ success: true }) };
+    });
+  }
+
+  /**
+   * インシデント操作の共通エラー処理（検証エラーは該当のステータスコード、それ以外は500）
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {string} failureMessage - 想定外のエラー時のメッセージ
+   * @param {Function} action - 操作
+   * @returns {Promise<Object>} - 処理結果
+   */
+  async handleIncidentAction(connectionId, failureMessage, action) {
+    try {
+      return await action();
+    } catch (error) {
+      if (error.statusCode) {
+        await this.sendError(connectionId, error.message);
+        return { statusCode: error.statusCode, body: error.message };
+      }
+
+      this.logger.error(failureMessage, error);
+      await this.sendError(connectionId, failureMessage);
+      return { statusCode: 500, body: failureMessage };
+    }
+  }
+
+  /**
+   * インシデント（タイムライン付き）をクライアントに送信
+   */
+  async sendIncident(connectionId, incident) {
+    await this.sendToConnection(connectionId, {
+      type: 'incident',
+      payload: incident,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * 会話履歴の取得（ページネーション）
+   * 再読み込み後のセッション復元のため、以前の接続の会話IDも指定できる（同じユーザーの会話のみ）
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} payload - ペイロード（conversationId, limit, cursor）
+   * @param {ConnectionManager} connectionManager - 接続マネージャー
+   * @returns {Promise<Object>} - 処理結果
+   */
+  async handleGetHistory(connectionId, payload, connectionManager) {
+    try {
+      const currentConversationId = `CONN-${connectionId}`;
+      const conversationId = payload.conversationId || currentConversationId;
+
+      // 以前の会話は接続したユーザーが同じ場合のみ取得できる
+      const ownerId = conversationId === currentConversationId
+        ? undefined
+        : (await this.getConnectionAuth(connectionId, connectionManager))?.userId || null;
+
+      const history = await this.conversationHistory.getHistory({
+        conversationId,
+        limit: payload.limit,
+        cursor: payload.cursor,
+        ownerId
+      });
+
+      await this.sendToConnection(connectionId, {
+        type: 'history',
+        payload: {
+          ...history,
+          // 次回の再読み込み時に復元するための現在の会話ID
+          currentConversationId
+        },
+        timestamp: new Date().toISOString()
+      });
+
+      return { statusCode: 200, body: JSON.stringify({ success: true, count: history.items.length }) };
+
+    } catch (error) {
+      if (error.statusCode) {
+        await this.sendError(connectionId, error.message);
+        return { statusCode: error.statusCode, body: error.message };
+      }
+
+      this.logger.error('Failed to get conversation history', error);
+      await this.sendError(connectionId, 'Failed to get conversation history');
+      return { statusCode: 500, body: 'Failed to get conversation history' };
+    }
+  }
+
+  /**
+   * 文字起こしの発話区間の再生用URLを発行（接続したユーザーのセッションのみ）
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} payload - ペイロード（sessionId, recordingId, startTime, endTime）
+   * @param {ConnectionManager} connectionManager - 接続マネージャー
+   * @returns {Promise<Object>} - 処理結果
+   */
+  async handleGetAudioClip(connectionId, payload, connectionManager) {
+    try {
+      if (!await this.isSessionAccessible(connectionId, payload.sessionId, connectionManager)) {
+        await this.sendError(connectionId, 'Transcription session is not accessible');
+        return { statusCode: 403, body: 'Transcription session is not accessible' };
+      }
+
+      const clip = await this.recordingStore.getClip(payload);
+
+      await this.sendToConnection(connectionId, {
+        type: 'audioClip',
+        payload: clip,
+        timestamp: new Date().toISOString()
+      });
+
+      return { statusCode: 200, body: 'Audio clip issued' };
+
+    } catch (error) {
+      if (error.statusCode) {
+        await this.sendError(connectionId, error.message);
+        return { statusCode: error.statusCode, body: error.message };
+      }
+
+      this.logger.error('Failed to issue audio clip', error);
+      await this.sendError(connectionId, 'Failed to issue audio clip');
+      return { statusCode: 500, body: 'Failed to issue audio clip' };
+    }
+  }
+
+  /**
+   * 管制官による話者の役割の指定（以降のセッション中の発話に適用、接続したユーザーのセッションのみ）
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} payload - ペイロード（sessionId, speaker, role）
+   * @param {ConnectionManager} connectionManager - 接続マネージャー
+   * @returns {Promise<Object>} - 処理結果
+   */
+  async handleSetSpeakerRole(connectionId, payload, connectionManager) {
+    try {
+      if (!await this.isSessionAccessible(connectionId, payload.sessionId, connectionManager)) {
+        await this.sendError(connectionId, 'Transcription session is not accessible');
+        return { statusCode: 403, body: 'Transcription session is not accessible' };
+      }
+
+      const operatorId = await this.resolveOperatorId(connectionId, connectionManager);
+      const assignment = await this.speakerRoles.setOverride(payload.sessionId, payload.speaker, payload.role, operatorId);
+
+      await this.sendToConnection(connectionId, {
+        type: 'speakerRole',
+        payload: assignment,
+        timestamp: new Date().toISOString()
+      });
+
+      return { statusCode: 200, body: 'Speaker role updated' };
+
+    } catch (error) {
+      if (error.statusCode) {
+        await this.sendError(connectionId, error.message);
+        return { statusCode: error.statusCode, body: error.message };
+      }
+
+      this.logger.error('Failed to set speaker role', error);
+      await this.sendError(connectionId, 'Failed to set speaker role');
+      return { statusCode: 500, body: 'Failed to set speaker role' };
+    }
+  }
+
+  /**
+   * AISデータ（NMEA 0183 AIVDM/AIVDO）の取り込み
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} payload - ペイロード（sentences配列、またはnmea文字列）
+   * @returns {Promise<Object>} - 処理結果
+   */
+  async handleAisData(connectionId, payload) {
+    const sentences = Array.isArray(payload.sentences)
+      ? payload.sentences
+      : typeof payload.nmea === 'string'
+        ? payload.nmea.split(/\r?\n/).filter(line => line.trim().length > 0)
+        : null;
+
+    if (!sentences || sentences.length === 0) {
+      await this.sendError(connectionId, 'AIS sentences are required');
+      return { statusCode: 400, body: 'Invalid AIS data' };
+    }
+
+    try {
+      const result = await this.aisProcessor.ingestSentences(sentences, {
+        source: payload.source || 'live'
+      });
+
+      await this.sendToConnection(connectionId, {
+        type: 'aisReceived',
+        payload: result,
+        timestamp: new Date().toISOString()
+      });
+
+      return { statusCode: 200, body: 'AIS data received' };
+    } catch (error) {
+      this.logger.error('Failed to process AIS data', error);
+      await this.sendError(connectionId, 'Failed to process AIS data');
+      return { statusCode: 500, body: 'Failed to process AIS data' };
+    }
+  }
+
+  /**
+   * 交信相手の船舶情報をAIS船舶状態から解決
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} payload - ペイロード（mmsiまたはvesselInfo.mmsi、未指定時はchannelで選択中の船舶を参照）
+   * @returns {Promise<Object|null>} - 船舶情報
+   */
+  async resolveVesselInfo(connectionId, payload = {}) {
+    const mmsi = payload.mmsi || payload.vesselInfo?.mmsi
+      || this.sessionVessels.get(TranscribeSessionStore.sessionKey(connectionId, payload.channel));
+
+    if (!mmsi) {
+      return payload.vesselInfo || null;
+    }
+
+    const aisVessel = await this.aisProcessor.getVessel(mmsi);
+    if (!aisVessel) {
+      return payload.vesselInfo || null;
+    }
+
+    return { ...payload.vesselInfo, ...aisVessel };
+  }
+
+  /**
+   * Pingメッセージの処理（接続維持用、接続時に合意したプロトコルバージョンを返す）
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {number} protocolVersion - プロトコルバージョン
+   * @returns {Promise<Object>} - 処理結果
+   */
+  async handlePing(connectionId, protocolVersion = MessageValidator.LEGACY_PROTOCOL_VERSION) {
+    await this.sendToConnection(connectionId, {
+      type: 'pong',
+      protocolVersion,
+      timestamp: new Date().toISOString()
+    });
+
+    return { statusCode: 200, body: 'Pong' };
+  }
+
+  /**
+   * WebSocket接続にメッセージを送信
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} data - 送信するデータ
+   * @returns {Promise<void>}
+   */
+  async sendToConnection(connectionId, data) {
+    // 処理中のメッセージの送信元への送信には requestId を付与（他の管制卓への一斉送信には付与しない）
+    const context = requestContext.getStore();
+    if (context?.requestId && context.connectionId === connectionId && data.requestId === undefined) {
+      data = { ...data, requestId: context.requestId };
+    }
+
+    try {
+      await this.postToConnection(connectionId, data);
+
+      this.logger.debug('Message sent to connection', { 
+        connectionId,
+        messageType: data.type 
+      });
+    } catch (error) {
+      if (error.statusCode === 410) {
+        this.logger.warn('Connection no longer exists', { connectionId });
+      } else {
+        this.logger.error('Failed to send message to connection', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * API Gateway Management API で接続に送信（ローカル開発サーバーはここを差し替える）
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} data - 送信するデータ
+   * @returns {Promise<void>}
+   */
+  async postToConnection(connectionId, data) {
+    const command = new PostToConnectionCommand({
+      ConnectionId: connectionId,
+      Data: JSON.stringify(data)
+    });
+
+    await this.apiGatewayClient.send(command);
+  }
+
+  /**
+   * エラーメッセージを送信
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {string} errorMessage - エラーメッセージ
+   * @param {Object} details - エラーの詳細（code, retryAfter 等）
+   * @returns {Promise<void>}
+   */
+  async sendError(connectionId, errorMessage, details = {}) {
+    this.recordRequestError(connectionId, errorMessage, details);
+
+    try {
+      await this.sendToConnection(connectionId, {
+        type: 'error',
+        error: errorMessage,
+        ...details,
         timestamp: new Date().toISOString()
       });
 
@@ -582,6 +1961,19 @@ class MessageRouter {
     }
   }
 
+  /**
+   * 処理中のメッセージのエラーを記録（nack に含める）
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {string} errorMessage - エラーメッセージ
+   * @param {Object} details - エラーの詳細（code, errors, retryAfter 等）
+   */
+  recordRequestError(connectionId, errorMessage, details = {}) {
+    const context = requestContext.getStore();
+    if (context?.connectionId === connectionId) {
+      context.error = { message: errorMessage, details };
+    }
+  }
+
   /**
    * 会話履歴を保存
    * @param {string} connectionId - WebSocket接続ID
@@ -0,0 +1,397 @@
+/**
+ * AIS NMEA 0183 Decoder
+ * AIVDM/AIVDOセンテンスのデコード（メッセージタイプ 1/2/3/5/18/24）
+ */
+
+const Logger = require('./logger');
+
+// 6ビットASCII文字テーブル（ITU-R M.1371）
+const SIXBIT_ASCII = '@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_ !"#$%&\'()*+,-./0123456789:;<=>?';
+
+// 航行状態（Navigation Status）
+const NAV_STATUS = {
+  0: '航行中（機関使用）',
+  1: '錨泊中',
+  2: '運転不自由',
+  3: '操縦性能制限',
+  4: '喫水制限',
+  5: '係留中',
+  6: '座礁',
+  7: '漁ろう中',
+  8: '帆走中',
+  14: 'AIS-SART',
+  15: '不明'
+};
+
+// 分割センテンスの保持期限（ミリ秒）
+const FRAGMENT_TIMEOUT = 10 * 1000;
+
+class AISDecoder {
+  constructor() {
+    this.logger = new Logger({ component: 'AISDecoder' });
+    this.fragments = new Map(); // 複数センテンスに分割されたメッセージの組み立て用
+  }
+
+  /**
+   * NMEAセンテンスを解析してデコード
+   * 分割メッセージの途中の場合はnullを返す
+   * @param {string} sentence - NMEAセンテンス（例: !AIVDM,1,1,,A,...,0*hh）
+   * @returns {Object|null} - デコード結果
+   */
+  decodeSentence(sentence) {
+    const parsed = this.parseSentence(sentence);
+
+    if (parsed.fragmentCount === 1) {
+      return this.decodePayload(parsed.payload, parsed.fillBits, parsed);
+    }
+
+    // 分割メッセージの組み立て
+    const key = `${parsed.talker}-${parsed.sequentialId}-${parsed.channel}`;
+    const now = Date.now();
+    let entry = this.fragments.get(key);
+
+    if (!entry || parsed.fragmentNumber === 1) {
+      entry = { parts: [], receivedAt: now };
+      this.fragments.set(key, entry);
+    }
+
+    entry.parts[parsed.fragmentNumber - 1] = parsed.payload;
+    this.purgeExpiredFragments(now);
+
+    const received = entry.parts.filter(part => part !== undefined).length;
+    if (received < parsed.fragmentCount) {
+      return null;
+    }
+
+    this.fragments.delete(key);
+    return this.decodePayload(entry.parts.join(''), parsed.fillBits, parsed);
+  }
+
+  /**
+   * NMEAセンテンスのフィールド分解とチェックサム検証
+   * @param {string} sentence - NMEAセンテンス
+   * @returns {Object} - センテンスのフィールド
+   */
+  parseSentence(sentence) {
+    if (!sentence || typeof sentence !== 'string') {
+      throw new Error('Invalid NMEA sentence: must be a non-empty string');
+    }
+
+    // タグブロック（\...\）や行頭のタイムスタンプを除去
+    const start = sentence.search(/[!$]AIVD[MO]/);
+    if (start === -1) {
+      throw new Error('Not an AIVDM/AIVDO sentence');
+    }
+
+    const body = sentence.substring(start).trim();
+    const [data, checksum] = body.split('*');
+
+    if (checksum !== undefined) {
+      const expected = this.calculateChecksum(data.substring(1));
+      if (checksum.substring(0, 2).toUpperCase() !== expected) {
+        throw new Error(`NMEA checksum mismatch: expected ${expected}, got ${checksum.substring(0, 2)}`);
+      }
+    }
+
+    const fields = data.split(',');
+    if (fields.length < 7) {
+      throw new Error('Malformed AIVDM sentence: missing fields');
+    }
+
+    const fragmentCount = parseInt(fields[1], 10);
+    const fragmentNumber = parseInt(fields[2], 10);
+
+    if (!fragmentCount || !fragmentNumber || fragmentNumber > fragmentCount) {
+      throw new Error('Malformed AIVDM sentence: invalid fragment numbers');
+    }
+
+    return {
+      talker: fields[0].substring(1),
+      isOwnVessel: fields[0].endsWith('VDO'),
+      fragmentCount,
+      fragmentNumber,
+      sequentialId: fields[3] || '',
+      channel: fields[4] || '',
+      payload: fields[5],
+      fillBits: parseInt(fields[6], 10) || 0
+    };
+  }
+
+  /**
+   * NMEAチェックサム計算（'!'と'*'の間のXOR）
+   * @param {string} data - チェックサム対象文字列
+   * @returns {string} - 2桁の16進数
+   */
+  calculateChecksum(data) {
+    let checksum = 0;
+    for (let i = 0; i < data.length; i++) {
+      checksum ^= data.charCodeAt(i);
+    }
+    return checksum.toString(16).toUpperCase().padStart(2, '0');
+  }
+
+  /**
+   * 6ビットペイロードをデコード
+   * @param {string} payload - アーマリングされたペイロード
+   * @param {number} fillBits - 末尾の埋めビット数
+   * @param {Object} meta - センテンス情報
+   * @returns {Object|null} - メッセージ内容（未対応タイプはnull）
+   */
+  decodePayload(payload, fillBits = 0, meta = {}) {
+    const bits = this.toBitString(payload, fillBits);
+    const messageType = this.readUInt(bits, 0, 6);
+
+    const base = {
+      messageType,
+      repeatIndicator: this.readUInt(bits, 6, 2),
+      mmsi: String(this.readUInt(bits, 8, 30)).padStart(9, '0'),
+      channel: meta.channel,
+      isOwnVessel: meta.isOwnVessel === true
+    };
+
+    switch (messageType) {
+      case 1:
+      case 2:
+      case 3:
+        return { ...base, ...this.decodePositionReportClassA(bits) };
+
+      case 5:
+        return { ...base, ...this.decodeStaticAndVoyageData(bits) };
+
+      case 18:
+        return { ...base, ...this.decodePositionReportClassB(bits) };
+
+      case 24:
+        return { ...base, ...this.decodeStaticDataReport(bits) };
+
+      default:
+        this.logger.debug('Unsupported AIS message type', { messageType });
+        return null;
+    }
+  }
+
+  /**
+   * タイプ1/2/3: クラスA位置通報
+   */
+  decodePositionReportClassA(bits) {
+    const navStatus = this.readUInt(bits, 38, 4);
+
+    return {
+      navStatus,
+      navStatusText: NAV_STATUS[navStatus] || '不明',
+      rateOfTurn: this.decodeRateOfTurn(this.readInt(bits, 42, 8)),
+      speedOverGround: this.decodeSpeed(this.readUInt(bits, 50, 10)),
+      positionAccuracy: this.readUInt(bits, 60, 1) === 1,
+      longitude: this.decodeCoordinate(this.readInt(bits, 61, 28), 180),
+      latitude: this.decodeCoordinate(this.readInt(bits, 89, 27), 90),
+      courseOverGround: this.decodeCourse(this.readUInt(bits, 116, 12)),
+      heading: this.decodeHeading(this.readUInt(bits, 128, 9)),
+      utcSecond: this.readUInt(bits, 137, 6)
+    };
+  }
+
+  /**
+   * タイプ5: 静的・航海関連情報
+   */
+  decodeStaticAndVoyageData(bits) {
+    const imo = this.readUInt(bits, 40, 30);
+    const shipType = this.readUInt(bits, 232, 8);
+    const month = this.readUInt(bits, 274, 4);
+    const day = this.readUInt(bits, 278, 5);
+    const hour = this.readUInt(bits, 283, 5);
+    const minute = this.readUInt(bits, 288, 6);
+
+    return {
+      imo: imo > 0 ? String(imo) : undefined,
+      callSign: this.readText(bits, 70, 42),
+      name: this.readText(bits, 112, 120),
+      shipType,
+      shipTypeText: AISDecoder.getShipTypeText(shipType),
+      dimensions: this.decodeDimensions(bits, 240),
+      eta: month > 0 && day > 0 && hour < 24 && minute < 60
+        ? `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}T${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`
+        : undefined,
+      draught: this.readUInt(bits, 294, 8) / 10,
+      destination: this.readText(bits, 302, 120)
+    };
+  }
+
+  /**
+   * タイプ18: クラスB位置通報
+   */
+  decodePositionReportClassB(bits) {
+    return {
+      speedOverGround: this.decodeSpeed(this.readUInt(bits, 46, 10)),
+      positionAccuracy: this.readUInt(bits, 56, 1) === 1,
+      longitude: this.decodeCoordinate(this.readInt(bits, 57, 28), 180),
+      latitude: this.decodeCoordinate(this.readInt(bits, 85, 27), 90),
+      courseOverGround: this.decodeCourse(this.readUInt(bits, 112, 12)),
+      heading: this.decodeHeading(this.readUInt(bits, 124, 9)),
+      utcSecond: this.readUInt(bits, 133, 6)
+    };
+  }
+
+  /**
+   * タイプ24: クラスB静的データ（パートA: 船名 / パートB: 船種・呼出符号・寸法）
+   */
+  decodeStaticDataReport(bits) {
+    const partNumber = this.readUInt(bits, 38, 2);
+
+    if (partNumber === 0) {
+      return {
+        partNumber,
+        name: this.readText(bits, 40, 120)
+      };
+    }
+
+    const shipType = this.readUInt(bits, 40, 8);
+    return {
+      partNumber,
+      shipType,
+      shipTypeText: AISDecoder.getShipTypeText(shipType),
+      callSign: this.readText(bits, 90, 42),
+      dimensions: this.decodeDimensions(bits, 132)
+    };
+  }
+
+  /**
+   * アーマリング文字列をビット列に変換
+   */
+  toBitString(payload, fillBits = 0) {
+    let bits = '';
+    for (const char of payload) {
+      let value = char.charCodeAt(0) - 48;
+      if (value > 40) {
+        value -= 8;
+      }
+      if (value < 0 || value > 63) {
+        throw new Error(`Invalid AIS payload character: ${char}`);
+      }
+      bits += value.toString(2).padStart(6, '0');
+    }
+    return fillBits > 0 ? bits.substring(0, bits.length - fillBits) : bits;
+  }
+
+  readUInt(bits, start, length) {
+    const slice = bits.substring(start, start + length);
+    if (slice.length === 0) {
+      return 0;
+    }
+    return parseInt(slice.padEnd(length, '0'), 2);
+  }
+
+  readInt(bits, start, length) {
+    const value = this.readUInt(bits, start, length);
+    // 2の補数表現の符号ビット
+    return bits[start] === '1' ? value - Math.pow(2, length) : value;
+  }
+
+  readText(bits, start, length) {
+    let text = '';
+    for (let i = start; i + 6 <= start + length && i + 6 <= bits.length; i += 6) {
+      text += SIXBIT_ASCII[this.readUInt(bits, i, 6)];
+    }
+    // '@'は未使用文字（パディング）
+    const trimmed = text.replace(/@+$/, '').replace(/@/g, ' ').trim();
+    return trimmed.length > 0 ? trimmed : undefined;
+  }
+
+  decodeCoordinate(raw, limit) {
+    const degrees = raw / 600000; // 1/10000分単位
+    // 181°/91°は「利用不可」
+    if (Math.abs(degrees) > limit) {
+      return undefined;
+    }
+    return Math.round(degrees * 1000000) / 1000000;
+  }
+
+  decodeSpeed(raw) {
+    return raw === 1023 ? undefined : raw / 10; // 1/10ノット単位
+  }
+
+  decodeCourse(raw) {
+    return raw >= 3600 ? undefined : raw / 10; // 1/10度単位
+  }
+
+  decodeHeading(raw) {
+    return raw === 511 ? undefined : raw;
+  }
+
+  decodeRateOfTurn(raw) {
+    if (raw === -128) {
+      return undefined;
+    }
+    const rate = Math.pow(raw / 4.733, 2);
+    return Math.round((raw < 0 ? -rate : rate) * 10) / 10;
+  }
+
+  decodeDimensions(bits, start) {
+    const toBow = this.readUInt(bits, start, 9);
+    const toStern = this.readUInt(bits, start + 9, 9);
+    const toPort = this.readUInt(bits, start + 18, 6);
+    const toStarboard = this.readUInt(bits, start + 24, 6);
+
+    return {
+      length: toBow + toStern,
+      beam: toPort + toStarboard
+    };
+  }
+
+  /**
+   * 期限切れの分割センテンスを破棄
+   */
+  purgeExpiredFragments(now = Date.now()) {
+    this.fragments.forEach((entry, key) => {
+      if (now - entry.receivedAt > FRAGMENT_TIMEOUT) {
+        this.fragments.delete(key);
+      }
+    });
+  }
+
+  /**
+   * 船種コードを日本語表記に変換
+   * @param {number} shipType - AIS船種コード（0-99）
+   * @returns {string} - 船種
+   */
+  static getShipTypeText(shipType) {
+    const specialTypes = {
+      30: '漁船',
+      31: '曳航船',
+      32: '曳航船（大型）',
+      33: '浚渫船',
+      34: '潜水作業船',
+      35: '軍艦',
+      36: '帆船',
+      37: 'プレジャーボート',
+      50: 'パイロット船',
+      51: '捜索救助船',
+      52: 'タグボート',
+      53: '港湾作業船',
+      54: '汚染防除船',
+      55: '法執行船',
+      58: '医療搬送船'
+    };
+
+    if (specialTypes[shipType]) {
+      return specialTypes[shipType];
+    }
+
+    const category = Math.floor(shipType / 10);
+    switch (category) {
+      case 2:
+        return '地面効果翼船';
+      case 4:
+        return '高速船';
+      case 6:
+        return '旅客船';
+      case 7:
+        return '貨物船';
+      case 8:
+        return 'タンカー';
+      default:
+        return 'その他';
+    }
+  }
+}
+
+module.exports = AISDecoder;
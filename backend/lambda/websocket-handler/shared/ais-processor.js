@@ -0,0 +1,249 @@
+/**
+ * AIS Processor
+ * AISセンテンスの取り込みとMMSIごとの船舶状態管理（DynamoDB）
+ */
+
+const AISDecoder = require('./ais-decoder');
+const Logger = require('./logger');
+const dynamodbClient = require('./dynamodb-client');
+
+// 1リクエストで受け付ける最大センテンス数
+const MAX_SENTENCES_PER_BATCH = 500;
+
+// 船舶状態の保持期間（最終受信から24時間）
+const VESSEL_STATE_TTL_SECONDS = 86400;
+
+class AISProcessor {
+  constructor() {
+    this.logger = new Logger({ component: 'AISProcessor' });
+    this.decoder = new AISDecoder();
+    this.vesselsTable = process.env.VESSELS_TABLE || 'vts-vessels';
+
+    // 船名・呼出符号を受信した時のコールバック（船舶レジストリへの登録用）
+    this.onStaticData = null;
+  }
+
+  /**
+   * NMEAセンテンスを取り込み、船舶状態テーブルを更新
+   * @param {Array<string>} sentences - AIVDM/AIVDOセンテンスの配列
+   * @param {Object} options - 取り込みオプション
+   * @param {string} options.source - データソース（live/replay等）
+   * @returns {Promise<Object>} - 取り込み結果の統計
+   */
+  async ingestSentences(sentences, options = {}) {
+    if (!Array.isArray(sentences)) {
+      throw new Error('Invalid AIS data: sentences must be an array');
+    }
+
+    if (sentences.length > MAX_SENTENCES_PER_BATCH) {
+      throw new Error(`Too many AIS sentences: maximum ${MAX_SENTENCES_PER_BATCH} per batch`);
+    }
+
+    const source = options.source || 'live';
+    const receivedAt = options.receivedAt || new Date().toISOString();
+    const updatesByMmsi = new Map();
+    let decoded = 0;
+    let invalid = 0;
+    let unsupported = 0;
+
+    for (const sentence of sentences) {
+      let message;
+      try {
+        message = this.decoder.decodeSentence(sentence);
+      } catch (error) {
+        invalid++;
+        this.logger.debug('Invalid AIS sentence skipped', { sentence, reason: error.message });
+        continue;
+      }
+
+      if (!message) {
+        // 分割メッセージの途中、または未対応タイプ
+        unsupported++;
+        continue;
+      }
+
+      decoded++;
+      const current = updatesByMmsi.get(message.mmsi) || {};
+      updatesByMmsi.set(message.mmsi, {
+        ...current,
+        ...this.buildStateUpdate(message, receivedAt)
+      });
+    }
+
+    for (const [mmsi, updates] of updatesByMmsi) {
+      await this.updateVesselState(mmsi, { ...updates, Source: source });
+
+      if (this.onStaticData && (updates.VesselName || updates.CallSign)) {
+        try {
+          await this.onStaticData(mmsi, {
+            name: updates.VesselName,
+            callSign: updates.CallSign
+          });
+        } catch (error) {
+          this.logger.warn('Static data callback failed', { mmsi, error: error.message });
+        }
+      }
+    }
+
+    const result = {
+      received: sentences.length,
+      decoded,
+      invalid,
+      pending: unsupported,
+      vessels: Array.from(updatesByMmsi.keys())
+    };
+
+    this.logger.info('AIS sentences ingested', { source, ...result, vessels: result.vessels.length });
+
+    this.logger.metric('AISMessagesDecoded', decoded, 'Count', { source });
+    if (invalid > 0) {
+      this.logger.metric('AISMessagesInvalid', invalid, 'Count', { source });
+    }
+
+    return result;
+  }
+
+  /**
+   * デコード結果からDynamoDB更新内容を作成
+   * @param {Object} message - デコード済みAISメッセージ
+   * @param {string} receivedAt - 受信時刻
+   * @returns {Object} - 更新する属性
+   */
+  buildStateUpdate(message, receivedAt) {
+    const updates = {};
+
+    switch (message.messageType) {
+      case 1:
+      case 2:
+      case 3:
+      case 18:
+        Object.assign(updates, {
+          Latitude: message.latitude,
+          Longitude: message.longitude,
+          SOG: message.speedOverGround,
+          COG: message.courseOverGround,
+          Heading: message.heading,
+          LastPositionAt: receivedAt
+        });
+        if (message.navStatus !== undefined) {
+          updates.NavStatus = message.navStatusText;
+        }
+        updates.AISClass = message.messageType === 18 ? 'B' : 'A';
+        break;
+
+      case 5:
+        Object.assign(updates, {
+          VesselName: message.name,
+          CallSign: message.callSign,
+          IMO: message.imo,
+          ShipType: message.shipType,
+          ShipTypeText: message.shipTypeText,
+          Length: message.dimensions?.length,
+          Beam: message.dimensions?.beam,
+          Draught: message.draught,
+          Destination: message.destination,
+          ETA: message.eta,
+          LastStaticAt: receivedAt
+        });
+        break;
+
+      case 24:
+        if (message.partNumber === 0) {
+          updates.VesselName = message.name;
+        } else {
+          Object.assign(updates, {
+            CallSign: message.callSign,
+            ShipType: message.shipType,
+            ShipTypeText: message.shipTypeText,
+            Length: message.dimensions?.length,
+            Beam: message.dimensions?.beam
+          });
+        }
+        updates.LastStaticAt = receivedAt;
+        break;
+    }
+
+    // 利用不可（undefined）の値は既存の状態を上書きしない
+    Object.keys(updates).forEach(key => {
+      if (updates[key] === undefined) {
+        delete updates[key];
+      }
+    });
+
+    return updates;
+  }
+
+  /**
+   * 船舶状態を更新（存在しない場合は作成）
+   * @param {string} mmsi - MMSI
+   * @param {Object} updates - 更新内容
+   * @returns {Promise<Object>} - 更新後の船舶状態
+   */
+  async updateVesselState(mmsi, updates) {
+    try {
+      return await dynamodbClient.updateItem(
+        this.vesselsTable,
+        { MMSI: mmsi },
+        {
+          ...updates,
+          UpdatedAt: new Date().toISOString(),
+          ttl: Math.floor(Date.now() / 1000) + VESSEL_STATE_TTL_SECONDS
+        }
+      );
+    } catch (error) {
+      this.logger.error('Failed to update vessel state', error);
+      throw error;
+    }
+  }
+
+  /**
+   * MMSIから船舶情報を取得
+   * @param {string} mmsi - MMSI
+   * @returns {Promise<Object|null>} - 船舶情報（VesselInfo形式）
+   */
+  async getVessel(mmsi) {
+    if (!mmsi) {
+      return null;
+    }
+
+    try {
+      const item = await dynamodbClient.getItem(this.vesselsTable, { MMSI: String(mmsi) });
+      return item ? this.toVesselInfo(item) : null;
+    } catch (error) {
+      this.logger.error('Failed to get vessel state', error);
+      return null;
+    }
+  }
+
+  /**
+   * DynamoDBアイテムをクライアント共通のVesselInfo形式に変換
+   * @param {Object} item - 船舶状態アイテム
+   * @returns {Object} - VesselInfo
+   */
+  toVesselInfo(item) {
+    const vesselInfo = {
+      mmsi: item.MMSI,
+      name: item.VesselName || `MMSI ${item.MMSI}`,
+      callSign: item.CallSign,
+      imo: item.IMO,
+      type: item.ShipTypeText,
+      speed: item.SOG,
+      course: item.COG,
+      heading: item.Heading,
+      status: item.NavStatus,
+      destination: item.Destination,
+      lastUpdate: item.LastPositionAt || item.UpdatedAt
+    };
+
+    if (item.Latitude !== undefined && item.Longitude !== undefined) {
+      vesselInfo.position = {
+        lat: item.Latitude,
+        lon: item.Longitude
+      };
+    }
+
+    return vesselInfo;
+  }
+}
+
+module.exports = AISProcessor;
@@ -0,0 +1,160 @@
+/**
+ * Audio Frame Codec
+ * WebSocketのバイナリフレームで送信される音声データのヘッダー付きフレーミング
+ *
+ * フレーム構造（ビッグエンディアン）:
+ *   0-1   マジック "VA"
+ *   2     バージョン（1）
+ *   3     コーデック（0: PCM 16bit LE, 1: OGG/Opus, 2: FLAC）
+ *   4-7   シーケンス番号（uint32）
+ *   8-11  サンプリングレート（uint32, Hz）
+ *   12    フラグ（bit0: 最終チャンク, bit1: チャンネル名あり）
+ *   13    セッションIDの長さ（バイト, 0 = 未指定）
+ *   14-   セッションID（UTF-8）
+ *   （bit1が立っている場合）チャンネル名の長さ（1バイト）+ チャンネル名（UTF-8）
+ *   以降  音声データ
+ */
+
+const MAGIC = 'VA';
+const VERSION = 1;
+const HEADER_SIZE = 14;
+
+// コーデックID
+const CODECS = {
+  0: 'pcm',
+  1: 'ogg-opus',
+  2: 'flac'
+};
+
+const FLAGS = {
+  LAST_CHUNK: 0x01,
+  CHANNEL: 0x02
+};
+
+class AudioFrameCodec {
+  /**
+   * バイナリフレームをデコード
+   * @param {Buffer} buffer - 受信したフレーム
+   * @returns {Object} - { version, codec, sequenceNumber, sampleRate, isLastChunk, sessionId, channel, audio }
+   */
+  static decode(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < HEADER_SIZE) {
+      throw AudioFrameCodec.createError('Audio frame is too short');
+    }
+
+    if (buffer.toString('ascii', 0, 2) !== MAGIC) {
+      throw AudioFrameCodec.createError('Invalid audio frame header');
+    }
+
+    const version = buffer.readUInt8(2);
+    if (version !== VERSION) {
+      throw AudioFrameCodec.createError(`Unsupported audio frame version: ${version}`);
+    }
+
+    const codecId = buffer.readUInt8(3);
+    const codec = CODECS[codecId];
+    if (!codec) {
+      throw AudioFrameCodec.createError(`Unsupported audio codec id: ${codecId}`);
+    }
+
+    const flags = buffer.readUInt8(12);
+    const sessionIdLength = buffer.readUInt8(13);
+    const sessionIdEnd = HEADER_SIZE + sessionIdLength;
+    if (buffer.length < sessionIdEnd) {
+      throw AudioFrameCodec.createError('Audio frame is truncated');
+    }
+
+    let channel = null;
+    let audioOffset = sessionIdEnd;
+    if (flags & FLAGS.CHANNEL) {
+      if (buffer.length < sessionIdEnd + 1) {
+        throw AudioFrameCodec.createError('Audio frame is truncated');
+      }
+      audioOffset = sessionIdEnd + 1 + buffer.readUInt8(sessionIdEnd);
+      if (buffer.length < audioOffset) {
+        throw AudioFrameCodec.createError('Audio frame is truncated');
+      }
+      channel = buffer.toString('utf8', sessionIdEnd + 1, audioOffset) || null;
+    }
+
+    return {
+      version,
+      codec,
+      sequenceNumber: buffer.readUInt32BE(4),
+      sampleRate: buffer.readUInt32BE(8),
+      isLastChunk: (flags & FLAGS.LAST_CHUNK) !== 0,
+      sessionId: sessionIdLength > 0 ? buffer.toString('utf8', HEADER_SIZE, sessionIdEnd) : null,
+      channel,
+      audio: buffer.subarray(audioOffset)
+    };
+  }
+
+  /**
+   * 音声データをバイナリフレームにエンコード（テスト・ワーカー用）
+   * @param {Buffer} audio - 音声データ
+   * @param {Object} header - { codec, sequenceNumber, sampleRate, isLastChunk, sessionId, channel }
+   * @returns {Buffer} - フレーム
+   */
+  static encode(audio, header = {}) {
+    const codecId = Object.keys(CODECS).find(id => CODECS[id] === (header.codec || 'pcm'));
+    if (codecId === undefined) {
+      throw AudioFrameCodec.createError(`Unsupported audio codec: ${header.codec}`);
+    }
+
+    const sessionId = Buffer.from(header.sessionId || '', 'utf8');
+    if (sessionId.length > 255) {
+      throw AudioFrameCodec.createError('Session id is too long for an audio frame');
+    }
+
+    const channel = Buffer.from(header.channel || '', 'utf8');
+    if (channel.length > 255) {
+      throw AudioFrameCodec.createError('Channel name is too long for an audio frame');
+    }
+
+    let flags = header.isLastChunk ? FLAGS.LAST_CHUNK : 0;
+    if (channel.length > 0) {
+      flags |= FLAGS.CHANNEL;
+    }
+
+    const frame = Buffer.alloc(HEADER_SIZE + sessionId.length);
+    frame.write(MAGIC, 0, 'ascii');
+    frame.writeUInt8(VERSION, 2);
+    frame.writeUInt8(Number(codecId), 3);
+    frame.writeUInt32BE(header.sequenceNumber || 0, 4);
+    frame.writeUInt32BE(header.sampleRate || 16000, 8);
+    frame.writeUInt8(flags, 12);
+    frame.writeUInt8(sessionId.length, 13);
+    sessionId.copy(frame, HEADER_SIZE);
+
+    const channelHeader = channel.length > 0
+      ? Buffer.concat([Buffer.from([channel.length]), channel])
+      : Buffer.alloc(0);
+
+    return Buffer.concat([frame, channelHeader, audio]);
+  }
+
+  /**
+   * 受信データが音声フレームかどうか（マジックで判定）
+   * @param {Buffer} buffer - 受信データ
+   * @returns {boolean}
+   */
+  static isAudioFrame(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.length >= 2 && buffer.toString('ascii', 0, 2) === MAGIC;
+  }
+
+  /**
+   * 不正なフレーム用のエラー（400）
+   */
+  static createError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+AudioFrameCodec.CODECS = CODECS;
+AudioFrameCodec.HEADER_SIZE = HEADER_SIZE;
+AudioFrameCodec.VERSION = VERSION;
+AudioFrameCodec.FLAGS = FLAGS;
+
+module.exports = AudioFrameCodec;
@@ -0,0 +1,168 @@
+/**
+ * Audio Jitter Buffer
+ * 文字起こしセッションごとに音声チャンクをシーケンス番号順に並べ替えてからストリームに渡す
+ * - 順序が入れ替わったチャンクは一定数まで保持して並べ替える
+ * - 欠落したチャンクは待ちきれなくなった時点で諦め、短い欠落（PCMのみ）は無音で補完する
+ * - 遅れて届いた・重複したチャンクは破棄する
+ */
+
+// 欠落を待つ間に保持するチャンク数（16kHzで約256ms/チャンク）
+const DEFAULT_MAX_PENDING_CHUNKS = 3;
+
+// 無音で補完する欠落の上限（ミリ秒）。これを超える欠落は補完せずに詰める
+const DEFAULT_MAX_CONCEALMENT_MS = 1000;
+
+class AudioJitterBuffer {
+  /**
+   * @param {Object} options - オプション
+   * @param {number} options.sampleRate - サンプリングレート
+   * @param {string} options.codec - 音声コーデック（無音補完はpcmのみ）
+   * @param {number} options.maxPendingChunks - 欠落を待つ間に保持するチャンク数
+   * @param {number} options.maxConcealmentMs - 無音で補完する欠落の上限（ミリ秒）
+   */
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 16000;
+    this.codec = options.codec || 'pcm';
+    this.maxPendingChunks = options.maxPendingChunks ?? DEFAULT_MAX_PENDING_CHUNKS;
+    this.maxConcealmentMs = options.maxConcealmentMs ?? DEFAULT_MAX_CONCEALMENT_MS;
+
+    this.firstSequence = null;
+    this.nextSequence = null;
+    this.highestSequence = null;
+    this.pending = new Map(); // シーケンス番号 -> 音声データ
+    this.averageChunkBytes = 0;
+
+    this.stats = {
+      received: 0,
+      reordered: 0,
+      late: 0,
+      duplicates: 0,
+      lost: 0,
+      concealedMs: 0
+    };
+  }
+
+  /**
+   * チャンクを受け取り、ストリームに書き込める順のデータを返す
+   * @param {Buffer} audio - 音声データ
+   * @param {number} sequenceNumber - シーケンス番号（未指定の場合は並べ替えずにそのまま返す）
+   * @returns {Buffer[]} - 書き込むデータ（補完した無音を含む）
+   */
+  push(audio, sequenceNumber) {
+    this.stats.received++;
+
+    if (!Number.isInteger(sequenceNumber)) {
+      return [audio];
+    }
+
+    this.averageChunkBytes = this.averageChunkBytes === 0
+      ? audio.length
+      : Math.round(this.averageChunkBytes * 0.9 + audio.length * 0.1);
+
+    if (this.nextSequence === null) {
+      this.firstSequence = sequenceNumber;
+      this.nextSequence = sequenceNumber;
+    }
+
+    if (sequenceNumber < this.nextSequence) {
+      // 既に書き込み済み（または欠落として諦めた）位置のチャンク
+      this.stats.late++;
+      return [];
+    }
+
+    if (this.pending.has(sequenceNumber)) {
+      this.stats.duplicates++;
+      return [];
+    }
+
+    if (this.highestSequence !== null && sequenceNumber < this.highestSequence) {
+      this.stats.reordered++;
+    }
+    this.highestSequence = Math.max(this.highestSequence ?? sequenceNumber, sequenceNumber);
+
+    this.pending.set(sequenceNumber, audio);
+
+    const output = this.drain();
+
+    // 欠落したチャンクを待ちきれない場合は次の受信済みチャンクまで進める
+    while (this.pending.size > this.maxPendingChunks) {
+      output.push(...this.skipGap(), ...this.drain());
+    }
+
+    return output;
+  }
+
+  /**
+   * 保持中のチャンクを全て順に返す（セッション停止・最終チャンク受信時）
+   * @returns {Buffer[]}
+   */
+  flush() {
+    const output = this.drain();
+    while (this.pending.size > 0) {
+      output.push(...this.skipGap(), ...this.drain());
+    }
+    return output;
+  }
+
+  /**
+   * 連続しているチャンクを取り出す
+   */
+  drain() {
+    const output = [];
+    while (this.pending.has(this.nextSequence)) {
+      output.push(this.pending.get(this.nextSequence));
+      this.pending.delete(this.nextSequence);
+      this.nextSequence++;
+    }
+    return output;
+  }
+
+  /**
+   * 欠落区間を諦めて次の受信済みチャンクまで進める
+   * @returns {Buffer[]} - 補完した無音（補完しない場合は空）
+   */
+  skipGap() {
+    const resumeAt = Math.min(...this.pending.keys());
+    const missing = resumeAt - this.nextSequence;
+    this.nextSequence = resumeAt;
+    this.stats.lost += missing;
+
+    return this.createSilence(missing);
+  }
+
+  /**
+   * 欠落したチャンク数に相当する無音（PCM 16bit）を作成
+   * 圧縮コーデックはコンテナの途中に無音を挿入できないため補完しない
+   */
+  createSilence(missingChunks) {
+    if (this.codec !== 'pcm' || this.averageChunkBytes === 0) {
+      return [];
+    }
+
+    const bytesPerMs = (this.sampleRate * 2) / 1000;
+    const silenceBytes = Math.floor((missingChunks * this.averageChunkBytes) / 2) * 2;
+    const silenceMs = Math.round(silenceBytes / bytesPerMs);
+
+    if (silenceMs > this.maxConcealmentMs) {
+      return [];
+    }
+
+    this.stats.concealedMs += silenceMs;
+    return [Buffer.alloc(silenceBytes)];
+  }
+
+  /**
+   * 統計情報を取得
+   * @returns {Object} - { received, reordered, late, duplicates, lost, concealedMs, buffered, lossRate }
+   */
+  getStats() {
+    const expected = this.highestSequence === null ? 0 : this.highestSequence - this.firstSequence + 1;
+    return {
+      ...this.stats,
+      buffered: this.pending.size,
+      lossRate: expected > 0 ? Number((this.stats.lost / expected).toFixed(4)) : 0
+    };
+  }
+}
+
+module.exports = AudioJitterBuffer;
@@ -1,26 +1,120 @@
 /**
  * Amazon Bedrock Claude Processor
  * 海事通信の分析とAI応答生成
+ * 推奨応答は船舶の言語（日本語・英語）で生成し、英語の場合は管制官向けの日本語訳（japaneseGloss）を付ける
  */
 
-const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
 const Logger = require('./logger');
+const { createLLMProvider } = require('./llm-provider');
+const SmcpAnalyzer = require('./smcp-analyzer');
+const DistressClassifier = require('./distress-classifier');
+
+// 推奨応答の言語（英語の交信にはSMCPに沿った英語で応答する）
+const LANGUAGES = {
+  JA: 'ja',
+  EN: 'en'
+};
+
+// キーワードベースの簡易分類（フォールバック用、英語は小文字）
+const FALLBACK_KEYWORDS = {
+  RED: ['メーデー', 'mayday', '緊急', '火災', 'emergency', 'fire', 'collision', 'flooding', 'sinking'],
+  AMBER: ['強風', '注意', '困難', 'strong wind', 'caution', 'difficult', 'restricted visibility', 'poor visibility']
+};
+
+// フォールバック応答（en は英語の交信への応答、ja はその日本語訳を兼ねる）
+const FALLBACK_RESPONSES = {
+  RED: {
+    ja: '緊急事態確認。直ちに支援を派遣します。現在位置を報告してください。',
+    en: 'Your distress message is received. INFORMATION: Assistance is being sent. INSTRUCTION: Report your present position.',
+    confidence: 0.7,
+    riskFactors: ['キーワードベース判定'],
+    recommendedActions: ['緊急対応']
+  },
+  AMBER: {
+    ja: '状況を確認しました。安全を確保し、指示をお待ちください。',
+    en: 'Understood. ADVICE: Take all necessary measures for safety. INSTRUCTION: Stand by for further instructions.',
+    confidence: 0.6,
+    riskFactors: ['キーワードベース判定'],
+    recommendedActions: ['状況監視']
+  },
+  GREEN: {
+    ja: '了解しました。通信を継続してください。',
+    en: 'Understood. INSTRUCTION: Keep listening watch on this channel.',
+    confidence: 0.5,
+    riskFactors: [],
+    recommendedActions: []
+  }
+};
+
+// 優先呼出（GMDSS）への定型応答（遭難 MAYDAY / 緊急 PAN-PAN / 安全 SECURITE）
+const EMERGENCY_RESPONSES = {
+  DISTRESS: {
+    classification: 'RED',
+    ja: 'こちら福岡VTS。緊急通信を受信しました。位置と状況を報告してください。救助手配を開始します。',
+    en: 'This is Fukuoka VTS. INFORMATION: Your distress message is received. INSTRUCTION: Report your position and situation. INFORMATION: Search and rescue services are informed.',
+    riskFactors: ['遭難通信（MAYDAY）'],
+    recommendedActions: ['即時対応', '救助手配', '周辺船舶への警告'],
+    isEmergency: true
+  },
+  URGENCY: {
+    classification: 'AMBER',
+    ja: 'こちら福岡VTS。緊急通信（パンパン）を受信しました。位置と状況、必要な支援を報告してください。',
+    en: 'This is Fukuoka VTS. INFORMATION: Your urgency message is received. INSTRUCTION: Report your position, situation and assistance required.',
+    riskFactors: ['緊急通信（PAN-PAN）'],
+    recommendedActions: ['状況確認', '支援の準備', '周辺船舶への注意喚起'],
+    isEmergency: true
+  },
+  SAFETY: {
+    classification: 'GREEN',
+    ja: 'こちら福岡VTS。安全通信（セキュリテ）を受信しました。付近の船舶に航行警報として周知します。',
+    en: 'This is Fukuoka VTS. INFORMATION: Your safety message is received. INFORMATION: The navigational warning will be passed to vessels in the area.',
+    riskFactors: ['安全通信（SECURITE）'],
+    recommendedActions: ['航行警報の周知'],
+    isEmergency: false
+  }
+};
+
+// SMCP（IMO標準海事通信用語）の適用モード
+const SMCP_MODES = {
+  OFF: 'off', // 分析しない
+  ANALYZE: 'analyze', // 推奨応答のメッセージマーカーと非標準表現を分析
+  REWRITE: 'rewrite' // 分析に加え、推奨応答をSMCP準拠の英語に書き換えて併記
+};
 
 class BedrockProcessor {
-  constructor() {
+  /**
+   * @param {Object} options - オプション
+   * @param {Object} options.provider - LLMプロバイダー（省略時は LLM_PROVIDER に従って作成）
+   * @param {string} options.smcpMode - SMCPの適用モード（off / analyze / rewrite、既定: SMCP_MODE または analyze）
+   * @param {Object} options.distressClassifier - 優先呼出の判定（省略時は DistressClassifier）
+   */
+  constructor(options = {}) {
     this.logger = new Logger({ component: 'BedrockProcessor' });
-    this.client = new BedrockRuntimeClient({
-      region: process.env.AWS_REGION || 'ap-northeast-1'
-    });
-    // Claude Sonnet 4 - 2025年5月リリースの最新モデル
-    // ap-northeast-1リージョンで利用可能
-    this.modelId = process.env.BEDROCK_MODEL_ID || 'apac.anthropic.claude-sonnet-4-20250514-v1:0';
+    // モデル呼び出し（LLM_PROVIDER=local でAWSを使わずに動作）
+    // Bedrockの既定モデルは Claude Sonnet 4（ap-northeast-1で利用可能）
+    this.provider = options.provider || createLLMProvider();
+    this.modelId = this.provider.modelId;
+    // AI分析に含める過去の交信の最大件数
+    this.maxHistoryItems = parseInt(process.env.AI_HISTORY_ITEMS || '10', 10);
+
+    this.smcpAnalyzer = new SmcpAnalyzer();
+    const smcpMode = (options.smcpMode || process.env.SMCP_MODE || SMCP_MODES.ANALYZE).toLowerCase();
+    if (!Object.values(SMCP_MODES).includes(smcpMode)) {
+      this.logger.warn('Unknown SMCP mode, using analyze', { smcpMode });
+    }
+    this.smcpMode = Object.values(SMCP_MODES).includes(smcpMode) ? smcpMode : SMCP_MODES.ANALYZE;
+
+    // MAYDAY / PAN-PAN / SECURITE の判定（文字起こしの途中結果にも使用）
+    this.distressClassifier = options.distressClassifier || new DistressClassifier();
   }
 
   /**
    * 海事通信を分析してAI応答を生成
+   * context.onPartial を指定するとレスポンスストリームAPIで生成し、
+   * 生成途中の推奨応答テキストをコールバックに渡す
    * @param {string} transcriptText - 文字起こしされたテキスト
    * @param {Object} context - 追加コンテキスト情報
+   * @param {Function} context.onPartial - 生成途中のsuggestedResponseを受け取るコールバック
    * @returns {Promise<Object>} - AI応答結果
    */
   async processVTSCommunication(transcriptText, context = {}) {
@@ -43,46 +137,42 @@ class BedrockProcessor {
         throw new Error('Empty transcript after sanitization');
       }
       
+      const streaming = typeof context.onPartial === 'function';
+      const language = this.resolveLanguage(cleanText, context.language);
+
       this.logger.info('Processing VTS communication', {
         originalLength: transcriptText.length,
         cleanLength: cleanText.length,
-        context
+        streaming,
+        language,
+        context: { ...context, history: context.history?.length || 0, onPartial: undefined }
       });
 
-      const prompt = this.createVTSPrompt(cleanText, context);
+      const prompt = this.createVTSPrompt(cleanText, { ...context, language });
       
-      const command = new InvokeModelCommand({
-        modelId: this.modelId,
-        contentType: 'application/json',
-        accept: 'application/json',
-        body: JSON.stringify({
-          anthropic_version: "bedrock-2023-05-31",
-          max_tokens: 300,
-          temperature: 0.3, // 安全性重視で低めの温度
-          messages: [
-            {
-              role: "user",
-              content: prompt
-            }
-          ],
-          system: this.getSystemPrompt()
-        })
+      const requestBody = JSON.stringify({
+        anthropic_version: "bedrock-2023-05-31",
+        max_tokens: 300,
+        temperature: 0.3, // 安全性重視で低めの温度
+        messages: this.buildMessages(prompt, context.history),
+        system: this.getSystemPrompt(language)
       });
 
       const startTime = Date.now();
-      const response = await this.client.send(command);
+      const responseText = streaming
+        ? await this.invokeModelStream(requestBody, context.onPartial, startTime)
+        : await this.invokeModel(requestBody);
       const responseTime = Date.now() - startTime;
-
-      const responseBody = JSON.parse(new TextDecoder().decode(response.body));
       
       // レスポンスをパース
-      const aiAnalysis = this.parseAIResponse(responseBody.content[0].text);
+      const aiAnalysis = this.applySmcp(this.parseAIResponse(responseText, language));
       
       this.logger.info('AI analysis completed', {
         inputLength: transcriptText.length,
         classification: aiAnalysis.classification,
         confidence: aiAnalysis.confidence,
-        responseTime
+        responseTime,
+        streaming
       });
 
       // メトリクス記録
@@ -109,16 +199,144 @@ class BedrockProcessor {
       });
       
       // フォールバック応答
-      const fallbackResponse = this.getFallbackResponse(transcriptText);
+      const fallbackResponse = this.applySmcp(this.getFallbackResponse(
+        transcriptText,
+        this.resolveLanguage(transcriptText, context.language)
+      ));
       fallbackResponse.error = error.message;
       return fallbackResponse;
     }
   }
 
+  /**
+   * モデルを呼び出し、応答テキスト全体を取得
+   * @param {string} requestBody - リクエストボディ（JSON）
+   * @returns {Promise<string>} - 応答テキスト
+   */
+  async invokeModel(requestBody) {
+    return this.provider.invoke(requestBody);
+  }
+
+  /**
+   * レスポンスストリームAPIでモデルを呼び出し、生成途中の推奨応答を通知
+   * @param {string} requestBody - リクエストボディ（JSON）
+   * @param {Function} onPartial - 生成途中のsuggestedResponseを受け取るコールバック
+   * @param {number} startTime - 呼び出し開始時刻（初回トークンまでの時間計測用）
+   * @returns {Promise<string>} - 応答テキスト全体
+   */
+  async invokeModelStream(requestBody, onPartial, startTime = Date.now()) {
+    let fullText = '';
+    let lastPartial = '';
+    let firstTokenReceived = false;
+
+    for await (const text of this.provider.stream(requestBody)) {
+      if (!firstTokenReceived) {
+        firstTokenReceived = true;
+        this.logger.metric('BedrockTimeToFirstToken', Date.now() - startTime, 'Milliseconds', {
+          modelId: this.modelId
+        });
+      }
+
+      fullText += text;
+
+      const partial = this.extractPartialSuggestedResponse(fullText);
+      if (partial && partial !== lastPartial) {
+        lastPartial = partial;
+        try {
+          await onPartial(partial);
+        } catch (error) {
+          // 途中経過の送信失敗で生成は中断しない
+          this.logger.warn('Partial response callback failed', { error: error.message });
+        }
+      }
+    }
+
+    return fullText;
+  }
+
+  /**
+   * モデルの疎通確認
+   * @returns {Promise<Object>} - { provider, modelId, healthy, latencyMs }
+   */
+  async health() {
+    return this.provider.health();
+  }
+
+  /**
+   * 生成途中のJSONからsuggestedResponseの値を取り出す
+   * 閉じ引用符がまだ届いていない場合はそこまでの文字列を返す
+   * @param {string} text - 生成途中の応答テキスト
+   * @returns {string|null} - 推奨応答（途中まで）
+   */
+  extractPartialSuggestedResponse(text) {
+    const match = text.match(/"suggestedResponse"\s*:\s*"/);
+    if (!match) {
+      return null;
+    }
+
+    const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '"': '"', '\\': '\\', '/': '/' };
+    let result = '';
+
+    for (let i = match.index + match[0].length; i < text.length; i++) {
+      const ch = text[i];
+
+      if (ch === '"') {
+        break;
+      }
+
+      if (ch !== '\\') {
+        result += ch;
+        continue;
+      }
+
+      const next = text[i + 1];
+      if (next === undefined) {
+        break; // エスケープの途中
+      }
+
+      if (next === 'u') {
+        const hex = text.substring(i + 2, i + 6);
+        if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+          break;
+        }
+        result += String.fromCharCode(parseInt(hex, 16));
+        i += 5;
+      } else {
+        result += escapes[next] ?? next;
+        i++;
+      }
+    }
+
+    return result;
+  }
+
   /**
    * システムプロンプト（Claudeの役割定義）
+   * @param {string} language - 推奨応答の言語（ja / en）
    */
-  getSystemPrompt() {
+  getSystemPrompt(language = LANGUAGES.JA) {
+    if (language === LANGUAGES.EN) {
+      return `You are the AI controller assistant of the VTS (Vessel Traffic Service) for the Fukuoka port area (Hakata, Kitakyushu and Moji).
+
+Role:
+1. Analyse communications from vessels and assess their urgency
+2. Generate responses in English following the IMO Standard Marine Communication Phrases (SMCP), with message markers such as INSTRUCTION, ADVICE, WARNING, INFORMATION and QUESTION
+3. Provide a Japanese translation of each response for the Japanese-speaking VTS operator
+4. Always give safety the highest priority
+
+Key areas:
+- Hakata port: Central Wharf, Hakozaki Wharf, Kashii Park Port, Island City
+- Kitakyushu port: Moji, Kokura, Wakamatsu, Tobata
+- Kanmon Strait: one of the busiest waterways in Japan
+
+Risk classification:
+- RED (emergency): MAYDAY, collision, fire, flooding, engine failure, danger to life
+- AMBER (caution): strong wind, restricted visibility, abnormal current, close-quarters situation, minor failure
+- GREEN (routine): port entry or departure requests, position reports, enquiries, normal navigation
+
+Keep responses short and clear, using standard phrases that non-native speakers understand. Write risk factors and recommended actions in Japanese for the operator.`;
+    }
+
     return `あなたは福岡港湾（博多港、北九州港、門司港）のVTS（船舶通航管理）システムのAI管制官支援システムです。
 
 役割：
@@ -139,13 +357,79 @@ class BedrockProcessor {
 応答は簡潔で明確に、船舶が理解しやすい表現を使用してください。`;
   }
 
+  /**
+   * 過去の交信を含むマルチターンのメッセージを作成
+   * 船舶側の交信をuser、VTSの応答をassistantとして交互に並べる
+   * @param {string} prompt - 今回の分析プロンプト
+   * @param {Array} history - 過去の交信 [{ role: 'vessel'|'vts', text, classification }]
+   * @returns {Array} - Bedrock Messages API形式のメッセージ
+   */
+  buildMessages(prompt, history = []) {
+    const messages = [];
+
+    const append = (role, content) => {
+      const last = messages[messages.length - 1];
+      if (last && last.role === role) {
+        // 同じ役割が連続する場合は1つのメッセージにまとめる
+        last.content = `${last.content}\n${content}`;
+      } else {
+        messages.push({ role, content });
+      }
+    };
+
+    for (const turn of history || []) {
+      if (!turn || !turn.text) {
+        continue;
+      }
+
+      if (turn.role === 'vts' || turn.role === 'assistant') {
+        // 先頭はuserである必要があるため、先行するVTS応答は含めない
+        if (messages.length === 0) {
+          continue;
+        }
+        append('assistant', JSON.stringify({
+          classification: turn.classification,
+          suggestedResponse: turn.text
+        }));
+      } else {
+        append('user', `船舶通信: "${turn.text}"`);
+      }
+    }
+
+    append('user', prompt);
+
+    return messages;
+  }
+
   /**
    * VTS通信用プロンプト作成
    */
   createVTSPrompt(transcriptText, context) {
     const location = context.location || '博多港';
     const timestamp = context.timestamp || new Date().toISOString();
-    const vesselInfo = context.vesselInfo || '不明';
+    const vesselInfo = this.formatVesselInfo(context.vesselInfo);
+
+    if (context.language === LANGUAGES.EN) {
+      return `Analyse the following vessel communication and generate an appropriate VTS response.
+
+Vessel communication: "${transcriptText}"
+Location: ${location}
+Time: ${timestamp}
+Vessel information: ${vesselInfo}
+
+Respond only with JSON in the following format, without any other text:
+{
+  "classification": "one of GREEN/AMBER/RED",
+  "suggestedResponse": "VTS response in English following SMCP, with message markers",
+  "japaneseGloss": "Japanese translation of suggestedResponse for the operator",
+  "confidence": confidence (0.0-1.0),
+  "riskFactors": ["identified risk factors (in Japanese)"],
+  "recommendedActions": ["recommended actions (in Japanese)"]
+}`;
+    }
+    const smcpField = this.smcpMode === SMCP_MODES.REWRITE
+      ? '\n  "smcpResponse": "suggestedResponseをIMO SMCPに沿って英訳した応答文（INSTRUCTION/ADVICE/WARNING/INFORMATION等のメッセージマーカーを前置）",'
+      : '';
 
     return `以下の船舶通信を分析し、適切な応答を生成してください。
 
@@ -157,17 +441,68 @@ class BedrockProcessor {
 必ず以下のJSON形式で応答してください。他の文章を含めないでください：
 {
   "classification": "GREEN/AMBER/RED のいずれか",
-  "suggestedResponse": "VTSからの応答文（日本語）",
+  "suggestedResponse": "VTSからの応答文（日本語）",${smcpField}
   "confidence": 信頼度（0.0-1.0）,
   "riskFactors": ["識別されたリスク要因のリスト"],
   "recommendedActions": ["推奨される対応のリスト"]
 }`;
   }
 
+  /**
+   * 船舶情報をプロンプト用の文字列に整形
+   * AIS由来のVesselInfo（名称・位置・SOG/COG・船種）または文字列を受け付ける
+   */
+  formatVesselInfo(vesselInfo) {
+    if (!vesselInfo) {
+      return '不明';
+    }
+
+    if (typeof vesselInfo === 'string') {
+      return vesselInfo;
+    }
+
+    const identifiers = [
+      vesselInfo.mmsi && `MMSI: ${vesselInfo.mmsi}`,
+      vesselInfo.callSign && `呼出符号: ${vesselInfo.callSign}`,
+      vesselInfo.type && `船種: ${vesselInfo.type}`
+    ].filter(Boolean);
+
+    const lines = [
+      `${vesselInfo.name || '船名不明'}${identifiers.length > 0 ? `（${identifiers.join('、')}）` : ''}`
+    ];
+
+    if (vesselInfo.position && typeof vesselInfo.position === 'object') {
+      const { lat, lon } = vesselInfo.position;
+      lines.push(`  位置: ${Math.abs(lat).toFixed(4)}°${lat >= 0 ? 'N' : 'S'} ${Math.abs(lon).toFixed(4)}°${lon >= 0 ? 'E' : 'W'}`);
+    } else if (vesselInfo.position) {
+      lines.push(`  位置: ${vesselInfo.position}`);
+    }
+
+    const motion = [
+      vesselInfo.speed !== undefined && `対地速力(SOG): ${vesselInfo.speed}ノット`,
+      vesselInfo.course !== undefined && `対地針路(COG): ${vesselInfo.course}°`
+    ].filter(Boolean);
+    if (motion.length > 0) {
+      lines.push(`  ${motion.join('、')}`);
+    }
+
+    if (vesselInfo.status) {
+      lines.push(`  航行状態: ${vesselInfo.status}`);
+    }
+
+    if (vesselInfo.destination) {
+      lines.push(`  仕向地: ${vesselInfo.destination}`);
+    }
+
+    return lines.join('\n');
+  }
+
   /**
    * AI応答のパース
+   * @param {string} responseText - モデルの応答
+   * @param {string} language - 推奨応答の言語（ja / en）
    */
-  parseAIResponse(responseText) {
+  parseAIResponse(responseText, language = LANGUAGES.JA) {
     try {
       // 文字列がJSONで始まっていない場合、JSONブロックを抽出
       let jsonText = responseText.trim();
@@ -189,10 +524,14 @@ class BedrockProcessor {
       
       return {
         classification: classification,
-        suggestedResponse: parsed.suggestedResponse || '了解しました。通信を継続してください。',
+        suggestedResponse: parsed.suggestedResponse || FALLBACK_RESPONSES.GREEN[language],
+        language,
+        // 英語の応答の管制官向け日本語訳
+        ...(language === LANGUAGES.EN && typeof parsed.japaneseGloss === 'string' && { japaneseGloss: parsed.japaneseGloss }),
         confidence: Math.max(0, Math.min(1, parsed.confidence || 0.8)),
         riskFactors: Array.isArray(parsed.riskFactors) ? parsed.riskFactors : [],
         recommendedActions: Array.isArray(parsed.recommendedActions) ? parsed.recommendedActions : [],
+        ...(typeof parsed.smcpResponse === 'string' && parsed.smcpResponse.trim() && { smcpResponse: parsed.smcpResponse.trim() }),
         timestamp: new Date().toISOString(),
         rawResponse: responseText
       };
@@ -204,6 +543,7 @@ class BedrockProcessor {
     return {
       classification: 'AMBER',
       suggestedResponse: responseText.substring(0, 200),
+      language,
       confidence: 0.6,
       riskFactors: ['応答解析エラー'],
       recommendedActions: ['手動確認推奨'],
@@ -213,31 +553,74 @@ class BedrockProcessor {
   }
 
   /**
-   * 緊急通信の即時応答生成
+   * 推奨応答にSMCPの分析結果（smcp）と、書き換えモードではSMCP準拠の英語（smcpResponse）を付ける
+   * モデルが英語を返さなかった・定型応答の場合はルールベースで書き換える（書き換えられない場合はnull）
+   * @param {Object} response - AI応答
+   * @returns {Object} - AI応答
    */
-  async generateEmergencyResponse(transcriptText) {
-    // メーデーコールなどの緊急通信を検出
-    const emergencyKeywords = ['メーデー', 'MAYDAY', 'パンパン', 'PAN-PAN', 'セキュリテ', 'SECURITE'];
-    const isEmergency = emergencyKeywords.some(keyword => 
-      transcriptText.toUpperCase().includes(keyword.toUpperCase())
-    );
-
-    if (isEmergency) {
-      this.logger.warn('Emergency communication detected', { transcriptText });
-      
-      return {
-        classification: 'RED',
-        suggestedResponse: 'こちら福岡VTS。緊急通信を受信しました。位置と状況を報告してください。救助手配を開始します。',
+  applySmcp(response) {
+    if (this.smcpMode === SMCP_MODES.OFF || !response.suggestedResponse) {
+      return response;
+    }
+
+    if (this.smcpMode === SMCP_MODES.REWRITE) {
+      response.smcpResponse = this.smcpAnalyzer.rewrite(response.suggestedResponse, {
+        english: response.smcpResponse
+      });
+    }
+
+    response.smcp = this.smcpAnalyzer.analyze(response.smcpResponse || response.suggestedResponse, { role: 'VTS' });
+    return response;
+  }
+
+  /**
+   * 優先呼出（MAYDAY / PAN-PAN / SECURITE）の判定
+   * @param {string} transcriptText - 文字起こしされたテキスト（途中結果を含む）
+   * @returns {Object|null} - { priority, signal, repetitions, relay, matches }
+   */
+  classifyDistress(transcriptText) {
+    return this.distressClassifier.classify(transcriptText);
+  }
+
+  /**
+   * メーデーコールなどの優先呼出かどうか
+   */
+  isEmergencyCommunication(transcriptText) {
+    return this.classifyDistress(transcriptText) !== null;
+  }
+
+  /**
+   * 優先呼出の即時応答生成（種別ごとの分類・定型応答）
+   * @param {string} transcriptText - 文字起こしされたテキスト
+   * @param {Object} options - オプション
+   * @param {string} options.language - 発話の言語コード（省略時は本文から判定）
+   * @param {Object} options.detection - classifyDistress の判定結果（省略時は本文から判定）
+   */
+  async generateEmergencyResponse(transcriptText, options = {}) {
+    const language = this.resolveLanguage(transcriptText, options.language);
+    const detection = options.detection || this.classifyDistress(transcriptText);
+
+    if (detection) {
+      this.logger.warn('Priority call detected', { transcriptText, language, ...detection });
+
+      const template = EMERGENCY_RESPONSES[detection.priority];
+      return this.applySmcp({
+        classification: template.classification,
+        priority: detection.priority,
+        signal: detection.signal,
+        relay: detection.relay || undefined,
+        suggestedResponse: template[language],
+        ...this.glossFor(language, template.ja),
         confidence: 1.0,
-        riskFactors: ['緊急通信'],
-        recommendedActions: ['即時対応', '救助手配', '周辺船舶への警告'],
+        riskFactors: detection.relay ? [...template.riskFactors, '遭難通報の中継（MAYDAY RELAY）'] : [...template.riskFactors],
+        recommendedActions: [...template.recommendedActions],
         timestamp: new Date().toISOString(),
-        isEmergency: true
-      };
+        isEmergency: template.isEmergency
+      });
     }
 
     // 通常のAI処理を実行
-    return this.processVTSCommunication(transcriptText);
+    return this.processVTSCommunication(transcriptText, { language: options.language });
   }
 
   /**
@@ -268,62 +651,57 @@ class BedrockProcessor {
   /**
    * 会話履歴を考慮した応答生成
    */
-  async processWithHistory(transcriptText, conversationHistory = []) {
-    const context = {
-      history: conversationHistory.slice(-5) // 直近5件の履歴を使用
-    };
-    
-    // 履歴を含むプロンプトを作成
-    const historyPrompt = conversationHistory.length > 0
-      ? `\n\n過去の通信履歴:\n${conversationHistory.map(h => `- ${h.role}: ${h.text}`).join('\n')}`
-      : '';
-    
-    const enhancedText = transcriptText + historyPrompt;
-    
-    return this.processVTSCommunication(enhancedText, context);
+  async processWithHistory(transcriptText, conversationHistory = [], context = {}) {
+    return this.processVTSCommunication(transcriptText, {
+      ...context,
+      history: conversationHistory.slice(-this.maxHistoryItems) // 直近の履歴のみ使用
+    });
   }
 
   /**
    * フォールバック応答（キーワードベース）
+   * @param {string} transcriptText - 文字起こしされたテキスト
+   * @param {string} language - 推奨応答の言語（省略時は本文から判定）
    */
-  getFallbackResponse(transcriptText) {
+  getFallbackResponse(transcriptText, language = this.resolveLanguage(transcriptText)) {
     // キーワードベースの簡易分類
     const text = transcriptText.toLowerCase();
-    
-    if (text.includes('メーデー') || text.includes('mayday') || 
-        text.includes('緊急') || text.includes('火災')) {
-      return {
-        classification: 'RED',
-        suggestedResponse: '緊急事態確認。直ちに支援を派遣します。現在位置を報告してください。',
-        confidence: 0.7,
-        riskFactors: ['キーワードベース判定'],
-        recommendedActions: ['緊急対応'],
-        timestamp: new Date().toISOString()
-      };
-    }
-    
-    if (text.includes('強風') || text.includes('注意') || 
-        text.includes('困難')) {
-      return {
-        classification: 'AMBER',
-        suggestedResponse: '状況を確認しました。安全を確保し、指示をお待ちください。',
-        confidence: 0.6,
-        riskFactors: ['キーワードベース判定'],
-        recommendedActions: ['状況監視'],
-        timestamp: new Date().toISOString()
-      };
-    }
-    
+    const classification = ['RED', 'AMBER'].find(level =>
+      FALLBACK_KEYWORDS[level].some(keyword => text.includes(keyword))
+    ) || 'GREEN';
+    const template = FALLBACK_RESPONSES[classification];
+
     return {
-      classification: 'GREEN',
-      suggestedResponse: '了解しました。通信を継続してください。',
-      confidence: 0.5,
-      riskFactors: [],
-      recommendedActions: [],
+      classification,
+      suggestedResponse: template[language],
+      ...this.glossFor(language, template.ja),
+      confidence: template.confidence,
+      riskFactors: [...template.riskFactors],
+      recommendedActions: [...template.recommendedActions],
       timestamp: new Date().toISOString()
     };
   }
 
+  /**
+   * 推奨応答の言語を決定（発話の言語コード、なければ本文に日本語を含むかどうか）
+   * @param {string} transcriptText - 文字起こしされたテキスト
+   * @param {string} languageCode - 発話・セッションの言語コード（ja-JP / en-US 等）
+   * @returns {string} - ja / en
+   */
+  resolveLanguage(transcriptText, languageCode) {
+    if (typeof languageCode === 'string' && languageCode) {
+      return languageCode.toLowerCase().startsWith(LANGUAGES.EN) ? LANGUAGES.EN : LANGUAGES.JA;
+    }
+    return SmcpAnalyzer.detectLanguage(transcriptText) === 'en' ? LANGUAGES.EN : LANGUAGES.JA;
+  }
+
+  /**
+   * 英語の応答に付ける管制官向けの日本語訳
+   */
+  glossFor(language, japaneseText) {
+    return language === LANGUAGES.EN ? { language, japaneseGloss: japaneseText } : { language };
+  }
+
   /**
    * 分析結果を保存（DynamoDB）
    */
@@ -364,4 +742,7 @@ class BedrockProcessor {
   }
 }
 
+BedrockProcessor.SMCP_MODES = SMCP_MODES;
+BedrockProcessor.LANGUAGES = LANGUAGES;
+
 module.exports = BedrockProcessor;
\ No newline at end of file
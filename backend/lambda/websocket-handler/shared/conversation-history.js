@@ -0,0 +1,328 @@
+/**
+ * Conversation History
+ * 会話テーブルからの履歴取得（AI分析用の直近の交信、クライアント向けのページ取得）
+ */
+
+const Logger = require('./logger');
+const dynamodbClient = require('./dynamodb-client');
+
+// 履歴として扱うアイテム種別
+const HISTORY_ITEM_TYPES = ['TRANSCRIPTION', 'MESSAGE', 'AI_RESPONSE', 'DECISION'];
+
+// AI分析に渡す交信アイテム種別
+const TURN_ITEM_TYPES = ['TRANSCRIPTION', 'MESSAGE', 'AI_RESPONSE'];
+
+// 船舶の交信を取得する際に読むページ数の上限（1ページは maxTurns の3倍の評価件数）
+const MAX_VESSEL_PAGES = 3;
+
+// getHistoryの1ページあたりの件数
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// 会話IDの形式（CONN-<connectionId>）
+const CONVERSATION_ID_PATTERN = /^CONN-[A-Za-z0-9_=+\-]+$/;
+
+// 会話の所有者（接続したユーザー）を記録するアイテム
+const OWNER_ITEM_TIMESTAMP = 'OWNER';
+
+class ConversationHistory {
+  constructor() {
+    this.logger = new Logger({ component: 'ConversationHistory' });
+    this.conversationsTable = process.env.CONVERSATIONS_TABLE || 'vts-conversations';
+    this.maxTurns = parseInt(process.env.AI_HISTORY_ITEMS || '10', 10);
+  }
+
+  /**
+   * AI分析用に直近の交信を取得（古い順）
+   * 船舶が特定されている場合は接続をまたいで同一船舶の交信を取得する
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} options - オプション
+   * @param {string} options.vesselName - 船名（VesselTimeIndexで検索）
+   * @param {string} options.excludeItem - 除外するItemTimestamp（処理中の交信自身）
+   * @param {number} options.limit - 最大件数
+   * @returns {Promise<Array>} - [{ role, text, classification, timestamp }]
+   */
+  async getRecentTurns(connectionId, options = {}) {
+    const limit = options.limit || this.maxTurns;
+
+    try {
+      const items = options.vesselName
+        ? await this.queryVesselItems(options.vesselName, limit)
+        : await this.queryConversationItems(`CONN-${connectionId}`, limit);
+
+      return items
+        .filter(item => TURN_ITEM_TYPES.includes(item.ItemType))
+        .filter(item => item.ItemTimestamp !== options.excludeItem)
+        .filter(item => item.ApprovalStatus !== 'REJECTED')
+        .sort((a, b) => (a.Timestamp || '').localeCompare(b.Timestamp || ''))
+        .slice(-limit)
+        .map(item => this.toTurn(item));
+
+    } catch (error) {
+      // 履歴が取得できなくてもAI分析は継続
+      this.logger.error('Failed to load conversation history', error);
+      return [];
+    }
+  }
+
+  /**
+   * 接続の会話アイテムを新しい順に取得
+   */
+  async queryConversationItems(conversationId, limit) {
+    return dynamodbClient.query(this.conversationsTable, {
+      KeyConditionExpression: 'ConversationID = :conversationId',
+      ExpressionAttributeValues: {
+        ':conversationId': conversationId
+      },
+      ScanIndexForward: false,
+      // 承認判断等の対象外アイテムが混在するため多めに取得
+      Limit: limit * 3
+    });
+  }
+
+  /**
+   * 船舶に紐づく会話アイテムを新しい順に取得（VesselTimeIndex）
+   * フィルターは読み取った後に適用されるため、交信が足りない場合は上限まで次のページを読む
+   */
+  async queryVesselItems(vesselName, limit) {
+    const items = [];
+    let exclusiveStartKey;
+
+    for (let page = 0; page < MAX_VESSEL_PAGES; page++) {
+      const result = await dynamodbClient.queryPage(this.conversationsTable, {
+        IndexName: 'VesselTimeIndex',
+        KeyConditionExpression: 'VesselName = :vesselName',
+        FilterExpression: 'ItemType IN (:transcription, :message, :aiResponse)',
+        ExpressionAttributeValues: {
+          ':vesselName': vesselName,
+          ':transcription': 'TRANSCRIPTION',
+          ':message': 'MESSAGE',
+          ':aiResponse': 'AI_RESPONSE'
+        },
+        ScanIndexForward: false,
+        Limit: limit * 3,
+        ExclusiveStartKey: exclusiveStartKey
+      });
+
+      items.push(...result.items);
+      // 処理中の交信・却下した応答を除いても足りる件数
+      if (!result.lastEvaluatedKey || items.length > limit * 2) {
+        break;
+      }
+      exclusiveStartKey = result.lastEvaluatedKey;
+    }
+
+    return items;
+  }
+
+  /**
+   * 会話アイテムを交信（AI分析用）に変換
+   */
+  toTurn(item) {
+    if (item.ItemType === 'AI_RESPONSE') {
+      return {
+        role: 'vts',
+        text: item.ApprovedResponse || item.SuggestedResponse,
+        classification: item.Classification,
+        timestamp: item.Timestamp
+      };
+    }
+
+    return {
+      // 文字起こしは話者の役割がVTSの場合のみ管制側の交信として扱う
+      role: item.SpeakerRole === 'VTS' ? 'vts' : 'vessel',
+      text: item.TranscriptText || item.MessageContent,
+      timestamp: item.Timestamp
+    };
+  }
+
+  /**
+   * 接続の会話の所有者を記録（以前の会話の履歴を取得できるのは所有者のみ）
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {string} userId - 接続時に認証したユーザーID
+   */
+  async recordOwner(connectionId, userId) {
+    await dynamodbClient.putItem(this.conversationsTable, {
+      ConversationID: `CONN-${connectionId}`,
+      ItemTimestamp: OWNER_ITEM_TIMESTAMP,
+      ItemType: 'OWNER',
+      UserID: userId,
+      Timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * 会話の所有者（記録がない会話はnull）
+   * @param {string} conversationId - 会話ID（CONN-<connectionId>）
+   * @returns {Promise<string|null>} - ユーザーID
+   */
+  async getOwner(conversationId) {
+    const item = await dynamodbClient.getItem(this.conversationsTable, {
+      ConversationID: conversationId,
+      ItemTimestamp: OWNER_ITEM_TIMESTAMP
+    });
+    return item?.UserID || null;
+  }
+
+  /**
+   * 文字起こしセッションを開始した接続（セッションの所有者は接続の会話の所有者）
+   * @param {string} sessionId - 文字起こしセッションID
+   * @returns {Promise<string|null>} - WebSocket接続ID（セッションがない場合はnull）
+   */
+  async getSessionConnectionId(sessionId) {
+    const [session] = await dynamodbClient.query(this.conversationsTable, {
+      KeyConditionExpression: 'ConversationID = :sessionId AND begins_with(ItemTimestamp, :prefix)',
+      ExpressionAttributeValues: {
+        ':sessionId': sessionId,
+        ':prefix': 'SESSION#'
+      },
+      Limit: 1
+    });
+    return session?.ConnectionID || null;
+  }
+
+  /**
+   * クライアント向けに会話履歴をページ単位で取得（新しいページから順に取得）
+   * @param {Object} params - パラメータ
+   * @param {string} params.conversationId - 会話ID（CONN-<connectionId>）
+   * @param {number} params.limit - 1ページの件数
+   * @param {string} params.cursor - 前回のnextCursor
+   * @param {string} params.ownerId - 指定した場合は会話の所有者がこのユーザーであることを確認（以前の会話の取得）
+   * @returns {Promise<Object>} - { conversationId, items（古い順）, nextCursor }
+   */
+  async getHistory({ conversationId, limit, cursor, ownerId }) {
+    if (!conversationId || !CONVERSATION_ID_PATTERN.test(conversationId)) {
+      throw this.createError(400, 'Invalid conversationId');
+    }
+
+    // 所有者が異なる会話と存在しない会話を区別しない
+    if (ownerId !== undefined && (!ownerId || await this.getOwner(conversationId) !== ownerId)) {
+      throw this.createError(403, 'Conversation is not accessible');
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const exclusiveStartKey = cursor ? this.decodeCursor(cursor, conversationId) : undefined;
+
+    const { items, lastEvaluatedKey } = await dynamodbClient.queryPage(this.conversationsTable, {
+      KeyConditionExpression: 'ConversationID = :conversationId',
+      FilterExpression: `ItemType IN (${HISTORY_ITEM_TYPES.map((_, i) => `:type${i}`).join(', ')})`,
+      ExpressionAttributeValues: {
+        ':conversationId': conversationId,
+        ...Object.fromEntries(HISTORY_ITEM_TYPES.map((type, i) => [`:type${i}`, type]))
+      },
+      ScanIndexForward: false,
+      Limit: pageSize,
+      ExclusiveStartKey: exclusiveStartKey
+    });
+
+    return {
+      conversationId,
+      items: items.reverse().map(item => this.toHistoryEntry(item)),
+      nextCursor: lastEvaluatedKey ? this.encodeCursor(lastEvaluatedKey) : null
+    };
+  }
+
+  /**
+   * 会話アイテムをクライアント向けの履歴エントリに変換
+   */
+  toHistoryEntry(item) {
+    const entry = {
+      id: item.ItemTimestamp,
+      itemType: item.ItemType,
+      timestamp: item.Timestamp
+    };
+
+    switch (item.ItemType) {
+      case 'TRANSCRIPTION':
+        return {
+          ...entry,
+          transcriptText: item.TranscriptText,
+          rawTranscriptText: item.RawTranscriptText,
+          corrections: item.Corrections,
+          confidence: item.Confidence,
+          vesselInfo: item.VesselInfo,
+          speaker: item.SpeakerLabel,
+          speakerRole: item.SpeakerRole,
+          speakerRoleSource: item.SpeakerRoleSource,
+          smcpMarkers: item.SmcpMarkers,
+          smcpIssues: item.SmcpIssues,
+          languageCode: item.LanguageCode,
+          sessionId: item.SessionID,
+          channel: item.Channel,
+          recordingId: item.RecordingID,
+          startTime: item.AudioStartTime,
+          endTime: item.AudioEndTime
+        };
+
+      case 'MESSAGE':
+        return {
+          ...entry,
+          text: item.MessageContent,
+          priority: item.Priority
+        };
+
+      case 'AI_RESPONSE':
+        return {
+          ...entry,
+          responseId: item.ItemTimestamp,
+          classification: item.Classification,
+          priority: item.Priority,
+          suggestedResponse: item.SuggestedResponse,
+          smcpResponse: item.SmcpResponse,
+          language: item.Language,
+          japaneseGloss: item.JapaneseGloss,
+          confidence: item.Confidence,
+          riskFactors: item.RiskFactors,
+          recommendedActions: item.RecommendedActions,
+          approvalStatus: item.ApprovalStatus,
+          approvedText: item.ApprovedResponse
+        };
+
+      case 'DECISION':
+        return {
+          ...entry,
+          responseId: item.ResponseID,
+          decision: item.Decision,
+          approvedText: item.FinalResponse,
+          decidedBy: item.OperatorID,
+          decidedAt: item.Timestamp
+        };
+
+      default:
+        return entry;
+    }
+  }
+
+  /**
+   * ページネーション用カーソルの作成
+   */
+  encodeCursor(key) {
+    return Buffer.from(JSON.stringify(key)).toString('base64url');
+  }
+
+  /**
+   * カーソルの復元（別の会話のキーは受け付けない）
+   */
+  decodeCursor(cursor, conversationId) {
+    try {
+      const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (key.ConversationID !== conversationId || typeof key.ItemTimestamp !== 'string') {
+        throw new Error('Cursor does not match conversation');
+      }
+      return { ConversationID: key.ConversationID, ItemTimestamp: key.ItemTimestamp };
+    } catch (error) {
+      throw this.createError(400, 'Invalid cursor');
+    }
+  }
+
+  /**
+   * HTTPステータスコード付きのエラーを作成
+   */
+  createError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = ConversationHistory;
@@ -0,0 +1,132 @@
+/**
+ * Distress Classifier
+ * GMDSSの優先呼出（遭難 MAYDAY / 緊急 PAN-PAN / 安全 SECURITE）を判定する
+ * - 英語・カタカナ・ひらがな・ローマ字の表記ゆれ（メイデー、パン・パン、sécurité、sekyurite 等）を同一視
+ * - 呼出の繰り返し（MAYDAY MAYDAY MAYDAY）を数え、一般語と紛らわしい表記（security、セキュリティ、パンパン）は
+ *   繰り返しまたは発話の先頭での呼びかけの場合のみ優先呼出とみなす
+ * - 文字起こしの途中結果でも判定できる（誤検知を避けるため確度の高いもののみ返す）
+ */
+
+// 優先呼出の種別（優先度の高い順）
+const PRIORITIES = {
+  DISTRESS: 'DISTRESS',
+  URGENCY: 'URGENCY',
+  SAFETY: 'SAFETY'
+};
+
+const PRIORITY_ORDER = [PRIORITIES.DISTRESS, PRIORITIES.URGENCY, PRIORITIES.SAFETY];
+
+// 無線での呼出語
+const SIGNALS = {
+  DISTRESS: 'MAYDAY',
+  URGENCY: 'PAN-PAN',
+  SAFETY: 'SECURITE'
+};
+
+// 表記ゆれ（正規化後の文字列に対する正規表現、ambiguous は一般語と紛らわしいもの）
+const VARIANTS = {
+  DISTRESS: [
+    { pattern: /mayday|m'?aider|メ[ーイ]デ[ーイ]|meedee|meedei|meede/g },
+    { pattern: /may day/g, ambiguous: true }
+  ],
+  URGENCY: [
+    { pattern: /\bpan[-\s]?pan\b|パン[・\-\s]パン/g },
+    { pattern: /パンパン/g, ambiguous: true }
+  ],
+  SAFETY: [
+    { pattern: /securite|se[ck]y?urit(?:e|ee|ei)(?![a-z])|セキュリテ(?![ィイ])ー?/g },
+    { pattern: /security|セキュリティ/g, ambiguous: true }
+  ]
+};
+
+// 遭難の中継（MAYDAY RELAY）
+const RELAY_PATTERN = /(?:mayday|メ[ーイ]デ[ーイ])[\s・\-]?(?:relay|リレー)/;
+
+// 呼びかけの後に続く区切り（先頭の紛らわしい表記を呼出とみなす条件）
+const CALL_DELIMITER_PATTERN = /^[、,。.!！]/;
+
+class DistressClassifier {
+  /**
+   * 優先呼出を判定
+   * @param {string} text - 文字起こし（途中結果を含む）
+   * @returns {Object|null} - { priority, signal, repetitions, relay, matches } 優先呼出でない場合はnull
+   */
+  classify(text) {
+    const normalized = DistressClassifier.normalize(text);
+    if (!normalized) {
+      return null;
+    }
+
+    for (const priority of PRIORITY_ORDER) {
+      const detection = this.detect(normalized, priority);
+      if (detection) {
+        return detection;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 種別ごとの判定
+   */
+  detect(normalized, priority) {
+    const matches = [];
+    let confident = false;
+
+    for (const variant of VARIANTS[priority]) {
+      for (const match of normalized.matchAll(variant.pattern)) {
+        matches.push(match[0]);
+        if (!variant.ambiguous) {
+          confident = true;
+        } else if (match.index === 0 && CALL_DELIMITER_PATTERN.test(normalized.slice(match[0].length))) {
+          // 発話の先頭での呼びかけ（「パンパン、機関故障」）
+          confident = true;
+        }
+      }
+    }
+
+    // 紛らわしい表記も繰り返されていれば呼出とみなす（Security, security, security）
+    if (matches.length === 0 || (!confident && matches.length < 2)) {
+      return null;
+    }
+
+    return {
+      priority,
+      signal: SIGNALS[priority],
+      repetitions: matches.length,
+      relay: priority === PRIORITIES.DISTRESS && RELAY_PATTERN.test(normalized),
+      matches
+    };
+  }
+
+  /**
+   * 優先度の比較用の順位（0が最も高い）
+   * @param {string} priority - 種別
+   * @returns {number}
+   */
+  static rank(priority) {
+    const index = PRIORITY_ORDER.indexOf(priority);
+    return index === -1 ? PRIORITY_ORDER.length : index;
+  }
+
+  /**
+   * 表記ゆれを吸収するための正規化（全角・半角、アクセント記号、ひらがな→カタカナ、小文字化）
+   */
+  static normalize(text) {
+    return String(text || '')
+      .normalize('NFKC')
+      .normalize('NFD')
+      .replace(/[̀-ͯ]/g, '')
+      .normalize('NFC')
+      .replace(/[ぁ-ゖ]/g, char => String.fromCharCode(char.charCodeAt(0) + 0x60))
+      .replace(/[’‘]/g, "'")
+      .toLowerCase()
+      .trim();
+  }
+}
+
+DistressClassifier.PRIORITIES = PRIORITIES;
+DistressClassifier.SIGNALS = SIGNALS;
+
+module.exports = DistressClassifier;
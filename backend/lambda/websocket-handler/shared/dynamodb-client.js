@@ -31,12 +31,14 @@ class DynamoDBManager {
    * アイテムを保存
    * @param {string} tableName - テーブル名
    * @param {Object} item - 保存するアイテム
+   * @param {Object} condition - 条件付き書き込み（ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues）
    * @returns {Promise<Object>} - 保存結果
    */
-  async putItem(tableName, item) {
+  async putItem(tableName, item, condition = {}) {
     const params = {
       TableName: tableName,
-      Item: item
+      Item: item,
+      ...condition
     };
 
     try {
@@ -45,7 +47,7 @@ class DynamoDBManager {
       this.logger.info('Item saved successfully', { tableName, itemId: item.id || item.connectionId });
       return result;
     } catch (error) {
-      this.logger.error('Failed to save item to DynamoDB', error);
+      this.logWriteError('Failed to save item to DynamoDB', error);
       throw error;
     }
   }
@@ -105,9 +107,10 @@ class DynamoDBManager {
    * @param {string} tableName - テーブル名
    * @param {Object} key - プライマリキー
    * @param {Object} updates - 更新内容
+   * @param {Object} condition - 条件付き更新（ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues）
    * @returns {Promise<Object>} - 更新結果
    */
-  async updateItem(tableName, key, updates) {
+  async updateItem(tableName, key, updates, condition = {}) {
     // 更新式を動的に構築
     const updateExpression = [];
     const expressionAttributeNames = {};
@@ -126,8 +129,9 @@ class DynamoDBManager {
       TableName: tableName,
       Key: key,
       UpdateExpression: `SET ${updateExpression.join(', ')}`,
-      ExpressionAttributeNames: expressionAttributeNames,
-      ExpressionAttributeValues: expressionAttributeValues,
+      ConditionExpression: condition.ConditionExpression,
+      ExpressionAttributeNames: { ...expressionAttributeNames, ...condition.ExpressionAttributeNames },
+      ExpressionAttributeValues: { ...expressionAttributeValues, ...condition.ExpressionAttributeValues },
       ReturnValues: 'ALL_NEW'
     };
 
@@ -137,11 +141,73 @@ class DynamoDBManager {
       this.logger.info('Item updated successfully', { tableName, key });
       return result.Attributes;
     } catch (error) {
-      this.logger.error('Failed to update item in DynamoDB', error);
+      this.logWriteError('Failed to update item in DynamoDB', error);
       throw error;
     }
   }
 
+  /**
+   * 数値属性に加算（ADD、属性がない場合は0から）
+   * 読み取りを挟まずに1回の UpdateItem で更新するため、複数インスタンスからの同時更新でも競合しない
+   * @param {string} tableName - テーブル名
+   * @param {Object} key - プライマリキー
+   * @param {string} field - 加算する属性（条件式では #counter で参照）
+   * @param {number} amount - 加算する値
+   * @param {Object} updates - 同時に設定する属性（SET）
+   * @param {Object} condition - 条件付き更新（ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues）
+   * @returns {Promise<Object>} - 更新後のアイテム
+   */
+  async incrementItem(tableName, key, field, amount, updates = {}, condition = {}) {
+    const setExpression = [];
+    const expressionAttributeNames = { '#counter': field };
+    const expressionAttributeValues = { ':amount': amount };
+
+    Object.keys(updates).forEach((updateField, index) => {
+      setExpression.push(`#field${index} = :value${index}`);
+      expressionAttributeNames[`#field${index}`] = updateField;
+      expressionAttributeValues[`:value${index}`] = updates[updateField];
+    });
+
+    const params = {
+      TableName: tableName,
+      Key: key,
+      UpdateExpression: `ADD #counter :amount${setExpression.length > 0 ? ` SET ${setExpression.join(', ')}` : ''}`,
+      ConditionExpression: condition.ConditionExpression,
+      ExpressionAttributeNames: { ...expressionAttributeNames, ...condition.ExpressionAttributeNames },
+      ExpressionAttributeValues: { ...expressionAttributeValues, ...condition.ExpressionAttributeValues },
+      ReturnValues: 'ALL_NEW'
+    };
+
+    try {
+      this.logger.debug('DynamoDB incrementItem', { tableName, key, field, amount });
+      const result = await this.docClient.send(new UpdateCommand(params));
+      return result.Attributes;
+    } catch (error) {
+      this.logWriteError('Failed to increment item in DynamoDB', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 条件付き書き込みの失敗（ConditionalCheckFailedException）かどうか
+   * @param {Error} error - エラー
+   * @returns {boolean}
+   */
+  isConditionalCheckFailed(error) {
+    return error?.name === 'ConditionalCheckFailedException';
+  }
+
+  /**
+   * 書き込みエラーのログ出力（条件不成立は想定内のためdebug）
+   */
+  logWriteError(message, error) {
+    if (this.isConditionalCheckFailed(error)) {
+      this.logger.debug('Conditional write rejected', { reason: error.message });
+    } else {
+      this.logger.error(message, error);
+    }
+  }
+
   /**
    * クエリ実行
    * @param {string} tableName - テーブル名
@@ -168,6 +234,31 @@ class DynamoDBManager {
     }
   }
 
+  /**
+   * ページ単位のクエリ実行（ページネーション用）
+   * @param {string} tableName - テーブル名
+   * @param {Object} queryParams - クエリパラメータ（ExclusiveStartKeyを含む）
+   * @returns {Promise<Object>} - { items, lastEvaluatedKey }
+   */
+  async queryPage(tableName, queryParams) {
+    const params = {
+      TableName: tableName,
+      ...queryParams
+    };
+
+    try {
+      this.logger.debug('DynamoDB query page', { tableName, queryParams });
+      const result = await this.docClient.send(new QueryCommand(params));
+      return {
+        items: result.Items || [],
+        lastEvaluatedKey: result.LastEvaluatedKey || null
+      };
+    } catch (error) {
+      this.logger.error('Failed to query DynamoDB', error);
+      throw error;
+    }
+  }
+
   /**
    * バッチ書き込み（複数アイテムの一括保存）
    * @param {string} tableName - テーブル名
@@ -0,0 +1,643 @@
+/**
+ * Incident Manager
+ * 遭難・緊急事態のインシデント管理（発生 → 受領 → 対応中 → 終結）
+ * インシデントは会話テーブルに INCIDENT#<ID> として保存し、状態遷移・担当者の割当・以降の交信をタイムラインに記録する
+ * 対応中のインシデントは IncidentStatusIndex（IncidentStatus + OpenedAt）で検索する
+ * 接続・チャンネルごとの対応中のインシデントは ACTIVE_INCIDENT#<接続ID>#<チャンネル> の条件付き書き込みで1件に限る
+ */
+
+const crypto = require('crypto');
+const Logger = require('./logger');
+const dynamodbClient = require('./dynamodb-client');
+
+// インシデントの状態
+const INCIDENT_STATUS = {
+  OPEN: 'OPEN',
+  ACKNOWLEDGED: 'ACKNOWLEDGED',
+  RESPONDING: 'RESPONDING',
+  CLOSED: 'CLOSED'
+};
+
+// 対応中（終結前）の状態
+const ACTIVE_STATUSES = [INCIDENT_STATUS.OPEN, INCIDENT_STATUS.ACKNOWLEDGED, INCIDENT_STATUS.RESPONDING];
+
+// 許可する状態遷移（誤報等は終結前のどの状態からも終結できる）
+const TRANSITIONS = {
+  OPEN: [INCIDENT_STATUS.ACKNOWLEDGED, INCIDENT_STATUS.CLOSED],
+  ACKNOWLEDGED: [INCIDENT_STATUS.RESPONDING, INCIDENT_STATUS.CLOSED],
+  RESPONDING: [INCIDENT_STATUS.CLOSED],
+  CLOSED: []
+};
+
+// 状態ごとの日時属性
+const STATUS_TIMESTAMPS = {
+  ACKNOWLEDGED: 'AcknowledgedAt',
+  RESPONDING: 'RespondingAt',
+  CLOSED: 'ClosedAt'
+};
+
+// タイムラインの記録種別
+const EVENT_TYPES = {
+  OPENED: 'OPENED',
+  ESCALATED: 'ESCALATED',
+  STATUS_CHANGED: 'STATUS_CHANGED',
+  ASSIGNED: 'ASSIGNED',
+  TRANSCRIPT: 'TRANSCRIPT',
+  NOTE: 'NOTE'
+};
+
+// 優先呼出の種別（高い順、インシデントの格上げの判定）
+const PRIORITY_ORDER = ['DISTRESS', 'URGENCY', 'SAFETY'];
+
+// メモの最大文字数
+const MAX_NOTE_LENGTH = 1000;
+
+// タイムラインの既定取得件数
+const DEFAULT_TIMELINE_LIMIT = 100;
+
+// インシデントIDの形式（INC-<UUID>）
+const INCIDENT_ID_PATTERN = /^INC-[0-9a-f-]{36}$/;
+
+// 接続・チャンネルの対応中のインシデントを示すアイテムの状態
+const ACTIVE_LOCK_STATE = {
+  HELD: 'HELD',
+  RELEASED: 'RELEASED'
+};
+
+// 先に発生させた処理のインシデントの書き込みを待つ回数と間隔
+const ACTIVE_LOCK_READ_ATTEMPTS = 3;
+const ACTIVE_LOCK_READ_INTERVAL_MS = 100;
+
+class IncidentManager {
+  constructor() {
+    this.logger = new Logger({ component: 'IncidentManager' });
+    this.conversationsTable = process.env.CONVERSATIONS_TABLE || 'vts-conversations';
+  }
+
+  /**
+   * 遭難・緊急の検知からインシデントを発生させる
+   * 同じ接続・チャンネルで対応中のインシデントがある場合は新規に作らず、優先度が上がった場合のみ格上げする
+   * @param {string} connectionId - 検知したWebSocket接続ID
+   * @param {Object} detection - 検知内容
+   * @param {string} detection.classification - AI分類（RED等）
+   * @param {string} detection.priority - 優先呼出の種別（DISTRESS / URGENCY）
+   * @param {string} detection.signal - 優先呼出の呼出語（MAYDAY / PAN-PAN）
+   * @param {string} detection.sourceText - 検知した交信
+   * @param {string} detection.responseId - AI応答のID
+   * @param {string} detection.channel - 音声チャンネル
+   * @param {string} detection.sessionId - 文字起こしセッションID
+   * @param {Object} detection.vesselInfo - 特定した船舶
+   * @returns {Promise<Object>} - { incident, created, escalated }
+   */
+  async openIncident(connectionId, detection = {}) {
+    const existing = (await this.findActive(connectionId, detection.channel))[0];
+    if (existing) {
+      return this.reuseIncident(existing, detection);
+    }
+
+    const incidentId = `INC-${crypto.randomUUID()}`;
+
+    // 検索から書き込みまでの間に同じ接続・チャンネルで発生したインシデントがあればそちらを使う
+    const active = await this.acquireActiveLock(connectionId, detection.channel, incidentId);
+    if (active) {
+      return this.reuseIncident(active, detection);
+    }
+
+    const openedAt = new Date().toISOString();
+
+    const item = {
+      ConversationID: `INCIDENT#${incidentId}`,
+      ItemTimestamp: 'INCIDENT',
+      ItemType: 'INCIDENT',
+      IncidentID: incidentId,
+      IncidentStatus: INCIDENT_STATUS.OPEN,
+      Classification: detection.classification,
+      Priority: detection.priority,
+      Signal: detection.signal,
+      ConnectionID: connectionId,
+      Channel: detection.channel || undefined,
+      SessionID: detection.sessionId,
+      SourceText: detection.sourceText,
+      ResponseID: detection.responseId,
+      VesselName: detection.vesselInfo?.name,
+      VesselMMSI: detection.vesselInfo?.mmsi,
+      OpenedAt: openedAt,
+      UpdatedAt: openedAt
+    };
+
+    await dynamodbClient.putItem(this.conversationsTable, item, {
+      ConditionExpression: 'attribute_not_exists(ConversationID)'
+    });
+
+    await this.addEvent(incidentId, EVENT_TYPES.OPENED, {
+      Text: detection.sourceText,
+      ToStatus: INCIDENT_STATUS.OPEN,
+      Priority: detection.priority,
+      Classification: detection.classification
+    }, openedAt);
+
+    this.logger.audit('INCIDENT_OPENED', {
+      incidentId,
+      connectionId,
+      classification: detection.classification,
+      priority: detection.priority,
+      vesselName: item.VesselName
+    });
+
+    this.logger.metric('IncidentsOpened', 1, 'Count', {
+      classification: detection.classification,
+      priority: detection.priority || 'NONE'
+    });
+
+    return { incident: this.toIncident(item), created: true, escalated: false };
+  }
+
+  /**
+   * 対応中のインシデントを再利用（優先度が上がった場合のみ格上げ）
+   */
+  async reuseIncident(item, detection) {
+    const escalated = Boolean(detection.priority) && this.rank(detection.priority) < this.rank(item.Priority);
+    return {
+      incident: escalated ? await this.escalate(item, detection) : this.toIncident(item),
+      created: false,
+      escalated
+    };
+  }
+
+  /**
+   * 接続・チャンネルの対応中のインシデントとしてincidentIdを書き込む
+   * 他の処理が先に書き込んでいた場合はそのインシデントを返す（終結済み・未作成のままの場合は引き継ぐ）
+   * @returns {Promise<Object|null>} - 先に発生したインシデント（書き込めた場合はnull）
+   */
+  async acquireActiveLock(connectionId, channel, incidentId, attempt = 0) {
+    if (attempt >= ACTIVE_LOCK_READ_ATTEMPTS) {
+      throw this.createError(409, 'Incident was opened concurrently');
+    }
+
+    const key = this.activeLockKeyOf(connectionId, channel);
+    const lock = {
+      ...key,
+      ItemType: 'ACTIVE_INCIDENT',
+      IncidentID: incidentId,
+      LockState: ACTIVE_LOCK_STATE.HELD,
+      ConnectionID: connectionId,
+      Channel: channel || undefined,
+      UpdatedAt: new Date().toISOString()
+    };
+
+    const written = await this.putActiveLock(lock, {
+      ConditionExpression: 'attribute_not_exists(ConversationID) OR LockState = :released',
+      ExpressionAttributeValues: { ':released': ACTIVE_LOCK_STATE.RELEASED }
+    });
+    if (written) {
+      return null;
+    }
+
+    const current = await dynamodbClient.getItem(this.conversationsTable, key);
+    if (!current || current.LockState !== ACTIVE_LOCK_STATE.HELD) {
+      // 読み込むまでの間に解除された
+      return this.acquireActiveLock(connectionId, channel, incidentId, attempt + 1);
+    }
+
+    const active = await this.waitForIncident(current.IncidentID);
+    if (active && active.IncidentStatus !== INCIDENT_STATUS.CLOSED) {
+      return active;
+    }
+
+    // 解除されずに終結した、または発生させた処理が書き込む前に失敗したインシデントを引き継ぐ
+    const takenOver = await this.putActiveLock(lock, {
+      ConditionExpression: 'IncidentID = :stale',
+      ExpressionAttributeValues: { ':stale': current.IncidentID }
+    });
+    if (takenOver) {
+      this.logger.warn('Took over stale active incident lock', { connectionId, channel, staleIncidentId: current.IncidentID });
+      return null;
+    }
+    return this.acquireActiveLock(connectionId, channel, incidentId, attempt + 1);
+  }
+
+  /**
+   * 条件付きで対応中のインシデントを書き込む（条件を満たさない場合はfalse）
+   */
+  async putActiveLock(lock, condition) {
+    try {
+      await dynamodbClient.putItem(this.conversationsTable, lock, condition);
+      return true;
+    } catch (error) {
+      if (dynamodbClient.isConditionalCheckFailed(error)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 終結したインシデントの対応中の書き込みを解除（他のインシデントに引き継がれていた場合は何もしない）
+   */
+  async releaseActiveLock(item) {
+    try {
+      await dynamodbClient.updateItem(this.conversationsTable, this.activeLockKeyOf(item.ConnectionID, item.Channel), {
+        LockState: ACTIVE_LOCK_STATE.RELEASED,
+        UpdatedAt: new Date().toISOString()
+      }, {
+        ConditionExpression: 'IncidentID = :incident',
+        ExpressionAttributeValues: { ':incident': item.IncidentID }
+      });
+    } catch (error) {
+      if (!dynamodbClient.isConditionalCheckFailed(error)) {
+        // 解除できなくても次の発生時に終結済みとして引き継ぐ
+        this.logger.warn('Failed to release active incident lock', { incidentId: item.IncidentID, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * 先に発生させた処理がインシデントを書き込むまで待って取得
+   */
+  async waitForIncident(incidentId) {
+    for (let attempt = 0; attempt < ACTIVE_LOCK_READ_ATTEMPTS; attempt++) {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, ACTIVE_LOCK_READ_INTERVAL_MS));
+      }
+      const item = await dynamodbClient.getItem(this.conversationsTable, this.keyOf(incidentId));
+      if (item) {
+        return item;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 対応中のインシデントの優先度を格上げ（URGENCY → DISTRESS 等）
+   */
+  async escalate(item, detection) {
+    const updatedAt = new Date().toISOString();
+    const updated = await dynamodbClient.updateItem(this.conversationsTable, this.keyOf(item.IncidentID), {
+      Priority: detection.priority,
+      Signal: detection.signal,
+      Classification: detection.classification,
+      UpdatedAt: updatedAt
+    });
+
+    await this.addEvent(item.IncidentID, EVENT_TYPES.ESCALATED, {
+      Text: detection.sourceText,
+      Priority: detection.priority,
+      Classification: detection.classification
+    }, updatedAt);
+
+    this.logger.audit('INCIDENT_ESCALATED', {
+      incidentId: item.IncidentID,
+      fromPriority: item.Priority,
+      toPriority: detection.priority
+    });
+
+    return this.toIncident(updated || { ...item, Priority: detection.priority, Signal: detection.signal });
+  }
+
+  /**
+   * 状態を遷移（OPEN → ACKNOWLEDGED → RESPONDING → CLOSED）
+   * @param {Object} params - 遷移内容
+   * @param {string} params.incidentId - インシデントID
+   * @param {string} params.status - 遷移先の状態
+   * @param {string} params.operatorId - 操作した管制官
+   * @param {string} params.note - メモ（終結時は対応結果）
+   * @returns {Promise<Object>} - 遷移後のインシデント
+   */
+  async transition({ incidentId, status, operatorId, note }) {
+    const item = await this.loadIncident(incidentId);
+    const from = item.IncidentStatus;
+
+    if (!TRANSITIONS[from]?.includes(status)) {
+      throw this.createError(409, `Incident cannot change from ${from} to ${status}`);
+    }
+    const text = this.validateNote(note, { required: false });
+
+    const changedAt = new Date().toISOString();
+    const updates = {
+      IncidentStatus: status,
+      [STATUS_TIMESTAMPS[status]]: changedAt,
+      UpdatedAt: changedAt
+    };
+    if (status === INCIDENT_STATUS.ACKNOWLEDGED && !item.AssignedTo) {
+      // 受領した管制官を担当者とする
+      updates.AssignedTo = operatorId;
+    }
+    if (status === INCIDENT_STATUS.CLOSED && text) {
+      updates.Resolution = text;
+    }
+
+    const updated = await this.updateIncident(incidentId, updates, from);
+
+    await this.addEvent(incidentId, EVENT_TYPES.STATUS_CHANGED, {
+      FromStatus: from,
+      ToStatus: status,
+      Actor: operatorId,
+      Text: text
+    }, changedAt);
+
+    this.logger.audit(`INCIDENT_${status}`, { incidentId, fromStatus: from, operatorId, note: text });
+
+    if (status === INCIDENT_STATUS.CLOSED) {
+      await this.releaseActiveLock(item);
+      this.logger.metric('IncidentDuration', Date.parse(changedAt) - Date.parse(item.OpenedAt), 'Milliseconds', {
+        priority: item.Priority || 'NONE'
+      });
+    }
+
+    return this.toIncident(updated);
+  }
+
+  /**
+   * 担当の管制官を割り当てる
+   * @param {Object} params - 割当内容
+   * @param {string} params.incidentId - インシデントID
+   * @param {string} params.assignee - 担当者
+   * @param {string} params.operatorId - 操作した管制官
+   * @returns {Promise<Object>} - 割当後のインシデント
+   */
+  async assign({ incidentId, assignee, operatorId }) {
+    if (!assignee || typeof assignee !== 'string' || !assignee.trim()) {
+      throw this.createError(400, 'Assignee is required');
+    }
+
+    const item = await this.loadIncident(incidentId);
+    if (item.IncidentStatus === INCIDENT_STATUS.CLOSED) {
+      throw this.createError(409, 'Incident already closed');
+    }
+
+    const assignedAt = new Date().toISOString();
+    const updated = await this.updateIncident(incidentId, {
+      AssignedTo: assignee.trim(),
+      UpdatedAt: assignedAt
+    }, item.IncidentStatus);
+
+    await this.addEvent(incidentId, EVENT_TYPES.ASSIGNED, {
+      AssignedTo: assignee.trim(),
+      Actor: operatorId
+    }, assignedAt);
+
+    this.logger.audit('INCIDENT_ASSIGNED', { incidentId, assignee: assignee.trim(), operatorId });
+
+    return this.toIncident(updated);
+  }
+
+  /**
+   * タイムラインにメモを追加
+   * @param {Object} params - メモ
+   * @param {string} params.incidentId - インシデントID
+   * @param {string} params.text - メモ
+   * @param {string} params.operatorId - 記入した管制官
+   * @returns {Promise<Object>} - 追加したタイムラインの記録
+   */
+  async addNote({ incidentId, text, operatorId }) {
+    const note = this.validateNote(text, { required: true });
+    await this.loadIncident(incidentId);
+
+    const event = await this.addEvent(incidentId, EVENT_TYPES.NOTE, { Text: note, Actor: operatorId });
+    await dynamodbClient.updateItem(this.conversationsTable, this.keyOf(incidentId), { UpdatedAt: event.Timestamp });
+
+    return this.toEvent(event);
+  }
+
+  /**
+   * 発生元の接続の交信を対応中のインシデントのタイムラインに記録
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} transcript - 文字起こし
+   * @param {string} transcript.text - 交信内容
+   * @param {string} transcript.speakerRole - 話者の役割
+   * @param {string} transcript.channel - 音声チャンネル
+   * @param {string} transcript.sourceItem - TRANSCRIPTIONアイテムのItemTimestamp
+   * @returns {Promise<Array<string>>} - 記録したインシデントID
+   */
+  async appendTranscript(connectionId, transcript) {
+    const incidents = await this.findActive(connectionId, transcript.channel);
+
+    for (const incident of incidents) {
+      await this.addEvent(incident.IncidentID, EVENT_TYPES.TRANSCRIPT, {
+        Text: transcript.text,
+        SpeakerRole: transcript.speakerRole,
+        Channel: transcript.channel || undefined,
+        SourceItem: transcript.sourceItem
+      });
+    }
+
+    return incidents.map(incident => incident.IncidentID);
+  }
+
+  /**
+   * インシデントとタイムラインを取得
+   * @param {string} incidentId - インシデントID
+   * @param {Object} options - オプション
+   * @param {number} options.limit - タイムラインの最大件数（新しいものから）
+   * @returns {Promise<Object>} - タイムライン（古い順）を含むインシデント
+   */
+  async getIncident(incidentId, options = {}) {
+    const item = await this.loadIncident(incidentId);
+
+    const events = await dynamodbClient.query(this.conversationsTable, {
+      KeyConditionExpression: 'ConversationID = :incident AND begins_with(ItemTimestamp, :prefix)',
+      ExpressionAttributeValues: {
+        ':incident': `INCIDENT#${incidentId}`,
+        ':prefix': 'EVENT#'
+      },
+      ScanIndexForward: false,
+      Limit: Math.min(options.limit || DEFAULT_TIMELINE_LIMIT, DEFAULT_TIMELINE_LIMIT)
+    });
+
+    return {
+      ...this.toIncident(item),
+      timeline: events.reverse().map(event => this.toEvent(event))
+    };
+  }
+
+  /**
+   * インシデントの一覧（新しい順）
+   * @param {Object} options - オプション
+   * @param {string} options.status - 状態（省略時は対応中のすべて）
+   * @returns {Promise<Array>} - インシデント
+   */
+  async listIncidents(options = {}) {
+    if (options.status && !Object.values(INCIDENT_STATUS).includes(options.status)) {
+      throw this.createError(400, `Unknown incident status: ${options.status}`);
+    }
+
+    const items = await this.queryByStatus(options.status ? [options.status] : ACTIVE_STATUSES);
+    return items
+      .sort((a, b) => (b.OpenedAt || '').localeCompare(a.OpenedAt || ''))
+      .map(item => this.toIncident(item));
+  }
+
+  /**
+   * 接続（チャンネル指定時は同じチャンネル）の対応中のインシデント
+   */
+  async findActive(connectionId, channel) {
+    const items = await this.queryByStatus(ACTIVE_STATUSES, connectionId);
+    return items.filter(item => !channel || !item.Channel || item.Channel === channel);
+  }
+
+  /**
+   * 状態ごとにIncidentStatusIndexを検索
+   */
+  async queryByStatus(statuses, connectionId) {
+    const results = await Promise.all(statuses.map(status => dynamodbClient.query(this.conversationsTable, {
+      IndexName: 'IncidentStatusIndex',
+      KeyConditionExpression: 'IncidentStatus = :status',
+      ...(connectionId ? { FilterExpression: 'ConnectionID = :connectionId' } : {}),
+      ExpressionAttributeValues: {
+        ':status': status,
+        ...(connectionId ? { ':connectionId': connectionId } : {})
+      },
+      ScanIndexForward: false
+    })));
+
+    return results.flat();
+  }
+
+  /**
+   * インシデントを取得（存在しない場合は404）
+   */
+  async loadIncident(incidentId) {
+    if (!incidentId || !INCIDENT_ID_PATTERN.test(incidentId)) {
+      throw this.createError(400, 'Valid incidentId is required');
+    }
+
+    const item = await dynamodbClient.getItem(this.conversationsTable, this.keyOf(incidentId));
+    if (!item || item.ItemType !== 'INCIDENT') {
+      throw this.createError(404, 'Incident not found');
+    }
+
+    return item;
+  }
+
+  /**
+   * 読み込み時の状態のままの場合のみ更新（他の管制官の操作と競合した場合は409）
+   */
+  async updateIncident(incidentId, updates, expectedStatus) {
+    try {
+      return await dynamodbClient.updateItem(this.conversationsTable, this.keyOf(incidentId), updates, {
+        ConditionExpression: '#status = :expected',
+        ExpressionAttributeNames: { '#status': 'IncidentStatus' },
+        ExpressionAttributeValues: { ':expected': expectedStatus }
+      });
+    } catch (error) {
+      if (dynamodbClient.isConditionalCheckFailed(error)) {
+        throw this.createError(409, 'Incident was updated by another operator');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * タイムラインに記録を追加
+   */
+  async addEvent(incidentId, eventType, attributes = {}, timestamp = new Date().toISOString()) {
+    const item = {
+      ConversationID: `INCIDENT#${incidentId}`,
+      // 同時刻の記録が衝突しないよう種別を含める
+      ItemTimestamp: `EVENT#${timestamp}#${eventType}`,
+      ItemType: 'INCIDENT_EVENT',
+      IncidentID: incidentId,
+      EventType: eventType,
+      ...attributes,
+      Timestamp: timestamp
+    };
+
+    await dynamodbClient.putItem(this.conversationsTable, item);
+
+    return item;
+  }
+
+  /**
+   * メモの検証（前後の空白を除いた文字列、未指定はundefined）
+   */
+  validateNote(text, { required }) {
+    if (text === undefined || text === null || text === '') {
+      if (required) {
+        throw this.createError(400, 'Note text is required');
+      }
+      return undefined;
+    }
+    if (typeof text !== 'string' || !text.trim()) {
+      throw this.createError(400, 'Note text must be a non-empty string');
+    }
+    if (text.length > MAX_NOTE_LENGTH) {
+      throw this.createError(400, `Note exceeds ${MAX_NOTE_LENGTH} characters`);
+    }
+    return text.trim();
+  }
+
+  /**
+   * 優先度の順位（0が最も高い、種別なしは最も低い）
+   */
+  rank(priority) {
+    const index = PRIORITY_ORDER.indexOf(priority);
+    return index === -1 ? PRIORITY_ORDER.length : index;
+  }
+
+  keyOf(incidentId) {
+    return { ConversationID: `INCIDENT#${incidentId}`, ItemTimestamp: 'INCIDENT' };
+  }
+
+  activeLockKeyOf(connectionId, channel) {
+    return { ConversationID: `ACTIVE_INCIDENT#${connectionId}#${channel || '-'}`, ItemTimestamp: 'ACTIVE_INCIDENT' };
+  }
+
+  /**
+   * インシデントアイテムをクライアント向けの形式に変換
+   */
+  toIncident(item) {
+    return {
+      incidentId: item.IncidentID,
+      status: item.IncidentStatus,
+      classification: item.Classification,
+      priority: item.Priority,
+      signal: item.Signal,
+      connectionId: item.ConnectionID,
+      channel: item.Channel,
+      sourceText: item.SourceText,
+      responseId: item.ResponseID,
+      vesselName: item.VesselName,
+      vesselMMSI: item.VesselMMSI,
+      assignedTo: item.AssignedTo,
+      resolution: item.Resolution,
+      openedAt: item.OpenedAt,
+      acknowledgedAt: item.AcknowledgedAt,
+      respondingAt: item.RespondingAt,
+      closedAt: item.ClosedAt,
+      updatedAt: item.UpdatedAt
+    };
+  }
+
+  /**
+   * タイムラインの記録をクライアント向けの形式に変換
+   */
+  toEvent(item) {
+    return {
+      eventId: item.ItemTimestamp,
+      eventType: item.EventType,
+      text: item.Text,
+      actor: item.Actor,
+      fromStatus: item.FromStatus,
+      toStatus: item.ToStatus,
+      assignedTo: item.AssignedTo,
+      priority: item.Priority,
+      speakerRole: item.SpeakerRole,
+      channel: item.Channel,
+      timestamp: item.Timestamp
+    };
+  }
+
+  /**
+   * HTTPステータスコード付きのエラーを作成
+   */
+  createError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+IncidentManager.INCIDENT_STATUS = INCIDENT_STATUS;
+IncidentManager.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = IncidentManager;
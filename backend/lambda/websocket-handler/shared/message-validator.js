@@ -0,0 +1,242 @@
+/**
+ * Message Validator
+ * WebSocketのクライアント→サーバーのメッセージを message-schemas.json（アクションごとのJSON Schema）で検証
+ * - 検証に使うのはスキーマの一部の機能（type, enum, required, properties, additionalProperties, items, 長さ・範囲・pattern, $ref）
+ * - プロトコル vts.v2: payload 必須、エンベロープ・payload の未定義のフィールドを拒否
+ * - プロトコル vts.v1（サブプロトコルを指定しない旧クライアントを含む）: payload を省略した場合はメッセージ全体を payload とし、未定義のフィールドは無視
+ */
+
+const schemas = require('./message-schemas.json');
+
+// サブプロトコル → プロトコルバージョン
+const PROTOCOLS = schemas.protocols;
+
+// サブプロトコルを指定しない接続のプロトコルバージョン
+const LEGACY_PROTOCOL_VERSION = 1;
+
+const CURRENT_PROTOCOL_VERSION = Math.max(...Object.values(PROTOCOLS));
+
+// エンベロープのフィールド（vts.v1 でメッセージ全体を payload とする場合に除く）
+const ENVELOPE_FIELDS = Object.keys(schemas.envelope.properties);
+
+// 1メッセージで返すエラーの上限
+const MAX_ERRORS = 20;
+
+class MessageValidator {
+  constructor() {
+    this.patterns = new Map();
+  }
+
+  /**
+   * メッセージを検証し、アクションと payload を取り出す
+   * @param {*} message - JSON.parse したメッセージ
+   * @param {number} protocolVersion - 接続のプロトコルバージョン
+   * @returns {Object} - { valid, action, payload, errors: [{ field, message }] }
+   */
+  validate(message, protocolVersion = LEGACY_PROTOCOL_VERSION) {
+    const strict = protocolVersion >= 2;
+    const errors = [];
+
+    this.check(schemas.envelope, message, '', errors, { strict });
+    if (typeof message?.action !== 'string') {
+      return { valid: false, action: null, payload: null, errors };
+    }
+
+    const action = message.action;
+    const schema = schemas.actions[action];
+    if (!schema) {
+      errors.push({ field: 'action', message: `Unknown action: ${action}` });
+      return { valid: false, action, payload: null, errors };
+    }
+
+    let payload = message.payload;
+    let path = 'payload';
+    if (payload === undefined) {
+      if (strict) {
+        errors.push({ field: 'payload', message: 'is required' });
+        return { valid: false, action, payload: null, errors };
+      }
+      payload = Object.fromEntries(Object.entries(message).filter(([key]) => !ENVELOPE_FIELDS.includes(key)));
+      path = '';
+    } else if (MessageValidator.typeOf(payload) !== 'object') {
+      // 型のエラーはエンベロープの検証で追加済み
+      return { valid: false, action, payload: null, errors };
+    }
+
+    this.check(schema, payload, path, errors, { strict });
+
+    return { valid: errors.length === 0, action, payload, errors: errors.slice(0, MAX_ERRORS) };
+  }
+
+  /**
+   * メッセージの requestId（エンベロープのスキーマに合わない場合はnull）
+   * 検証に失敗したメッセージの nack にも付与するため、他のフィールドとは別に取り出す
+   * @param {*} message - JSON.parse したメッセージ
+   * @returns {string|null}
+   */
+  requestIdOf(message) {
+    if (MessageValidator.typeOf(message) !== 'object' || message.requestId === undefined) {
+      return null;
+    }
+
+    const errors = [];
+    this.check(schemas.envelope.properties.requestId, message.requestId, 'requestId', errors, {});
+    return errors.length === 0 ? message.requestId : null;
+  }
+
+  /**
+   * 値をスキーマで検証し、エラーを errors に追加
+   * @param {Object} schema - スキーマ
+   * @param {*} value - 値
+   * @param {string} path - フィールドのパス（payload.vesselInfo.name 等）
+   * @param {Array} errors - エラーの追加先
+   * @param {Object} options - { strict: 未定義のフィールドを拒否するか }
+   */
+  check(schema, value, path, errors, options) {
+    if (errors.length >= MAX_ERRORS) {
+      return;
+    }
+
+    const resolved = this.resolve(schema);
+    const fail = message => errors.push({ field: path, message });
+
+    const types = [].concat(resolved.type || []);
+    const type = MessageValidator.typeOf(value);
+    if (types.length > 0 && !types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+      fail(`must be ${types.join(' or ')}`);
+      return;
+    }
+
+    if (resolved.enum && !resolved.enum.includes(value)) {
+      fail(`must be one of: ${resolved.enum.join(', ')}`);
+      return;
+    }
+
+    switch (type) {
+      case 'string':
+        if (resolved.minLength !== undefined && value.length < resolved.minLength) {
+          fail(resolved.minLength === 1 ? 'must not be empty' : `must be at least ${resolved.minLength} characters`);
+        } else if (resolved.maxLength !== undefined && value.length > resolved.maxLength) {
+          fail(`must be at most ${resolved.maxLength} characters`);
+        } else if (resolved.pattern && !this.pattern(resolved.pattern).test(value)) {
+          fail('has an invalid format');
+        }
+        break;
+
+      case 'integer':
+      case 'number':
+        if (resolved.minimum !== undefined && value < resolved.minimum) {
+          fail(`must be >= ${resolved.minimum}`);
+        } else if (resolved.maximum !== undefined && value > resolved.maximum) {
+          fail(`must be <= ${resolved.maximum}`);
+        }
+        break;
+
+      case 'array':
+        if (resolved.minItems !== undefined && value.length < resolved.minItems) {
+          fail(`must have at least ${resolved.minItems} items`);
+        } else if (resolved.maxItems !== undefined && value.length > resolved.maxItems) {
+          fail(`must have at most ${resolved.maxItems} items`);
+        } else if (resolved.items) {
+          value.forEach((item, index) => this.check(resolved.items, item, `${path}[${index}]`, errors, options));
+        }
+        break;
+
+      case 'object':
+        for (const field of resolved.required || []) {
+          if (value[field] === undefined) {
+            errors.push({ field: MessageValidator.join(path, field), message: 'is required' });
+          }
+        }
+        for (const [field, fieldValue] of Object.entries(value)) {
+          const fieldSchema = resolved.properties?.[field];
+          if (fieldSchema) {
+            this.check(fieldSchema, fieldValue, MessageValidator.join(path, field), errors, options);
+          } else if (options.strict && resolved.additionalProperties === false) {
+            errors.push({ field: MessageValidator.join(path, field), message: 'is not allowed' });
+          }
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * $ref（#/definitions/...）を解決
+   */
+  resolve(schema) {
+    if (!schema.$ref) {
+      return schema;
+    }
+    const name = schema.$ref.replace(/^#\/definitions\//, '');
+    const definition = schemas.definitions[name];
+    if (!definition) {
+      throw new Error(`Unknown schema reference: ${schema.$ref}`);
+    }
+    return definition;
+  }
+
+  pattern(source) {
+    if (!this.patterns.has(source)) {
+      this.patterns.set(source, new RegExp(source));
+    }
+    return this.patterns.get(source);
+  }
+
+  /**
+   * クライアントが提示したサブプロトコル（Sec-WebSocket-Protocol）から採用するものを選択
+   * @param {string} offered - カンマ区切りのサブプロトコル（未指定は旧クライアント）
+   * @returns {Object|null} - { protocol（応答ヘッダーに返す値、旧クライアントはnull）, protocolVersion }、対応するものがない場合はnull
+   */
+  static negotiateProtocol(offered) {
+    const candidates = String(offered || '').split(',').map(protocol => protocol.trim()).filter(Boolean);
+    if (candidates.length === 0) {
+      return { protocol: null, protocolVersion: LEGACY_PROTOCOL_VERSION };
+    }
+
+    const protocol = candidates
+      .filter(candidate => PROTOCOLS[candidate])
+      .sort((a, b) => PROTOCOLS[b] - PROTOCOLS[a])[0];
+
+    return protocol ? { protocol, protocolVersion: PROTOCOLS[protocol] } : null;
+  }
+
+  /**
+   * $connect のイベントからサブプロトコルを取得
+   * @param {Object} event - API Gateway イベント
+   * @returns {string|undefined}
+   */
+  static extractProtocols(event) {
+    const headers = event.headers || {};
+    return headers['Sec-WebSocket-Protocol'] || headers['sec-websocket-protocol'];
+  }
+
+  /**
+   * JSON Schema の型名
+   */
+  static typeOf(value) {
+    if (value === null) {
+      return 'null';
+    }
+    if (Array.isArray(value)) {
+      return 'array';
+    }
+    if (typeof value === 'number') {
+      return Number.isInteger(value) ? 'integer' : Number.isFinite(value) ? 'number' : 'invalid';
+    }
+    return typeof value;
+  }
+
+  static join(path, field) {
+    return path ? `${path}.${field}` : field;
+  }
+}
+
+MessageValidator.PROTOCOLS = PROTOCOLS;
+MessageValidator.LEGACY_PROTOCOL_VERSION = LEGACY_PROTOCOL_VERSION;
+MessageValidator.CURRENT_PROTOCOL_VERSION = CURRENT_PROTOCOL_VERSION;
+MessageValidator.ACTIONS = Object.keys(schemas.actions);
+
+module.exports = MessageValidator;
@@ -0,0 +1,263 @@
+/**
+ * Rate Limiter
+ * WebSocketのアクションごとの送信数の制限（接続単位・ユーザー単位）と、Bedrock呼び出しの1時間あたりの予算
+ * - 送信数はDynamoDBのトークンバケット、予算はDynamoDBのカウンターに保存し、複数のLambdaインスタンスで共有する
+ *   （どちらも読み取りを挟まない条件付きの UpdateItem で更新する）
+ * - 例外: 音声フレーム（audioData）は送信頻度が高いため、DynamoDBを使わずにインスタンスのメモリ上のトークンバケットで制限する
+ *   （接続単位のみ・インスタンスごと。ユーザー単位の制限とインスタンス間の共有は行わない）
+ * - DynamoDBの障害時は許可する（管制業務を止めないため、レート制限は過剰な送信の抑止に留める）
+ */
+
+const Logger = require('./logger');
+const dynamodbClient = require('./dynamodb-client');
+
+// アクションごとのトークンバケット（capacity: 連続して送信できる数, refillPerMinute: 1分あたりに補充する数）
+const DEFAULT_LIMITS = {
+  message: { capacity: 10, refillPerMinute: 10 },           // 1件ごとにBedrockを呼び出す
+  startTranscription: { capacity: 10, refillPerMinute: 10 },
+  audioData: { capacity: 300, refillPerMinute: 9000 },      // 4チャンネル × 約30フレーム/秒
+  aisData: { capacity: 200, refillPerMinute: 6000 },
+  default: { capacity: 60, refillPerMinute: 60 }
+};
+
+// メモリ上のトークンバケットで制限するアクション（接続単位・インスタンスごと）
+const LOCAL_ACTIONS = ['audioData'];
+
+// 制限の単位
+const SCOPES = {
+  CONNECTION: 'connection',
+  USER: 'user',
+  BEDROCK_USER: 'bedrockUser',
+  BEDROCK_TOTAL: 'bedrockTotal'
+};
+
+// メモリ上に保持するトークンバケットの上限（古いものから破棄）
+const MAX_LOCAL_BUCKETS = 10000;
+
+// バケット・カウンターのレコードの保持期間（秒）
+const RECORD_TTL_SECONDS = 2 * 60 * 60;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class RateLimiter {
+  /**
+   * @param {Object} options - オプション
+   * @param {Object} options.limits - アクションごとの制限（既定: DEFAULT_LIMITS に RATE_LIMITS（JSON）を上書き）
+   * @param {number} options.userFactor - ユーザー単位の制限の接続単位に対する倍率（既定: RATE_LIMIT_USER_FACTOR または 2）
+   * @param {number} options.bedrockUserBudget - ユーザーごとの1時間あたりのBedrock呼び出し数（既定: BEDROCK_HOURLY_BUDGET_PER_USER または 120）
+   * @param {number} options.bedrockTotalBudget - センター全体の1時間あたりのBedrock呼び出し数（既定: BEDROCK_HOURLY_BUDGET または 2000）
+   */
+  constructor(options = {}) {
+    this.logger = new Logger({ component: 'RateLimiter' });
+    this.tableName = process.env.RATE_LIMITS_TABLE || 'vts-rate-limits';
+    this.limits = options.limits || { ...DEFAULT_LIMITS, ...RateLimiter.parseLimits(process.env.RATE_LIMITS) };
+    this.userFactor = options.userFactor || parseFloat(process.env.RATE_LIMIT_USER_FACTOR || '2');
+    this.bedrockUserBudget = options.bedrockUserBudget ?? parseInt(process.env.BEDROCK_HOURLY_BUDGET_PER_USER || '120', 10);
+    this.bedrockTotalBudget = options.bedrockTotalBudget ?? parseInt(process.env.BEDROCK_HOURLY_BUDGET || '2000', 10);
+    this.localBuckets = new Map(); // <接続ID>#<アクション> -> { tokens, updatedAt }
+  }
+
+  /**
+   * アクションの送信を1回分消費（接続単位 → ユーザー単位の順に確認）
+   * @param {string} action - アクション
+   * @param {Object} identity - 送信元
+   * @param {string} identity.connectionId - WebSocket接続ID
+   * @param {string} identity.userId - ユーザーID（認証済みの場合）
+   * @returns {Promise<Object>} - { allowed, scope, retryAfter（秒） }
+   */
+  async consume(action, { connectionId, userId }) {
+    const limit = this.limits[action] || this.limits.default;
+
+    if (LOCAL_ACTIONS.includes(action)) {
+      const local = this.takeLocal(`${connectionId}#${action}`, limit);
+      return local.allowed ? { allowed: true } : { ...local, scope: SCOPES.CONNECTION };
+    }
+
+    const connection = await this.take(`CONN#${connectionId}#${action}`, limit);
+    if (!connection.allowed) {
+      return { ...connection, scope: SCOPES.CONNECTION };
+    }
+
+    if (userId) {
+      const userLimit = {
+        capacity: Math.ceil(limit.capacity * this.userFactor),
+        refillPerMinute: limit.refillPerMinute * this.userFactor
+      };
+      const user = await this.take(`USER#${userId}#${action}`, userLimit);
+      if (!user.allowed) {
+        return { ...user, scope: SCOPES.USER };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Bedrock呼び出しの予算を1回分消費（ユーザーごと → センター全体の順に確認、予算は毎正時にリセット）
+   * @param {Object} identity - 送信元
+   * @param {string} identity.connectionId - WebSocket接続ID（ユーザーIDがない場合の単位）
+   * @param {string} identity.userId - ユーザーID
+   * @returns {Promise<Object>} - { allowed, scope, retryAfter（秒）, used, budget }
+   */
+  async consumeBedrockBudget({ connectionId, userId }) {
+    const now = Date.now();
+    const hour = new Date(now).toISOString().slice(0, 13);
+    const retryAfter = Math.ceil((HOUR_MS - (now % HOUR_MS)) / 1000);
+
+    const budgets = [
+      { key: `BEDROCK#USER#${userId || `CONN-${connectionId}`}#${hour}`, budget: this.bedrockUserBudget, scope: SCOPES.BEDROCK_USER },
+      { key: `BEDROCK#TOTAL#${hour}`, budget: this.bedrockTotalBudget, scope: SCOPES.BEDROCK_TOTAL }
+    ];
+
+    for (const { key, budget, scope } of budgets) {
+      // 0以下は無制限
+      if (budget <= 0) {
+        continue;
+      }
+
+      if (!await this.increment(key, budget)) {
+        this.logger.warn('Bedrock budget exhausted', { connectionId, userId, scope, budget });
+        this.logger.metric('BedrockBudgetExceeded', 1, 'Count', { scope });
+        return { allowed: false, scope, retryAfter, used: budget, budget };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * 共有のトークンバケットから1つ取り出す
+   * バケットが満杯に戻る時刻（fullAt）のみを保存し、残りのトークンは capacity - (fullAt - now) / interval とする
+   * （interval: トークン1つの補充間隔）。取り出すごとに fullAt を interval 進め、残りが1つ未満の場合は拒否する
+   * - 使用中のバケット（fullAt >= now）: 残りがある場合のみ fullAt に interval を加算（ADD）
+   * - 満杯のバケット（未使用・fullAt < now）: fullAt = now + interval（SET）
+   * 同時に満杯のバケットから取り出した場合は SET が1つだけ成功するため、失敗した側は加算を再試行する
+   * @param {string} key - バケットのキー
+   * @param {Object} limit - { capacity, refillPerMinute }
+   * @returns {Promise<Object>} - { allowed, retryAfter }
+   */
+  async take(key, limit) {
+    const now = Date.now();
+    const intervalMs = 60000 / limit.refillPerMinute;
+    const ttl = Math.floor(now / 1000) + RECORD_TTL_SECONDS;
+    const bucketKey = { bucketKey: key };
+
+    const takeFromUsed = () => this.tryConditionalWrite(() => dynamodbClient.incrementItem(this.tableName, bucketKey, 'fullAt', intervalMs, { ttl }, {
+      ConditionExpression: '#counter >= :now AND #counter <= :maxFullAt',
+      // 取り出した後の fullAt が now + capacity * interval を超えない
+      ExpressionAttributeValues: { ':now': now, ':maxFullAt': now + (limit.capacity - 1) * intervalMs }
+    }));
+    const takeFromFull = () => this.tryConditionalWrite(() => dynamodbClient.updateItem(this.tableName, bucketKey, { fullAt: now + intervalMs, ttl }, {
+      ConditionExpression: 'attribute_not_exists(fullAt) OR fullAt < :now',
+      ExpressionAttributeValues: { ':now': now }
+    }));
+
+    try {
+      if (await takeFromUsed() || await takeFromFull() || await takeFromUsed()) {
+        return { allowed: true };
+      }
+    } catch (error) {
+      this.logger.warn('Rate limit bucket unavailable, allowing', { key, error: error.message });
+      return { allowed: true };
+    }
+
+    // 拒否した時点で fullAt > now + (capacity - 1) * interval のため、次のトークンは interval 以内に補充される
+    return { allowed: false, retryAfter: Math.max(1, Math.ceil(intervalMs / 1000)) };
+  }
+
+  /**
+   * 条件付きの書き込みを実行（条件が成立しない場合はfalse）
+   * @param {Function} write - 書き込み
+   * @returns {Promise<boolean>}
+   */
+  async tryConditionalWrite(write) {
+    try {
+      await write();
+      return true;
+    } catch (error) {
+      if (dynamodbClient.isConditionalCheckFailed(error)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * カウンターが上限未満の場合のみ1つ進める（1回の条件付き UpdateItem）
+   * @param {string} key - カウンターのキー
+   * @param {number} max - 上限
+   * @returns {Promise<boolean>} - 上限に達している場合はfalse（DynamoDBの障害時はtrue）
+   */
+  async increment(key, max) {
+    try {
+      await dynamodbClient.incrementItem(this.tableName, { bucketKey: key }, 'tokens', 1, {
+        ttl: Math.floor(Date.now() / 1000) + RECORD_TTL_SECONDS
+      }, {
+        ConditionExpression: 'attribute_not_exists(#counter) OR #counter < :max',
+        ExpressionAttributeValues: { ':max': max }
+      });
+      return true;
+    } catch (error) {
+      if (dynamodbClient.isConditionalCheckFailed(error)) {
+        return false;
+      }
+      this.logger.warn('Rate limit counter unavailable, allowing', { key, error: error.message });
+      return true;
+    }
+  }
+
+  /**
+   * メモリ上のトークンバケットから1つ取り出す
+   * @param {string} key - バケットのキー
+   * @param {Object} limit - { capacity, refillPerMinute }
+   * @returns {Object} - { allowed, retryAfter }
+   */
+  takeLocal(key, limit) {
+    const now = Date.now();
+    const refillPerMs = limit.refillPerMinute / 60000;
+    const bucket = this.localBuckets.get(key);
+    const tokens = bucket
+      ? Math.min(limit.capacity, bucket.tokens + Math.max(0, now - bucket.updatedAt) * refillPerMs)
+      : limit.capacity;
+
+    if (tokens < 1) {
+      return { allowed: false, retryAfter: Math.max(1, Math.ceil((1 - tokens) / refillPerMs / 1000)) };
+    }
+
+    this.localBuckets.delete(key);
+    this.localBuckets.set(key, { tokens: tokens - 1, updatedAt: now });
+    if (this.localBuckets.size > MAX_LOCAL_BUCKETS) {
+      this.localBuckets.delete(this.localBuckets.keys().next().value);
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * 切断した接続のメモリ上のバケットを破棄
+   * @param {string} connectionId - WebSocket接続ID
+   */
+  forgetConnection(connectionId) {
+    LOCAL_ACTIONS.forEach(action => this.localBuckets.delete(`${connectionId}#${action}`));
+  }
+
+  /**
+   * RATE_LIMITS（JSON、例: {"message":{"capacity":5,"refillPerMinute":5}}）を解釈
+   */
+  static parseLimits(value) {
+    if (!value) {
+      return {};
+    }
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      new Logger({ component: 'RateLimiter' }).warn('Invalid RATE_LIMITS, using defaults', { error: error.message });
+      return {};
+    }
+  }
+}
+
+RateLimiter.DEFAULT_LIMITS = DEFAULT_LIMITS;
+RateLimiter.SCOPES = SCOPES;
+RateLimiter.LOCAL_ACTIONS = LOCAL_ACTIONS;
+
+module.exports = RateLimiter;
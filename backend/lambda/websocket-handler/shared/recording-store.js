@@ -0,0 +1,158 @@
+/**
+ * Recording Store
+ * セッション録音（SessionRecorderが保存した録音）の会話テーブルへの紐付けと、再生用URLの発行
+ *
+ * 文字起こし結果の startTime / endTime は録音の先頭からの秒数（Transcribeに書き込んだ音声と録音は同じ内容）
+ */
+
+const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const Logger = require('./logger');
+const dynamodbClient = require('./dynamodb-client');
+
+// 再生用URLの有効期間（秒）
+const DEFAULT_URL_EXPIRES_SECONDS = 300;
+
+// 発話の前後に含める余白（秒）。区切りの直前・直後の音声が切れないようにする
+const CLIP_PADDING_SECONDS = 0.3;
+
+class RecordingStore {
+  /**
+   * @param {Object} options - オプション
+   * @param {S3Client} options.s3Client - S3クライアント
+   */
+  constructor(options = {}) {
+    this.logger = new Logger({ component: 'RecordingStore' });
+    this.s3Client = options.s3Client || new S3Client({
+      region: process.env.AWS_REGION || 'ap-northeast-1'
+    });
+    this.conversationsTable = process.env.CONVERSATIONS_TABLE || 'vts-conversations';
+    this.urlExpiresSeconds = parseInt(process.env.AUDIO_CLIP_URL_EXPIRES_SECONDS || String(DEFAULT_URL_EXPIRES_SECONDS), 10);
+  }
+
+  /**
+   * 保存した録音をTRANSCRIPTION_SESSIONに紐付け
+   * 録音ごとのAUDIO_RECORDINGアイテム（引き継ぎで複数になる場合がある）と、セッションの最新の録音を記録
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} manifest - 録音のマニフェスト
+   * @returns {Promise<void>}
+   */
+  async link(connectionId, manifest) {
+    await dynamodbClient.putItem(this.conversationsTable, {
+      ConversationID: manifest.sessionId,
+      ItemTimestamp: `RECORDING#${manifest.recordingStartedAt}`,
+      ItemType: 'AUDIO_RECORDING',
+      ConnectionID: connectionId,
+      Channel: manifest.channel || undefined,
+      Bucket: manifest.bucket,
+      ObjectKey: manifest.objectKey,
+      ManifestKey: manifest.manifestKey,
+      ContentType: manifest.contentType,
+      Codec: manifest.codec,
+      SampleRate: manifest.sampleRate,
+      DurationMs: manifest.durationMs,
+      ObjectBytes: manifest.objectBytes,
+      AudioSha256: manifest.audioSha256,
+      RecordingStartedAt: manifest.recordingStartedAt,
+      RecordingEndedAt: manifest.recordingEndedAt
+    });
+
+    try {
+      await dynamodbClient.updateItem(
+        this.conversationsTable,
+        { ConversationID: manifest.sessionId, ItemTimestamp: `SESSION#${manifest.sessionStartedAt}` },
+        {
+          RecordingKey: manifest.objectKey,
+          RecordingManifestKey: manifest.manifestKey,
+          RecordingDurationMs: manifest.durationMs
+        },
+        { ConditionExpression: 'attribute_exists(ConversationID)' }
+      );
+    } catch (error) {
+      if (!dynamodbClient.isConditionalCheckFailed(error)) {
+        throw error;
+      }
+      this.logger.warn('Transcription session item not found for recording', {
+        sessionId: manifest.sessionId,
+        sessionStartedAt: manifest.sessionStartedAt
+      });
+    }
+
+    this.logger.audit('AUDIO_RECORDING_STORED', {
+      connectionId,
+      sessionId: manifest.sessionId,
+      objectKey: manifest.objectKey,
+      audioSha256: manifest.audioSha256
+    });
+  }
+
+  /**
+   * 発話区間の再生用URLを発行
+   * URLは録音全体を指し、再生区間（startTime〜endTime）はクライアントが再生位置として使う
+   * @param {Object} params - パラメータ
+   * @param {string} params.sessionId - 文字起こしセッションID
+   * @param {string} params.recordingId - 録音ID（録音開始日時）
+   * @param {number} params.startTime - 発話の開始位置（秒）
+   * @param {number} params.endTime - 発話の終了位置（秒）
+   * @returns {Promise<Object>} - { sessionId, recordingId, url, contentType, codec, startTime, endTime, expiresAt }
+   */
+  async getClip(params) {
+    const { sessionId, recordingId } = params;
+    const startTime = Number(params.startTime);
+    const endTime = Number(params.endTime);
+
+    if (typeof sessionId !== 'string' || typeof recordingId !== 'string') {
+      throw this.createError(400, 'sessionId and recordingId are required');
+    }
+    if (!Number.isFinite(startTime) || !Number.isFinite(endTime) || startTime < 0 || endTime < startTime) {
+      throw this.createError(400, 'Invalid clip range');
+    }
+
+    const recording = await dynamodbClient.getItem(this.conversationsTable, {
+      ConversationID: sessionId,
+      ItemTimestamp: `RECORDING#${recordingId}`
+    });
+
+    // 録音はセッション停止時に保存されるため、録音中の発話はまだ再生できない
+    if (!recording) {
+      throw this.createError(404, 'Recording is not available yet');
+    }
+
+    const durationSeconds = recording.DurationMs / 1000;
+    const url = await getSignedUrl(this.s3Client, new GetObjectCommand({
+      Bucket: recording.Bucket,
+      Key: recording.ObjectKey,
+      ResponseContentType: recording.ContentType
+    }), { expiresIn: this.urlExpiresSeconds });
+
+    this.logger.audit('AUDIO_CLIP_ISSUED', {
+      sessionId,
+      recordingId,
+      objectKey: recording.ObjectKey,
+      startTime,
+      endTime
+    });
+
+    return {
+      sessionId,
+      recordingId,
+      url,
+      contentType: recording.ContentType,
+      codec: recording.Codec,
+      startTime: Math.max(0, startTime - CLIP_PADDING_SECONDS),
+      endTime: Math.min(durationSeconds, endTime + CLIP_PADDING_SECONDS),
+      expiresAt: new Date(Date.now() + this.urlExpiresSeconds * 1000).toISOString()
+    };
+  }
+
+  /**
+   * HTTPステータスコード付きのエラーを作成
+   */
+  createError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = RecordingStore;
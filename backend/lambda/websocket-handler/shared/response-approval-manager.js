@@ -0,0 +1,189 @@
+/**
+ * Response Approval Manager
+ * AI推奨応答の承認ワークフロー（承認・編集・却下）
+ * AIは管制官の判断なしに応答を送出しない
+ */
+
+const Logger = require('./logger');
+const dynamodbClient = require('./dynamodb-client');
+
+// 承認状態
+const APPROVAL_STATUS = {
+  PENDING: 'PENDING',
+  APPROVED: 'APPROVED',
+  EDITED: 'EDITED',
+  REJECTED: 'REJECTED'
+};
+
+// 編集後応答の最大文字数
+const MAX_RESPONSE_LENGTH = 1000;
+
+class ResponseApprovalManager {
+  constructor() {
+    this.logger = new Logger({ component: 'ResponseApprovalManager' });
+    this.conversationsTable = process.env.CONVERSATIONS_TABLE || 'vts-conversations';
+  }
+
+  /**
+   * AI応答を承認待ちとして保存
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} aiResponse - AI応答
+   * @param {Object} attributes - 追加で保存する属性（元の交信テキスト等）
+   * @returns {Promise<Object>} - 保存したAI_RESPONSEアイテム
+   */
+  async createPendingResponse(connectionId, aiResponse, attributes = {}) {
+    const timestamp = aiResponse.timestamp || new Date().toISOString();
+
+    const item = {
+      ConversationID: `CONN-${connectionId}`,
+      ItemTimestamp: `AI#${timestamp}`,
+      ItemType: 'AI_RESPONSE',
+      ConnectionID: connectionId,
+      Classification: aiResponse.classification,
+      // 優先呼出（DISTRESS / URGENCY / SAFETY）への定型応答の場合の種別
+      Priority: aiResponse.priority,
+      SuggestedResponse: aiResponse.suggestedResponse,
+      // 推奨応答の言語と、英語の場合の管制官向け日本語訳
+      Language: aiResponse.language,
+      JapaneseGloss: aiResponse.japaneseGloss,
+      Confidence: aiResponse.confidence,
+      RiskFactors: aiResponse.riskFactors,
+      RecommendedActions: aiResponse.recommendedActions,
+      // SMCPのメッセージマーカーと書き換えた英語（SMCP_MODE=rewrite）
+      SmcpMarkers: aiResponse.smcp?.markers,
+      SmcpResponse: aiResponse.smcpResponse || undefined,
+      ApprovalStatus: APPROVAL_STATUS.PENDING,
+      Timestamp: timestamp,
+      ...attributes
+    };
+
+    await dynamodbClient.putItem(this.conversationsTable, item);
+
+    return item;
+  }
+
+  /**
+   * 管制官の判断を記録
+   * @param {Object} params - 判断内容
+   * @param {string} params.connectionId - WebSocket接続ID
+   * @param {string} params.responseId - 対象AI応答のID（AI#<timestamp>）
+   * @param {string} params.decision - APPROVED / EDITED / REJECTED
+   * @param {string} params.operatorId - 判断した管制官
+   * @param {string} params.editedText - 編集後の応答（EDITEDのみ）
+   * @param {string} params.reason - 却下・編集の理由
+   * @returns {Promise<Object>} - 判断結果
+   */
+  async recordDecision({ connectionId, responseId, decision, operatorId, editedText, reason }) {
+    if (!responseId || !responseId.startsWith('AI#')) {
+      throw this.createError(400, 'Valid responseId is required');
+    }
+
+    if (decision === APPROVAL_STATUS.EDITED) {
+      if (!editedText || typeof editedText !== 'string' || !editedText.trim()) {
+        throw this.createError(400, 'Edited response text is required');
+      }
+      if (editedText.length > MAX_RESPONSE_LENGTH) {
+        throw this.createError(400, `Edited response exceeds ${MAX_RESPONSE_LENGTH} characters`);
+      }
+    }
+
+    const key = {
+      ConversationID: `CONN-${connectionId}`,
+      ItemTimestamp: responseId
+    };
+
+    const aiResponse = await dynamodbClient.getItem(this.conversationsTable, key);
+    if (!aiResponse || aiResponse.ItemType !== 'AI_RESPONSE') {
+      throw this.createError(404, 'AI response not found');
+    }
+
+    // 判断は一度だけ（二重送出を防止、同時の判断は更新の条件で防ぐ）
+    if (aiResponse.ApprovalStatus !== APPROVAL_STATUS.PENDING) {
+      throw this.createError(409, `AI response already ${aiResponse.ApprovalStatus.toLowerCase()}`);
+    }
+
+    const decidedAt = new Date().toISOString();
+    const finalText = decision === APPROVAL_STATUS.APPROVED
+      ? aiResponse.SuggestedResponse
+      : decision === APPROVAL_STATUS.EDITED
+        ? editedText.trim()
+        : null;
+
+    const decisionItem = {
+      ConversationID: `CONN-${connectionId}`,
+      ItemTimestamp: `DECISION#${decidedAt}`,
+      ItemType: 'DECISION',
+      ConnectionID: connectionId,
+      ResponseID: responseId,
+      Decision: decision,
+      OperatorID: operatorId,
+      OriginalResponse: aiResponse.SuggestedResponse,
+      FinalResponse: finalText,
+      Reason: reason,
+      Classification: aiResponse.Classification,
+      Timestamp: decidedAt
+    };
+
+    // 承認待ちの場合のみ更新（同時に判断した管制官のうち先に更新した1人の判断を採用）
+    try {
+      await dynamodbClient.updateItem(this.conversationsTable, key, {
+        ApprovalStatus: decision,
+        DecisionID: decisionItem.ItemTimestamp,
+        DecidedBy: operatorId,
+        DecidedAt: decidedAt,
+        ...(finalText ? { ApprovedResponse: finalText } : {})
+      }, {
+        ConditionExpression: 'ApprovalStatus = :pending',
+        ExpressionAttributeValues: { ':pending': APPROVAL_STATUS.PENDING }
+      });
+    } catch (error) {
+      if (dynamodbClient.isConditionalCheckFailed(error)) {
+        const current = await dynamodbClient.getItem(this.conversationsTable, key);
+        throw this.createError(409, `AI response already ${String(current?.ApprovalStatus || 'decided').toLowerCase()}`);
+      }
+      throw error;
+    }
+
+    // 判断を採用した後に記録（判断アイテムは1件のみ）
+    await dynamodbClient.putItem(this.conversationsTable, decisionItem);
+
+    this.logger.audit(`RESPONSE_${decision}`, {
+      connectionId,
+      responseId,
+      decisionId: decisionItem.ItemTimestamp,
+      operatorId,
+      classification: aiResponse.Classification,
+      originalResponse: aiResponse.SuggestedResponse,
+      finalResponse: finalText,
+      reason,
+      decidedAt
+    });
+
+    this.logger.metric('ResponseDecisions', 1, 'Count', {
+      decision,
+      classification: aiResponse.Classification
+    });
+
+    return {
+      responseId,
+      decisionId: decisionItem.ItemTimestamp,
+      decision,
+      approvedText: finalText,
+      decidedBy: operatorId,
+      decidedAt
+    };
+  }
+
+  /**
+   * HTTPステータスコード付きのエラーを作成
+   */
+  createError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+ResponseApprovalManager.APPROVAL_STATUS = APPROVAL_STATUS;
+
+module.exports = ResponseApprovalManager;
@@ -0,0 +1,310 @@
+/**
+ * Session Recorder
+ * 文字起こしセッションの音声を1つの録音オブジェクト（PCMはWAV、OGG/Opus・FLACはそのまま）としてS3に保存する
+ * VHF交信の証跡として、録音と同じ場所にマニフェスト（長さ・ハッシュ・統計）を保存する
+ *
+ * - 5MBごとにマルチパートアップロードのパートとして送信し、メモリに全体を保持しない
+ * - WAVヘッダーは全体の長さが確定するまで書けないため、先頭パートのみ最後にアップロードする
+ * - 保存先は audio/ 配下のため、StorageConstructのライフサイクル（IA → Glacier → Deep Archive）が適用される
+ */
+
+const crypto = require('crypto');
+const {
+  S3Client,
+  PutObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const Logger = require('./logger');
+
+// マルチパートアップロードのパートサイズ（S3の最小サイズ）
+const PART_SIZE_BYTES = 5 * 1024 * 1024;
+
+const WAV_HEADER_BYTES = 44;
+
+// コーデックごとの保存形式
+const RECORDING_FORMATS = {
+  pcm: { extension: 'wav', contentType: 'audio/wav' },
+  'ogg-opus': { extension: 'ogg', contentType: 'audio/ogg' },
+  flac: { extension: 'flac', contentType: 'audio/flac' }
+};
+
+class SessionRecorder {
+  /**
+   * @param {Object} options - オプション
+   * @param {string} options.sessionId - 文字起こしセッションID
+   * @param {string} options.connectionId - WebSocket接続ID
+   * @param {string} options.channel - 音声チャンネル名（複数チャンネル受信時）
+   * @param {string} options.codec - 音声コーデック
+   * @param {number} options.sampleRate - サンプリングレート
+   * @param {string} options.sessionStartedAt - セッション開始日時（TRANSCRIPTION_SESSIONのキー）
+   * @param {string} options.bucket - 保存先バケット
+   * @param {string} options.prefix - 保存先プレフィックス
+   * @param {S3Client} options.s3Client - S3クライアント
+   * @param {number} options.partSizeBytes - マルチパートのパートサイズ
+   */
+  constructor(options = {}) {
+    this.logger = new Logger({ component: 'SessionRecorder' });
+    this.s3Client = options.s3Client || new S3Client({
+      region: process.env.AWS_REGION || 'ap-northeast-1'
+    });
+    this.bucket = options.bucket || process.env.AUDIO_BUCKET || 'vts-audio-storage';
+    this.prefix = options.prefix || process.env.AUDIO_RECORDING_PREFIX || 'audio/recordings/';
+    this.partSizeBytes = options.partSizeBytes || PART_SIZE_BYTES;
+
+    this.sessionId = options.sessionId;
+    this.connectionId = options.connectionId;
+    this.channel = options.channel || null;
+    this.codec = options.codec || 'pcm';
+    this.sampleRate = options.sampleRate || 16000;
+    this.sessionStartedAt = options.sessionStartedAt;
+    this.recordingStartedAt = new Date();
+    this.format = RECORDING_FORMATS[this.codec] || RECORDING_FORMATS.pcm;
+    this.objectKey = this.createObjectKey();
+
+    this.hash = crypto.createHash('sha256');
+    this.audioBytes = 0;
+    this.pendingChunks = [];
+    this.pendingBytes = 0;
+    this.firstPart = null; // WAVヘッダーを付けて最後にアップロードする先頭パート
+    this.uploadId = null;
+    this.parts = [];
+    this.finished = false;
+  }
+
+  /**
+   * 録音が有効かどうか（AUDIO_RECORDING_ENABLED=true）
+   * @returns {boolean}
+   */
+  static isEnabled() {
+    return process.env.AUDIO_RECORDING_ENABLED === 'true';
+  }
+
+  /**
+   * 保存先のキー（日付/セッションID/録音開始時刻）
+   * 引き継ぎで同じセッションに複数の録音ができるため、録音開始時刻で区別する
+   */
+  createObjectKey() {
+    const date = this.recordingStartedAt.toISOString().substring(0, 10).replace(/-/g, '/');
+    return `${this.prefix}${date}/${this.sessionId}/${this.recordingStartedAt.getTime()}.${this.format.extension}`;
+  }
+
+  /**
+   * ストリームに書き込んだ音声を録音に追加
+   * @param {Buffer} chunk - 音声データ
+   * @returns {Promise<void>}
+   */
+  async append(chunk) {
+    if (this.finished || chunk.length === 0) {
+      return;
+    }
+
+    this.hash.update(chunk);
+    this.audioBytes += chunk.length;
+    this.pendingChunks.push(chunk);
+    this.pendingBytes += chunk.length;
+
+    if (this.pendingBytes >= this.partSizeBytes) {
+      await this.flushPart();
+    }
+  }
+
+  /**
+   * バッファした音声を1パートとして送信（PCMの先頭パートはヘッダーのために保持）
+   */
+  async flushPart() {
+    const body = Buffer.concat(this.pendingChunks, this.pendingBytes);
+    this.pendingChunks = [];
+    this.pendingBytes = 0;
+
+    if (this.codec === 'pcm' && !this.firstPart) {
+      this.firstPart = body;
+      return;
+    }
+
+    if (!this.uploadId) {
+      const { UploadId } = await this.s3Client.send(new CreateMultipartUploadCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey,
+        ContentType: this.format.contentType
+      }));
+      this.uploadId = UploadId;
+    }
+
+    // PCMはパート1をヘッダー付きの先頭パート用に空けておく
+    const partNumber = this.parts.length + (this.codec === 'pcm' ? 2 : 1);
+    await this.uploadPart(partNumber, body);
+  }
+
+  async uploadPart(partNumber, body) {
+    const { ETag } = await this.s3Client.send(new UploadPartCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey,
+      UploadId: this.uploadId,
+      PartNumber: partNumber,
+      Body: body
+    }));
+    this.parts.push({ PartNumber: partNumber, ETag });
+  }
+
+  /**
+   * 録音を完了し、マニフェストを保存
+   * @param {Object} details - { audioStats }
+   * @returns {Promise<Object|null>} - マニフェスト（音声がない場合はnull）
+   */
+  async finalize(details = {}) {
+    if (this.finished) {
+      return null;
+    }
+    this.finished = true;
+
+    if (this.audioBytes === 0) {
+      return null;
+    }
+
+    const recordingEndedAt = new Date();
+
+    try {
+      const remaining = Buffer.concat(this.pendingChunks, this.pendingBytes);
+      this.pendingChunks = [];
+      this.pendingBytes = 0;
+
+      const header = this.codec === 'pcm' ? this.createWavHeader(this.audioBytes) : Buffer.alloc(0);
+
+      if (!this.uploadId) {
+        // パートサイズに満たない録音は1回で保存
+        await this.s3Client.send(new PutObjectCommand({
+          Bucket: this.bucket,
+          Key: this.objectKey,
+          Body: Buffer.concat([header, this.firstPart || Buffer.alloc(0), remaining]),
+          ContentType: this.format.contentType
+        }));
+      } else {
+        if (remaining.length > 0) {
+          await this.uploadPart(this.parts.length + (this.codec === 'pcm' ? 2 : 1), remaining);
+        }
+        if (this.codec === 'pcm') {
+          await this.uploadPart(1, Buffer.concat([header, this.firstPart]));
+        }
+
+        await this.s3Client.send(new CompleteMultipartUploadCommand({
+          Bucket: this.bucket,
+          Key: this.objectKey,
+          UploadId: this.uploadId,
+          MultipartUpload: {
+            Parts: [...this.parts].sort((a, b) => a.PartNumber - b.PartNumber)
+          }
+        }));
+      }
+    } catch (error) {
+      this.logger.error('Failed to store session recording', {
+        sessionId: this.sessionId,
+        key: this.objectKey,
+        error: error.message
+      });
+      await this.abort();
+      throw error;
+    }
+
+    const manifest = this.createManifest(recordingEndedAt, details);
+
+    await this.s3Client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: manifest.manifestKey,
+      Body: JSON.stringify(manifest, null, 2),
+      ContentType: 'application/json'
+    }));
+
+    this.logger.info('Session recording stored', {
+      sessionId: this.sessionId,
+      key: this.objectKey,
+      durationMs: manifest.durationMs,
+      bytes: manifest.objectBytes
+    });
+    this.logger.metric('AudioRecordingsStored', 1, 'Count');
+    this.logger.metric('AudioRecordingBytes', manifest.objectBytes, 'Bytes');
+
+    return manifest;
+  }
+
+  /**
+   * 途中まで送信したマルチパートアップロードを破棄
+   */
+  async abort() {
+    this.finished = true;
+    if (!this.uploadId) {
+      return;
+    }
+
+    try {
+      await this.s3Client.send(new AbortMultipartUploadCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey,
+        UploadId: this.uploadId
+      }));
+    } catch (error) {
+      // 未完了のアップロードはライフサイクルルール（7日）で削除される
+      this.logger.warn('Failed to abort multipart upload', { key: this.objectKey, error: error.message });
+    }
+  }
+
+  /**
+   * 録音のマニフェスト（証跡として録音の内容を検証できる情報）
+   */
+  createManifest(recordingEndedAt, details) {
+    const headerBytes = this.codec === 'pcm' ? WAV_HEADER_BYTES : 0;
+
+    return {
+      version: 1,
+      sessionId: this.sessionId,
+      connectionId: this.connectionId,
+      channel: this.channel,
+      sessionStartedAt: this.sessionStartedAt,
+      recordingStartedAt: this.recordingStartedAt.toISOString(),
+      recordingEndedAt: recordingEndedAt.toISOString(),
+      // PCMはデータ量から算出、圧縮コーデックは録音時間
+      durationMs: this.codec === 'pcm'
+        ? Math.round((this.audioBytes / (this.sampleRate * 2)) * 1000)
+        : recordingEndedAt.getTime() - this.recordingStartedAt.getTime(),
+      bucket: this.bucket,
+      objectKey: this.objectKey,
+      manifestKey: this.objectKey.replace(/\.[a-z0-9]+$/, '.json'),
+      contentType: this.format.contentType,
+      codec: this.codec,
+      sampleRate: this.sampleRate,
+      channels: 1,
+      bitsPerSample: this.codec === 'pcm' ? 16 : undefined,
+      objectBytes: headerBytes + this.audioBytes,
+      audioBytes: this.audioBytes,
+      audioSha256: this.hash.digest('hex'),
+      audioStats: details.audioStats
+    };
+  }
+
+  /**
+   * WAVヘッダー（PCM 16bit モノラル）
+   */
+  createWavHeader(dataBytes) {
+    const header = Buffer.alloc(WAV_HEADER_BYTES);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + dataBytes, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16); // fmtチャンクサイズ
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(1, 22); // チャンネル数
+    header.writeUInt32LE(this.sampleRate, 24);
+    header.writeUInt32LE(this.sampleRate * 2, 28); // バイトレート
+    header.writeUInt16LE(2, 32); // ブロックサイズ
+    header.writeUInt16LE(16, 34); // ビット深度
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(dataBytes, 40);
+    return header;
+  }
+}
+
+SessionRecorder.RECORDING_FORMATS = RECORDING_FORMATS;
+
+module.exports = SessionRecorder;
@@ -0,0 +1,335 @@
+/**
+ * SMCP Analyzer
+ * IMO標準海事通信用語（SMCP）のメッセージマーカーに基づき、交信をルールベースで分析する
+ * - 文ごとにメッセージマーカー（INSTRUCTION / ADVICE / WARNING / INFORMATION / QUESTION / ANSWER / REQUEST / INTENTION）を付与
+ *   明示されたマーカー（"INSTRUCTION: ..."、「指示、...」）を優先し、なければ表現から推定する
+ * - SMCPに沿わない表現（短縮形、may/can等の曖昧な助動詞、くだけた表現、Yes/Noのみの回答、
+ *   船舶からのINSTRUCTION、マーカーと内容の不一致、VTSのマーカー省略）を指摘する
+ * - 推奨応答（日本語）を、メッセージマーカー付きのSMCP準拠の英語に書き換える
+ *
+ * Logger等に依存しないため、nlp-processor（backend/lambda/shared）と同じファイルを共有する
+ */
+
+// メッセージマーカー
+const MARKERS = {
+  INSTRUCTION: 'INSTRUCTION',
+  ADVICE: 'ADVICE',
+  WARNING: 'WARNING',
+  INFORMATION: 'INFORMATION',
+  QUESTION: 'QUESTION',
+  ANSWER: 'ANSWER',
+  REQUEST: 'REQUEST',
+  INTENTION: 'INTENTION'
+};
+
+// マーカーを付けるべき（VTSからの）メッセージ
+const MARKED_VTS_MESSAGES = [MARKERS.INSTRUCTION, MARKERS.ADVICE, MARKERS.WARNING, MARKERS.INFORMATION];
+
+// 日本語で明示されたマーカー
+const JAPANESE_MARKERS = {
+  指示: MARKERS.INSTRUCTION,
+  インストラクション: MARKERS.INSTRUCTION,
+  助言: MARKERS.ADVICE,
+  勧告: MARKERS.ADVICE,
+  アドバイス: MARKERS.ADVICE,
+  警告: MARKERS.WARNING,
+  ワーニング: MARKERS.WARNING,
+  情報: MARKERS.INFORMATION,
+  インフォメーション: MARKERS.INFORMATION,
+  質問: MARKERS.QUESTION,
+  クエスチョン: MARKERS.QUESTION,
+  回答: MARKERS.ANSWER,
+  アンサー: MARKERS.ANSWER,
+  要請: MARKERS.REQUEST,
+  リクエスト: MARKERS.REQUEST,
+  意図: MARKERS.INTENTION,
+  インテンション: MARKERS.INTENTION
+};
+
+const ENGLISH_MARKER_PATTERN = new RegExp(`(?:^|[.,;:]\\s*)(${Object.keys(MARKERS).join('|')})\\s*[:,.]\\s*`, 'i');
+const JAPANESE_MARKER_PATTERN = new RegExp(`(?:^|[\\s、,。:：])(${Object.keys(JAPANESE_MARKERS).join('|')})[\\s、,:：]+`);
+
+// 表現からのマーカーの推定（上から順に判定）
+const ENGLISH_RULES = [
+  { marker: MARKERS.WARNING, pattern: /\b(warning|danger|dangerous|hazard|caution)\b/i },
+  { marker: MARKERS.QUESTION, pattern: /\?\s*$|^(what|where|when|why|how|which|who|is|are|do(?! not)|does|did|have|has|will|can|could|may|shall)\b/i },
+  { marker: MARKERS.ANSWER, pattern: /^(yes|no|affirmative|negative)\b/i },
+  { marker: MARKERS.ADVICE, pattern: /\b(advise|advice|recommend|suggest)\b/i },
+  { marker: MARKERS.REQUEST, pattern: /\b(request|requesting|require|need)\b/i },
+  { marker: MARKERS.INTENTION, pattern: /\b(intend|i will|we will|going to)\b/i },
+  { marker: MARKERS.INSTRUCTION, pattern: /^(stop|reduce|increase|alter|proceed|keep|report|stand by|do not|wait|anchor|enter|leave|contact|switch|change|maintain|follow|pass|navigate|take)\b/i },
+  { marker: MARKERS.INFORMATION, pattern: /\b(position|i am|we are|there is|there are|visibility|wind|traffic|eta|is|are)\b/i }
+];
+
+const JAPANESE_RULES = [
+  { marker: MARKERS.WARNING, pattern: /警告|危険|注意せよ|注意してください|警報/ },
+  { marker: MARKERS.REQUEST, pattern: /要請|許可を(求め|ください|いただけ)|お願いします|願います|してほしい/, roles: ['VESSEL', 'PILOT', 'PORT', 'UNKNOWN'] },
+  { marker: MARKERS.QUESTION, pattern: /[?？]$|ですか。?$|ますか。?$|でしょうか|か。?$/ },
+  { marker: MARKERS.ADVICE, pattern: /推奨|勧め|したほうが|方がよい|助言/ },
+  { marker: MARKERS.INSTRUCTION, pattern: /ください。?$|せよ|しなさい|願います|すること。?$/ },
+  { marker: MARKERS.INTENTION, pattern: /予定|つもり|意図/ },
+  { marker: MARKERS.ANSWER, pattern: /^(はい|いいえ|了解|承知)/ },
+  { marker: MARKERS.INFORMATION, pattern: /報告します|許可します|位置は|現在|航行中|通過|到着|発生|あります|です。?$/ }
+];
+
+// 短縮形（SMCPでは使用しない）
+const CONTRACTIONS = {
+  "don't": 'do not',
+  "doesn't": 'does not',
+  "didn't": 'did not',
+  "can't": 'cannot',
+  "won't": 'will not',
+  "isn't": 'is not',
+  "aren't": 'are not',
+  "haven't": 'have not',
+  "hasn't": 'has not',
+  "i'm": 'I am',
+  "we're": 'we are',
+  "you're": 'you are',
+  "it's": 'it is',
+  "there's": 'there is',
+  "i'll": 'I will',
+  "we'll": 'we will',
+  "you'll": 'you will'
+};
+const CONTRACTION_PATTERN = new RegExp(`\\b(${Object.keys(CONTRACTIONS).join('|').replace(/'/g, "['’]")})\\b`, 'gi');
+
+// 曖昧な助動詞（SMCPでは may / might / should / could / can を避ける）
+const AMBIGUOUS_MODAL_PATTERN = /\b(may|might|should|could|can)\b/gi;
+
+// くだけた表現
+const INFORMAL_PATTERN = /\b(ok|okay|yeah|yep|nope|gonna|wanna|maybe|roger that)\b|オッケー|オーケー|たぶん|ちょっと|かな。?$/gi;
+
+// 局名の名乗り・受信確認（マーカーを付けない）
+const PROCEDURAL_PATTERN = /^(this is\b|understood\b|received\b|over\b|out\b|こちら)/i;
+
+// Yes/Noのみの回答
+const BARE_ANSWER_PATTERN = /^(yes|no|affirmative|negative|はい|いいえ)[\s.,。、!！]*$/i;
+
+// VTSの推奨応答（日本語）からSMCP英語への書き換え（文ごとに該当するものを全て使用、finalは以降を使用しない）
+const PHRASE_TEMPLATES = [
+  { pattern: /位置と.*状況を報告/, text: 'INSTRUCTION: Report your position and situation.', final: true },
+  { pattern: /状況に変化があれば報告/, text: 'INSTRUCTION: Report any change of situation.', final: true },
+  { pattern: /緊急通信を受信|緊急事態確認/, text: 'INFORMATION: Your distress message is received.' },
+  { pattern: /位置.*報告/, text: 'INSTRUCTION: Report your position.' },
+  { pattern: /状況.*報告/, text: 'INSTRUCTION: Report your situation.' },
+  { pattern: /救助機関に通報|救助手配|支援を派遣|救助.*開始/, text: 'INFORMATION: Search and rescue services are informed.' },
+  { pattern: /周辺船舶.*警告|航行警報/, text: 'INFORMATION: A navigational warning is being broadcast to vessels in the area.' },
+  { pattern: /安全な速力/, text: 'ADVICE: Proceed at safe speed.' },
+  { pattern: /見張りを厳重/, text: 'ADVICE: Keep a sharp lookout.' },
+  { pattern: /安全を確保/, text: 'ADVICE: Take all necessary measures for safety.' },
+  { pattern: /指定の航路を航行|航路を航行/, text: 'INSTRUCTION: Proceed in the designated fairway.' },
+  { pattern: /速力を落と|減速/, text: 'INSTRUCTION: Reduce speed.' },
+  { pattern: /入港を許可|入港許可します/, text: 'INFORMATION: You have permission to enter port.' },
+  { pattern: /指示をお待ち|待機/, text: 'INSTRUCTION: Stand by for further instructions.' },
+  { pattern: /通信を継続/, text: 'INSTRUCTION: Keep listening watch on this channel.' },
+  { pattern: /^(了解|状況了解|状況を確認しました)/, text: 'Understood.' }
+];
+
+// 「こちら〇〇VTS」の局名
+const STATION_NAMES = {
+  福岡: 'Fukuoka',
+  博多: 'Hakata',
+  関門: 'Kanmon',
+  北九州: 'Kitakyushu'
+};
+
+class SmcpAnalyzer {
+  /**
+   * 交信を分析
+   * @param {string} text - 交信（文字起こし・推奨応答）
+   * @param {Object} options - オプション
+   * @param {string} options.role - 話者の役割（VTS / VESSEL / PILOT / PORT / UNKNOWN）
+   * @returns {Object} - { marker, markers, explicit, language, sentences: [{ text, marker, explicit }], issues: [{ code, severity, message, text }], compliant }
+   */
+  analyze(text, options = {}) {
+    const role = options.role || 'UNKNOWN';
+    const language = SmcpAnalyzer.detectLanguage(text);
+    const sentences = SmcpAnalyzer.splitSentences(text).map(sentence => this.analyzeSentence(sentence, language, role));
+    const issues = sentences.flatMap(sentence => sentence.issues);
+
+    const markers = [...new Set(sentences.map(sentence => sentence.marker).filter(Boolean))];
+
+    return {
+      marker: markers[0] || null,
+      markers,
+      explicit: sentences.some(sentence => sentence.explicit),
+      language,
+      sentences: sentences.map(({ text: sentenceText, marker, explicit }) => ({ text: sentenceText, marker, explicit })),
+      issues,
+      compliant: !issues.some(issue => issue.severity === 'warning')
+    };
+  }
+
+  analyzeSentence(sentence, language, role) {
+    const issues = [];
+    const addIssue = (code, severity, message) => issues.push({ code, severity, message, text: sentence });
+
+    const explicitMatch = sentence.match(ENGLISH_MARKER_PATTERN) || sentence.match(JAPANESE_MARKER_PATTERN);
+    const explicitMarker = explicitMatch
+      ? MARKERS[explicitMatch[1].toUpperCase()] || JAPANESE_MARKERS[explicitMatch[1]]
+      : null;
+    // マーカーを除いた本文から内容を推定
+    const body = explicitMatch ? sentence.replace(explicitMatch[0], ' ').trim() : sentence;
+    const inferred = PROCEDURAL_PATTERN.test(body) ? null : SmcpAnalyzer.inferMarker(body, language, role);
+    const marker = explicitMarker || inferred;
+
+    if (language === 'en') {
+      const contractions = body.match(CONTRACTION_PATTERN);
+      if (contractions) {
+        addIssue('CONTRACTION', 'warning', `短縮形（${contractions.join(', ')}）は使用せず省略しない形で言う`);
+      }
+      const modals = body.match(AMBIGUOUS_MODAL_PATTERN);
+      if (modals) {
+        addIssue('AMBIGUOUS_MODAL', 'warning', `曖昧な助動詞（${modals.join(', ')}）は避ける（許可は "Do I have permission ..."、指示は命令形）`);
+      }
+    }
+
+    const informal = body.match(INFORMAL_PATTERN);
+    if (informal) {
+      addIssue('INFORMAL_PHRASE', 'warning', `くだけた表現（${informal.join(', ')}）は使用しない`);
+    }
+
+    if (BARE_ANSWER_PATTERN.test(body)) {
+      addIssue('INCOMPLETE_ANSWER', 'warning', 'Yes/Noのみで答えず、質問の内容を含めて完全な文で回答する');
+    }
+
+    if (explicitMarker === MARKERS.INSTRUCTION && role !== 'VTS' && role !== 'UNKNOWN') {
+      addIssue('INSTRUCTION_FROM_NON_AUTHORITY', 'warning', 'INSTRUCTIONはVTS等の権限を持つ局のみが使用する');
+    }
+
+    if (explicitMarker && inferred && explicitMarker !== inferred
+      && (explicitMarker === MARKERS.QUESTION || inferred === MARKERS.QUESTION)) {
+      addIssue('MARKER_MISMATCH', 'warning', `マーカー（${explicitMarker}）と内容（${inferred}）が一致しない`);
+    }
+
+    if (!explicitMarker && role === 'VTS' && MARKED_VTS_MESSAGES.includes(inferred)) {
+      // 日本語の交信ではマーカーを省略することが多いため参考情報とする
+      addIssue('MISSING_MARKER', language === 'en' ? 'warning' : 'info', `メッセージマーカー（${inferred}）を前置する`);
+    }
+
+    return { text: sentence, marker, explicit: Boolean(explicitMarker), issues };
+  }
+
+  /**
+   * VTSの推奨応答をSMCP準拠の英語に書き換える
+   * @param {string} suggestedResponse - 推奨応答（日本語）
+   * @param {Object} options - オプション
+   * @param {string} options.english - モデルが生成した英語（ある場合はSMCPの規則に合わせて整える）
+   * @returns {string|null} - SMCP英語（書き換えられない場合はnull）
+   */
+  rewrite(suggestedResponse, options = {}) {
+    if (options.english && SmcpAnalyzer.detectLanguage(options.english) === 'en') {
+      return this.enforce(options.english);
+    }
+    if (!suggestedResponse) {
+      return null;
+    }
+    if (SmcpAnalyzer.detectLanguage(suggestedResponse) === 'en') {
+      return this.enforce(suggestedResponse);
+    }
+    return this.translate(suggestedResponse);
+  }
+
+  /**
+   * 英語の応答をSMCPの規則に合わせる（短縮形の展開、マーカーの大文字化・前置）
+   * @param {string} text - 英語の応答
+   * @returns {string}
+   */
+  enforce(text) {
+    return SmcpAnalyzer.splitSentences(text).map(sentence => {
+      const capitalized = sentence.charAt(0).toUpperCase() + sentence.slice(1);
+      const result = capitalized.replace(CONTRACTION_PATTERN, match => {
+        const expanded = CONTRACTIONS[match.toLowerCase().replace('’', "'")];
+        return /^[A-Z]/.test(match) ? expanded.charAt(0).toUpperCase() + expanded.slice(1) : expanded;
+      });
+
+      // 局名の名乗り（This is Fukuoka VTS.）にはマーカーを付けない
+      if (PROCEDURAL_PATTERN.test(result)) {
+        return result;
+      }
+
+      const explicitMatch = result.match(ENGLISH_MARKER_PATTERN);
+      if (explicitMatch && explicitMatch.index > 0) {
+        return result.replace(explicitMatch[1], explicitMatch[1].toUpperCase());
+      }
+      if (explicitMatch) {
+        const body = result.slice(explicitMatch[0].length);
+        return `${explicitMatch[1].toUpperCase()}: ${body.charAt(0).toUpperCase()}${body.slice(1)}`;
+      }
+
+      const inferred = SmcpAnalyzer.inferMarker(result, 'en', 'VTS');
+      return inferred ? `${inferred}: ${result}` : result;
+    }).join(' ');
+  }
+
+  /**
+   * 定型の推奨応答（日本語）をSMCP英語に変換
+   * @param {string} text - 推奨応答（日本語）
+   * @returns {string|null} - 変換できる文がない場合はnull
+   */
+  translate(text) {
+    const lines = [];
+    const station = text.match(/こちら(福岡|博多|関門|北九州)?\s*VTS/);
+    if (station) {
+      lines.push(`This is ${STATION_NAMES[station[1]] || 'Fukuoka'} VTS.`);
+    }
+
+    let translated = false;
+    for (const sentence of SmcpAnalyzer.splitSentences(text)) {
+      for (const template of PHRASE_TEMPLATES) {
+        if (template.pattern.test(sentence)) {
+          translated = true;
+          if (!lines.includes(template.text)) {
+            lines.push(template.text);
+          }
+          if (template.final) {
+            break;
+          }
+        }
+      }
+    }
+
+    return translated ? lines.join(' ') : null;
+  }
+
+  /**
+   * 表現からメッセージマーカーを推定
+   * @returns {string|null}
+   */
+  static inferMarker(text, language, role = 'UNKNOWN') {
+    const rules = language === 'en' ? ENGLISH_RULES : JAPANESE_RULES;
+    const rule = rules.find(candidate =>
+      (!candidate.roles || candidate.roles.includes(role)) && candidate.pattern.test(text.trim())
+    );
+    if (!rule) {
+      return null;
+    }
+    // 船舶等の「〜してください」は要請
+    if (rule.marker === MARKERS.INSTRUCTION && language !== 'en' && role !== 'VTS' && role !== 'UNKNOWN') {
+      return MARKERS.REQUEST;
+    }
+    return rule.marker;
+  }
+
+  /**
+   * 日本語（かな・漢字を含む）か英語か
+   */
+  static detectLanguage(text) {
+    return /[぀-ヿ一-鿿]/.test(text || '') ? 'ja' : 'en';
+  }
+
+  /**
+   * 文に分割
+   */
+  static splitSentences(text) {
+    return String(text || '')
+      .split(/(?<=[。！？!?])|(?<=\.)\s+/)
+      .map(sentence => sentence.trim())
+      .filter(Boolean);
+  }
+}
+
+SmcpAnalyzer.MARKERS = MARKERS;
+
+module.exports = SmcpAnalyzer;
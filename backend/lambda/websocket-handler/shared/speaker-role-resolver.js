@@ -0,0 +1,281 @@
+/**
+ * Speaker Role Resolver
+ * Transcribeの話者ラベル（spk_0, spk_1, ...）をVHF交信の役割（VTS / VESSEL / PILOT / PORT）に対応付ける
+ *
+ * - 管制官が指定した役割（operator）を最優先する
+ * - 名乗り（「こちら博多港VTS」「this is SAKURA MARU」）から話者の役割を推定し、セッション中は記憶する（heuristic）
+ * - 名乗りがない場合は呼びかけ・要請・指示の表現から推定する（その発話のみ）
+ * 対応付けは会話テーブルのセッション配下（SPEAKER#<話者ラベル>）に保存し、インスタンス間で共有する
+ */
+
+const Logger = require('./logger');
+const dynamodbClient = require('./dynamodb-client');
+
+const SPEAKER_ROLES = {
+  VTS: 'VTS',
+  VESSEL: 'VESSEL',
+  PILOT: 'PILOT',
+  PORT: 'PORT',
+  UNKNOWN: 'UNKNOWN'
+};
+
+const ROLE_SOURCES = {
+  OPERATOR: 'operator',
+  HEURISTIC: 'heuristic',
+  PHRASE: 'phrase',
+  DEFAULT: 'default'
+};
+
+// 名乗った局名から役割を判定するパターン（船舶は局名が該当しない場合）
+const STATION_PATTERNS = [
+  { role: SPEAKER_ROLES.VTS, pattern: /VTS|ＶＴＳ|マーチス|MARTIS|交通管制|traffic/i },
+  { role: SPEAKER_ROLES.PILOT, pattern: /パイロット|水先|pilot/i },
+  { role: SPEAKER_ROLES.PORT, pattern: /ポート|港務|港長|保安部|port|harbou?r/i }
+];
+
+// 名乗り（「こちら〇〇」「〇〇です」「this is 〇〇」）
+const SELF_IDENTIFICATION_PATTERNS = [
+  /こちら[は、,\s]*([^、,。．.!?！？\s]+)/,
+  /this\s+is\s+([a-z0-9][a-z0-9\s-]*?)(?:[,.!?]|\s+(?:over|requesting|request)\b|$)/i
+];
+
+// 名乗りがない場合の表現による推定
+const PHRASE_PATTERNS = [
+  // VTSへの呼びかけ・要請は船舶（またはパイロット）から
+  { role: SPEAKER_ROLES.VESSEL, pattern: /^[^、,]*(?:VTS|ＶＴＳ|マーチス)[、,\s]|要請します|お願いします|requesting|request\s+permission/i },
+  // 許可・指示はVTSから
+  { role: SPEAKER_ROLES.VTS, pattern: /許可します|許可する|指示します|してください|待機せよ|permission\s+granted|you\s+are\s+(?:cleared|permitted)|instruction/i }
+];
+
+// 保存済みの対応付けを再読み込みするまでの時間（他インスタンスでの指定を反映するため）
+const CACHE_TTL_MS = 5000;
+
+// キャッシュするセッション数の上限（停止を経ずに終了したセッションは古い順に破棄）
+const MAX_CACHED_SESSIONS = 500;
+
+class SpeakerRoleResolver {
+  constructor() {
+    this.logger = new Logger({ component: 'SpeakerRoleResolver' });
+    this.conversationsTable = process.env.CONVERSATIONS_TABLE || 'vts-conversations';
+    this.sessions = new Map(); // sessionId -> { speakers: Map<話者ラベル, { role, source }>, loadedAt }
+  }
+
+  /**
+   * 発話の話者の役割を決定
+   * @param {string} sessionId - 文字起こしセッションID
+   * @param {Object} utterance - { speaker: 話者ラベル, text: 文字起こし, isPartial }
+   * @returns {Promise<Object>} - { role, source }
+   */
+  async resolve(sessionId, { speaker, text, isPartial = false }) {
+    const speakers = sessionId ? await this.loadSpeakers(sessionId) : new Map();
+    const known = speaker ? speakers.get(speaker) : null;
+
+    if (known?.source === ROLE_SOURCES.OPERATOR) {
+      return known;
+    }
+
+    // 名乗りはセッション中の話者の役割として記憶（部分的な結果では記憶しない）
+    const identified = SpeakerRoleResolver.identifyStation(text);
+    if (identified) {
+      if (speaker && sessionId && !isPartial && identified !== known?.role) {
+        await this.saveRole(sessionId, speaker, identified, ROLE_SOURCES.HEURISTIC);
+      }
+      return { role: identified, source: ROLE_SOURCES.HEURISTIC };
+    }
+
+    if (known) {
+      return known;
+    }
+
+    const phraseRole = SpeakerRoleResolver.classifyPhrase(text);
+    if (phraseRole) {
+      return { role: phraseRole, source: ROLE_SOURCES.PHRASE };
+    }
+
+    return { role: SPEAKER_ROLES.UNKNOWN, source: ROLE_SOURCES.DEFAULT };
+  }
+
+  /**
+   * 管制官による話者の役割の指定
+   * @param {string} sessionId - 文字起こしセッションID
+   * @param {string} speaker - 話者ラベル
+   * @param {string} role - 役割
+   * @param {string} operatorId - 指定した管制官（接続時に認証したユーザーID）
+   * @returns {Promise<Object>} - { sessionId, speaker, role, source }
+   */
+  async setOverride(sessionId, speaker, role, operatorId) {
+    if (typeof sessionId !== 'string' || sessionId.length === 0 || typeof speaker !== 'string' || speaker.length === 0) {
+      throw this.createError(400, 'sessionId and speaker are required');
+    }
+    if (!Object.values(SPEAKER_ROLES).includes(role) || role === SPEAKER_ROLES.UNKNOWN) {
+      throw this.createError(400, `Invalid speaker role: ${role}`);
+    }
+
+    await this.saveRole(sessionId, speaker, role, ROLE_SOURCES.OPERATOR, operatorId);
+
+    this.logger.audit('SPEAKER_ROLE_OVERRIDDEN', { sessionId, speaker, role, operatorId });
+
+    return { sessionId, speaker, role, source: ROLE_SOURCES.OPERATOR };
+  }
+
+  /**
+   * セッションの話者の対応付けを取得（一定時間キャッシュ）
+   */
+  async loadSpeakers(sessionId) {
+    const cached = this.sessions.get(sessionId);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+      return cached.speakers;
+    }
+
+    const speakers = new Map();
+    try {
+      const items = await dynamodbClient.query(this.conversationsTable, {
+        KeyConditionExpression: 'ConversationID = :sessionId AND begins_with(ItemTimestamp, :prefix)',
+        ExpressionAttributeValues: {
+          ':sessionId': sessionId,
+          ':prefix': 'SPEAKER#'
+        }
+      });
+      items.forEach(item => speakers.set(item.SpeakerLabel, { role: item.SpeakerRole, source: item.RoleSource }));
+    } catch (error) {
+      // 取得できない場合も推定は継続（前回の対応付けを使う）
+      this.logger.warn('Failed to load speaker roles', { sessionId, error: error.message });
+      if (cached) {
+        return cached.speakers;
+      }
+    }
+
+    this.cacheSession(sessionId, { speakers, loadedAt: Date.now() });
+    return speakers;
+  }
+
+  /**
+   * 話者の役割を保存（推定による保存は管制官の指定を上書きしない）
+   */
+  async saveRole(sessionId, speaker, role, source, operatorId) {
+    const condition = source === ROLE_SOURCES.OPERATOR ? {} : {
+      ConditionExpression: 'attribute_not_exists(ConversationID) OR RoleSource <> :operator',
+      ExpressionAttributeValues: { ':operator': ROLE_SOURCES.OPERATOR }
+    };
+
+    try {
+      await dynamodbClient.putItem(this.conversationsTable, {
+        ConversationID: sessionId,
+        ItemTimestamp: `SPEAKER#${speaker}`,
+        ItemType: 'SPEAKER_ROLE',
+        SpeakerLabel: speaker,
+        SpeakerRole: role,
+        RoleSource: source,
+        UpdatedBy: operatorId,
+        UpdatedAt: new Date().toISOString()
+      }, condition);
+    } catch (error) {
+      if (dynamodbClient.isConditionalCheckFailed(error)) {
+        // 他インスタンスで管制官が指定済み（次回の読み込みで反映）
+        this.sessions.delete(sessionId);
+        return;
+      }
+      if (source === ROLE_SOURCES.OPERATOR) {
+        throw error;
+      }
+      this.logger.warn('Failed to save speaker role', { sessionId, speaker, error: error.message });
+    }
+
+    const session = this.sessions.get(sessionId) || { speakers: new Map(), loadedAt: Date.now() };
+    session.speakers.set(speaker, { role, source });
+    this.cacheSession(sessionId, session);
+  }
+
+  /**
+   * セッションの対応付けをキャッシュ（上限を超えた場合は最も古く使われたセッションを破棄）
+   */
+  cacheSession(sessionId, session) {
+    this.sessions.delete(sessionId);
+    this.sessions.set(sessionId, session);
+    if (this.sessions.size > MAX_CACHED_SESSIONS) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+  }
+
+  /**
+   * セッション終了時にキャッシュを破棄
+   * @param {string} sessionId - 文字起こしセッションID
+   */
+  clearSession(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * 名乗りから話者の役割を判定
+   * @param {string} text - 文字起こし
+   * @returns {string|null} - 役割（名乗りがない場合はnull）
+   */
+  static identifyStation(text) {
+    if (!text) {
+      return null;
+    }
+
+    for (const pattern of SELF_IDENTIFICATION_PATTERNS) {
+      const match = text.match(pattern);
+      if (match) {
+        const station = match[1];
+        const matched = STATION_PATTERNS.find(({ pattern: stationPattern }) => stationPattern.test(station));
+        return matched ? matched.role : SPEAKER_ROLES.VESSEL;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 呼びかけ・要請・指示の表現から話者の役割を推定
+   * @param {string} text - 文字起こし
+   * @returns {string|null}
+   */
+  static classifyPhrase(text) {
+    if (!text) {
+      return null;
+    }
+    const matched = PHRASE_PATTERNS.find(({ pattern }) => pattern.test(text));
+    return matched ? matched.role : null;
+  }
+
+  /**
+   * 発話の単語ごとの話者ラベルから主な話者を決定（発話時間の長い話者）
+   * @param {Array} items - TranscribeのAlternative.Items
+   * @returns {string|null} - 話者ラベル
+   */
+  static dominantSpeaker(items = []) {
+    const durations = new Map();
+    items.forEach(item => {
+      if (!item.Speaker) {
+        return;
+      }
+      const duration = Math.max((item.EndTime || 0) - (item.StartTime || 0), 0.01);
+      durations.set(item.Speaker, (durations.get(item.Speaker) || 0) + duration);
+    });
+
+    let dominant = null;
+    durations.forEach((duration, speaker) => {
+      if (!dominant || duration > durations.get(dominant)) {
+        dominant = speaker;
+      }
+    });
+    return dominant;
+  }
+
+  /**
+   * HTTPステータスコード付きのエラーを作成
+   */
+  createError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+SpeakerRoleResolver.SPEAKER_ROLES = SPEAKER_ROLES;
+SpeakerRoleResolver.ROLE_SOURCES = ROLE_SOURCES;
+SpeakerRoleResolver.MAX_CACHED_SESSIONS = MAX_CACHED_SESSIONS;
+
+module.exports = SpeakerRoleResolver;
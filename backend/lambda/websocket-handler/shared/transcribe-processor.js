@@ -1,83 +1,189 @@
 /**
  * Amazon Transcribe Streaming Processor
  * リアルタイム音声文字起こし処理を担当
+ * このインスタンスが保持するストリームのみを扱い、所有権はTranscribeSessionStoreのリースで管理する
+ * ストリームはセッションキー（接続ID、チャンネル指定時は <接続ID>#<チャンネル名>）ごとに保持し、
+ * コールバックには接続IDを渡して結果・統計・録音にチャンネル名を付与する
+ * 文字起こし結果は TranscriptNormalizer で補正してから通知する（補正前の文字列は rawText）
+ * 言語は ja-JP / en-US の指定、または auto（Transcribeの言語識別）で、結果には発話の言語コードを付与する
  */
 
 const { TranscribeStreamingClient, StartStreamTranscriptionCommand } = require('@aws-sdk/client-transcribe-streaming');
 const { PassThrough } = require('stream');
 const Logger = require('./logger');
+const TranscribeSessionStore = require('./transcribe-session-store');
+const AudioJitterBuffer = require('./audio-jitter-buffer');
+const SessionRecorder = require('./session-recorder');
+const SpeakerRoleResolver = require('./speaker-role-resolver');
+const VocabularyRegistry = require('./vocabulary-registry');
+const TranscriptNormalizer = require('./transcript-normalizer');
+
+// 対応する音声コーデックとTranscribeのMediaEncoding
+const MEDIA_ENCODINGS = {
+  pcm: 'pcm',
+  'ogg-opus': 'ogg-opus',
+  flac: 'flac'
+};
+
+// 文字起こしの言語（auto: ja-JP / en-US をTranscribeが発話ごとに識別）
+const LANGUAGES = ['ja-JP', 'en-US'];
+const AUTO_LANGUAGE = 'auto';
+
+// クライアントが指定する言語コードの別名
+const LANGUAGE_ALIASES = {
+  ja: 'ja-JP',
+  en: 'en-US'
+};
+
+// 音声統計をクライアントへ通知する間隔（受信チャンク数）
+const AUDIO_STATS_INTERVAL_CHUNKS = 20;
+
+// クライアントが指定するコーデック名の別名
+const CODEC_ALIASES = {
+  opus: 'ogg-opus',
+  ogg: 'ogg-opus',
+  'ogg/opus': 'ogg-opus',
+  'audio/ogg': 'ogg-opus'
+};
 
 class TranscribeProcessor {
-  constructor() {
+  /**
+   * @param {Object} options - オプション
+   * @param {TranscribeSessionStore} options.sessionStore - セッション所有権のストア
+   * @param {boolean} options.recordingEnabled - セッション音声をS3に録音する（既定: AUDIO_RECORDING_ENABLED）
+   * @param {Object} options.recorderOptions - SessionRecorderに渡すオプション（バケット・S3クライアント）
+   * @param {VocabularyRegistry} options.vocabularyRegistry - カスタム語彙の状態確認
+   * @param {TranscriptNormalizer|null} options.transcriptNormalizer - 文字起こしの補正（nullで無効、既定: TRANSCRIPT_NORMALIZATION=false で無効）
+   */
+  constructor(options = {}) {
     this.logger = new Logger({ component: 'TranscribeProcessor' });
     this.client = new TranscribeStreamingClient({
       region: process.env.AWS_REGION || 'ap-northeast-1'
     });
-    this.sessions = new Map(); // connectionIdごとのセッション管理
-    
-    // 1分ごとに非アクティブセッションをクリーンアップ（より積極的な管理）
-    setInterval(() => {
-      this.cleanupInactiveSessions();
-    }, 1 * 60 * 1000);
-    
-    this.logger.info('TranscribeProcessor initialized with periodic cleanup');
+    this.sessionStore = options.sessionStore || new TranscribeSessionStore();
+    this.sessions = new Map(); // このインスタンスが保持するセッションキーごとのストリーム
+    this.recordingEnabled = options.recordingEnabled ?? SessionRecorder.isEnabled();
+    this.recorderOptions = options.recorderOptions || {};
+    this.vocabularyRegistry = options.vocabularyRegistry || new VocabularyRegistry();
+    this.transcriptNormalizer = options.transcriptNormalizer !== undefined
+      ? options.transcriptNormalizer
+      : (process.env.TRANSCRIPT_NORMALIZATION === 'false' ? null : new TranscriptNormalizer());
   }
 
   /**
    * Transcribeセッションを開始
-   * @param {string} connectionId - WebSocket接続ID
-   * @param {string} languageCode - 言語コード
-   * @returns {Promise<void>}
+   * @param {string} connectionId - セッションキー（WebSocket接続ID、チャンネル指定時は <接続ID>#<チャンネル名>）
+   * @param {string} languageCode - 言語コード（ja-JP / en-US / auto）
+   * @param {Object} options - オプション
+   * @param {string} options.sessionId - 文字起こしセッションID
+   * @param {number} options.sampleRate - サンプリングレート
+   * @param {string} options.codec - 音声コーデック（pcm / ogg-opus / flac）
+   * @param {Object} options.previous - 引き継ぐ期限切れのリース（指定しない場合は既存セッションを置き換える）
+   * @returns {Promise<Object>} - 取得したリース（使用したカスタム語彙を vocabularyName / vocabularyState に含む）
    */
-  async startSession(connectionId, languageCode = 'ja-JP') {
+  async startSession(connectionId, languageCode = 'ja-JP', options = {}) {
     try {
-      // セッション数制限チェック（安全のために20に制限）
-      if (this.sessions.size >= 20) {
-        this.logger.error('Too many active sessions, rejecting new session', { 
-          connectionId, 
-          activeSessionCount: this.sessions.size 
-        });
-        throw new Error('サーバーが混雑しています。しばらくしてから再試行してください。');
-      }
-
-      // 既存セッションがある場合は即座に停止
+      // このインスタンスに既存セッションがある場合は即座に停止（リースは引き続き保持）
       if (this.sessions.has(connectionId)) {
         this.logger.warn('Session already exists, stopping existing session immediately', { connectionId });
-        await this.stopSession(connectionId);
+        await this.stopSession(connectionId, { releaseLease: false });
         
         // 少し待機してリソースを解放
         await new Promise(resolve => setTimeout(resolve, 100));
       }
 
+      const sampleRate = options.sampleRate || 16000;
+      const codec = options.codec || 'pcm';
+      const mediaEncoding = MEDIA_ENCODINGS[codec];
+
+      if (!mediaEncoding) {
+        throw this.createError(400, `Unsupported audio codec: ${codec}`);
+      }
+
+      const identifyLanguage = languageCode === AUTO_LANGUAGE;
+      if (!identifyLanguage && !LANGUAGES.includes(languageCode)) {
+        throw this.createError(400, `Unsupported language: ${languageCode}`);
+      }
+
+      // READYのカスタム語彙がなければ語彙なしで開始する
+      const vocabulary = await this.resolveVocabulary(languageCode);
+
+      // セッションの所有権を取得（引き継ぎの場合は期限切れのリースのみ取得可能）
+      const lease = await this.sessionStore.acquire(connectionId, {
+        sessionId: options.sessionId,
+        languageCode,
+        sampleRate,
+        codec,
+        vocabularyName: vocabulary.vocabularyName,
+        vocabularyState: vocabulary.state,
+        // 引き継ぎ後も同じTRANSCRIPTION_SESSIONに紐付けるため開始日時を引き継ぐ
+        startedAt: options.previous?.startedAt
+      }, {
+        force: !options.previous,
+        previous: options.previous
+      });
+
+      if (!lease) {
+        throw this.createError(409, 'Transcription session is held by another instance');
+      }
+
       // 音声ストリーム作成
       const audioStream = new PassThrough();
       
       // Transcribe設定（正しいフォーマットに修正）
       const params = {
-        LanguageCode: languageCode,
-        MediaSampleRateHertz: 16000,
-        MediaEncoding: 'pcm', // 正しいPCM形式
-        AudioStream: this.createAudioStreamGenerator(audioStream)
+        MediaSampleRateHertz: sampleRate,
+        MediaEncoding: mediaEncoding,
+        AudioStream: this.createAudioStreamGenerator(audioStream),
+        // 話者ラベル（VTS・船舶・パイロット等の役割の推定に使用）
+        ShowSpeakerLabel: process.env.TRANSCRIBE_SPEAKER_LABELS !== 'false'
       };
 
-      // カスタム語彙がある場合は追加（現在は無効化）
-      // TODO: カスタムボキャブラリーを作成後に有効化
-      // if (process.env.TRANSCRIBE_VOCABULARY_NAME) {
-      //   params.VocabularyName = process.env.TRANSCRIBE_VOCABULARY_NAME;
-      //   this.logger.info('Using custom vocabulary', { 
-      //     vocabularyName: params.VocabularyName 
-      //   });
-      // }
+      if (identifyLanguage) {
+        // 言語識別（外国船の英語と日本語の交信が混在するチャンネル）
+        params.IdentifyLanguage = true;
+        params.LanguageOptions = LANGUAGES.join(',');
+        params.PreferredLanguage = process.env.TRANSCRIBE_PREFERRED_LANGUAGE || 'ja-JP';
+      } else {
+        params.LanguageCode = languageCode;
+      }
+
+      // カスタム語彙（港名・海事用語）: 言語識別では言語ごとの語彙を列挙する
+      if (vocabulary.vocabularyName) {
+        params[identifyLanguage ? 'VocabularyNames' : 'VocabularyName'] = vocabulary.vocabularyName;
+      }
 
       const command = new StartStreamTranscriptionCommand(params);
 
+      const { connectionId: clientConnectionId, channel } = TranscribeSessionStore.parseSessionKey(connectionId);
+
       const transcribeSession = {
+        connectionId: clientConnectionId,
+        channel,
         audioStream,
         command,
+        sessionId: lease.sessionId,
+        sampleRate,
+        codec,
+        languageCode,
+        vocabularyName: vocabulary.vocabularyName,
+        startedAt: lease.startedAt,
+        jitterBuffer: new AudioJitterBuffer({ sampleRate, codec }),
+        reportedStats: null,
+        recorder: this.recordingEnabled ? new SessionRecorder({
+          ...this.recorderOptions,
+          sessionId: lease.sessionId,
+          connectionId: clientConnectionId,
+          channel,
+          codec,
+          sampleRate,
+          sessionStartedAt: lease.startedAt
+        }) : null,
         isActive: true,
         startTime: Date.now(),
         chunksProcessed: 0,
         lastActivity: Date.now(),
+        leaseExpiresAt: lease.leaseExpiresAt,
         retryCount: 0  // リトライ回数を追加
       };
 
@@ -85,9 +191,14 @@ class TranscribeProcessor {
       
       this.logger.info('Transcribe session started', { 
         connectionId, 
+        channel,
         languageCode,
-        activeSessionCount: this.sessions.size
-        // vocabularyName: params.VocabularyName  // TODO: ボキャブラリー作成後に有効化
+        codec,
+        instanceId: this.sessionStore.instanceId,
+        takeover: Boolean(options.previous),
+        activeSessionCount: this.sessions.size,
+        vocabularyName: vocabulary.vocabularyName,
+        vocabularyState: vocabulary.state
       });
 
       // Transcribe結果の処理を非同期で開始（すぐに開始）
@@ -106,6 +217,8 @@ class TranscribeProcessor {
         languageCode
       });
 
+      return lease;
+
     } catch (error) {
       this.logger.error('Failed to start Transcribe session', error);
       throw error;
@@ -173,20 +286,36 @@ class TranscribeProcessor {
                   confidence = confidenceSum / alternative.Items.length;
                 }
 
+                // 数字・地名・呼出符号等を補正（補正前の文字列も保持）
+                const rawText = alternative.Transcript || '';
+                const normalized = this.transcriptNormalizer
+                  ? this.transcriptNormalizer.normalize(rawText)
+                  : { text: rawText, corrections: [] };
+
                 // 結果オブジェクト作成
                 const transcriptionResult = {
-                  text: alternative.Transcript || '',
+                  text: normalized.text,
+                  rawText,
+                  corrections: normalized.corrections,
                   isPartial: result.IsPartial === true,
                   confidence: confidence,
                   timestamp: new Date().toISOString(),
                   resultId: result.ResultId,
+                  // 録音の先頭からの秒数（ストリームに書き込んだ音声と録音は同じ内容）
                   startTime: result.StartTime,
-                  endTime: result.EndTime
+                  endTime: result.EndTime,
+                  sessionId: session.sessionId,
+                  channel: session.channel,
+                  // 発話の言語（言語識別ではTranscribeが識別した言語）
+                  languageCode: result.LanguageCode || (session.languageCode === AUTO_LANGUAGE ? null : session.languageCode),
+                  recordingId: session.recorder?.recordingStartedAt.toISOString(),
+                  // 発話時間の長い話者（話者ラベルが無効な場合はnull）
+                  speaker: SpeakerRoleResolver.dominantSpeaker(alternative.Items)
                 };
 
                 // 結果をコールバックで通知
                 if (this.onTranscriptionResult) {
-                  await this.onTranscriptionResult(connectionId, transcriptionResult);
+                  await this.onTranscriptionResult(session.connectionId, transcriptionResult);
                 }
 
                 this.logger.debug('Transcription result', {
@@ -236,18 +365,14 @@ class TranscribeProcessor {
       
       // 特定のエラータイプによる処理の分岐
       if (errorMessage.includes('concurrent streams') || errorMessage.includes('limit of concurrent streams')) {
-        // 同時接続制限エラー: 即座にクリーンアップして待機
+        // 同時接続制限エラー: このセッションのみ停止（他の利用者のストリームには影響させない）
         this.logger.error('Concurrent stream limit exceeded', { 
           connectionId, 
           activeSessionCount: this.sessions.size 
         });
         
-        // 即座にセッションクリーンアップ
         await this.stopSession(connectionId);
         
-        // 他のセッションも強制的にクリーンアップ（古いセッションから）
-        await this.cleanupOldestSessions(Math.min(5, this.sessions.size));
-        
         throw new Error('サーバーが混雑しています。しばらく待ってから再試行してください。');
         
       } else if (errorMessage.includes('HTTP/2 stream') || errorMessage.includes('abnormally aborted')) {
@@ -257,6 +382,15 @@ class TranscribeProcessor {
         await this.stopSession(connectionId);
         throw new Error('ネットワーク接続エラーが発生しました。再接続してください。');
         
+      } else if (VocabularyRegistry.isVocabularyError(errorMessage) && this.sessions.get(connectionId)?.vocabularyName) {
+        // 語彙が削除・更新中等で拒否された: 次回の開始からは語彙なしで開始する
+        for (const vocabularyName of this.sessions.get(connectionId).vocabularyName.split(',')) {
+          this.vocabularyRegistry.markUnavailable(vocabularyName, errorMessage);
+        }
+
+        await this.stopSession(connectionId);
+        throw new Error('カスタム語彙を利用できませんでした。文字起こしを再開すると語彙なしで開始します。');
+
       } else if (errorMessage.includes('timed out because no new audio')) {
         // 15秒タイムアウト: 音声データが来ていない
         this.logger.warn('Audio timeout - no audio received for 15 seconds', { connectionId });
@@ -274,11 +408,15 @@ class TranscribeProcessor {
 
   /**
    * 音声チャンクを処理
+   * シーケンス番号がある場合はジッターバッファで並べ替えてからストリームに書き込む
    * @param {string} connectionId - WebSocket接続ID
-   * @param {string} base64Audio - Base64エンコードされた音声データ
+   * @param {string|Buffer} audio - Base64エンコードされた音声データ、またはバイナリフレームの音声データ
+   * @param {Object} options - オプション
+   * @param {number} options.sequenceNumber - シーケンス番号
+   * @param {boolean} options.isLastChunk - 最終チャンク（保持中のチャンクを全て書き込む）
    * @returns {Promise<void>}
    */
-  async processAudioChunk(connectionId, base64Audio) {
+  async processAudioChunk(connectionId, audio, options = {}) {
     const session = this.sessions.get(connectionId);
     
     if (!session || !session.isActive) {
@@ -287,8 +425,8 @@ class TranscribeProcessor {
     }
 
     try {
-      // Base64をバイナリに変換
-      const audioBuffer = Buffer.from(base64Audio, 'base64');
+      // Base64をバイナリに変換（バイナリフレームの場合はそのまま）
+      const audioBuffer = Buffer.isBuffer(audio) ? audio : Buffer.from(audio, 'base64');
       
       // 音声フォーマットの厳密な検証
       if (audioBuffer.length === 0) {
@@ -297,7 +435,8 @@ class TranscribeProcessor {
       }
 
       // PCM 16-bit形式の検証（2の倍数であることを確認）
-      if (audioBuffer.length % 2 !== 0) {
+      // 圧縮コーデック（OGG/Opus, FLAC）はコンテナのページ単位で届くため検証しない
+      if (session.codec === 'pcm' && audioBuffer.length % 2 !== 0) {
         this.logger.warn('Invalid PCM data: buffer length not multiple of 2', {
           connectionId,
           bufferLength: audioBuffer.length
@@ -314,21 +453,37 @@ class TranscribeProcessor {
         return;
       }
 
+      // リース期限が近づいていれば延長（所有権を失っていた場合はストリームを閉じる）
+      await this.renewLeaseIfNeeded(connectionId, session);
+
+      // シーケンス順に並べ替え（欠落の補完を含む）
+      const chunks = session.jitterBuffer.push(audioBuffer, options.sequenceNumber);
+      if (options.isLastChunk) {
+        chunks.push(...session.jitterBuffer.flush());
+      }
+
       // ストリームに書き込み
       if (!session.audioStream.destroyed) {
-        session.audioStream.write(audioBuffer);
+        const bytesWritten = this.writeChunks(session, chunks);
+        await this.recordChunks(connectionId, session, chunks);
         session.chunksProcessed++;
         session.lastActivity = Date.now();
 
         this.logger.debug('Audio chunk processed', {
           connectionId,
           bufferSize: audioBuffer.length,
+          sequenceNumber: options.sequenceNumber,
+          chunksWritten: chunks.length,
           chunksProcessed: session.chunksProcessed
         });
 
         // メトリクス記録
         this.logger.metric('AudioChunksProcessed', 1, 'Count');
-        this.logger.metric('AudioBytesProcessed', audioBuffer.length, 'Bytes');
+        this.logger.metric('AudioBytesProcessed', bytesWritten, 'Bytes');
+
+        if (session.chunksProcessed % AUDIO_STATS_INTERVAL_CHUNKS === 0) {
+          await this.reportAudioStats(connectionId, session);
+        }
       } else {
         this.logger.warn('Audio stream destroyed, cannot write chunk', { connectionId });
       }
@@ -343,17 +498,173 @@ class TranscribeProcessor {
     }
   }
 
+  /**
+   * 並べ替え済みのチャンクをストリームに書き込み
+   * @returns {number} - 書き込んだバイト数
+   */
+  writeChunks(session, chunks) {
+    let bytesWritten = 0;
+    for (const chunk of chunks) {
+      session.audioStream.write(chunk);
+      bytesWritten += chunk.length;
+    }
+    return bytesWritten;
+  }
+
+  /**
+   * ストリームに書き込んだチャンクを録音に追加
+   * 録音に失敗しても文字起こしは継続する（以降このセッションは録音しない）
+   */
+  async recordChunks(connectionId, session, chunks) {
+    if (!session.recorder) {
+      return;
+    }
+
+    try {
+      for (const chunk of chunks) {
+        await session.recorder.append(chunk);
+      }
+    } catch (error) {
+      this.logger.error('Failed to record audio, recording disabled for session', {
+        connectionId,
+        sessionId: session.sessionId,
+        error: error.message
+      });
+      this.logger.metric('AudioRecordingErrors', 1, 'Count');
+      await session.recorder.abort();
+      session.recorder = null;
+    }
+  }
+
+  /**
+   * 録音を完了し、保存した録音のマニフェストを通知
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} session - セッション
+   * @returns {Promise<void>}
+   */
+  async finalizeRecording(connectionId, session) {
+    if (!session.recorder) {
+      return;
+    }
+
+    try {
+      const manifest = await session.recorder.finalize({ audioStats: session.reportedStats });
+      if (manifest && this.onRecordingStored) {
+        await this.onRecordingStored(session.connectionId, manifest);
+      }
+    } catch (error) {
+      this.logger.error('Failed to finalize session recording', {
+        connectionId,
+        sessionId: session.sessionId,
+        error: error.message
+      });
+      this.logger.metric('AudioRecordingErrors', 1, 'Count');
+    }
+  }
+
+  /**
+   * 音声の欠落・並べ替えの統計をメトリクスとして記録し、クライアントへ通知
+   * メトリクスは前回の通知からの増分を記録する
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} session - セッション
+   * @param {boolean} final - セッション終了時の通知
+   */
+  async reportAudioStats(connectionId, session, final = false) {
+    const stats = session.jitterBuffer.getStats();
+    const previous = session.reportedStats || {};
+    const dimensions = { sessionId: session.sessionId };
+
+    this.logger.metric('AudioChunksLost', stats.lost - (previous.lost || 0), 'Count', dimensions);
+    this.logger.metric('AudioChunksReordered', stats.reordered - (previous.reordered || 0), 'Count', dimensions);
+    this.logger.metric('AudioChunksLate', stats.late - (previous.late || 0), 'Count', dimensions);
+    this.logger.metric('AudioConcealedDuration', stats.concealedMs - (previous.concealedMs || 0), 'Milliseconds', dimensions);
+    session.reportedStats = stats;
+
+    if (!this.onAudioStats) {
+      return;
+    }
+
+    try {
+      await this.onAudioStats(session.connectionId, { sessionId: session.sessionId, channel: session.channel, ...stats, final });
+    } catch (error) {
+      this.logger.warn('Failed to report audio stats', { connectionId, error: error.message });
+    }
+  }
+
+  /**
+   * リース期間の半分を過ぎていればリースを延長
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} session - このインスタンスのセッション
+   * @returns {Promise<void>}
+   */
+  async renewLeaseIfNeeded(connectionId, session) {
+    if (Date.now() < session.leaseExpiresAt - this.sessionStore.leaseMs / 2) {
+      return;
+    }
+
+    // 同時に届いた音声チャンクで重複して更新しない
+    if (!session.renewal) {
+      session.renewal = this.sessionStore.renew(connectionId).finally(() => {
+        session.renewal = null;
+      });
+    }
+
+    const leaseExpiresAt = await session.renewal;
+    if (leaseExpiresAt) {
+      session.leaseExpiresAt = leaseExpiresAt;
+      return;
+    }
+
+    // 停止された、または別インスタンスに引き継がれた
+    await this.stopSession(connectionId, { releaseLease: false });
+    throw this.createError(409, 'Transcription session was stopped or taken over by another instance');
+  }
+
+  /**
+   * このインスタンスで稼働中のセッションがあるかどうか
+   * @param {string} connectionId - WebSocket接続ID
+   * @returns {boolean}
+   */
+  hasSession(connectionId) {
+    return Boolean(this.sessions.get(connectionId)?.isActive);
+  }
+
+  /**
+   * このインスタンスで稼働中のセッション情報を取得
+   * @param {string} connectionId - WebSocket接続ID
+   * @returns {Object|null} - { sessionId, sampleRate, codec }
+   */
+  getSession(connectionId) {
+    const session = this.sessions.get(connectionId);
+    if (!session?.isActive) {
+      return null;
+    }
+    return { sessionId: session.sessionId, sampleRate: session.sampleRate, codec: session.codec };
+  }
+
   /**
    * セッションを停止
    * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} options - オプション
+   * @param {boolean} options.releaseLease - リースを解放する（既定: true）
    * @returns {Promise<void>}
    */
-  async stopSession(connectionId) {
+  async stopSession(connectionId, options = {}) {
     const session = this.sessions.get(connectionId);
+    const releaseLease = options.releaseLease !== false;
     
     if (session) {
       try {
         session.isActive = false;
+
+        // 保持中のチャンクを書き込んでから最終の統計を通知
+        if (session.audioStream && !session.audioStream.destroyed) {
+          const chunks = session.jitterBuffer.flush();
+          this.writeChunks(session, chunks);
+          await this.recordChunks(connectionId, session, chunks);
+        }
+        await this.reportAudioStats(connectionId, session, true);
+        await this.finalizeRecording(connectionId, session);
         
         // ストリームを確実にクローズ
         if (session.audioStream) {
@@ -381,6 +692,11 @@ class TranscribeProcessor {
         if (global.gc) {
           global.gc();
         }
+
+        // 所有しているリースを解放（別インスタンスが引き継いでいる場合は何もしない）
+        if (releaseLease) {
+          await this.sessionStore.release(connectionId, { ownedOnly: true });
+        }
         
       } catch (error) {
         this.logger.error('Error cleaning up session', { connectionId, error });
@@ -417,100 +733,103 @@ class TranscribeProcessor {
   }
 
   /**
-   * 非アクティブセッションの定期クリーンアップ
-   * @returns {void}
+   * 全セッションを停止し、リースを解放（シャットダウン時に他インスタンスへ即座に引き継ぐため）
+   * @returns {Promise<void>}
    */
-  cleanupInactiveSessions() {
-    const now = Date.now();
-    const timeout = 3 * 60 * 1000; // 3分（より積極的なクリーンアップ）
-    let cleanedCount = 0;
-    
-    this.sessions.forEach((session, connectionId) => {
-      // 非アクティブまたは長時間活動がないセッションをクリーンアップ
-      const isInactive = !session.isActive;
-      const isStale = (now - session.lastActivity) > timeout;
-      const isOld = (now - session.startTime) > (15 * 60 * 1000); // 15分以上経過
-      
-      if (isInactive && isStale || isOld) {
-        this.stopSession(connectionId);
-        cleanedCount++;
-        
-        this.logger.debug('Session cleaned up', {
-          connectionId,
-          reason: isOld ? 'too_old' : 'inactive_and_stale',
-          age: now - session.startTime,
-          lastActivityAge: now - session.lastActivity
-        });
-      }
+  async stopAllSessions() {
+    this.logger.info('Stopping all Transcribe sessions', {
+      count: this.sessions.size
     });
-    
-    if (cleanedCount > 0) {
-      this.logger.info('Cleanup completed', { 
-        cleanedSessions: cleanedCount,
-        activeSessions: this.sessions.size
-      });
-      
-      this.logger.metric('TranscribeSessionsCleanedUp', cleanedCount, 'Count');
-    }
+
+    await Promise.all([...this.sessions.keys()].map(connectionId => this.stopSession(connectionId)));
   }
 
   /**
-   * 古いセッションから指定された数だけクリーンアップ
-   * @param {number} count - クリーンアップするセッション数
-   * @returns {Promise<void>}
+   * HTTPステータスコード付きのエラーを作成
    */
-  async cleanupOldestSessions(count = 5) {
-    if (this.sessions.size === 0) return;
-    
-    // セッションを開始時刻順にソート（古い順）
-    const sessionEntries = Array.from(this.sessions.entries())
-      .sort((a, b) => a[1].startTime - b[1].startTime);
-    
-    const sessionsToCleanup = sessionEntries.slice(0, count);
-    
-    this.logger.info('Cleaning up oldest sessions due to concurrent limit', {
-      totalSessions: this.sessions.size,
-      cleanupCount: sessionsToCleanup.length
-    });
-    
-    for (const [connectionId, session] of sessionsToCleanup) {
-      try {
-        await this.stopSession(connectionId);
-        this.logger.info('Cleaned up old session', {
-          connectionId,
-          sessionAge: Date.now() - session.startTime,
-          chunksProcessed: session.chunksProcessed
-        });
-      } catch (error) {
-        this.logger.error('Error cleaning up old session', {
-          connectionId,
-          error: error.message
-        });
-      }
+  createError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * セッションで使用するカスタム語彙を決定
+   * 言語識別では言語ごとにREADYの語彙を確認し、使用できるものをカンマ区切りで返す
+   * @param {string} languageCode - 言語コード（ja-JP / en-US / auto）
+   * @returns {Promise<Object>} - { vocabularyName: 語彙名（複数はカンマ区切り）|null, state }
+   */
+  async resolveVocabulary(languageCode) {
+    if (languageCode !== AUTO_LANGUAGE) {
+      return this.vocabularyRegistry.resolve(languageCode);
     }
-    
-    // クリーンアップ後の状態をログ
-    this.logger.info('Cleanup completed', {
-      remainingSessions: this.sessions.size
-    });
+
+    const resolved = await Promise.all(LANGUAGES.map(language => this.vocabularyRegistry.resolve(language)));
+    const names = resolved.map(vocabulary => vocabulary.vocabularyName).filter(Boolean);
+    // 語彙を使用できなかった言語があればその状態を記録する
+    const unavailable = resolved.find(vocabulary =>
+      vocabulary.state !== VocabularyRegistry.VOCABULARY_STATES.READY
+      && vocabulary.state !== VocabularyRegistry.VOCABULARY_STATES.DISABLED
+    );
+
+    return {
+      vocabularyName: names.length > 0 ? names.join(',') : null,
+      state: unavailable?.state || (names.length > 0
+        ? VocabularyRegistry.VOCABULARY_STATES.READY
+        : VocabularyRegistry.VOCABULARY_STATES.DISABLED)
+    };
   }
 
   /**
-   * 全セッションを停止
-   * @returns {void}
+   * クライアントが指定した言語コードを正規化
+   * @param {string} requested - 言語コード（ja / en の別名、auto を含む）
+   * @returns {string|null} - ja-JP / en-US / auto（未指定は ja-JP、対応しない場合はnull）
    */
-  stopAllSessions() {
-    this.logger.info('Stopping all Transcribe sessions', {
-      count: this.sessions.size
-    });
+  static normalizeLanguage(requested) {
+    if (requested === undefined || requested === null || requested === '') {
+      return 'ja-JP';
+    }
+    if (typeof requested !== 'string') {
+      return null;
+    }
 
-    for (const connectionId of this.sessions.keys()) {
-      this.stopSession(connectionId);
+    const language = LANGUAGE_ALIASES[requested.toLowerCase()] || requested;
+    if (language.toLowerCase() === AUTO_LANGUAGE) {
+      return AUTO_LANGUAGE;
+    }
+    return LANGUAGES.find(code => code.toLowerCase() === language.toLowerCase()) || null;
+  }
+
+  /**
+   * クライアントが提示したコーデック（優先順）から使用するコーデックを決定
+   * @param {string|string[]} requested - コーデック名、または優先順のコーデック名の配列
+   * @returns {string|null} - 使用するコーデック（未指定はpcm、対応するものがなければnull）
+   */
+  static negotiateCodec(requested) {
+    const candidates = (Array.isArray(requested) ? requested : [requested])
+      .filter(codec => typeof codec === 'string' && codec.length > 0)
+      .map(codec => codec.toLowerCase())
+      .map(codec => CODEC_ALIASES[codec] || codec);
+
+    if (candidates.length === 0) {
+      return 'pcm';
     }
+
+    return candidates.find(codec => MEDIA_ENCODINGS[codec]) || null;
   }
 
   // 結果処理用のコールバック（message-routerから設定）
   onTranscriptionResult = null;
+
+  // 音声統計の通知用のコールバック（message-routerから設定）
+  onAudioStats = null;
+
+  // 録音保存時のコールバック（message-routerから設定）
+  onRecordingStored = null;
 }
 
+TranscribeProcessor.MEDIA_ENCODINGS = MEDIA_ENCODINGS;
+TranscribeProcessor.LANGUAGES = LANGUAGES;
+TranscribeProcessor.AUTO_LANGUAGE = AUTO_LANGUAGE;
+
 module.exports = TranscribeProcessor;
\ No newline at end of file
@@ -0,0 +1,267 @@
+/**
+ * Transcribe Session Service
+ * 文字起こしセッションの開始・音声転送・停止を、ストリームを保持するインスタンスに振り分ける
+ * - TRANSCRIBE_WORKER_URL 未設定: このLambda実行環境でストリームを保持
+ * - TRANSCRIBE_WORKER_URL 設定時: 常駐ワーカー（backend/transcribe-worker）でストリームを保持
+ * - リース期限切れ（所有インスタンスの停止）の場合は音声を受けたインスタンスが引き継ぐ
+ */
+
+const Logger = require('./logger');
+const TranscribeSessionStore = require('./transcribe-session-store');
+
+// ワーカー呼び出しのタイムアウト（ミリ秒）
+const WORKER_TIMEOUT_MS = 5000;
+
+class TranscribeSessionService {
+  /**
+   * @param {Object} options - オプション
+   * @param {TranscribeProcessor} options.processor - このインスタンスのTranscribeProcessor
+   * @param {TranscribeSessionStore} options.sessionStore - セッション所有権のストア（省略時はprocessorのストア）
+   * @param {string} options.workerUrl - 常駐ワーカーのURL
+   * @param {string} options.workerToken - ワーカー呼び出し用の共有トークン
+   */
+  constructor(options = {}) {
+    this.logger = new Logger({ component: 'TranscribeSessionService' });
+    this.processor = options.processor;
+    this.sessionStore = options.sessionStore || this.processor.sessionStore || new TranscribeSessionStore();
+    this.workerUrl = options.workerUrl ?? process.env.TRANSCRIBE_WORKER_URL ?? '';
+    this.workerToken = options.workerToken ?? process.env.TRANSCRIBE_WORKER_TOKEN ?? '';
+  }
+
+  /**
+   * 文字起こしセッションを開始（同じ接続の既存セッションは置き換える）
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} params - { sessionId, languageCode, sampleRate, codec, mmsi }
+   * @returns {Promise<Object>} - 取得したリース
+   */
+  async start(connectionId, params) {
+    if (this.workerUrl) {
+      const { lease } = await this.callWorker(this.workerUrl, connectionId, 'start', params);
+      return lease;
+    }
+
+    return this.processor.startSession(connectionId, params.languageCode, {
+      sessionId: params.sessionId,
+      sampleRate: params.sampleRate,
+      codec: params.codec
+    });
+  }
+
+  /**
+   * 音声チャンクをストリームを保持するインスタンスへ送る
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {string|Buffer} audio - Base64エンコードされた音声データ、またはバイナリフレームの音声データ
+   * @param {Object} frame - 送信元が指定したフレーム情報 { sessionId, sampleRate, codec, sequenceNumber, isLastChunk }（省略可）
+   * @returns {Promise<Object>} - { route: 'local'|'forwarded'|'takeover'|'dropped', lease }
+   */
+  async sendAudio(connectionId, audio, frame = {}) {
+    const localSession = this.processor.getSession(connectionId);
+    if (localSession) {
+      this.assertFrameMatchesSession(frame, localSession);
+      await this.processor.processAudioChunk(connectionId, audio, this.createChunkOptions(frame));
+      return { route: 'local' };
+    }
+
+    const lease = await this.sessionStore.get(connectionId);
+
+    // 明示的に開始されていないセッションは自動開始しない
+    if (!this.sessionStore.isActive(lease)) {
+      throw this.createError(409, 'No active transcription session. Start transcription first.');
+    }
+
+    this.assertFrameMatchesSession(frame, lease);
+
+    // 所有インスタンスが停止している（または自インスタンスのストリームが失われた）場合は引き継ぐ
+    if (this.sessionStore.isExpired(lease) || this.sessionStore.isOwnedByThisInstance(lease)) {
+      if (this.workerUrl) {
+        // ワーカー側で引き継ぎを行う
+        await this.callWorker(this.workerUrl, connectionId, 'audio', this.createAudioRequest(audio, frame));
+        return { route: 'forwarded', lease };
+      }
+
+      return this.takeover(connectionId, lease, audio, frame);
+    }
+
+    // 稼働中の常駐ワーカーが保持している場合は転送
+    if (lease.ownerEndpoint) {
+      await this.callWorker(lease.ownerEndpoint, connectionId, 'audio', this.createAudioRequest(audio, frame));
+      return { route: 'forwarded', lease };
+    }
+
+    // 別のLambda実行環境が保持している（転送先がない）
+    this.logger.warn('Audio chunk received by non-owner instance', {
+      connectionId,
+      ownerId: lease.ownerId,
+      instanceId: this.sessionStore.instanceId
+    });
+    this.logger.metric('TranscribeAudioMisrouted', 1, 'Count');
+
+    return { route: 'dropped', lease };
+  }
+
+  /**
+   * 音声フレームのヘッダーが稼働中のセッションと一致するか検証
+   * 停止・再開前のフレームが新しいセッションに混入するのを防ぐ
+   * @param {Object} frame - { sessionId, sampleRate, codec }
+   * @param {Object} session - セッションまたはリース
+   */
+  assertFrameMatchesSession(frame, session) {
+    if (frame.codec && frame.codec !== (session.codec || 'pcm')) {
+      throw this.createError(400, `Audio codec ${frame.codec} does not match the transcription session (${session.codec || 'pcm'})`);
+    }
+
+    if (frame.sessionId && session.sessionId && frame.sessionId !== session.sessionId) {
+      throw this.createError(409, 'Audio frame belongs to a different transcription session');
+    }
+
+    if (frame.sampleRate && session.sampleRate && Number(frame.sampleRate) !== Number(session.sampleRate)) {
+      throw this.createError(400, `Audio sample rate ${frame.sampleRate} does not match the transcription session (${session.sampleRate})`);
+    }
+  }
+
+  /**
+   * ワーカーへの音声転送リクエスト（HTTPはJSONのためBase64で送る）
+   */
+  createAudioRequest(audio, frame) {
+    return {
+      audio: Buffer.isBuffer(audio) ? audio.toString('base64') : audio,
+      sessionId: frame.sessionId,
+      sampleRate: frame.sampleRate,
+      codec: frame.codec,
+      sequenceNumber: frame.sequenceNumber,
+      isLastChunk: frame.isLastChunk
+    };
+  }
+
+  /**
+   * ジッターバッファ用のチャンク情報
+   */
+  createChunkOptions(frame) {
+    return {
+      sequenceNumber: frame.sequenceNumber,
+      isLastChunk: frame.isLastChunk
+    };
+  }
+
+  /**
+   * 期限切れのセッションをこのインスタンスで引き継ぎ、音声チャンクを送る
+   */
+  async takeover(connectionId, lease, audio, frame = {}) {
+    // 圧縮コーデックはストリーム先頭のヘッダー（OpusHead, STREAMINFO）がないと途中から再開できない
+    if ((lease.codec || 'pcm') !== 'pcm') {
+      await this.sessionStore.release(connectionId);
+      this.logger.warn('Cannot resume compressed audio stream on another instance', {
+        connectionId,
+        sessionId: lease.sessionId,
+        codec: lease.codec
+      });
+      throw this.createError(409, 'Transcription session was interrupted. Start transcription again.');
+    }
+
+    this.logger.info('Taking over Transcribe session', {
+      connectionId,
+      sessionId: lease.sessionId,
+      previousOwner: lease.ownerId
+    });
+
+    const newLease = await this.processor.startSession(connectionId, lease.languageCode, {
+      sessionId: lease.sessionId,
+      sampleRate: lease.sampleRate,
+      codec: lease.codec,
+      previous: lease
+    });
+
+    this.logger.metric('TranscribeSessionTakeovers', 1, 'Count');
+
+    await this.processor.processAudioChunk(connectionId, audio, this.createChunkOptions(frame));
+    return { route: 'takeover', lease: newLease };
+  }
+
+  /**
+   * 稼働中のセッションのリース（セッションID・開始日時）
+   * @param {string} connectionId - WebSocket接続ID（チャンネル指定時はセッションキー）
+   * @returns {Promise<Object|null>} - 未開始・停止済みの場合はnull
+   */
+  async getActiveLease(connectionId) {
+    const lease = await this.sessionStore.get(connectionId);
+    return this.sessionStore.isActive(lease) ? lease : null;
+  }
+
+  /**
+   * 文字起こしセッションを停止
+   * @param {string} connectionId - WebSocket接続ID
+   * @returns {Promise<void>}
+   */
+  async stop(connectionId) {
+    if (this.processor.hasSession(connectionId)) {
+      await this.processor.stopSession(connectionId);
+      return;
+    }
+
+    const lease = await this.sessionStore.get(connectionId);
+    if (!this.sessionStore.isActive(lease)) {
+      return;
+    }
+
+    if (lease.ownerEndpoint && !this.sessionStore.isExpired(lease)) {
+      try {
+        await this.callWorker(lease.ownerEndpoint, connectionId, 'stop', {});
+        return;
+      } catch (error) {
+        this.logger.warn('Failed to stop session on worker, releasing lease', {
+          connectionId,
+          error: error.message
+        });
+      }
+    }
+
+    // 所有インスタンスはリース更新時に停止を検知してストリームを閉じる
+    await this.sessionStore.release(connectionId);
+  }
+
+  /**
+   * 常駐ワーカーのセッションAPIを呼び出し
+   * @param {string} baseUrl - ワーカーのURL
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {string} operation - start | audio | stop
+   * @param {Object} body - リクエストボディ
+   * @returns {Promise<Object>} - レスポンスボディ
+   */
+  async callWorker(baseUrl, connectionId, operation, body) {
+    const url = `${baseUrl.replace(/\/$/, '')}/sessions/${encodeURIComponent(connectionId)}/${operation}`;
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Worker-Token': this.workerToken
+        },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(WORKER_TIMEOUT_MS)
+      });
+    } catch (error) {
+      this.logger.error('Transcribe worker unreachable', { url, error: error.message });
+      throw this.createError(503, 'Transcription worker is unavailable');
+    }
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw this.createError(response.status, result.error || `Transcription worker returned ${response.status}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * HTTPステータスコード付きのエラーを作成
+   */
+  createError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = TranscribeSessionService;
@@ -0,0 +1,260 @@
+/**
+ * Transcribe Session Store
+ * Transcribeストリーミングセッションの所有権をDynamoDBのリースで管理
+ * - セッションを保持するインスタンス（Lambda実行環境または常駐ワーカー）を記録
+ * - 所有インスタンスはリースを更新し続け、期限切れのリースは別インスタンスが引き継ぐ
+ * - 1つの接続で複数の音声チャンネル（VHF 16ch と作業チャンネル等）を扱う場合は
+ *   チャンネルごとにセッションキー（<接続ID>#<チャンネル名>）でリースを分ける
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const Logger = require('./logger');
+const dynamodbClient = require('./dynamodb-client');
+
+// セッション状態
+const SESSION_STATUS = {
+  ACTIVE: 'ACTIVE',
+  STOPPED: 'STOPPED'
+};
+
+// 終了・放棄されたセッションレコードの保持期間（秒）
+const SESSION_TTL_SECONDS = 24 * 60 * 60;
+
+// セッションキーの接続IDとチャンネル名の区切り
+const CHANNEL_SEPARATOR = '#';
+
+// チャンネル名（例: ch16, ch12, port-ops）
+const CHANNEL_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+class TranscribeSessionStore {
+  /**
+   * @param {Object} options - オプション
+   * @param {string} options.instanceId - このインスタンスの識別子（省略時は自動生成）
+   * @param {string} options.endpoint - 他インスタンスから音声を転送するためのURL（常駐ワーカーのみ）
+   * @param {number} options.leaseMs - リース期間（ミリ秒）
+   */
+  constructor(options = {}) {
+    this.logger = new Logger({ component: 'TranscribeSessionStore' });
+    this.tableName = process.env.TRANSCRIBE_SESSIONS_TABLE || 'vts-transcribe-sessions';
+    this.instanceId = options.instanceId || TranscribeSessionStore.createInstanceId();
+    this.endpoint = options.endpoint ?? process.env.TRANSCRIBE_WORKER_ADVERTISE_URL ?? null;
+    this.leaseMs = options.leaseMs || parseInt(process.env.TRANSCRIBE_LEASE_MS || '30000', 10);
+  }
+
+  /**
+   * インスタンス識別子を作成（ホスト名またはLambdaログストリーム名 + 乱数）
+   */
+  static createInstanceId() {
+    const host = process.env.AWS_LAMBDA_LOG_STREAM_NAME || os.hostname();
+    return `${host}#${crypto.randomUUID().substring(0, 8)}`;
+  }
+
+  /**
+   * チャンネル名を検証（未指定の場合はnull = 接続のデフォルトチャンネル）
+   * @param {string} channel - チャンネル名
+   * @returns {string|null}
+   */
+  static normalizeChannel(channel) {
+    if (channel === undefined || channel === null || channel === '') {
+      return null;
+    }
+    if (typeof channel !== 'string' || !CHANNEL_PATTERN.test(channel)) {
+      const error = new Error(`Invalid audio channel: ${channel}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return channel;
+  }
+
+  /**
+   * 接続IDとチャンネル名からセッションキーを作成
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {string|null} channel - チャンネル名（未指定の場合は接続IDがそのままキーになる）
+   * @returns {string}
+   */
+  static sessionKey(connectionId, channel) {
+    return channel ? `${connectionId}${CHANNEL_SEPARATOR}${channel}` : connectionId;
+  }
+
+  /**
+   * セッションキーを接続IDとチャンネル名に分解
+   * @param {string} key - セッションキー
+   * @returns {Object} - { connectionId, channel }
+   */
+  static parseSessionKey(key) {
+    const index = key.indexOf(CHANNEL_SEPARATOR);
+    if (index === -1) {
+      return { connectionId: key, channel: null };
+    }
+    return { connectionId: key.substring(0, index), channel: key.substring(index + 1) };
+  }
+
+  /**
+   * セッションのリースを取得
+   * 空き・停止済み・期限切れ・自インスタンス所有のセッションのみ取得できる（force指定時は無条件）
+   * @param {string} connectionId - セッションキー（WebSocket接続ID、チャンネル指定時は <接続ID>#<チャンネル名>）
+   * @param {Object} session - セッション情報
+   * @param {string} session.sessionId - 文字起こしセッションID
+   * @param {string} session.languageCode - 言語コード
+   * @param {number} session.sampleRate - サンプリングレート
+   * @param {string} session.codec - 音声コーデック（pcm / ogg-opus / flac）
+   * @param {string} session.vocabularyName - 使用するカスタム語彙（語彙なしの場合は省略）
+   * @param {string} session.vocabularyState - カスタム語彙の状態（VocabularyRegistry.VOCABULARY_STATES）
+   * @param {Object} options - オプション
+   * @param {boolean} options.force - 稼働中の他インスタンスのセッションも置き換える（クライアントからの明示的な開始）
+   * @param {Object} options.previous - 引き継ぎ元のリース（引き継ぎ回数の加算用）
+   * @returns {Promise<Object|null>} - 取得したリース（他インスタンスが保持中の場合はnull）
+   */
+  async acquire(connectionId, session, options = {}) {
+    const now = Date.now();
+    const lease = {
+      connectionId,
+      channel: TranscribeSessionStore.parseSessionKey(connectionId).channel || undefined,
+      sessionId: session.sessionId,
+      languageCode: session.languageCode,
+      sampleRate: session.sampleRate,
+      codec: session.codec || 'pcm',
+      vocabularyName: session.vocabularyName || undefined,
+      vocabularyState: session.vocabularyState,
+      status: SESSION_STATUS.ACTIVE,
+      ownerId: this.instanceId,
+      ownerEndpoint: this.endpoint,
+      leaseExpiresAt: now + this.leaseMs,
+      startedAt: session.startedAt || new Date(now).toISOString(),
+      updatedAt: new Date(now).toISOString(),
+      takeovers: options.previous ? (options.previous.takeovers || 0) + 1 : 0,
+      ttl: Math.floor(now / 1000) + SESSION_TTL_SECONDS
+    };
+
+    const condition = options.force ? {} : {
+      ConditionExpression: 'attribute_not_exists(connectionId) OR #status = :stopped OR leaseExpiresAt < :now OR ownerId = :owner',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':stopped': SESSION_STATUS.STOPPED,
+        ':now': now,
+        ':owner': this.instanceId
+      }
+    };
+
+    try {
+      await dynamodbClient.putItem(this.tableName, lease, condition);
+    } catch (error) {
+      if (dynamodbClient.isConditionalCheckFailed(error)) {
+        this.logger.info('Transcribe session lease held by another instance', { connectionId });
+        return null;
+      }
+      throw error;
+    }
+
+    if (options.previous) {
+      this.logger.audit('TRANSCRIBE_SESSION_TAKEOVER', {
+        connectionId,
+        sessionId: lease.sessionId,
+        previousOwner: options.previous.ownerId,
+        newOwner: this.instanceId
+      });
+    }
+
+    return lease;
+  }
+
+  /**
+   * 自インスタンスが所有するセッションのリースを延長
+   * @param {string} connectionId - WebSocket接続ID
+   * @returns {Promise<number|null>} - 新しいリース期限（所有権を失っていた場合はnull）
+   */
+  async renew(connectionId) {
+    const now = Date.now();
+    const leaseExpiresAt = now + this.leaseMs;
+
+    try {
+      await dynamodbClient.updateItem(this.tableName, { connectionId }, {
+        leaseExpiresAt,
+        updatedAt: new Date(now).toISOString()
+      }, {
+        ConditionExpression: 'ownerId = :owner AND #status = :active',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':owner': this.instanceId,
+          ':active': SESSION_STATUS.ACTIVE
+        }
+      });
+      return leaseExpiresAt;
+    } catch (error) {
+      if (dynamodbClient.isConditionalCheckFailed(error)) {
+        this.logger.warn('Transcribe session lease lost', { connectionId, instanceId: this.instanceId });
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * セッションを停止済みにする
+   * @param {string} connectionId - WebSocket接続ID
+   * @param {Object} options - オプション
+   * @param {boolean} options.ownedOnly - 自インスタンスが所有している場合のみ停止（ストリーム異常終了時）
+   * @returns {Promise<boolean>} - 停止したかどうか
+   */
+  async release(connectionId, options = {}) {
+    const now = Date.now();
+    const condition = options.ownedOnly
+      ? {
+        ConditionExpression: 'ownerId = :owner',
+        ExpressionAttributeValues: { ':owner': this.instanceId }
+      }
+      : {
+        ConditionExpression: 'attribute_exists(connectionId)'
+      };
+
+    try {
+      await dynamodbClient.updateItem(this.tableName, { connectionId }, {
+        status: SESSION_STATUS.STOPPED,
+        leaseExpiresAt: now,
+        updatedAt: new Date(now).toISOString()
+      }, condition);
+      return true;
+    } catch (error) {
+      if (dynamodbClient.isConditionalCheckFailed(error)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * セッションのリースを取得
+   * @param {string} connectionId - WebSocket接続ID
+   * @returns {Promise<Object|null>}
+   */
+  async get(connectionId) {
+    return dynamodbClient.getItem(this.tableName, { connectionId });
+  }
+
+  /**
+   * 稼働中のセッションかどうか
+   */
+  isActive(lease) {
+    return Boolean(lease) && lease.status === SESSION_STATUS.ACTIVE;
+  }
+
+  /**
+   * リース期限切れ（所有インスタンスが停止した）かどうか
+   */
+  isExpired(lease, now = Date.now()) {
+    return this.isActive(lease) && lease.leaseExpiresAt < now;
+  }
+
+  /**
+   * 自インスタンスが所有するリースかどうか
+   */
+  isOwnedByThisInstance(lease) {
+    return Boolean(lease) && lease.ownerId === this.instanceId;
+  }
+}
+
+TranscribeSessionStore.SESSION_STATUS = SESSION_STATUS;
+TranscribeSessionStore.CHANNEL_PATTERN = CHANNEL_PATTERN;
+
+module.exports = TranscribeSessionStore;
@@ -0,0 +1,369 @@
+/**
+ * Transcript Normalizer
+ * Transcribeの文字起こし結果を、Bedrock・画面に渡す前に決定的なルールで補正する
+ * - 地名（はかたこう → 博多港 等の読み・誤認識）
+ * - フォネティックコードの呼出符号（ジュリエット デルタ ツー スリー → JD23）
+ * - 数字（ひとふたまる → 120、じゅうにノット → 12ノット、小数点「てん」）
+ * - 時刻（12時30分 / 1230時 → 12:30）・方位（方位45度 → 方位045度）・速力（ノット表記の統一）
+ * - 緯度経度（北緯33度36分 → 33°36'N）
+ *
+ * 数字は単位（ノット・度・分等）が続く場合のみ変換し、「にじ」「ふたご」等の一般語を数字にしない
+ * 補正前の文字列は呼び出し側で保持する（rawText）
+ */
+
+// 既知の地名と、その読み・よくある誤認識
+const PLACE_NAMES = [
+  { name: '博多港', variants: ['はかたこう', 'ハカタコウ', '博多工', '博多校', '博多高'] },
+  { name: '博多湾', variants: ['はかたわん', 'ハカタワン', '博多ワン'] },
+  { name: '北九州港', variants: ['きたきゅうしゅうこう', 'キタキュウシュウコウ', '北九州工', '北九州高'] },
+  { name: '門司港', variants: ['もじこう', 'モジコウ', '文字港', '文字工'] },
+  { name: '関門海峡', variants: ['かんもんかいきょう', 'カンモンカイキョウ', '関門開業', '関門会議中'] },
+  { name: '玄界灘', variants: ['げんかいなだ', 'ゲンカイナダ', '限界灘', '玄海灘'] },
+  { name: '響灘', variants: ['ひびきなだ', 'ヒビキナダ', '響なだ'] },
+  { name: '洞海湾', variants: ['どうかいわん', 'ドウカイワン', '洞海ワン', '道会湾'] },
+  { name: '箱崎ふ頭', variants: ['はこざきふとう', 'ハコザキフトウ', '箱崎埠頭'] },
+  { name: '中央ふ頭', variants: ['ちゅうおうふとう', 'チュウオウフトウ', '中央埠頭'] },
+  { name: '香椎パークポート', variants: ['かしいぱーくぽーと', 'カシイパークポート', '香椎パーク港'] },
+  { name: '能古島', variants: ['のこのしま', 'ノコノシマ'] },
+  { name: '志賀島', variants: ['しかのしま', 'シカノシマ'] },
+  { name: '玄界島', variants: ['げんかいじま', 'ゲンカイジマ'] }
+];
+
+// 数字・位置の表現で使う語（読みのまま出力された場合）
+const TERMS = [
+  { term: '午後', variants: ['ごご'] },
+  { term: '午前', variants: ['ごぜん'] },
+  { term: '北緯', variants: ['ほくい', 'ホクイ'] },
+  { term: '南緯', variants: ['なんい', 'ナンイ'] },
+  { term: '東経', variants: ['とうけい', 'トウケイ'] },
+  { term: '西経', variants: ['せいけい', 'セイケイ'] },
+  { term: '方位', variants: ['ほうい', 'ホウイ'] },
+  { term: '針路', variants: ['しんろ', 'シンロ'] }
+];
+
+// フォネティックコード（カタカナ・英語）
+const PHONETIC_LETTERS = {
+  A: ['アルファ', 'alfa', 'alpha'],
+  B: ['ブラボー', 'ブラボ', 'bravo'],
+  C: ['チャーリー', 'charlie'],
+  D: ['デルタ', 'delta'],
+  E: ['エコー', 'echo'],
+  F: ['フォックストロット', 'foxtrot'],
+  G: ['ゴルフ', 'golf'],
+  H: ['ホテル', 'hotel'],
+  I: ['インディア', 'india'],
+  J: ['ジュリエット', 'ジュリエト', 'juliet', 'juliett'],
+  K: ['キロ', 'kilo'],
+  L: ['リマ', 'lima'],
+  M: ['マイク', 'mike'],
+  N: ['ノベンバー', 'ノーベンバー', 'november'],
+  O: ['オスカー', 'oscar'],
+  P: ['パパ', 'papa'],
+  Q: ['ケベック', 'quebec'],
+  R: ['ロメオ', 'ロミオ', 'romeo'],
+  S: ['シエラ', 'sierra'],
+  T: ['タンゴ', 'tango'],
+  U: ['ユニフォーム', 'uniform'],
+  V: ['ビクター', 'ヴィクター', 'victor'],
+  W: ['ウイスキー', 'ウィスキー', 'whiskey', 'whisky'],
+  X: ['エクスレイ', 'エックスレイ', 'x-ray', 'xray'],
+  Y: ['ヤンキー', 'yankee'],
+  Z: ['ズールー', 'zulu']
+};
+
+// 英語の数字の読み（呼出符号内）
+const PHONETIC_DIGITS = {
+  0: ['ゼロ', 'zero'],
+  1: ['ワン', 'one'],
+  2: ['ツー', 'two'],
+  3: ['スリー', 'three'],
+  4: ['フォー', 'four'],
+  5: ['ファイブ', 'five'],
+  6: ['シックス', 'six'],
+  7: ['セブン', 'seven'],
+  8: ['エイト', 'eight'],
+  9: ['ナイン', 'ナイナー', 'nine', 'niner']
+};
+
+// 無線の1桁ずつの読み（ひとふたまるまる = 1200）。まる・ひと・ふたは一般の数詞と区別できる
+const DIGIT_READINGS = {
+  0: ['まる', 'マル'],
+  1: ['ひと', 'ヒト'],
+  2: ['ふた', 'フタ'],
+  3: ['さん', 'サン'],
+  4: ['よん', 'ヨン'],
+  5: ['ご', 'ゴ'],
+  6: ['ろく', 'ロク'],
+  7: ['なな', 'ナナ'],
+  8: ['はち', 'ハチ'],
+  9: ['きゅう', 'キュウ']
+};
+const DISTINCT_DIGIT_READINGS = ['まる', 'マル', 'ひと', 'ヒト', 'ふた', 'フタ'];
+
+// 数詞（漢数字・読み）。multiplier は十・百・千、man は万
+const NUMERALS = [
+  ...['〇', '零', 'ぜろ', 'ゼロ', 'れい'].map(token => ({ token, value: 0 })),
+  ...['一', 'いち', 'イチ', 'いっ', 'イッ'].map(token => ({ token, value: 1 })),
+  ...['二', 'に', 'ニ'].map(token => ({ token, value: 2 })),
+  ...['三', 'さん', 'サン'].map(token => ({ token, value: 3 })),
+  ...['四', 'よん', 'ヨン'].map(token => ({ token, value: 4 })),
+  ...['五', 'ご', 'ゴ'].map(token => ({ token, value: 5 })),
+  ...['六', 'ろく', 'ロク', 'ろっ', 'ロッ'].map(token => ({ token, value: 6 })),
+  ...['七', 'なな', 'ナナ', 'しち', 'シチ'].map(token => ({ token, value: 7 })),
+  ...['八', 'はち', 'ハチ', 'はっ', 'ハッ'].map(token => ({ token, value: 8 })),
+  ...['九', 'きゅう', 'キュウ'].map(token => ({ token, value: 9 })),
+  ...['十', 'じゅう', 'ジュウ', 'じゅっ', 'ジュッ'].map(token => ({ token, multiplier: 10 })),
+  ...['百', 'ひゃく', 'ヒャク', 'びゃく', 'ビャク', 'ぴゃく', 'ピャク'].map(token => ({ token, multiplier: 100 })),
+  ...['千', 'せん', 'セン', 'ぜん', 'ゼン'].map(token => ({ token, multiplier: 1000 })),
+  ...['万', 'まん', 'マン'].map(token => ({ token, man: true })),
+  ...['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'].map(token => ({ token, value: Number(token) }))
+];
+
+// 数字の後に続く単位（読みは表記を統一する）
+const UNITS = {
+  ノット: 'ノット',
+  のっと: 'ノット',
+  度: '度',
+  ど: '度',
+  時: '時',
+  分: '分',
+  ふん: '分',
+  ぷん: '分',
+  秒: '秒',
+  マイル: 'マイル',
+  海里: '海里',
+  メートル: 'メートル',
+  トン: 'トン',
+  番: '番'
+};
+const DECIMAL_POINTS = ['点', 'てん', 'テン', '.'];
+
+// 数字と単位の組み合わせでも一般語として使われることが多いもの（十分注意、一時停止 等）
+const AMBIGUOUS_NUMERALS = ['十分', '一時', '一度', '一番', '一分'];
+
+const escape = value => value.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&');
+const alternation = tokens => [...tokens].sort((a, b) => b.length - a.length).map(escape).join('|');
+
+const NUMERAL_BY_TOKEN = new Map(NUMERALS.map(numeral => [numeral.token, numeral]));
+const NUMERAL_PATTERN = alternation(NUMERALS.map(numeral => numeral.token));
+const DIGIT_BY_READING = new Map(Object.entries(DIGIT_READINGS).flatMap(([digit, readings]) => readings.map(reading => [reading, digit])));
+const DIGIT_READING_PATTERN = alternation(DIGIT_BY_READING.keys());
+
+const CALL_SIGN_TOKENS = new Map([
+  ...Object.entries(PHONETIC_LETTERS).flatMap(([letter, words]) => words.map(word => [word.toLowerCase(), letter])),
+  ...Object.entries(PHONETIC_DIGITS).flatMap(([digit, words]) => words.map(word => [word.toLowerCase(), digit]))
+]);
+// 英語の語は単語境界で区切る（カタカナはそのまま）
+const CALL_SIGN_TOKEN_PATTERN = [...CALL_SIGN_TOKENS.keys()]
+  .sort((a, b) => b.length - a.length)
+  .map(word => (/^[a-z]/.test(word) ? `\\b${escape(word)}\\b` : escape(word)))
+  .concat('\\d')
+  .join('|');
+const CALL_SIGN_SEPARATOR = '[\\s、・,]*';
+
+class TranscriptNormalizer {
+  /**
+   * @param {Object} options - オプション
+   * @param {Array} options.placeNames - 地名と読み・誤認識の一覧（既定: PLACE_NAMES）
+   */
+  constructor(options = {}) {
+    this.lexicon = [...(options.placeNames || PLACE_NAMES), ...TERMS.map(({ term, variants }) => ({ name: term, variants }))]
+      .flatMap(({ name, variants }) => variants.map(variant => ({ variant, name, type: TERMS.some(t => t.term === name) ? 'term' : 'place' })))
+      .sort((a, b) => b.variant.length - a.variant.length);
+  }
+
+  /**
+   * 文字起こし結果を補正
+   * @param {string} text - Transcribeの文字起こし
+   * @returns {Object} - { text: 補正後, corrections: [{ type, from, to }] }
+   */
+  normalize(text) {
+    const corrections = [];
+    if (!text) {
+      return { text: text || '', corrections };
+    }
+
+    // 全角の英数字を半角に
+    let result = text.replace(/[０-９Ａ-Ｚａ-ｚ．]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0));
+
+    result = this.normalizeLexicon(result, corrections);
+    result = this.replace(result, new RegExp(`(?:${CALL_SIGN_TOKEN_PATTERN})(?:${CALL_SIGN_SEPARATOR}(?:${CALL_SIGN_TOKEN_PATTERN}))+`, 'gi'), 'callSign', TranscriptNormalizer.toCallSign, corrections);
+    result = this.replace(result, new RegExp(`(?:${DIGIT_READING_PATTERN}){2,}(?=(${alternation(Object.keys(UNITS))})?)`, 'g'), 'number', TranscriptNormalizer.toDigitReading, corrections);
+    result = this.replace(
+      result,
+      new RegExp(`((?:${NUMERAL_PATTERN})+)(?:(?:${alternation(DECIMAL_POINTS)})((?:${NUMERAL_PATTERN})+))?\\s*(${alternation(Object.keys(UNITS))})`, 'g'),
+      'number',
+      TranscriptNormalizer.toNumberWithUnit,
+      corrections
+    );
+    result = this.normalizeTimes(result, corrections);
+    result = this.replace(result, /(方位|針路|進路|コース|ヘディング)\s*(\d{1,3})\s*度/g, 'bearing', (match, label, degrees) =>
+      (Number(degrees) <= 360 ? `${label}${degrees.padStart(3, '0')}度` : match), corrections);
+    result = this.replace(result, /(\d+(?:\.\d+)?)\s*(?:kt|KT|knots?|ノット)/g, 'speed', (match, speed) => `${speed}ノット`, corrections);
+    result = this.replace(result, /(北緯|南緯|東経|西経)\s*(\d{1,3})\s*度\s*(\d{1,2}(?:\.\d+)?)\s*分/g, 'position', TranscriptNormalizer.toPosition, corrections);
+
+    return { text: result, corrections };
+  }
+
+  /**
+   * 地名・用語の読み・誤認識を表記に統一
+   */
+  normalizeLexicon(text, corrections) {
+    let result = text;
+    for (const { variant, name, type } of this.lexicon) {
+      if (result.includes(variant)) {
+        result = result.split(variant).join(name);
+        corrections.push({ type, from: variant, to: name });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 時刻を HH:MM に統一（午後は24時間表記に変換）
+   */
+  normalizeTimes(text, corrections) {
+    const toTime = (hours, minutes) => {
+      if (hours > 23 || minutes > 59) {
+        return null;
+      }
+      return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    };
+
+    let result = this.replace(text, /(午前|午後)?(?<!\d)(\d{1,2})時(?:(\d{1,2})分|半)?/g, 'time', (match, period, hours, minutes) => {
+      // 「3時」のように分がなく午前・午後もない場合は時間の長さの可能性があるため変換しない
+      if (!period && minutes === undefined && !match.endsWith('半')) {
+        return match;
+      }
+      const hour = Number(hours) + (period === '午後' && Number(hours) < 12 ? 12 : 0);
+      return toTime(hour, match.endsWith('半') ? 30 : Number(minutes || 0)) || match;
+    }, corrections);
+
+    // 4桁の時刻（1230時）
+    result = this.replace(result, /(?<!\d)(\d{2})(\d{2})時/g, 'time', (match, hours, minutes) =>
+      toTime(Number(hours), Number(minutes)) || match, corrections);
+
+    return result;
+  }
+
+  /**
+   * 正規表現で置換し、変更された箇所を記録
+   */
+  replace(text, pattern, type, replacer, corrections) {
+    return text.replace(pattern, (...args) => {
+      const match = args[0];
+      const replaced = replacer(...args);
+      if (replaced !== match) {
+        corrections.push({ type, from: match, to: replaced });
+      }
+      return replaced;
+    });
+  }
+
+  /**
+   * フォネティックコードの並びを呼出符号に（英字が2文字以上・全体で3文字以上の場合のみ）
+   */
+  static toCallSign(match) {
+    const tokens = match.match(new RegExp(CALL_SIGN_TOKEN_PATTERN, 'gi'));
+    const characters = tokens.map(token => (/^\d$/.test(token) ? token : CALL_SIGN_TOKENS.get(token.toLowerCase())));
+    const letters = characters.filter(character => /[A-Z]/.test(character)).length;
+
+    if (letters < 2 || characters.length < 3) {
+      return match;
+    }
+    return characters.join('');
+  }
+
+  /**
+   * 1桁ずつの読みを数字に（まる・ひと・ふたを含み、3桁以上または単位が続く場合のみ）
+   */
+  static toDigitReading(match, unit) {
+    const tokens = match.match(new RegExp(DIGIT_READING_PATTERN, 'g'));
+    const distinct = tokens.some(token => DISTINCT_DIGIT_READINGS.includes(token));
+
+    if (!distinct || (tokens.length < 3 && !unit)) {
+      return match;
+    }
+    return tokens.map(token => DIGIT_BY_READING.get(token)).join('');
+  }
+
+  /**
+   * 単位が続く数詞を算用数字に（じゅうにてんごノット → 12.5ノット）
+   */
+  static toNumberWithUnit(match, integerPart, fractionPart, unit) {
+    if (!fractionPart && AMBIGUOUS_NUMERALS.includes(`${integerPart}${unit}`)) {
+      return match;
+    }
+
+    // 算用数字のみの場合は先頭の0（方位045度 等）を残す
+    const integer = /^\d+$/.test(integerPart) ? integerPart : TranscriptNormalizer.parseNumeral(integerPart);
+    if (integer === null) {
+      return match;
+    }
+
+    let number = String(integer);
+    if (fractionPart) {
+      const digits = TranscriptNormalizer.tokenizeNumeral(fractionPart);
+      if (!digits.every(numeral => numeral.value !== undefined)) {
+        return match;
+      }
+      number += `.${digits.map(numeral => numeral.value).join('')}`;
+    }
+
+    return `${number}${UNITS[unit]}`;
+  }
+
+  /**
+   * 数詞を数値に（位取りのない並びは1桁ずつ: 一二〇 → 120）
+   * @param {string} value - 数詞
+   * @returns {number|null}
+   */
+  static parseNumeral(value) {
+    const numerals = TranscriptNormalizer.tokenizeNumeral(value);
+    if (numerals.length === 0) {
+      return null;
+    }
+
+    if (numerals.every(numeral => numeral.value !== undefined)) {
+      return Number(numerals.map(numeral => numeral.value).join(''));
+    }
+
+    let total = 0;
+    let section = 0;
+    let current = null;
+    for (const numeral of numerals) {
+      if (numeral.value !== undefined) {
+        current = (current || 0) * 10 + numeral.value;
+      } else if (numeral.multiplier) {
+        section += (current ?? 1) * numeral.multiplier;
+        current = null;
+      } else {
+        total += (section + (current || 0) || 1) * 10000;
+        section = 0;
+        current = null;
+      }
+    }
+
+    return total + section + (current || 0);
+  }
+
+  static tokenizeNumeral(value) {
+    return (value.match(new RegExp(NUMERAL_PATTERN, 'g')) || []).map(token => NUMERAL_BY_TOKEN.get(token));
+  }
+
+  /**
+   * 緯度経度を度分表記に（北緯33度36.5分 → 33°36.5'N）
+   */
+  static toPosition(match, hemisphere, degrees, minutes) {
+    const suffix = { 北緯: 'N', 南緯: 'S', 東経: 'E', 西経: 'W' }[hemisphere];
+    const limit = suffix === 'N' || suffix === 'S' ? 90 : 180;
+    if (Number(degrees) > limit || Number(minutes) >= 60) {
+      return match;
+    }
+    return `${degrees}°${minutes}'${suffix}`;
+  }
+}
+
+TranscriptNormalizer.PLACE_NAMES = PLACE_NAMES;
+
+module.exports = TranscriptNormalizer;
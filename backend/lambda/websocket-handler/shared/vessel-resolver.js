@@ -0,0 +1,462 @@
+/**
+ * Vessel Resolver
+ * 文字起こしテキストから船名・呼出符号・MMSIを抽出し、船舶レジストリと照合
+ *
+ * レジストリは会話テーブルに ConversationID = VESSEL_REGISTRY として保存し、
+ * VesselName属性によりVesselNameIndexから船名で検索できる
+ */
+
+const Logger = require('./logger');
+const dynamodbClient = require('./dynamodb-client');
+
+const REGISTRY_PARTITION = 'VESSEL_REGISTRY';
+
+// レジストリのキャッシュ保持時間（ミリ秒）
+const REGISTRY_CACHE_TTL = 5 * 60 * 1000;
+
+// あいまい一致とみなす最小類似度
+const FUZZY_MATCH_THRESHOLD = 0.8;
+
+// 表記ゆれ一致の対象とする照合キーの最小長
+const MIN_VARIANT_KEY_LENGTH = 4;
+
+// あいまい一致の対象とする照合キーの最小長（短い名前は誤検出が多いため）
+const MIN_FUZZY_KEY_LENGTH = 5;
+
+// 照合方法ごとの信頼度
+const METHOD_SCORES = {
+  mmsi: 1.0,
+  callSign: 0.95,
+  exact: 0.9
+};
+
+// ひらがな→ローマ字（ヘボン式）
+const KANA_ROMAJI = {
+  'あ': 'A', 'い': 'I', 'う': 'U', 'え': 'E', 'お': 'O',
+  'か': 'KA', 'き': 'KI', 'く': 'KU', 'け': 'KE', 'こ': 'KO',
+  'さ': 'SA', 'し': 'SHI', 'す': 'SU', 'せ': 'SE', 'そ': 'SO',
+  'た': 'TA', 'ち': 'CHI', 'つ': 'TSU', 'て': 'TE', 'と': 'TO',
+  'な': 'NA', 'に': 'NI', 'ぬ': 'NU', 'ね': 'NE', 'の': 'NO',
+  'は': 'HA', 'ひ': 'HI', 'ふ': 'FU', 'へ': 'HE', 'ほ': 'HO',
+  'ま': 'MA', 'み': 'MI', 'む': 'MU', 'め': 'ME', 'も': 'MO',
+  'や': 'YA', 'ゆ': 'YU', 'よ': 'YO',
+  'ら': 'RA', 'り': 'RI', 'る': 'RU', 'れ': 'RE', 'ろ': 'RO',
+  'わ': 'WA', 'ゐ': 'I', 'ゑ': 'E', 'を': 'O', 'ん': 'N',
+  'が': 'GA', 'ぎ': 'GI', 'ぐ': 'GU', 'げ': 'GE', 'ご': 'GO',
+  'ざ': 'ZA', 'じ': 'JI', 'ず': 'ZU', 'ぜ': 'ZE', 'ぞ': 'ZO',
+  'だ': 'DA', 'ぢ': 'JI', 'づ': 'ZU', 'で': 'DE', 'ど': 'DO',
+  'ば': 'BA', 'び': 'BI', 'ぶ': 'BU', 'べ': 'BE', 'ぼ': 'BO',
+  'ぱ': 'PA', 'ぴ': 'PI', 'ぷ': 'PU', 'ぺ': 'PE', 'ぽ': 'PO',
+  'ゔ': 'VU',
+  'ぁ': 'A', 'ぃ': 'I', 'ぅ': 'U', 'ぇ': 'E', 'ぉ': 'O'
+};
+
+// 拗音（きゃ等）
+const YOON_ROMAJI = {
+  'ゃ': 'YA', 'ゅ': 'YU', 'ょ': 'YO'
+};
+
+// 船名でよく使われる漢字の読み
+const KANJI_READINGS = {
+  '丸': 'MARU',
+  '號': 'GO',
+  '号': 'GO'
+};
+
+class VesselResolver {
+  /**
+   * @param {Object} options - オプション
+   * @param {Object} options.aisProcessor - AIS Processor（位置情報の補完に使用）
+   */
+  constructor(options = {}) {
+    this.logger = new Logger({ component: 'VesselResolver' });
+    this.conversationsTable = process.env.CONVERSATIONS_TABLE || 'vts-conversations';
+    this.aisProcessor = options.aisProcessor || null;
+    this.registryCache = null;
+    this.registryCachedAt = 0;
+  }
+
+  /**
+   * 文字起こしテキストから船舶を特定
+   * @param {string} text - 文字起こしテキスト
+   * @returns {Promise<Object|null>} - { vesselInfo, matches } または null
+   */
+  async resolve(text) {
+    if (!text || typeof text !== 'string') {
+      return null;
+    }
+
+    try {
+      const candidates = this.extractCandidates(text);
+      const registry = await this.loadRegistry();
+      const matches = [];
+
+      // 1. MMSI（9桁の数字）
+      for (const mmsi of candidates.mmsis) {
+        const entry = registry.find(item => item.MMSI === mmsi);
+        matches.push(this.createMatch(entry || { MMSI: mmsi }, mmsi, 'mmsi', METHOD_SCORES.mmsi));
+      }
+
+      // 2. 呼出符号
+      for (const callSign of candidates.callSigns) {
+        const entry = registry.find(item => item.CallSign && item.CallSign.toUpperCase() === callSign);
+        if (entry) {
+          matches.push(this.createMatch(entry, callSign, 'callSign', METHOD_SCORES.callSign));
+        }
+      }
+
+      // 3. 船名の完全一致（VesselNameIndex）
+      for (const name of candidates.names) {
+        const entry = await this.findByExactName(name);
+        if (entry) {
+          matches.push(this.createMatch(entry, name, 'exact', METHOD_SCORES.exact));
+        }
+      }
+
+      // 4. 船名の表記ゆれ・あいまい一致（カタカナ/ひらがな/ローマ字）
+      if (matches.length === 0) {
+        matches.push(...this.findFuzzyMatches(text, registry));
+      }
+
+      if (matches.length === 0) {
+        return null;
+      }
+
+      const uniqueMatches = this.deduplicateMatches(matches);
+      const best = uniqueMatches[0];
+      const vesselInfo = await this.buildVesselInfo(best);
+
+      this.logger.info('Vessel resolved from transcript', {
+        mmsi: best.mmsi,
+        name: best.name,
+        method: best.method,
+        score: best.score
+      });
+
+      return { vesselInfo, matches: uniqueMatches };
+
+    } catch (error) {
+      // 船舶特定は補助機能のため、失敗しても文字起こし処理は継続
+      this.logger.error('Failed to resolve vessel from transcript', error);
+      return null;
+    }
+  }
+
+  /**
+   * テキストからMMSI・呼出符号・船名の候補を抽出
+   * @param {string} text - 文字起こしテキスト
+   * @returns {Object} - { mmsis, callSigns, names }
+   */
+  extractCandidates(text) {
+    const normalized = text.normalize('NFKC');
+    const upper = normalized.toUpperCase();
+
+    // 数字の間の空白・ハイフンを除去してから9桁の数字を探す
+    const digits = upper.replace(/(\d)[\s-]+(?=\d)/g, '$1');
+    const mmsis = [...new Set(digits.match(/(?<!\d)\d{9}(?!\d)/g) || [])];
+
+    // 英字と数字の混在する4〜7文字（例: JD2345, 7JAB）
+    const callSigns = [...new Set(
+      (upper.match(/(?<![A-Z0-9])[A-Z0-9]{4,7}(?![A-Z0-9])/g) || [])
+        .filter(token => /[A-Z]/.test(token) && /\d/.test(token) && !/^\d+$/.test(token))
+    )];
+
+    // ローマ字表記の船名（例: SAKURA MARU, DAI NI KAIYO MARU）
+    // 船名の開始位置は特定できないため、MARUの直前1〜3語をそれぞれ候補とする
+    const names = [];
+    const words = upper.replace(/[^A-Z0-9\s]/g, ' ').split(/\s+/).filter(Boolean);
+    words.forEach((word, index) => {
+      if (word !== 'MARU' || index === 0) {
+        return;
+      }
+      for (let count = 1; count <= 3 && index - count >= 0; count++) {
+        names.push(words.slice(index - count, index + 1).join(' '));
+      }
+    });
+
+    return { mmsis, callSigns, names: [...new Set(names)] };
+  }
+
+  /**
+   * 照合用キーを作成（表記ゆれを吸収）
+   * かな→ローマ字変換、長音・訓令式/ヘボン式の差異を正規化
+   * @param {string} text - 元の文字列
+   * @returns {string} - 照合キー
+   */
+  toMatchKey(text) {
+    const hiragana = text
+      .normalize('NFKC')
+      .replace(/[ァ-ヶ]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60));
+
+    let romaji = '';
+    for (let i = 0; i < hiragana.length; i++) {
+      const ch = hiragana[i];
+      const next = hiragana[i + 1];
+
+      if (ch === 'っ' || ch === 'ッ') {
+        // 促音は次の子音を重ねる
+        const following = KANA_ROMAJI[next];
+        romaji += following ? following[0] : '';
+        continue;
+      }
+
+      if (ch === 'ー') {
+        continue;
+      }
+
+      if (KANA_ROMAJI[ch]) {
+        let syllable = KANA_ROMAJI[ch];
+        if (YOON_ROMAJI[next]) {
+          // きゃ→KYA、しゃ→SHA、ちゃ→CHA、じゃ→JA
+          const base = syllable.endsWith('I') ? syllable.slice(0, -1) : syllable;
+          const yoon = YOON_ROMAJI[next];
+          syllable = /^(SH|CH|J)$/.test(base) ? base + yoon.slice(1) : base + yoon;
+          i++;
+        }
+        romaji += syllable;
+        continue;
+      }
+
+      romaji += KANJI_READINGS[ch] || ch.toUpperCase();
+    }
+
+    return romaji
+      .replace(/[^A-Z0-9一-鿿]/g, '')
+      .replace(/SHI/g, 'SI')
+      .replace(/CHI/g, 'TI')
+      .replace(/TSU/g, 'TU')
+      .replace(/FU/g, 'HU')
+      .replace(/JI/g, 'ZI')
+      .replace(/SH/g, 'SY')
+      .replace(/CH/g, 'TY')
+      .replace(/J/g, 'ZY')
+      .replace(/M(?=[BP])/g, 'N')
+      .replace(/OU|OH/g, 'O')
+      .replace(/([AIUEO])\1+/g, '$1');
+  }
+
+  /**
+   * レジストリとのあいまい一致
+   * @param {string} text - 文字起こしテキスト
+   * @param {Array} registry - レジストリアイテム
+   * @returns {Array} - 一致結果
+   */
+  findFuzzyMatches(text, registry) {
+    const textKey = this.toMatchKey(text);
+    const matches = [];
+
+    for (const entry of registry) {
+      const keys = this.getEntryKeys(entry);
+      let best = null;
+
+      for (const key of keys) {
+        if (key.length < MIN_VARIANT_KEY_LENGTH) {
+          continue;
+        }
+
+        if (textKey.includes(key)) {
+          best = { key, score: METHOD_SCORES.exact };
+          break;
+        }
+
+        if (key.length < MIN_FUZZY_KEY_LENGTH) {
+          continue;
+        }
+
+        const score = this.bestWindowSimilarity(textKey, key);
+        if (score >= FUZZY_MATCH_THRESHOLD && (!best || score > best.score)) {
+          best = { key, score };
+        }
+      }
+
+      if (best) {
+        const method = best.score === METHOD_SCORES.exact ? 'variant' : 'fuzzy';
+        matches.push(this.createMatch(entry, best.key, method, Number(best.score.toFixed(2))));
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * レジストリアイテムの照合キー一覧（船名と別名）
+   */
+  getEntryKeys(entry) {
+    const names = [entry.VesselName, ...(entry.Aliases || [])].filter(Boolean);
+    return [...new Set(names.map(name => this.toMatchKey(name)).filter(Boolean))];
+  }
+
+  /**
+   * テキスト中の部分文字列とキーの最大類似度
+   */
+  bestWindowSimilarity(textKey, key) {
+    let best = 0;
+
+    for (let length = key.length - 1; length <= key.length + 1; length++) {
+      for (let start = 0; start + length <= textKey.length; start++) {
+        const window = textKey.substring(start, start + length);
+        const distance = this.levenshtein(window, key);
+        const similarity = 1 - distance / Math.max(window.length, key.length);
+        if (similarity > best) {
+          best = similarity;
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * レーベンシュタイン距離
+   */
+  levenshtein(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      let diagonal = previous[0];
+      previous[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const temp = previous[j];
+        previous[j] = Math.min(
+          previous[j] + 1,
+          previous[j - 1] + 1,
+          diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        diagonal = temp;
+      }
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * VesselNameIndexで船名を完全一致検索
+   * @param {string} name - 船名（大文字）
+   * @returns {Promise<Object|null>} - レジストリアイテム
+   */
+  async findByExactName(name) {
+    const items = await dynamodbClient.query(this.conversationsTable, {
+      IndexName: 'VesselNameIndex',
+      KeyConditionExpression: 'VesselName = :name AND ConversationID = :registry',
+      ExpressionAttributeValues: {
+        ':name': name,
+        ':registry': REGISTRY_PARTITION
+      },
+      Limit: 1
+    });
+
+    return items[0] || null;
+  }
+
+  /**
+   * レジストリ全件を取得（キャッシュあり）
+   * @returns {Promise<Array>} - レジストリアイテム
+   */
+  async loadRegistry() {
+    if (this.registryCache && Date.now() - this.registryCachedAt < REGISTRY_CACHE_TTL) {
+      return this.registryCache;
+    }
+
+    this.registryCache = await dynamodbClient.query(this.conversationsTable, {
+      KeyConditionExpression: 'ConversationID = :registry',
+      ExpressionAttributeValues: {
+        ':registry': REGISTRY_PARTITION
+      }
+    });
+    this.registryCachedAt = Date.now();
+
+    return this.registryCache;
+  }
+
+  /**
+   * 船舶をレジストリに登録・更新
+   * @param {Object} vessel - 船舶情報
+   * @param {string} vessel.mmsi - MMSI
+   * @param {string} vessel.name - 船名（ローマ字）
+   * @param {string} vessel.callSign - 呼出符号
+   * @param {Array<string>} vessel.aliases - 別名（漢字・カタカナ表記等）
+   * @returns {Promise<Object>} - 更新後のアイテム
+   */
+  async registerVessel(vessel) {
+    if (!vessel || !vessel.mmsi) {
+      throw new Error('MMSI is required to register a vessel');
+    }
+
+    const updates = {
+      ItemType: 'VESSEL_REGISTRY',
+      MMSI: String(vessel.mmsi),
+      VesselName: vessel.name ? vessel.name.trim().toUpperCase() : undefined,
+      CallSign: vessel.callSign ? vessel.callSign.trim().toUpperCase() : undefined,
+      Aliases: Array.isArray(vessel.aliases) && vessel.aliases.length > 0 ? vessel.aliases : undefined,
+      UpdatedAt: new Date().toISOString()
+    };
+
+    Object.keys(updates).forEach(key => {
+      if (updates[key] === undefined) {
+        delete updates[key];
+      }
+    });
+
+    const result = await dynamodbClient.updateItem(
+      this.conversationsTable,
+      { ConversationID: REGISTRY_PARTITION, ItemTimestamp: `MMSI#${vessel.mmsi}` },
+      updates
+    );
+
+    // 次回の照合で新しい内容を反映
+    this.registryCache = null;
+
+    return result;
+  }
+
+  /**
+   * 一致結果を作成
+   */
+  createMatch(entry, matchedText, method, score) {
+    return {
+      mmsi: entry.MMSI,
+      name: entry.VesselName,
+      callSign: entry.CallSign,
+      matchedText,
+      method,
+      score
+    };
+  }
+
+  /**
+   * 同一船舶の重複を除き、信頼度の高い順に並べる
+   */
+  deduplicateMatches(matches) {
+    const byMmsi = new Map();
+
+    for (const match of matches) {
+      const key = match.mmsi || match.name;
+      const current = byMmsi.get(key);
+      if (!current || match.score > current.score) {
+        byMmsi.set(key, match);
+      }
+    }
+
+    return Array.from(byMmsi.values()).sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * 一致結果からVesselInfoを作成（AIS状態があれば位置情報を補完）
+   * @param {Object} match - 一致結果
+   * @returns {Promise<Object>} - VesselInfo
+   */
+  async buildVesselInfo(match) {
+    const aisVessel = this.aisProcessor && match.mmsi
+      ? await this.aisProcessor.getVessel(match.mmsi)
+      : null;
+
+    return {
+      ...(aisVessel || {}),
+      mmsi: match.mmsi,
+      name: match.name || aisVessel?.name || `MMSI ${match.mmsi}`,
+      callSign: match.callSign || aisVessel?.callSign
+    };
+  }
+}
+
+module.exports = VesselResolver;
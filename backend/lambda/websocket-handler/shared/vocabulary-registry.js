@@ -0,0 +1,178 @@
+/**
+ * Vocabulary Registry
+ * Transcribeのカスタム語彙（港名・海事用語）の状態を確認し、文字起こしセッションで使う語彙名を決める
+ * - 語彙がREADYで言語コードが一致する場合のみ使用し、それ以外は語彙なしで開始する（フォールバック）
+ * - GetVocabularyの結果はキャッシュし、セッション開始ごとにAPIを呼ばない
+ * - 語彙の作成・更新は backend/vocabulary のCLI（vocabulary-cli.js）で行う
+ *
+ * TRANSCRIBE_VOCABULARY_NAME は語彙名、または言語ごとの指定（例: ja-JP=maritime-vts-vocabulary-ja,en-US=maritime-vts-vocabulary-en）
+ */
+
+const { TranscribeClient, GetVocabularyCommand } = require('@aws-sdk/client-transcribe');
+const Logger = require('./logger');
+
+// 語彙の状態（TranscribeのVocabularyStateに加え、確認できなかった場合の状態）
+const VOCABULARY_STATES = {
+  READY: 'READY',
+  PENDING: 'PENDING',
+  FAILED: 'FAILED',
+  NOT_FOUND: 'NOT_FOUND',
+  LANGUAGE_MISMATCH: 'LANGUAGE_MISMATCH',
+  UNAVAILABLE: 'UNAVAILABLE', // API呼び出しの失敗・ストリーム開始時の拒否
+  DISABLED: 'DISABLED' // 語彙が設定されていない
+};
+
+// READYの語彙を再確認するまでの時間（ミリ秒）
+const DEFAULT_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// 使用できなかった語彙を再確認するまでの時間（ミリ秒）: 作成完了後は早めに使い始める
+const DEFAULT_RETRY_TTL_MS = 60 * 1000;
+
+class VocabularyRegistry {
+  /**
+   * @param {Object} options - オプション
+   * @param {string} options.vocabularyName - 語彙名または言語ごとの指定（既定: TRANSCRIBE_VOCABULARY_NAME）
+   * @param {TranscribeClient} options.client - Transcribeクライアント
+   * @param {number} options.cacheTtlMs - READYの語彙のキャッシュ期間
+   * @param {number} options.retryTtlMs - 使用できなかった語彙のキャッシュ期間
+   */
+  constructor(options = {}) {
+    this.logger = new Logger({ component: 'VocabularyRegistry' });
+    this.client = options.client || new TranscribeClient({
+      region: process.env.AWS_REGION || 'ap-northeast-1'
+    });
+    this.vocabularies = VocabularyRegistry.parseVocabularyConfig(
+      options.vocabularyName ?? process.env.TRANSCRIBE_VOCABULARY_NAME ?? ''
+    );
+    this.cacheTtlMs = options.cacheTtlMs || parseInt(process.env.TRANSCRIBE_VOCABULARY_CACHE_MS || String(DEFAULT_CACHE_TTL_MS), 10);
+    this.retryTtlMs = options.retryTtlMs || DEFAULT_RETRY_TTL_MS;
+    this.cache = new Map(); // 語彙名 → { state, languageCode, reason, expiresAt }
+  }
+
+  /**
+   * 語彙の設定を解析
+   * @param {string} value - 語彙名、または「言語コード=語彙名」のカンマ区切り
+   * @returns {Object} - { default: 語彙名|null, byLanguage: { 言語コード: 語彙名 } }
+   */
+  static parseVocabularyConfig(value) {
+    const config = { default: null, byLanguage: {} };
+
+    for (const entry of String(value).split(',').map(part => part.trim()).filter(Boolean)) {
+      const separator = entry.indexOf('=');
+      if (separator === -1) {
+        config.default = entry;
+      } else {
+        config.byLanguage[entry.substring(0, separator).trim()] = entry.substring(separator + 1).trim();
+      }
+    }
+
+    return config;
+  }
+
+  /**
+   * 言語コードに対応する設定上の語彙名
+   * @param {string} languageCode - 言語コード
+   * @returns {string|null}
+   */
+  vocabularyNameFor(languageCode) {
+    return this.vocabularies.byLanguage[languageCode] || this.vocabularies.default || null;
+  }
+
+  /**
+   * 文字起こしセッションで使用する語彙を決定
+   * @param {string} languageCode - セッションの言語コード
+   * @returns {Promise<Object>} - { vocabularyName: 使用する語彙名|null, requestedName, state, reason }
+   */
+  async resolve(languageCode) {
+    const requestedName = this.vocabularyNameFor(languageCode);
+    if (!requestedName) {
+      return { vocabularyName: null, requestedName: null, state: VOCABULARY_STATES.DISABLED };
+    }
+
+    const status = await this.getStatus(requestedName);
+
+    let state = status.state;
+    let reason = status.reason;
+    if (state === VOCABULARY_STATES.READY && status.languageCode && status.languageCode !== languageCode) {
+      state = VOCABULARY_STATES.LANGUAGE_MISMATCH;
+      reason = `Vocabulary language ${status.languageCode} does not match ${languageCode}`;
+    }
+
+    if (state === VOCABULARY_STATES.READY) {
+      return { vocabularyName: requestedName, requestedName, state };
+    }
+
+    // 語彙なしで文字起こしを開始する（精度は下がるがセッションは止めない）
+    this.logger.warn('Custom vocabulary unavailable, starting without vocabulary', {
+      vocabularyName: requestedName,
+      languageCode,
+      state,
+      reason
+    });
+    this.logger.metric('TranscribeVocabularyFallback', 1, 'Count', { state });
+
+    return { vocabularyName: null, requestedName, state, reason };
+  }
+
+  /**
+   * 語彙の状態を取得（キャッシュ期間内はAPIを呼ばない）
+   * @param {string} vocabularyName - 語彙名
+   * @returns {Promise<Object>} - { state, languageCode, reason, lastModifiedTime }
+   */
+  async getStatus(vocabularyName) {
+    const cached = this.cache.get(vocabularyName);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached;
+    }
+
+    let status;
+    try {
+      const response = await this.client.send(new GetVocabularyCommand({ VocabularyName: vocabularyName }));
+      status = {
+        state: response.VocabularyState,
+        languageCode: response.LanguageCode,
+        reason: response.FailureReason,
+        lastModifiedTime: response.LastModifiedTime
+      };
+    } catch (error) {
+      if (error.name === 'NotFoundException' || error.name === 'BadRequestException') {
+        status = { state: VOCABULARY_STATES.NOT_FOUND, reason: error.message };
+      } else {
+        // 権限・スロットリング等: 語彙なしで開始し、短い間隔で再確認する
+        this.logger.error('Failed to get custom vocabulary', { vocabularyName, error: error.message });
+        status = { state: VOCABULARY_STATES.UNAVAILABLE, reason: error.message };
+      }
+    }
+
+    this.remember(vocabularyName, status);
+    return this.cache.get(vocabularyName);
+  }
+
+  /**
+   * ストリーム開始時に語彙が拒否された場合に記録し、以降のセッションを語彙なしで開始させる
+   * @param {string} vocabularyName - 語彙名
+   * @param {string} reason - 理由
+   */
+  markUnavailable(vocabularyName, reason) {
+    this.logger.warn('Custom vocabulary rejected by Transcribe', { vocabularyName, reason });
+    this.remember(vocabularyName, { state: VOCABULARY_STATES.UNAVAILABLE, reason });
+  }
+
+  remember(vocabularyName, status) {
+    const ttl = status.state === VOCABULARY_STATES.READY ? this.cacheTtlMs : this.retryTtlMs;
+    this.cache.set(vocabularyName, { ...status, expiresAt: Date.now() + ttl });
+  }
+
+  /**
+   * Transcribeのエラーが語彙に起因するかどうか
+   * @param {string} message - エラーメッセージ
+   * @returns {boolean}
+   */
+  static isVocabularyError(message) {
+    return /vocabulary/i.test(message || '');
+  }
+}
+
+VocabularyRegistry.VOCABULARY_STATES = VOCABULARY_STATES;
+
+module.exports = VocabularyRegistry;
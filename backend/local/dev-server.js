@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+/**
+ * VTS Local Development Server
+ * AWSに接続せずにWebSocketハンドラー（$connect / $default / $disconnect）をローカルで実行
+ * - LLM: LLM_PROVIDER=local（ルール・フィクスチャベースの決定的な応答）
+ * - DynamoDB: インメモリストア
+ * - API Gateway: wsサーバーからLambdaハンドラーを直接呼び出し、送信もwsで行う
+ *
+ * 使用例:
+ *   node dev-server.js
+ *   PORT=8081 LLM_FIXTURES_PATH=fixtures/llm-fixtures.json node dev-server.js
+ *   LLM_PROVIDER=bedrock node dev-server.js   # AI応答のみ実際のBedrockを使用
+ *
+ * 認証: 開発用Issuerのトークンを GET /dev/token?userId=operator-1&role=operator で発行し、
+ *       ws://localhost:8080?token=<トークン> で接続する
+ */
+
+process.env.LLM_PROVIDER = process.env.LLM_PROVIDER || 'local';
+process.env.AWS_REGION = process.env.AWS_REGION || 'ap-northeast-1';
+process.env.AUTH_DEV_SECRET = process.env.AUTH_DEV_SECRET || 'vts-local-dev-secret';
+
+// 差し替えていないSDK呼び出し（Transcribe・S3等）が認証情報の探索で待たされないようにダミーを設定
+if (process.env.LLM_PROVIDER === 'local' && !process.env.AWS_ACCESS_KEY_ID) {
+  process.env.AWS_ACCESS_KEY_ID = 'local';
+  process.env.AWS_SECRET_ACCESS_KEY = 'local';
+}
+
+const http = require('http');
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+const MemoryDynamoDB = require('./memory-dynamodb');
+const dynamodbClient = require('../lambda/websocket-handler/shared/dynamodb-client');
+const MessageRouter = require('../lambda/websocket-handler/message-router');
+const AuthService = require('../lambda/websocket-handler/auth-service');
+const MessageValidator = require('../lambda/websocket-handler/shared/message-validator');
+const { createLLMProvider } = require('../lambda/websocket-handler/shared/llm-provider');
+const { handler } = require('../lambda/websocket-handler');
+
+const PORT = parseInt(process.env.PORT || '8080', 10);
+const STAGE = 'local';
+
+// 接続ID → WebSocket
+const sockets = new Map();
+
+// DynamoDBをインメモリストアに差し替え
+new MemoryDynamoDB().attach(dynamodbClient);
+
+// API Gateway Management API の代わりにwsで送信（切断済みは410として扱う）
+MessageRouter.prototype.postToConnection = async function (connectionId, data) {
+  const socket = sockets.get(connectionId);
+  if (!socket || socket.readyState !== WebSocket.OPEN) {
+    const error = new Error(`Connection ${connectionId} is gone`);
+    error.statusCode = 410;
+    throw error;
+  }
+  socket.send(JSON.stringify(data));
+};
+
+const llmProvider = createLLMProvider();
+const authService = new AuthService();
+
+/**
+ * API Gateway WebSocketイベントを作成
+ */
+function createEvent(routeKey, connectionId, request, extra = {}) {
+  return {
+    requestContext: {
+      routeKey,
+      connectionId,
+      domainName: `localhost:${PORT}`,
+      stage: STAGE,
+      identity: {
+        sourceIp: request.socket.remoteAddress,
+        userAgent: request.headers['user-agent']
+      }
+    },
+    headers: {
+      Authorization: request.headers.authorization,
+      'Sec-WebSocket-Protocol': request.headers['sec-websocket-protocol']
+    },
+    ...extra
+  };
+}
+
+function createContext() {
+  return { requestId: crypto.randomUUID() };
+}
+
+// ヘルスチェック（GET /health）
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'GET' && req.url === '/health') {
+    const health = await llmProvider.health();
+    res.writeHead(health.healthy ? 200 : 503, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status: health.healthy ? 'ok' : 'degraded', connections: sockets.size, llm: health }));
+    return;
+  }
+
+  // 開発用トークンの発行（GET /dev/token?userId=operator-1&role=operator）
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  if (req.method === 'GET' && url.pathname === '/dev/token') {
+    try {
+      const token = authService.issueDevToken({
+        userId: url.searchParams.get('userId') || 'operator-1',
+        role: url.searchParams.get('role') || undefined
+      });
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+      res.end(JSON.stringify({ token }));
+    } catch (error) {
+      res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+    return;
+  }
+
+  res.writeHead(404);
+  res.end();
+});
+
+// API Gatewayの$connectと同じ規則でサブプロトコルを選択（対応するものがない場合は$connectで拒否される）
+const wss = new WebSocketServer({
+  server,
+  handleProtocols: protocols => MessageValidator.negotiateProtocol([...protocols].join(','))?.protocol || false
+});
+
+wss.on('connection', (ws, request) => {
+  const connectionId = crypto.randomBytes(12).toString('base64url');
+  const url = new URL(request.url, `http://${request.headers.host}`);
+  const queryStringParameters = Object.fromEntries(url.searchParams);
+
+  sockets.set(connectionId, ws);
+
+  // $connectの完了後、メッセージを受信順に処理
+  let queue = handler(
+    createEvent('$connect', connectionId, request, { queryStringParameters }),
+    createContext()
+  ).then(response => {
+    if (response.statusCode !== 200) {
+      ws.close(1008, 'Connection rejected');
+    }
+  }).catch(error => console.error('❌ $connect failed:', error));
+
+  ws.on('message', (data, isBinary) => {
+    // API Gatewayと同様にバイナリフレームはBase64で渡す
+    const body = isBinary
+      ? { body: data.toString('base64'), isBase64Encoded: true }
+      : { body: data.toString() };
+
+    queue = queue.then(() => handler(
+      createEvent('$default', connectionId, request, body),
+      createContext()
+    )).catch(error => console.error('❌ $default failed:', error));
+  });
+
+  ws.on('close', () => {
+    queue = queue.then(async () => {
+      await handler(createEvent('$disconnect', connectionId, request), createContext());
+      sockets.delete(connectionId);
+    }).catch(error => console.error('❌ $disconnect failed:', error));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`🚀 VTS local server running on ws://localhost:${PORT}`);
+  console.log(`🤖 LLM provider: ${llmProvider.name} (${llmProvider.modelId})`);
+  console.log(`💚 Health check: http://localhost:${PORT}/health`);
+  console.log(`🔑 Dev token: http://localhost:${PORT}/dev/token?userId=operator-1&role=operator`);
+  console.log(`   ws://localhost:${PORT}?token=${authService.issueDevToken({ userId: 'operator-1' })}`);
+});
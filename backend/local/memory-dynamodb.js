@@ -0,0 +1,214 @@
+/**
+ * In-memory DynamoDB Store
+ * ローカル開発サーバー用に DynamoDBManager と同じインターフェースをメモリ上で提供
+ * 式はリポジトリ内で使用している範囲（比較, AND/OR, IN, begins_with, attribute_exists）のみ対応
+ */
+
+// テーブルごとのキー定義（パーティションキー, ソートキー）
+const DEFAULT_KEY_SCHEMAS = {
+  [process.env.CONNECTIONS_TABLE || 'vts-connections']: ['connectionId'],
+  [process.env.CONVERSATIONS_TABLE || 'vts-conversations']: ['ConversationID', 'ItemTimestamp'],
+  [process.env.VESSELS_TABLE || 'vts-vessels']: ['MMSI'],
+  [process.env.TRANSCRIBE_SESSIONS_TABLE || 'vts-transcribe-sessions']: ['connectionId'],
+  [process.env.RATE_LIMITS_TABLE || 'vts-rate-limits']: ['bucketKey']
+};
+
+class MemoryDynamoDB {
+  /**
+   * @param {Object} keySchemas - { テーブル名: [パーティションキー, ソートキー] }
+   */
+  constructor(keySchemas = DEFAULT_KEY_SCHEMAS) {
+    this.keySchemas = keySchemas;
+    this.tables = new Map();
+  }
+
+  /**
+   * DynamoDBManager（シングルトン）のメソッドをメモリストアに差し替え
+   */
+  attach(dynamodbClient) {
+    for (const method of ['putItem', 'getItem', 'deleteItem', 'updateItem', 'incrementItem', 'query', 'queryPage', 'batchWrite', 'isConditionalCheckFailed']) {
+      dynamodbClient[method] = this[method].bind(this);
+    }
+    return dynamodbClient;
+  }
+
+  getTable(tableName) {
+    if (!this.tables.has(tableName)) {
+      this.tables.set(tableName, new Map());
+    }
+    return this.tables.get(tableName);
+  }
+
+  getKeyAttributes(tableName) {
+    return this.keySchemas[tableName] || ['id'];
+  }
+
+  keyOf(tableName, item) {
+    return JSON.stringify(this.getKeyAttributes(tableName).map(attribute => item[attribute]));
+  }
+
+  async putItem(tableName, item, condition = {}) {
+    const table = this.getTable(tableName);
+    const itemKey = this.keyOf(tableName, item);
+    this.checkCondition(table.get(itemKey), condition);
+    table.set(itemKey, structuredClone(item));
+    return {};
+  }
+
+  async getItem(tableName, key) {
+    const item = this.getTable(tableName).get(this.keyOf(tableName, key));
+    return item ? structuredClone(item) : null;
+  }
+
+  async deleteItem(tableName, key) {
+    this.getTable(tableName).delete(this.keyOf(tableName, key));
+    return {};
+  }
+
+  async updateItem(tableName, key, updates, condition = {}) {
+    const table = this.getTable(tableName);
+    const itemKey = this.keyOf(tableName, key);
+    this.checkCondition(table.get(itemKey), condition);
+    const item = { ...(table.get(itemKey) || key), ...structuredClone(updates) };
+    table.set(itemKey, item);
+    return structuredClone(item);
+  }
+
+  async incrementItem(tableName, key, field, amount, updates = {}, condition = {}) {
+    const table = this.getTable(tableName);
+    const itemKey = this.keyOf(tableName, key);
+    const existing = table.get(itemKey);
+    this.checkCondition(existing, {
+      ...condition,
+      ExpressionAttributeNames: { '#counter': field, ...condition.ExpressionAttributeNames }
+    });
+    const item = { ...(existing || key), ...structuredClone(updates), [field]: (existing?.[field] || 0) + amount };
+    table.set(itemKey, item);
+    return structuredClone(item);
+  }
+
+  async query(tableName, queryParams) {
+    const { items } = await this.queryPage(tableName, queryParams);
+    return items;
+  }
+
+  async queryPage(tableName, queryParams) {
+    const [, sortKey] = this.getKeyAttributes(tableName);
+    const names = queryParams.ExpressionAttributeNames || {};
+    const values = queryParams.ExpressionAttributeValues || {};
+
+    let items = [...this.getTable(tableName).values()]
+      .filter(item => this.evaluate(queryParams.KeyConditionExpression, item, names, values));
+
+    if (sortKey) {
+      items.sort((a, b) => String(a[sortKey] ?? '').localeCompare(String(b[sortKey] ?? '')));
+    }
+    if (queryParams.ScanIndexForward === false) {
+      items.reverse();
+    }
+
+    if (queryParams.ExclusiveStartKey) {
+      const startKey = this.keyOf(tableName, queryParams.ExclusiveStartKey);
+      const index = items.findIndex(item => this.keyOf(tableName, item) === startKey);
+      items = items.slice(index + 1);
+    }
+
+    // DynamoDBと同様にLimitはフィルター前の評価件数に適用
+    let lastEvaluatedKey = null;
+    if (queryParams.Limit && items.length > queryParams.Limit) {
+      items = items.slice(0, queryParams.Limit);
+      const last = items[items.length - 1];
+      lastEvaluatedKey = Object.fromEntries(this.getKeyAttributes(tableName).map(attribute => [attribute, last[attribute]]));
+    }
+
+    if (queryParams.FilterExpression) {
+      items = items.filter(item => this.evaluate(queryParams.FilterExpression, item, names, values));
+    }
+
+    return {
+      items: items.map(item => structuredClone(item)),
+      lastEvaluatedKey
+    };
+  }
+
+  async batchWrite(tableName, items) {
+    for (const item of items) {
+      await this.putItem(tableName, item);
+    }
+    return [];
+  }
+
+  /**
+   * 条件付き書き込みの検証（不成立の場合はDynamoDBと同じ名前のエラー）
+   */
+  checkCondition(existing, condition) {
+    if (!condition.ConditionExpression) {
+      return;
+    }
+
+    const matched = this.evaluate(
+      condition.ConditionExpression,
+      existing || {},
+      condition.ExpressionAttributeNames || {},
+      condition.ExpressionAttributeValues || {}
+    );
+
+    if (!matched) {
+      const error = new Error('The conditional request failed');
+      error.name = 'ConditionalCheckFailedException';
+      throw error;
+    }
+  }
+
+  isConditionalCheckFailed(error) {
+    return error?.name === 'ConditionalCheckFailedException';
+  }
+
+  /**
+   * 条件式の評価（OR / AND で結合された比較, IN, begins_with, attribute_exists）
+   */
+  evaluate(expression, item, names, values) {
+    if (!expression) {
+      return true;
+    }
+
+    const attribute = (token) => item[names[token] || token];
+
+    return expression.split(/\s+OR\s+/i).some(clause => clause.split(/\s+AND\s+/i).every(condition => {
+      const trimmed = condition.trim();
+
+      const exists = trimmed.match(/^attribute_(not_)?exists\(\s*([#\w]+)\s*\)$/i);
+      if (exists) {
+        return (attribute(exists[2]) !== undefined) !== Boolean(exists[1]);
+      }
+
+      const beginsWith = trimmed.match(/^begins_with\(\s*([#\w]+)\s*,\s*(:\w+)\s*\)$/i);
+      if (beginsWith) {
+        return String(attribute(beginsWith[1]) ?? '').startsWith(values[beginsWith[2]]);
+      }
+
+      const inList = trimmed.match(/^([#\w]+)\s+IN\s*\(([^)]*)\)$/i);
+      if (inList) {
+        return inList[2].split(',').map(token => values[token.trim()]).includes(attribute(inList[1]));
+      }
+
+      const comparison = trimmed.match(/^([#\w]+)\s*(=|<>|<=|>=|<|>)\s*(:\w+)$/);
+      if (comparison) {
+        const left = attribute(comparison[1]);
+        const right = values[comparison[3]];
+        switch (comparison[2]) {
+          case '=': return left === right;
+          case '<>': return left !== right;
+          case '<': return left !== undefined && left < right;
+          case '<=': return left !== undefined && left <= right;
+          case '>': return left !== undefined && left > right;
+          case '>=': return left !== undefined && left >= right;
+        }
+      }
+
+      throw new Error(`Unsupported expression in local store: ${trimmed}`);
+    }));
+  }
+}
+
+module.exports = MemoryDynamoDB;
@@ -4,7 +4,19 @@ import dotenv from 'dotenv';
 // stagingの設定を使用
 dotenv.config({ path: '../../frontend/.env.staging' });
 
-const WS_URL = process.env.VITE_WS_URL || 'ws://localhost:8080';
+// E2E_WS_URL でローカルサーバー（backend/local/dev-server.js）等を指定可能
+const WS_URL = process.env.E2E_WS_URL || process.env.VITE_WS_URL || 'ws://localhost:8080';
+
+// 接続用のトークン（E2E_AUTH_TOKEN、ローカルサーバーの場合は未指定なら開発用トークンを発行）
+let authToken = process.env.E2E_AUTH_TOKEN || '';
+
+async function resolveAuthToken() {
+  if (authToken || !WS_URL.includes('localhost')) {
+    return;
+  }
+  const response = await fetch(`${WS_URL.replace(/^ws/, 'http')}/dev/token?userId=e2e-operator&role=operator`);
+  ({ token: authToken } = await response.json());
+}
 
 const scenarios = [
   {
@@ -43,7 +55,7 @@ async function testScenario(scenario) {
   return new Promise((resolve, reject) => {
     console.log(`\n🧪 Testing scenario: ${scenario.name}`);
     
-    const ws = new WebSocket(WS_URL);
+    const ws = new WebSocket(authToken ? `${WS_URL}?token=${encodeURIComponent(authToken)}` : WS_URL);
     let responseReceived = false;
     
     // タイムアウト設定
@@ -122,6 +134,8 @@ async function runAllTests() {
   console.log('📍 WebSocket URL:', WS_URL);
   console.log('=' .repeat(50));
   
+  await resolveAuthToken();
+  
   const results = [];
   
   for (const scenario of scenarios) {
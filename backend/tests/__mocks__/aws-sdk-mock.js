@@ -4,16 +4,35 @@ module.exports = {
     send: jest.fn()
   })),
   StartStreamTranscriptionCommand: jest.fn(),
+
+  TranscribeClient: jest.fn(() => ({
+    send: jest.fn()
+  })),
+  GetVocabularyCommand: jest.fn(input => ({ input })),
   
   BedrockRuntimeClient: jest.fn(() => ({
     send: jest.fn()
   })),
   InvokeModelCommand: jest.fn(),
+  InvokeModelWithResponseStreamCommand: jest.fn(),
   
   DynamoDBClient: jest.fn(() => ({
     send: jest.fn()
   })),
   PutItemCommand: jest.fn(),
+
+  // @aws-sdk/lib-dynamodb
+  DynamoDBDocumentClient: {
+    from: jest.fn(() => ({
+      send: jest.fn()
+    }))
+  },
+  PutCommand: jest.fn(input => ({ input })),
+  GetCommand: jest.fn(input => ({ input })),
+  DeleteCommand: jest.fn(input => ({ input })),
+  QueryCommand: jest.fn(input => ({ input })),
+  UpdateCommand: jest.fn(input => ({ input })),
+  BatchWriteCommand: jest.fn(input => ({ input })),
   
   ApiGatewayManagementApiClient: jest.fn(() => ({
     send: jest.fn()
@@ -23,5 +42,12 @@ module.exports = {
   S3Client: jest.fn(() => ({
     send: jest.fn()
   })),
-  PutObjectCommand: jest.fn()
+  PutObjectCommand: jest.fn(input => ({ input })),
+  GetObjectCommand: jest.fn(input => ({ input })),
+  CreateMultipartUploadCommand: jest.fn(input => ({ input })),
+  UploadPartCommand: jest.fn(input => ({ input })),
+  CompleteMultipartUploadCommand: jest.fn(input => ({ input })),
+  AbortMultipartUploadCommand: jest.fn(input => ({ input })),
+
+  getSignedUrl: jest.fn(async (client, command) => `https://s3.example.com/${command.input.Key}?X-Amz-Signature=test`)
 };
\ No newline at end of file
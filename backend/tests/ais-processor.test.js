@@ -0,0 +1,168 @@
+const AISDecoder = require('../lambda/websocket-handler/shared/ais-decoder');
+const AISProcessor = require('../lambda/websocket-handler/shared/ais-processor');
+const dynamodbClient = require('../lambda/websocket-handler/shared/dynamodb-client');
+
+jest.mock('../lambda/websocket-handler/shared/dynamodb-client', () => ({
+  updateItem: jest.fn().mockResolvedValue({}),
+  getItem: jest.fn()
+}));
+
+// samples/fukuoka-sample.nmea と同じセンテンス
+const TYPE5_SAKURA = [
+  '!AIVDM,2,1,1,A,56K29h@2;=`0`C;?CD1<4eE860l59D0000000016?0N<=6GfNDR0BhE0@000,0*2F',
+  '!AIVDM,2,2,1,A,00000000000,2*25'
+];
+const TYPE1_SAKURA = '!AIVDM,1,1,,A,16K29h@P1saDsJhC>af1hQHt0000,0*61';
+const TYPE3_GENKAI = '!AIVDM,1,1,,B,36K29hQP01aFbM0CJSL8>F@t0000,0*52';
+const TYPE24A_KITAKYU = '!AIVDM,1,1,,A,H6K29hhdU@4eUD00000000000000,0*29';
+const TYPE24B_KITAKYU = '!AIVDM,1,1,,A,H6K29hlt0000000:<iijj050:550,0*61';
+const TYPE18_KITAKYU = '!AIVDM,1,1,,A,B6K29hh0fREo484nlU0sPh7P0000,0*4F';
+
+describe('AISDecoder', () => {
+  let decoder;
+
+  beforeEach(() => {
+    decoder = new AISDecoder();
+  });
+
+  describe('decodeSentence', () => {
+    it('should decode class A position report (type 1)', () => {
+      const result = decoder.decodeSentence(TYPE1_SAKURA);
+
+      expect(result.messageType).toBe(1);
+      expect(result.mmsi).toBe('431000001');
+      expect(result.speedOverGround).toBe(12.3);
+      expect(result.courseOverGround).toBe(45);
+      expect(result.latitude).toBeCloseTo(33.605, 4);
+      expect(result.longitude).toBeCloseTo(130.401, 4);
+      expect(result.navStatusText).toBe('航行中（機関使用）');
+    });
+
+    it('should decode negative coordinates', () => {
+      const result = decoder.decodeSentence('!AIVDM,1,1,,B,177KQJ5000G?tO`K>RA1wUbN0TKH,0*5C');
+
+      expect(result.mmsi).toBe('477553000');
+      expect(result.longitude).toBeCloseTo(-122.345833, 5);
+      expect(result.latitude).toBeCloseTo(47.582833, 5);
+    });
+
+    it('should assemble multi-sentence static data (type 5)', () => {
+      expect(decoder.decodeSentence(TYPE5_SAKURA[0])).toBeNull();
+      const result = decoder.decodeSentence(TYPE5_SAKURA[1]);
+
+      expect(result.messageType).toBe(5);
+      expect(result.name).toBe('SAKURA MARU');
+      expect(result.callSign).toBe('JD2345');
+      expect(result.imo).toBe('9123456');
+      expect(result.shipTypeText).toBe('貨物船');
+      expect(result.destination).toBe('HAKATA');
+      expect(result.dimensions).toEqual({ length: 150, beam: 25 });
+    });
+
+    it('should decode class B position and static reports (types 18/24)', () => {
+      const partA = decoder.decodeSentence(TYPE24A_KITAKYU);
+      const partB = decoder.decodeSentence(TYPE24B_KITAKYU);
+      const position = decoder.decodeSentence(TYPE18_KITAKYU);
+
+      expect(partA.name).toBe('KITAKYU');
+      expect(partB.callSign).toBe('JL1122');
+      expect(partB.shipTypeText).toBe('旅客船');
+      expect(position.messageType).toBe(18);
+      expect(position.speedOverGround).toBe(18.6);
+    });
+
+    it('should reject sentences with invalid checksum', () => {
+      expect(() => decoder.decodeSentence(TYPE1_SAKURA.replace('*61', '*00')))
+        .toThrow('checksum mismatch');
+    });
+
+    it('should ignore leading timestamps and tag blocks', () => {
+      const result = decoder.decodeSentence(`\\c:1757914200*00\\${TYPE1_SAKURA}`);
+
+      expect(result.mmsi).toBe('431000001');
+    });
+  });
+});
+
+describe('AISProcessor', () => {
+  let processor;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    processor = new AISProcessor();
+  });
+
+  describe('ingestSentences', () => {
+    it('should merge static and position data per MMSI', async () => {
+      const result = await processor.ingestSentences([...TYPE5_SAKURA, TYPE1_SAKURA, TYPE3_GENKAI]);
+
+      expect(result.decoded).toBe(3);
+      expect(result.vessels).toEqual(['431000001', '431000002']);
+      expect(dynamodbClient.updateItem).toHaveBeenCalledWith(
+        'vts-vessels',
+        { MMSI: '431000001' },
+        expect.objectContaining({
+          VesselName: 'SAKURA MARU',
+          SOG: 12.3,
+          COG: 45,
+          ShipTypeText: '貨物船'
+        })
+      );
+    });
+
+    it('should count invalid sentences without failing the batch', async () => {
+      const result = await processor.ingestSentences(['garbage', TYPE1_SAKURA]);
+
+      expect(result.invalid).toBe(1);
+      expect(result.decoded).toBe(1);
+    });
+
+    it('should notify static data for vessel registry', async () => {
+      processor.onStaticData = jest.fn().mockResolvedValue();
+
+      await processor.ingestSentences([...TYPE5_SAKURA, TYPE3_GENKAI]);
+
+      expect(processor.onStaticData).toHaveBeenCalledTimes(1);
+      expect(processor.onStaticData).toHaveBeenCalledWith('431000001', {
+        name: 'SAKURA MARU',
+        callSign: 'JD2345'
+      });
+    });
+
+    it('should reject non-array input', async () => {
+      await expect(processor.ingestSentences(TYPE1_SAKURA)).rejects.toThrow('must be an array');
+    });
+  });
+
+  describe('getVessel', () => {
+    it('should convert stored state to VesselInfo', async () => {
+      dynamodbClient.getItem.mockResolvedValue({
+        MMSI: '431000001',
+        VesselName: 'SAKURA MARU',
+        CallSign: 'JD2345',
+        ShipTypeText: '貨物船',
+        Latitude: 33.605,
+        Longitude: 130.401,
+        SOG: 12.3,
+        COG: 45
+      });
+
+      const vessel = await processor.getVessel('431000001');
+
+      expect(vessel).toEqual(expect.objectContaining({
+        mmsi: '431000001',
+        name: 'SAKURA MARU',
+        type: '貨物船',
+        position: { lat: 33.605, lon: 130.401 },
+        speed: 12.3,
+        course: 45
+      }));
+    });
+
+    it('should return null for unknown vessels', async () => {
+      dynamodbClient.getItem.mockResolvedValue(null);
+
+      expect(await processor.getVessel('000000000')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const AudioFrameCodec = require('../lambda/websocket-handler/shared/audio-frame');
+
+describe('AudioFrameCodec', () => {
+  const pcm = Buffer.from([0x01, 0x00, 0xff, 0x7f]);
+
+  it('should round-trip the header and audio payload', () => {
+    const frame = AudioFrameCodec.encode(pcm, {
+      sessionId: 'TRANS-conn-1-1700000000000',
+      sequenceNumber: 42,
+      sampleRate: 16000,
+      isLastChunk: true
+    });
+
+    const decoded = AudioFrameCodec.decode(frame);
+
+    expect(decoded).toMatchObject({
+      version: 1,
+      codec: 'pcm',
+      sequenceNumber: 42,
+      sampleRate: 16000,
+      isLastChunk: true,
+      sessionId: 'TRANS-conn-1-1700000000000'
+    });
+    expect(decoded.audio.equals(pcm)).toBe(true);
+  });
+
+  it('should decode frames without a session id', () => {
+    const frame = AudioFrameCodec.encode(pcm, { sequenceNumber: 1, sampleRate: 8000 });
+
+    expect(frame.length).toBe(AudioFrameCodec.HEADER_SIZE + pcm.length);
+    expect(AudioFrameCodec.decode(frame)).toMatchObject({ sessionId: null, sampleRate: 8000, isLastChunk: false });
+  });
+
+  it('should carry the channel name after the session id', () => {
+    const frame = AudioFrameCodec.encode(pcm, { sessionId: 'TRANS-1', channel: 'ch16', sequenceNumber: 3 });
+
+    expect(frame.readUInt8(12) & AudioFrameCodec.FLAGS.CHANNEL).toBe(AudioFrameCodec.FLAGS.CHANNEL);
+    const decoded = AudioFrameCodec.decode(frame);
+    expect(decoded).toMatchObject({ sessionId: 'TRANS-1', channel: 'ch16', sequenceNumber: 3 });
+    expect(decoded.audio.equals(pcm)).toBe(true);
+    expect(AudioFrameCodec.decode(AudioFrameCodec.encode(pcm, {})).channel).toBeNull();
+  });
+
+  it('should match the layout produced by the frontend encoder', () => {
+    const frame = Buffer.from([
+      0x56, 0x41, 0x01, 0x00,
+      0x00, 0x00, 0x01, 0x00,
+      0x00, 0x00, 0x3e, 0x80,
+      0x00, 0x02, 0x49, 0x44,
+      0x01, 0x00
+    ]);
+
+    expect(AudioFrameCodec.decode(frame)).toMatchObject({
+      sequenceNumber: 256,
+      sampleRate: 16000,
+      sessionId: 'ID'
+    });
+  });
+
+  it('should reject malformed frames with a 400 error', () => {
+    expect(() => AudioFrameCodec.decode(Buffer.from('{"action":"ping"}'))).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => AudioFrameCodec.decode(Buffer.from([0x56, 0x41, 0x01]))).toThrow('Audio frame is too short');
+
+    const unknownCodec = AudioFrameCodec.encode(pcm, {});
+    unknownCodec.writeUInt8(0x7f, 3);
+    expect(() => AudioFrameCodec.decode(unknownCodec)).toThrow('Unsupported audio codec id: 127');
+
+    const truncated = AudioFrameCodec.encode(Buffer.alloc(0), { sessionId: 'TRANS-1' }).subarray(0, 16);
+    expect(() => AudioFrameCodec.decode(truncated)).toThrow('Audio frame is truncated');
+  });
+});
@@ -0,0 +1,73 @@
+const AudioJitterBuffer = require('../lambda/websocket-handler/shared/audio-jitter-buffer');
+
+// 16kHz PCM 16bit で 100ms（3200バイト）のチャンク
+const chunk = (value) => Buffer.alloc(3200, value);
+
+describe('AudioJitterBuffer', () => {
+  let buffer;
+
+  beforeEach(() => {
+    buffer = new AudioJitterBuffer({ sampleRate: 16000, codec: 'pcm', maxPendingChunks: 2 });
+  });
+
+  it('should pass through chunks that arrive in order', () => {
+    expect(buffer.push(chunk(1), 0)).toEqual([chunk(1)]);
+    expect(buffer.push(chunk(2), 1)).toEqual([chunk(2)]);
+    expect(buffer.getStats()).toMatchObject({ received: 2, lost: 0, reordered: 0, lossRate: 0 });
+  });
+
+  it('should reorder chunks by sequence number', () => {
+    buffer.push(chunk(1), 0);
+
+    expect(buffer.push(chunk(3), 2)).toEqual([]);
+    expect(buffer.push(chunk(2), 1)).toEqual([chunk(2), chunk(3)]);
+    expect(buffer.getStats()).toMatchObject({ reordered: 1, lost: 0, buffered: 0 });
+  });
+
+  it('should fill a short gap with silence once it stops waiting', () => {
+    buffer.push(chunk(1), 0);
+    buffer.push(chunk(3), 2);
+    buffer.push(chunk(4), 3);
+
+    const output = buffer.push(chunk(5), 4);
+
+    expect(output).toEqual([Buffer.alloc(3200), chunk(3), chunk(4), chunk(5)]);
+    expect(buffer.getStats()).toMatchObject({ lost: 1, concealedMs: 100, lossRate: 0.2 });
+  });
+
+  it('should not conceal long gaps or compressed audio', () => {
+    const opus = new AudioJitterBuffer({ codec: 'ogg-opus', maxPendingChunks: 0 });
+    opus.push(Buffer.from('OggS'), 0);
+    expect(opus.push(Buffer.from('OggS2'), 2)).toEqual([Buffer.from('OggS2')]);
+    expect(opus.getStats()).toMatchObject({ lost: 1, concealedMs: 0 });
+
+    const pcm = new AudioJitterBuffer({ maxPendingChunks: 0, maxConcealmentMs: 500 });
+    pcm.push(chunk(1), 0);
+    expect(pcm.push(chunk(2), 20)).toEqual([chunk(2)]);
+    expect(pcm.getStats()).toMatchObject({ lost: 19, concealedMs: 0 });
+  });
+
+  it('should drop late and duplicate chunks', () => {
+    buffer.push(chunk(1), 5);
+    buffer.push(chunk(2), 6);
+
+    expect(buffer.push(chunk(1), 5)).toEqual([]);
+    expect(buffer.push(chunk(9), 3)).toEqual([]);
+    buffer.push(chunk(8), 8);
+    expect(buffer.push(chunk(8), 8)).toEqual([]);
+    expect(buffer.getStats()).toMatchObject({ late: 2, duplicates: 1 });
+  });
+
+  it('should flush pending chunks in order', () => {
+    buffer.push(chunk(1), 0);
+    buffer.push(chunk(3), 2);
+
+    expect(buffer.flush()).toEqual([Buffer.alloc(3200), chunk(3)]);
+    expect(buffer.getStats().buffered).toBe(0);
+  });
+
+  it('should pass through chunks without sequence numbers', () => {
+    expect(buffer.push(chunk(1), undefined)).toEqual([chunk(1)]);
+    expect(buffer.getStats()).toMatchObject({ received: 1, lossRate: 0 });
+  });
+});
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const AuthService = require('../lambda/websocket-handler/auth-service');
+
+const ISSUER = 'https://cognito-idp.ap-northeast-1.amazonaws.com/ap-northeast-1_example';
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+const now = () => Math.floor(Date.now() / 1000);
+
+// RS256のトークン（設定したIssuerのJWKSで検証）
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const signRS256 = (claims, kid = 'key-1') => {
+  const input = `${encode({ alg: 'RS256', kid })}.${encode(claims)}`;
+  return `${input}.${crypto.sign('RSA-SHA256', Buffer.from(input), privateKey).toString('base64url')}`;
+};
+const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' }] };
+
+describe('AuthService', () => {
+  let fetch;
+
+  const createService = (options = {}) => new AuthService({
+    issuer: ISSUER,
+    audience: 'vts-console',
+    roleClaim: 'cognito:groups',
+    devSecret: 'test-secret',
+    fetch,
+    ...options
+  });
+
+  beforeEach(() => {
+    fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => jwks });
+  });
+
+  describe('issuer tokens', () => {
+    it('should verify the signature with the issuer JWKS and resolve the strongest role', async () => {
+      const service = createService();
+      const token = signRS256({
+        iss: ISSUER,
+        sub: 'user-1',
+        aud: 'vts-console',
+        'cognito:username': 'tanaka',
+        'cognito:groups': ['observer', 'supervisor'],
+        exp: now() + 3600
+      });
+
+      const user = await service.authenticate(token);
+
+      expect(user).toMatchObject({ userId: 'user-1', userName: 'tanaka', role: 'supervisor', issuer: ISSUER });
+      expect(fetch).toHaveBeenCalledWith(`${ISSUER}/.well-known/jwks.json`, { signal: expect.any(AbortSignal) });
+
+      // 公開鍵はキャッシュする
+      await service.authenticate(token);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject tampered, expired and foreign tokens', async () => {
+      const service = createService();
+      const claims = { iss: ISSUER, sub: 'user-1', aud: 'vts-console', 'cognito:groups': 'operator', exp: now() + 3600 };
+
+      const [header, , signature] = signRS256(claims).split('.');
+      await expect(service.authenticate(`${header}.${encode({ ...claims, 'cognito:groups': 'supervisor' })}.${signature}`))
+        .rejects.toMatchObject({ statusCode: 401, message: 'Invalid token signature' });
+      await expect(service.authenticate(signRS256({ ...claims, exp: now() - 120 })))
+        .rejects.toMatchObject({ statusCode: 401, message: 'Token expired' });
+      await expect(service.authenticate(signRS256({ ...claims, aud: 'other-app' })))
+        .rejects.toMatchObject({ statusCode: 401, message: 'Token audience mismatch' });
+      await expect(service.authenticate(signRS256({ ...claims, iss: 'https://evil.example.com' })))
+        .rejects.toMatchObject({ statusCode: 401, message: 'Untrusted token issuer' });
+      await expect(service.authenticate(signRS256(claims, 'rotated-key')))
+        .rejects.toMatchObject({ statusCode: 401, message: 'Unknown token signing key' });
+    });
+
+    it('should refetch the JWKS for unknown kids at most once per interval', async () => {
+      jest.useFakeTimers({ now: Date.now(), doNotFake: ['nextTick', 'setImmediate'] });
+      try {
+        const service = createService();
+        const claims = { iss: ISSUER, sub: 'user-1', aud: 'vts-console', 'cognito:groups': 'operator', exp: now() + 3600 };
+
+        await service.authenticate(signRS256(claims));
+        await Promise.allSettled([1, 2, 3].map(() => service.authenticate(signRS256(claims, 'unknown-key'))));
+        expect(fetch).toHaveBeenCalledTimes(1);
+
+        jest.advanceTimersByTime(30 * 1000);
+        await expect(service.authenticate(signRS256(claims, 'unknown-key'))).rejects.toMatchObject({ statusCode: 401 });
+        expect(fetch).toHaveBeenCalledTimes(2);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should report unavailable signing keys when the JWKS request fails', async () => {
+      fetch.mockRejectedValue(Object.assign(new Error('The operation was aborted due to timeout'), { name: 'TimeoutError' }));
+      const token = signRS256({ iss: ISSUER, sub: 'user-1', aud: 'vts-console', 'cognito:groups': 'operator', exp: now() + 3600 });
+
+      await expect(createService().authenticate(token)).rejects.toMatchObject({ statusCode: 503, message: 'Token signing keys are unavailable' });
+    });
+
+    it('should reject users without a VTS role', async () => {
+      const token = signRS256({ iss: ISSUER, sub: 'user-1', aud: 'vts-console', 'cognito:groups': ['admins'], exp: now() + 3600 });
+
+      await expect(createService().authenticate(token)).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('local dev issuer', () => {
+    it('should accept tokens issued with the dev secret', async () => {
+      const service = createService();
+
+      const user = await service.authenticate(service.issueDevToken({ userId: 'operator-1', role: 'operator' }));
+
+      expect(user).toMatchObject({ userId: 'operator-1', role: 'operator', issuer: 'vts-local-dev' });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should reject dev tokens when the dev secret differs or is not configured', async () => {
+      const token = createService({ devSecret: 'other-secret' }).issueDevToken({ userId: 'operator-1' });
+
+      await expect(createService().authenticate(token)).rejects.toMatchObject({ message: 'Invalid token signature' });
+      await expect(createService({ devSecret: '' }).authenticate(token)).rejects.toMatchObject({ message: 'Untrusted token issuer' });
+    });
+
+    it('should reject dev tokens signed with another algorithm', async () => {
+      const service = createService();
+      const [, payload] = service.issueDevToken({ userId: 'operator-1' }).split('.');
+
+      await expect(service.authenticate(`${encode({ alg: 'none' })}.${payload}.`))
+        .rejects.toMatchObject({ statusCode: 401, message: 'Unsupported token algorithm' });
+    });
+
+    it('should require a token', async () => {
+      await expect(createService().authenticate(null)).rejects.toMatchObject({ statusCode: 401 });
+      await expect(createService().authenticate('not-a-jwt')).rejects.toMatchObject({ message: 'Malformed token' });
+    });
+  });
+
+  describe('authorization', () => {
+    it('should allow read-only actions for observers', () => {
+      expect(AuthService.isAllowed('observer', 'getIncidents')).toBe(true);
+      expect(AuthService.isAllowed('observer', 'approveResponse')).toBe(false);
+      expect(AuthService.isAllowed('observer', 'audioData')).toBe(false);
+      expect(AuthService.isAllowed(undefined, 'ping')).toBe(false);
+    });
+
+    it('should reserve incident assignment for supervisors', () => {
+      expect(AuthService.isAllowed('operator', 'acknowledgeIncident')).toBe(true);
+      expect(AuthService.isAllowed('operator', 'assignIncident')).toBe(false);
+      expect(AuthService.isAllowed('supervisor', 'assignIncident')).toBe(true);
+    });
+  });
+
+  describe('extractToken', () => {
+    it('should read the bearer header before the query parameter', () => {
+      expect(AuthService.extractToken({ headers: { Authorization: 'Bearer header-token' }, queryStringParameters: { token: 'query-token' } }))
+        .toBe('header-token');
+      expect(AuthService.extractToken({ queryStringParameters: { token: 'query-token' } })).toBe('query-token');
+      expect(AuthService.extractToken({})).toBeNull();
+    });
+  });
+});
@@ -1,4 +1,5 @@
 const BedrockProcessor = require('../lambda/websocket-handler/shared/bedrock-processor');
+const { LocalProvider } = require('../lambda/websocket-handler/shared/llm-provider');
 
 jest.mock('@aws-sdk/client-bedrock-runtime');
 jest.mock('@aws-sdk/client-dynamodb');
@@ -11,6 +12,10 @@ describe('BedrockProcessor', () => {
   });
 
   describe('processVTSCommunication', () => {
+    beforeEach(() => {
+      processor = new BedrockProcessor({ provider: new LocalProvider() });
+    });
+
     it('should classify emergency correctly', async () => {
       const transcript = 'メーデー、メーデー、メーデー、機関故障';
       
@@ -38,6 +43,62 @@ describe('BedrockProcessor', () => {
     });
   });
 
+  describe('streaming', () => {
+    const toStream = (texts) => ({
+      body: (async function* () {
+        yield { chunk: { bytes: new TextEncoder().encode(JSON.stringify({ type: 'message_start' })) } };
+        for (const text of texts) {
+          yield {
+            chunk: {
+              bytes: new TextEncoder().encode(JSON.stringify({
+                type: 'content_block_delta',
+                delta: { type: 'text_delta', text }
+              }))
+            }
+          };
+        }
+      })()
+    });
+
+    it('should forward partial suggestedResponse and return the parsed result', async () => {
+      processor.provider.client.send = jest.fn().mockResolvedValue(toStream([
+        '{"classification": "GREEN", "sugges',
+        'tedResponse": "さくら丸、',
+        '入港を許可します。\\n第3バースへ", ',
+        '"confidence": 0.9, "riskFactors": [], "recommendedActions": []}'
+      ]));
+      const onPartial = jest.fn();
+
+      const result = await processor.processVTSCommunication('入港許可を要請します', { onPartial });
+
+      expect(onPartial.mock.calls.map(call => call[0])).toEqual([
+        'さくら丸、',
+        'さくら丸、入港を許可します。\n第3バースへ'
+      ]);
+      expect(result.classification).toBe('GREEN');
+      expect(result.suggestedResponse).toBe('さくら丸、入港を許可します。\n第3バースへ');
+    });
+
+    it('should fall back when the stream reports an error', async () => {
+      processor.provider.client.send = jest.fn().mockResolvedValue({
+        body: (async function* () {
+          yield { modelStreamErrorException: { message: 'stream failed' } };
+        })()
+      });
+
+      const result = await processor.processVTSCommunication('強風で操船困難', { onPartial: jest.fn() });
+
+      expect(result.classification).toBe('AMBER');
+      expect(result.error).toBe('stream failed');
+    });
+
+    it('should extract partial text with escapes', () => {
+      expect(processor.extractPartialSuggestedResponse('{"suggestedResponse": "a\\"b\\u3042')).toBe('a"bあ');
+      expect(processor.extractPartialSuggestedResponse('{"suggestedResponse": "abc\\')).toBe('abc');
+      expect(processor.extractPartialSuggestedResponse('{"classification": "RED"')).toBeNull();
+    });
+  });
+
   describe('parseAIResponse', () => {
     it('should parse valid JSON response', () => {
       const responseText = `
@@ -67,6 +128,33 @@ describe('BedrockProcessor', () => {
     });
   });
 
+  describe('createVTSPrompt', () => {
+    it('should include AIS vessel context in the prompt', () => {
+      const prompt = processor.createVTSPrompt('入港許可を要請します', {
+        vesselInfo: {
+          mmsi: '431000001',
+          name: 'SAKURA MARU',
+          type: '貨物船',
+          position: { lat: 33.605, lon: 130.401 },
+          speed: 12.3,
+          course: 45
+        }
+      });
+
+      expect(prompt).toContain('SAKURA MARU');
+      expect(prompt).toContain('MMSI: 431000001');
+      expect(prompt).toContain('33.6050°N 130.4010°E');
+      expect(prompt).toContain('12.3ノット');
+      expect(prompt).toContain('船種: 貨物船');
+    });
+
+    it('should fall back to 不明 when vessel is unknown', () => {
+      const prompt = processor.createVTSPrompt('テスト', {});
+
+      expect(prompt).toContain('船舶情報: 不明');
+    });
+  });
+
   describe('getFallbackResponse', () => {
     it('should detect emergency keywords', () => {
       const result = processor.getFallbackResponse('メーデー、火災発生');
@@ -99,8 +187,30 @@ describe('BedrockProcessor', () => {
     it('should detect PAN-PAN calls', async () => {
       const result = await processor.generateEmergencyResponse('パンパン、機関故障');
       
-      expect(result.classification).toBe('RED');
+      expect(result.classification).toBe('AMBER');
+      expect(result.priority).toBe('URGENCY');
       expect(result.isEmergency).toBe(true);
+      expect(result.suggestedResponse).toContain('必要な支援を報告してください');
+    });
+
+    it('should answer SECURITE calls as safety information', async () => {
+      const result = await processor.generateEmergencyResponse('Securite securite securite, drifting container in the fairway');
+
+      expect(result).toMatchObject({ classification: 'GREEN', priority: 'SAFETY', signal: 'SECURITE', isEmergency: false });
+      expect(result.suggestedResponse).toContain('navigational warning');
+    });
+
+    it('should note MAYDAY RELAY calls', async () => {
+      const result = await processor.generateEmergencyResponse('メーデーリレー、メーデーリレー、漁船が浸水');
+
+      expect(result.priority).toBe('DISTRESS');
+      expect(result.relay).toBe(true);
+      expect(result.riskFactors).toContain('遭難通報の中継（MAYDAY RELAY）');
+    });
+
+    it('should not treat ordinary words as priority calls', () => {
+      expect(processor.isEmergencyCommunication('Security guard at berth 3')).toBe(false);
+      expect(processor.isEmergencyCommunication('パンパンに積載しています')).toBe(false);
     });
 
     it('should process normal communication', async () => {
@@ -157,16 +267,16 @@ describe('BedrockProcessor', () => {
       processor.processVTSCommunication = jest.fn()
         .mockResolvedValue({ classification: 'GREEN' });
       
-      await processor.processWithHistory('新しい通信', history);
+      await processor.processWithHistory('新しい通信', history, { connectionId: 'conn-1' });
       
       expect(processor.processVTSCommunication).toHaveBeenCalledWith(
-        expect.stringContaining('過去の通信履歴'),
-        expect.any(Object)
+        '新しい通信',
+        expect.objectContaining({ history, connectionId: 'conn-1' })
       );
     });
 
-    it('should limit history to 5 entries', async () => {
-      const history = Array(10).fill({ role: 'vessel', text: 'test' });
+    it('should limit history to the most recent entries', async () => {
+      const history = Array.from({ length: 20 }, (_, i) => ({ role: 'vessel', text: `test${i}` }));
       
       processor.processVTSCommunication = jest.fn()
         .mockResolvedValue({ classification: 'GREEN' });
@@ -174,9 +284,116 @@ describe('BedrockProcessor', () => {
       await processor.processWithHistory('新しい通信', history);
       
       const call = processor.processVTSCommunication.mock.calls[0];
-      const historyCount = (call[0].match(/- vessel:/g) || []).length;
       
-      expect(historyCount).toBe(5);
+      expect(call[1].history).toHaveLength(processor.maxHistoryItems);
+      expect(call[1].history[call[1].history.length - 1].text).toBe('test19');
+    });
+  });
+
+  describe('SMCP', () => {
+    it('should analyze the suggested response by default', async () => {
+      processor = new BedrockProcessor({ provider: new LocalProvider() });
+
+      const result = await processor.processVTSCommunication('博多港への入港許可を要請します');
+
+      expect(processor.smcpMode).toBe('analyze');
+      expect(result.smcp.markers).toContain('INSTRUCTION');
+      expect(result.smcpResponse).toBeUndefined();
+    });
+
+    it('should add SMCP English alongside the Japanese response in rewrite mode', async () => {
+      processor = new BedrockProcessor({ provider: new LocalProvider(), smcpMode: 'rewrite' });
+
+      const result = await processor.processVTSCommunication('メーデー、メーデー、機関故障');
+
+      expect(processor.createVTSPrompt('test', {})).toContain('"smcpResponse"');
+      expect(result.suggestedResponse).toContain('福岡VTS');
+      expect(result.smcpResponse).toMatch(/^This is Fukuoka VTS\. INFORMATION: /);
+      expect(result.smcp.language).toBe('en');
+      expect(result.smcp.compliant).toBe(true);
+    });
+
+    it('should rewrite fallback and emergency responses by rule', async () => {
+      processor = new BedrockProcessor({ smcpMode: 'rewrite' });
+
+      const emergency = await processor.generateEmergencyResponse('MAYDAY MAYDAY');
+
+      expect(emergency.smcpResponse).toContain('INSTRUCTION: Report your position and situation.');
+      expect(processor.applySmcp(processor.getFallbackResponse('強風で困難')).smcpResponse)
+        .toBe('Understood. ADVICE: Take all necessary measures for safety. INSTRUCTION: Stand by for further instructions.');
+    });
+
+    it('should not analyze when SMCP is off', () => {
+      processor = new BedrockProcessor({ smcpMode: 'off' });
+
+      expect(processor.applySmcp(processor.getFallbackResponse('通常')).smcp).toBeUndefined();
+    });
+  });
+
+  describe('language', () => {
+    beforeEach(() => {
+      processor = new BedrockProcessor({ provider: new LocalProvider(), smcpMode: 'off' });
+    });
+
+    it('should respond to English communications in English with a Japanese gloss', async () => {
+      const result = await processor.processVTSCommunication('Hakata VTS, this is SAKURA MARU, we have a fire in the engine room', {
+        language: 'en-US'
+      });
+
+      expect(result.classification).toBe('RED');
+      expect(result.language).toBe('en');
+      expect(result.suggestedResponse).toMatch(/^This is Fukuoka VTS\./);
+      expect(result.japaneseGloss).toContain('こちら福岡VTS');
+    });
+
+    it('should use English prompts for English communications', () => {
+      expect(processor.getSystemPrompt('en')).toContain('Standard Marine Communication Phrases');
+      expect(processor.createVTSPrompt('Request pilot', { language: 'en' })).toContain('"japaneseGloss"');
+      expect(processor.createVTSPrompt('水先人を要請', {})).not.toContain('"japaneseGloss"');
+    });
+
+    it('should detect the language from the text when the language code is unknown', () => {
+      expect(processor.resolveLanguage('Request permission to enter port')).toBe('en');
+      expect(processor.resolveLanguage('入港許可を要請します')).toBe('ja');
+      expect(processor.resolveLanguage('入港許可', 'en-US')).toBe('en');
+    });
+
+    it('should return English fallback and emergency responses', async () => {
+      const fallback = processor.getFallbackResponse('Strong wind, difficult to keep course');
+      const emergency = await processor.generateEmergencyResponse('MAYDAY MAYDAY MAYDAY', { language: 'en-US' });
+
+      expect(fallback).toMatchObject({ classification: 'AMBER', language: 'en', japaneseGloss: '状況を確認しました。安全を確保し、指示をお待ちください。' });
+      expect(fallback.suggestedResponse).toContain('Stand by for further instructions');
+      expect(emergency.suggestedResponse).toContain('Your distress message is received');
+      expect(emergency.japaneseGloss).toContain('緊急通信を受信しました');
+    });
+
+    it('should not add a gloss to Japanese responses', () => {
+      const result = processor.getFallbackResponse('強風で操船困難');
+
+      expect(result.language).toBe('ja');
+      expect(result.japaneseGloss).toBeUndefined();
+    });
+  });
+
+  describe('buildMessages', () => {
+    it('should build alternating multi-turn messages ending with the prompt', () => {
+      const messages = processor.buildMessages('今回のプロンプト', [
+        { role: 'vts', text: '先行するVTS応答' },
+        { role: 'vessel', text: '入港要請' },
+        { role: 'vts', text: '了解', classification: 'GREEN' },
+        { role: 'vessel', text: '第3バースへ向かう' }
+      ]);
+
+      expect(messages.map(m => m.role)).toEqual(['user', 'assistant', 'user']);
+      expect(messages[0].content).toContain('入港要請');
+      expect(JSON.parse(messages[1].content)).toEqual({ classification: 'GREEN', suggestedResponse: '了解' });
+      expect(messages[2].content).toContain('第3バースへ向かう');
+      expect(messages[2].content).toContain('今回のプロンプト');
+    });
+
+    it('should send a single user message without history', () => {
+      expect(processor.buildMessages('プロンプト')).toEqual([{ role: 'user', content: 'プロンプト' }]);
     });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,79 @@
+const BroadcastService = require('../lambda/websocket-handler/broadcast-service');
+
+const CONNECTIONS = [
+  { connectionId: 'conn-1', role: 'operator', portArea: 'hakata' },
+  { connectionId: 'conn-2', role: 'supervisor', portArea: 'kanmon' },
+  { connectionId: 'conn-3', role: 'observer', portArea: 'hakata' },
+  { connectionId: 'conn-4' }
+];
+
+const goneError = () => Object.assign(new Error('Gone'), { name: 'GoneException', $metadata: { httpStatusCode: 410 } });
+
+describe('BroadcastService', () => {
+  let connectionManager;
+  let send;
+
+  const createService = (options = {}) => new BroadcastService({ connectionManager, send, roles: [], ...options });
+  const sentTo = () => send.mock.calls.map(([connectionId]) => connectionId);
+
+  beforeEach(() => {
+    connectionManager = {
+      getActiveConnections: jest.fn().mockResolvedValue(CONNECTIONS),
+      removeConnection: jest.fn().mockResolvedValue(true)
+    };
+    send = jest.fn().mockResolvedValue(undefined);
+  });
+
+  it('should send the message to every connected console', async () => {
+    const message = { type: 'alert', payload: { alertId: 'INC-1' } };
+
+    const result = await createService().broadcast(message);
+
+    expect(result).toEqual({ recipients: 4, sent: 4, pruned: 0, failed: 0 });
+    expect(send).toHaveBeenCalledWith('conn-1', message);
+    expect(sentTo()).toEqual(['conn-1', 'conn-2', 'conn-3', 'conn-4']);
+  });
+
+  it('should filter by role but keep consoles without a role', async () => {
+    await createService({ roles: ['operator', 'supervisor'] }).broadcast({ type: 'alert' });
+
+    expect(sentTo()).toEqual(['conn-1', 'conn-2', 'conn-4']);
+  });
+
+  it('should filter by port area only with the portArea scope', async () => {
+    await createService().broadcast({ type: 'alert' }, { portArea: 'hakata' });
+    expect(sentTo()).toHaveLength(4);
+
+    send.mockClear();
+    await createService({ scope: 'portArea' }).broadcast({ type: 'alert' }, { portArea: 'hakata' });
+    expect(sentTo()).toEqual(['conn-1', 'conn-3', 'conn-4']);
+  });
+
+  it('should prune stale connections that return 410', async () => {
+    send.mockImplementation(async connectionId => {
+      if (connectionId === 'conn-2') throw goneError();
+      if (connectionId === 'conn-3') throw new Error('Throttled');
+    });
+
+    const result = await createService().broadcast({ type: 'alert' });
+
+    expect(result).toEqual({ recipients: 4, sent: 2, pruned: 1, failed: 1 });
+    expect(connectionManager.removeConnection).toHaveBeenCalledTimes(1);
+    expect(connectionManager.removeConnection).toHaveBeenCalledWith('conn-2');
+  });
+
+  it('should read roles and scope from the environment', () => {
+    process.env.ALERT_BROADCAST_ROLES = 'operator, supervisor';
+    process.env.ALERT_BROADCAST_SCOPE = 'unknown';
+
+    try {
+      const service = new BroadcastService({ connectionManager, send });
+
+      expect(service.roles).toEqual(['operator', 'supervisor']);
+      expect(service.scope).toBe('all');
+    } finally {
+      delete process.env.ALERT_BROADCAST_ROLES;
+      delete process.env.ALERT_BROADCAST_SCOPE;
+    }
+  });
+});
@@ -0,0 +1,152 @@
+const ConversationHistory = require('../lambda/websocket-handler/shared/conversation-history');
+const dynamodbClient = require('../lambda/websocket-handler/shared/dynamodb-client');
+
+jest.mock('../lambda/websocket-handler/shared/dynamodb-client', () => ({
+  query: jest.fn(),
+  queryPage: jest.fn(),
+  getItem: jest.fn(),
+  putItem: jest.fn().mockResolvedValue(true)
+}));
+
+describe('ConversationHistory', () => {
+  let history;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    history = new ConversationHistory();
+  });
+
+  describe('getRecentTurns', () => {
+    it('should return connection turns oldest first, excluding the current item', async () => {
+      dynamodbClient.query.mockResolvedValue([
+        { ItemType: 'TRANSCRIPTION', ItemTimestamp: 'TRANS#3', TranscriptText: '現在の交信', Timestamp: '2025-09-15T05:32:00Z' },
+        { ItemType: 'DECISION', ItemTimestamp: 'DECISION#2', Timestamp: '2025-09-15T05:31:30Z' },
+        { ItemType: 'AI_RESPONSE', ItemTimestamp: 'AI#2', SuggestedResponse: '入港を許可します', ApprovedResponse: '第2バースへ', Classification: 'GREEN', Timestamp: '2025-09-15T05:31:00Z' },
+        { ItemType: 'TRANSCRIPTION', ItemTimestamp: 'TRANS#1', TranscriptText: '入港要請', Timestamp: '2025-09-15T05:30:00Z' }
+      ]);
+
+      const turns = await history.getRecentTurns('conn-1', { excludeItem: 'TRANS#3' });
+
+      expect(turns).toEqual([
+        { role: 'vessel', text: '入港要請', timestamp: '2025-09-15T05:30:00Z' },
+        { role: 'vts', text: '第2バースへ', classification: 'GREEN', timestamp: '2025-09-15T05:31:00Z' }
+      ]);
+      expect(dynamodbClient.query).toHaveBeenCalledWith('vts-conversations', expect.objectContaining({
+        ExpressionAttributeValues: { ':conversationId': 'CONN-conn-1' },
+        ScanIndexForward: false
+      }));
+    });
+
+    it('should query the newest turns of the vessel across connections when the vessel is known', async () => {
+      dynamodbClient.queryPage.mockResolvedValue({
+        items: [
+          { ItemType: 'TRANSCRIPTION', ItemTimestamp: 'TRANS#2', TranscriptText: '着岸しました', Timestamp: '2025-09-15T06:00:00Z' },
+          { ItemType: 'MESSAGE', ItemTimestamp: 'MSG#1', MessageContent: '入港要請', Timestamp: '2025-09-15T05:30:00Z' }
+        ],
+        lastEvaluatedKey: null
+      });
+
+      const turns = await history.getRecentTurns('conn-1', { vesselName: 'SAKURA MARU', limit: 2 });
+
+      expect(turns.map(turn => turn.text)).toEqual(['入港要請', '着岸しました']);
+      expect(dynamodbClient.queryPage).toHaveBeenCalledTimes(1);
+      expect(dynamodbClient.queryPage).toHaveBeenCalledWith('vts-conversations', expect.objectContaining({
+        IndexName: 'VesselTimeIndex',
+        ExpressionAttributeValues: expect.objectContaining({ ':vesselName': 'SAKURA MARU' }),
+        ScanIndexForward: false,
+        Limit: 6
+      }));
+    });
+
+    it('should read a bounded number of pages when the filter leaves too few turns', async () => {
+      dynamodbClient.queryPage.mockResolvedValue({ items: [], lastEvaluatedKey: { ConversationID: 'CONN-old', ItemTimestamp: 'DECISION#1' } });
+
+      expect(await history.getRecentTurns('conn-1', { vesselName: 'SAKURA MARU' })).toEqual([]);
+
+      expect(dynamodbClient.queryPage).toHaveBeenCalledTimes(3);
+      expect(dynamodbClient.queryPage).toHaveBeenLastCalledWith('vts-conversations', expect.objectContaining({
+        ExclusiveStartKey: { ConversationID: 'CONN-old', ItemTimestamp: 'DECISION#1' }
+      }));
+    });
+
+    it('should skip rejected responses and return empty history on errors', async () => {
+      dynamodbClient.query.mockResolvedValueOnce([
+        { ItemType: 'AI_RESPONSE', ItemTimestamp: 'AI#1', SuggestedResponse: '却下された応答', ApprovalStatus: 'REJECTED', Timestamp: '2025-09-15T05:31:00Z' }
+      ]);
+      expect(await history.getRecentTurns('conn-1')).toEqual([]);
+
+      dynamodbClient.query.mockRejectedValueOnce(new Error('DynamoDB error'));
+      expect(await history.getRecentTurns('conn-1')).toEqual([]);
+    });
+  });
+
+  describe('getHistory', () => {
+    it('should return a page in chronological order with a cursor', async () => {
+      dynamodbClient.queryPage.mockResolvedValue({
+        items: [
+          { ItemType: 'AI_RESPONSE', ItemTimestamp: 'AI#2', SuggestedResponse: '了解', ApprovalStatus: 'PENDING', Timestamp: '2' },
+          { ItemType: 'TRANSCRIPTION', ItemTimestamp: 'TRANS#1', TranscriptText: '入港要請', Timestamp: '1' }
+        ],
+        lastEvaluatedKey: { ConversationID: 'CONN-old', ItemTimestamp: 'TRANS#1' }
+      });
+
+      const result = await history.getHistory({ conversationId: 'CONN-old', limit: 2 });
+
+      expect(result.items.map(item => item.id)).toEqual(['TRANS#1', 'AI#2']);
+      expect(result.items[1]).toEqual(expect.objectContaining({ responseId: 'AI#2', approvalStatus: 'PENDING' }));
+      expect(result.nextCursor).toBeTruthy();
+
+      dynamodbClient.queryPage.mockResolvedValue({ items: [], lastEvaluatedKey: null });
+      const next = await history.getHistory({ conversationId: 'CONN-old', cursor: result.nextCursor });
+
+      expect(dynamodbClient.queryPage).toHaveBeenLastCalledWith('vts-conversations', expect.objectContaining({
+        ExclusiveStartKey: { ConversationID: 'CONN-old', ItemTimestamp: 'TRANS#1' }
+      }));
+      expect(next.nextCursor).toBeNull();
+    });
+
+    it('should reject invalid conversation ids and foreign cursors', async () => {
+      await expect(history.getHistory({ conversationId: 'VESSEL_REGISTRY' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+
+      const foreignCursor = history.encodeCursor({ ConversationID: 'CONN-other', ItemTimestamp: 'TRANS#1' });
+      await expect(history.getHistory({ conversationId: 'CONN-old', cursor: foreignCursor }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Invalid cursor' });
+    });
+
+    it('should only return a previous conversation to its owner', async () => {
+      dynamodbClient.queryPage.mockResolvedValue({ items: [], lastEvaluatedKey: null });
+      dynamodbClient.getItem.mockImplementation(async (table, key) => (key.ConversationID === 'CONN-old' ? { UserID: 'user-1' } : null));
+
+      await expect(history.getHistory({ conversationId: 'CONN-old', ownerId: 'user-1' })).resolves.toMatchObject({ conversationId: 'CONN-old' });
+      await expect(history.getHistory({ conversationId: 'CONN-old', ownerId: 'user-2' }))
+        .rejects.toMatchObject({ statusCode: 403, message: 'Conversation is not accessible' });
+      await expect(history.getHistory({ conversationId: 'CONN-unknown', ownerId: 'user-1' })).rejects.toMatchObject({ statusCode: 403 });
+      await expect(history.getHistory({ conversationId: 'CONN-old', ownerId: null })).rejects.toMatchObject({ statusCode: 403 });
+
+      expect(dynamodbClient.getItem).toHaveBeenCalledWith('vts-conversations', { ConversationID: 'CONN-old', ItemTimestamp: 'OWNER' });
+      expect(dynamodbClient.queryPage).toHaveBeenCalledTimes(1);
+    });
+
+    it('should find the connection that started a transcription session', async () => {
+      dynamodbClient.query.mockResolvedValueOnce([{ ItemType: 'TRANSCRIPTION_SESSION', ConnectionID: 'conn-old' }]).mockResolvedValueOnce([]);
+
+      expect(await history.getSessionConnectionId('TRANS-1')).toBe('conn-old');
+      expect(await history.getSessionConnectionId('TRANS-unknown')).toBeNull();
+      expect(dynamodbClient.query).toHaveBeenCalledWith('vts-conversations', expect.objectContaining({
+        ExpressionAttributeValues: { ':sessionId': 'TRANS-1', ':prefix': 'SESSION#' }
+      }));
+    });
+
+    it('should record the owner of a connection conversation', async () => {
+      await history.recordOwner('abc123=', 'user-1');
+
+      expect(dynamodbClient.putItem).toHaveBeenCalledWith('vts-conversations', expect.objectContaining({
+        ConversationID: 'CONN-abc123=',
+        ItemTimestamp: 'OWNER',
+        ItemType: 'OWNER',
+        UserID: 'user-1'
+      }));
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const DistressClassifier = require('../lambda/websocket-handler/shared/distress-classifier');
+
+describe('DistressClassifier', () => {
+  let classifier;
+
+  beforeEach(() => {
+    classifier = new DistressClassifier();
+  });
+
+  describe('priority calls', () => {
+    it('should distinguish MAYDAY, PAN-PAN and SECURITE', () => {
+      expect(classifier.classify('MAYDAY MAYDAY MAYDAY, this is SAKURA MARU')).toMatchObject({
+        priority: 'DISTRESS',
+        signal: 'MAYDAY',
+        repetitions: 3,
+        relay: false
+      });
+      expect(classifier.classify('PAN-PAN PAN-PAN PAN-PAN, engine failure')).toMatchObject({ priority: 'URGENCY', signal: 'PAN-PAN' });
+      expect(classifier.classify('Sécurité, sécurité, sécurité')).toMatchObject({ priority: 'SAFETY', signal: 'SECURITE' });
+    });
+
+    it('should prefer the highest priority in the same message', () => {
+      expect(classifier.classify('Securite securite, correction, mayday mayday').priority).toBe('DISTRESS');
+    });
+
+    it('should detect MAYDAY RELAY', () => {
+      expect(classifier.classify('MAYDAY RELAY MAYDAY RELAY MAYDAY RELAY').relay).toBe(true);
+    });
+  });
+
+  describe('variants', () => {
+    it('should accept katakana, hiragana and romaji spellings', () => {
+      expect(classifier.classify('メイデー、メイデー、こちら第一丸').priority).toBe('DISTRESS');
+      expect(classifier.classify('めーでー、めーでー').priority).toBe('DISTRESS');
+      expect(classifier.classify('パン・パン、パン・パン、機関故障').priority).toBe('URGENCY');
+      expect(classifier.classify('セキュリテ、セキュリテ、航行警報').priority).toBe('SAFETY');
+      expect(classifier.classify('sekyurite sekyurite').priority).toBe('SAFETY');
+    });
+
+    it('should accept full-width characters', () => {
+      expect(classifier.classify('ＭＡＹＤＡＹ ＭＡＹＤＡＹ').priority).toBe('DISTRESS');
+    });
+  });
+
+  describe('ambiguous words', () => {
+    it('should accept ambiguous spellings only when repeated or called at the start', () => {
+      expect(classifier.classify('may day may day may day').priority).toBe('DISTRESS');
+      expect(classifier.classify('パンパン、機関故障').priority).toBe('URGENCY');
+      expect(classifier.classify('Security, security, security, buoy off station').priority).toBe('SAFETY');
+    });
+
+    it('should ignore ordinary uses', () => {
+      expect(classifier.classify('Security guard at berth 3')).toBeNull();
+      expect(classifier.classify('セキュリティチェックを受けてください')).toBeNull();
+      expect(classifier.classify('タンクはパンパンです')).toBeNull();
+      expect(classifier.classify('We may day anchor tomorrow')).toBeNull();
+    });
+
+    it('should not match PAN-PAN inside other words', () => {
+      expect(classifier.classify('Check the companpanel on deck')).toBeNull();
+      expect(classifier.classify('Japan pantry stores loaded')).toBeNull();
+      expect(classifier.classify('pan pan, pan pan, rudder failure').priority).toBe('URGENCY');
+    });
+  });
+
+  describe('partial transcripts', () => {
+    it('should detect calls from the first words of an utterance', () => {
+      expect(classifier.classify('MAYDAY').priority).toBe('DISTRESS');
+      expect(classifier.classify('メーデー').priority).toBe('DISTRESS');
+      expect(classifier.classify('パン')).toBeNull();
+      expect(classifier.classify('')).toBeNull();
+    });
+  });
+
+  describe('rank', () => {
+    it('should order priorities from DISTRESS to SAFETY', () => {
+      expect(DistressClassifier.rank('DISTRESS')).toBeLessThan(DistressClassifier.rank('URGENCY'));
+      expect(DistressClassifier.rank('URGENCY')).toBeLessThan(DistressClassifier.rank('SAFETY'));
+      expect(DistressClassifier.rank('UNKNOWN')).toBeGreaterThan(DistressClassifier.rank('SAFETY'));
+    });
+  });
+});
@@ -0,0 +1,306 @@
+const IncidentManager = require('../lambda/websocket-handler/shared/incident-manager');
+const dynamodbClient = require('../lambda/websocket-handler/shared/dynamodb-client');
+
+jest.mock('../lambda/websocket-handler/shared/dynamodb-client', () => ({
+  putItem: jest.fn().mockResolvedValue({}),
+  getItem: jest.fn(),
+  updateItem: jest.fn(),
+  query: jest.fn().mockResolvedValue([]),
+  isConditionalCheckFailed: jest.fn(error => error?.name === 'ConditionalCheckFailedException')
+}));
+
+const INCIDENT_ID = 'INC-3f1c2a4e-5b6d-4e8f-9a0b-1c2d3e4f5a6b';
+
+const incidentItem = (overrides = {}) => ({
+  ConversationID: `INCIDENT#${INCIDENT_ID}`,
+  ItemTimestamp: 'INCIDENT',
+  ItemType: 'INCIDENT',
+  IncidentID: INCIDENT_ID,
+  IncidentStatus: 'OPEN',
+  Classification: 'AMBER',
+  Priority: 'URGENCY',
+  Signal: 'PAN-PAN',
+  ConnectionID: 'conn-1',
+  OpenedAt: '2025-09-15T05:30:00.000Z',
+  ...overrides
+});
+
+const conditionalFailure = () => Object.assign(new Error('conditional'), { name: 'ConditionalCheckFailedException' });
+
+const activeLock = (overrides = {}) => ({
+  ConversationID: 'ACTIVE_INCIDENT#conn-1#ch16',
+  ItemTimestamp: 'ACTIVE_INCIDENT',
+  ItemType: 'ACTIVE_INCIDENT',
+  IncidentID: INCIDENT_ID,
+  LockState: 'HELD',
+  ...overrides
+});
+
+const eventsOf = type => dynamodbClient.putItem.mock.calls
+  .map(([, item]) => item)
+  .filter(item => item.ItemType === 'INCIDENT_EVENT' && item.EventType === type);
+
+describe('IncidentManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dynamodbClient.putItem.mockReset().mockResolvedValue({});
+    dynamodbClient.getItem.mockReset();
+    dynamodbClient.query.mockResolvedValue([]);
+    dynamodbClient.updateItem.mockImplementation(async (table, key, updates) => ({ ...incidentItem(), ...updates }));
+    manager = new IncidentManager();
+  });
+
+  describe('openIncident', () => {
+    it('should open an incident with an OPENED timeline entry', async () => {
+      const { incident, created } = await manager.openIncident('conn-1', {
+        classification: 'RED',
+        priority: 'DISTRESS',
+        signal: 'MAYDAY',
+        sourceText: 'メーデー、メーデー、さくら丸浸水',
+        responseId: 'AI#2025-09-15T05:30:00.000Z',
+        vesselInfo: { name: 'さくら丸', mmsi: '431000001' }
+      });
+
+      expect(created).toBe(true);
+      expect(incident).toMatchObject({ status: 'OPEN', priority: 'DISTRESS', vesselName: 'さくら丸', connectionId: 'conn-1' });
+      expect(incident.incidentId).toMatch(/^INC-/);
+      expect(dynamodbClient.putItem).toHaveBeenCalledWith('vts-conversations', expect.objectContaining({
+        ItemType: 'INCIDENT',
+        IncidentStatus: 'OPEN',
+        ResponseID: 'AI#2025-09-15T05:30:00.000Z'
+      }), { ConditionExpression: 'attribute_not_exists(ConversationID)' });
+      expect(eventsOf('OPENED')[0]).toMatchObject({ Text: 'メーデー、メーデー、さくら丸浸水', ToStatus: 'OPEN' });
+    });
+
+    it('should reuse the active incident of the same connection and escalate its priority', async () => {
+      dynamodbClient.query.mockImplementation(async (table, params) =>
+        params.ExpressionAttributeValues[':status'] === 'OPEN' ? [incidentItem()] : []
+      );
+
+      const { incident, created, escalated } = await manager.openIncident('conn-1', {
+        classification: 'RED',
+        priority: 'DISTRESS',
+        signal: 'MAYDAY',
+        sourceText: 'MAYDAY MAYDAY'
+      });
+
+      expect(created).toBe(false);
+      expect(escalated).toBe(true);
+      expect(incident.incidentId).toBe(INCIDENT_ID);
+      expect(incident.priority).toBe('DISTRESS');
+      expect(eventsOf('ESCALATED')).toHaveLength(1);
+      expect(dynamodbClient.putItem).not.toHaveBeenCalledWith('vts-conversations', expect.objectContaining({ ItemType: 'INCIDENT' }), expect.anything());
+    });
+
+    it('should not escalate for a lower priority', async () => {
+      dynamodbClient.query.mockImplementation(async (table, params) =>
+        params.ExpressionAttributeValues[':status'] === 'OPEN' ? [incidentItem({ Priority: 'DISTRESS' })] : []
+      );
+
+      const { incident, escalated } = await manager.openIncident('conn-1', { classification: 'AMBER', priority: 'URGENCY' });
+
+      expect(escalated).toBe(false);
+      expect(incident.priority).toBe('DISTRESS');
+      expect(dynamodbClient.updateItem).not.toHaveBeenCalled();
+    });
+
+    it('should hold the active incident of the connection and channel before writing the incident', async () => {
+      const { incident } = await manager.openIncident('conn-1', { classification: 'RED', priority: 'DISTRESS', channel: 'ch16' });
+
+      expect(dynamodbClient.putItem.mock.calls[0]).toEqual(['vts-conversations', expect.objectContaining({
+        ConversationID: 'ACTIVE_INCIDENT#conn-1#ch16',
+        ItemTimestamp: 'ACTIVE_INCIDENT',
+        IncidentID: incident.incidentId,
+        LockState: 'HELD'
+      }), {
+        ConditionExpression: 'attribute_not_exists(ConversationID) OR LockState = :released',
+        ExpressionAttributeValues: { ':released': 'RELEASED' }
+      }]);
+      expect(dynamodbClient.putItem.mock.calls[1][1]).toMatchObject({ ItemType: 'INCIDENT', IncidentID: incident.incidentId });
+    });
+
+    it('should reuse the incident opened concurrently on the same channel', async () => {
+      dynamodbClient.putItem.mockRejectedValueOnce(conditionalFailure());
+      dynamodbClient.getItem
+        .mockResolvedValueOnce(activeLock())
+        .mockResolvedValueOnce(incidentItem({ Channel: 'ch16' }));
+
+      const { incident, created, escalated } = await manager.openIncident('conn-1', {
+        classification: 'RED',
+        priority: 'DISTRESS',
+        signal: 'MAYDAY',
+        channel: 'ch16'
+      });
+
+      expect(created).toBe(false);
+      expect(escalated).toBe(true);
+      expect(incident.incidentId).toBe(INCIDENT_ID);
+      expect(dynamodbClient.putItem).not.toHaveBeenCalledWith('vts-conversations', expect.objectContaining({ ItemType: 'INCIDENT' }), expect.anything());
+    });
+
+    it('should open only one incident for simultaneous detections on the same channel', async () => {
+      const items = new Map();
+      const keyOf = ({ ConversationID, ItemTimestamp }) => `${ConversationID}|${ItemTimestamp}`;
+      dynamodbClient.getItem.mockImplementation(async (table, key) => items.get(keyOf(key)));
+      dynamodbClient.putItem.mockImplementation(async (table, item, condition) => {
+        const current = items.get(keyOf(item));
+        if (item.ItemType === 'ACTIVE_INCIDENT' && current && current.LockState !== 'RELEASED') {
+          throw conditionalFailure();
+        }
+        items.set(keyOf(item), item);
+      });
+
+      const results = await Promise.all([
+        manager.openIncident('conn-1', { classification: 'AMBER', priority: 'URGENCY', channel: 'ch16' }),
+        manager.openIncident('conn-1', { classification: 'AMBER', priority: 'URGENCY', channel: 'ch16' })
+      ]);
+
+      expect(results.map(result => result.created).sort()).toEqual([false, true]);
+      expect(results[0].incident.incidentId).toBe(results[1].incident.incidentId);
+      expect([...items.values()].filter(item => item.ItemType === 'INCIDENT')).toHaveLength(1);
+    });
+
+    it('should take over an active incident that was closed without releasing it', async () => {
+      dynamodbClient.putItem.mockRejectedValueOnce(conditionalFailure());
+      dynamodbClient.getItem
+        .mockResolvedValueOnce(activeLock())
+        .mockResolvedValueOnce(incidentItem({ IncidentStatus: 'CLOSED' }));
+
+      const { incident, created } = await manager.openIncident('conn-1', { classification: 'RED', priority: 'DISTRESS', channel: 'ch16' });
+
+      expect(created).toBe(true);
+      expect(incident.incidentId).not.toBe(INCIDENT_ID);
+      expect(dynamodbClient.putItem.mock.calls[1]).toEqual(['vts-conversations', expect.objectContaining({ IncidentID: incident.incidentId }), {
+        ConditionExpression: 'IncidentID = :stale',
+        ExpressionAttributeValues: { ':stale': INCIDENT_ID }
+      }]);
+    });
+  });
+
+  describe('transition', () => {
+    it('should acknowledge and assign the operator', async () => {
+      dynamodbClient.getItem.mockResolvedValue(incidentItem());
+
+      const incident = await manager.transition({ incidentId: INCIDENT_ID, status: 'ACKNOWLEDGED', operatorId: 'operator-1' });
+
+      expect(incident).toMatchObject({ status: 'ACKNOWLEDGED', assignedTo: 'operator-1' });
+      expect(dynamodbClient.updateItem).toHaveBeenCalledWith(
+        'vts-conversations',
+        { ConversationID: `INCIDENT#${INCIDENT_ID}`, ItemTimestamp: 'INCIDENT' },
+        expect.objectContaining({ IncidentStatus: 'ACKNOWLEDGED', AcknowledgedAt: expect.any(String) }),
+        expect.objectContaining({ ExpressionAttributeValues: { ':expected': 'OPEN' } })
+      );
+      expect(eventsOf('STATUS_CHANGED')[0]).toMatchObject({ FromStatus: 'OPEN', ToStatus: 'ACKNOWLEDGED', Actor: 'operator-1' });
+    });
+
+    it('should record the resolution when closing', async () => {
+      dynamodbClient.getItem.mockResolvedValue(incidentItem({ IncidentStatus: 'RESPONDING' }));
+
+      await manager.transition({ incidentId: INCIDENT_ID, status: 'CLOSED', operatorId: 'operator-1', note: '乗員全員救助' });
+
+      expect(dynamodbClient.updateItem.mock.calls[0][2]).toMatchObject({ IncidentStatus: 'CLOSED', Resolution: '乗員全員救助' });
+    });
+
+    it('should release the active incident of the connection and channel when closing', async () => {
+      dynamodbClient.getItem.mockResolvedValue(incidentItem({ IncidentStatus: 'RESPONDING', Channel: 'ch16' }));
+
+      await manager.transition({ incidentId: INCIDENT_ID, status: 'CLOSED', operatorId: 'operator-1' });
+
+      expect(dynamodbClient.updateItem).toHaveBeenCalledWith('vts-conversations',
+        { ConversationID: 'ACTIVE_INCIDENT#conn-1#ch16', ItemTimestamp: 'ACTIVE_INCIDENT' },
+        expect.objectContaining({ LockState: 'RELEASED' }),
+        { ConditionExpression: 'IncidentID = :incident', ExpressionAttributeValues: { ':incident': INCIDENT_ID } });
+    });
+
+    it('should reject transitions that skip or go back', async () => {
+      dynamodbClient.getItem.mockResolvedValue(incidentItem());
+      await expect(manager.transition({ incidentId: INCIDENT_ID, status: 'RESPONDING', operatorId: 'operator-1' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+
+      dynamodbClient.getItem.mockResolvedValue(incidentItem({ IncidentStatus: 'CLOSED' }));
+      await expect(manager.transition({ incidentId: INCIDENT_ID, status: 'OPEN', operatorId: 'operator-1' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should return 409 when another operator changed the status first', async () => {
+      dynamodbClient.getItem.mockResolvedValue(incidentItem());
+      dynamodbClient.updateItem.mockRejectedValue(Object.assign(new Error('conditional'), { name: 'ConditionalCheckFailedException' }));
+
+      await expect(manager.transition({ incidentId: INCIDENT_ID, status: 'ACKNOWLEDGED', operatorId: 'operator-2' }))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Incident was updated by another operator' });
+    });
+
+    it('should validate the incident ID', async () => {
+      await expect(manager.transition({ incidentId: 'bad', status: 'ACKNOWLEDGED' })).rejects.toMatchObject({ statusCode: 400 });
+
+      dynamodbClient.getItem.mockResolvedValue(null);
+      await expect(manager.transition({ incidentId: INCIDENT_ID, status: 'ACKNOWLEDGED' })).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('assign and notes', () => {
+    it('should assign an operator', async () => {
+      dynamodbClient.getItem.mockResolvedValue(incidentItem({ IncidentStatus: 'ACKNOWLEDGED' }));
+
+      const incident = await manager.assign({ incidentId: INCIDENT_ID, assignee: ' operator-2 ', operatorId: 'supervisor-1' });
+
+      expect(incident.assignedTo).toBe('operator-2');
+      expect(eventsOf('ASSIGNED')[0]).toMatchObject({ AssignedTo: 'operator-2', Actor: 'supervisor-1' });
+    });
+
+    it('should not assign closed incidents', async () => {
+      dynamodbClient.getItem.mockResolvedValue(incidentItem({ IncidentStatus: 'CLOSED' }));
+
+      await expect(manager.assign({ incidentId: INCIDENT_ID, assignee: 'operator-2' })).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should require note text', async () => {
+      await expect(manager.addNote({ incidentId: INCIDENT_ID, text: '  ' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('timeline', () => {
+    it('should append transcripts to the active incidents of the connection and channel', async () => {
+      dynamodbClient.query.mockImplementation(async (table, params) =>
+        params.ExpressionAttributeValues[':status'] === 'ACKNOWLEDGED'
+          ? [incidentItem({ IncidentStatus: 'ACKNOWLEDGED', Channel: 'ch16' })]
+          : []
+      );
+
+      expect(await manager.appendTranscript('conn-1', { text: '位置は博多湾口', channel: 'ch16', speakerRole: 'VESSEL' }))
+        .toEqual([INCIDENT_ID]);
+      expect(await manager.appendTranscript('conn-1', { text: '作業連絡', channel: 'ch12' })).toEqual([]);
+      expect(eventsOf('TRANSCRIPT')).toHaveLength(1);
+      expect(dynamodbClient.query).toHaveBeenCalledWith('vts-conversations', expect.objectContaining({
+        IndexName: 'IncidentStatusIndex',
+        FilterExpression: 'ConnectionID = :connectionId'
+      }));
+    });
+
+    it('should return the timeline oldest first', async () => {
+      dynamodbClient.getItem.mockResolvedValue(incidentItem());
+      dynamodbClient.query.mockResolvedValue([
+        { ItemTimestamp: 'EVENT#2025-09-15T05:31:00.000Z#TRANSCRIPT', EventType: 'TRANSCRIPT', Text: '浸水拡大', Timestamp: '2025-09-15T05:31:00.000Z' },
+        { ItemTimestamp: 'EVENT#2025-09-15T05:30:00.000Z#OPENED', EventType: 'OPENED', Text: 'パンパン', Timestamp: '2025-09-15T05:30:00.000Z' }
+      ]);
+
+      const incident = await manager.getIncident(INCIDENT_ID);
+
+      expect(incident.timeline.map(event => event.eventType)).toEqual(['OPENED', 'TRANSCRIPT']);
+    });
+
+    it('should list active incidents newest first', async () => {
+      dynamodbClient.query.mockImplementation(async (table, params) => ({
+        OPEN: [incidentItem({ IncidentID: 'INC-a', OpenedAt: '2025-09-15T05:00:00.000Z' })],
+        RESPONDING: [incidentItem({ IncidentID: 'INC-b', IncidentStatus: 'RESPONDING', OpenedAt: '2025-09-15T06:00:00.000Z' })]
+      })[params.ExpressionAttributeValues[':status']] || []);
+
+      const incidents = await manager.listIncidents();
+
+      expect(incidents.map(incident => incident.incidentId)).toEqual(['INC-b', 'INC-a']);
+      await expect(manager.listIncidents({ status: 'UNKNOWN' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
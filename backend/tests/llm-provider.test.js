@@ -0,0 +1,146 @@
+const { BedrockProvider, LocalProvider, createLLMProvider } = require('../lambda/websocket-handler/shared/llm-provider');
+const BedrockProcessor = require('../lambda/websocket-handler/shared/bedrock-processor');
+
+jest.mock('@aws-sdk/client-bedrock-runtime');
+
+const vtsRequest = (text) => ({
+  anthropic_version: 'bedrock-2023-05-31',
+  messages: [{
+    role: 'user',
+    content: `以下の船舶通信を分析し、適切な応答を生成してください。\n\n船舶通信: "${text}"\n\n{\n  "classification": "GREEN/AMBER/RED のいずれか",\n  "suggestedResponse": "VTSからの応答文（日本語）"\n}`
+  }]
+});
+
+describe('createLLMProvider', () => {
+  const originalProvider = process.env.LLM_PROVIDER;
+
+  afterEach(() => {
+    process.env.LLM_PROVIDER = originalProvider;
+  });
+
+  it('should default to Bedrock', () => {
+    delete process.env.LLM_PROVIDER;
+
+    expect(createLLMProvider()).toBeInstanceOf(BedrockProvider);
+  });
+
+  it('should select the local provider by environment variable', () => {
+    process.env.LLM_PROVIDER = 'local';
+
+    expect(createLLMProvider()).toBeInstanceOf(LocalProvider);
+  });
+
+  it('should reject unknown providers', () => {
+    expect(() => createLLMProvider({ provider: 'openai' })).toThrow('Unknown LLM provider: openai');
+  });
+});
+
+describe('LocalProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new LocalProvider();
+  });
+
+  it.each([
+    ['博多港VTS、こちらさくら丸、入港許可要請', 'GREEN'],
+    ['メーデー、メーデー、機関故障', 'RED'],
+    ['強風により操船困難です', 'AMBER']
+  ])('should classify "%s" as %s', async (text, classification) => {
+    const result = JSON.parse(await provider.invoke(vtsRequest(text)));
+
+    expect(result.classification).toBe(classification);
+    expect(result.suggestedResponse).toBeTruthy();
+  });
+
+  it('should classify only the latest communication in a multi-turn request', async () => {
+    const request = vtsRequest('入港許可要請');
+    request.messages.unshift(
+      { role: 'user', content: '船舶通信: "メーデー"' },
+      { role: 'assistant', content: '{"classification": "RED"}' }
+    );
+
+    const result = JSON.parse(await provider.invoke(JSON.stringify(request)));
+
+    expect(result.classification).toBe('GREEN');
+  });
+
+  it('should answer in the format requested by the nlp-processor prompts', async () => {
+    const intent = JSON.parse(await provider.invoke({
+      messages: [{ role: 'user', content: '通信内容: "視界不良のため減速"\n{"classification": "GREEN/YELLOW/RED", "reason": "分類理由"}' }]
+    }));
+    const safety = JSON.parse(await provider.invoke({
+      messages: [{ role: 'user', content: '通信内容: "火災発生"\n{"safetyScore": 0-100}' }]
+    }));
+
+    expect(intent.classification).toBe('YELLOW');
+    expect(safety.safetyScore).toBe(20);
+  });
+
+  it('should prefer matching fixtures', async () => {
+    provider = new LocalProvider({
+      fixtures: [{ match: 'さくら丸', response: { classification: 'AMBER', suggestedResponse: 'フィクスチャ応答' } }]
+    });
+
+    const result = JSON.parse(await provider.invoke(vtsRequest('こちらさくら丸')));
+
+    expect(result).toEqual({ classification: 'AMBER', suggestedResponse: 'フィクスチャ応答' });
+  });
+
+  it('should stream the same text as invoke', async () => {
+    const chunks = [];
+    for await (const chunk of provider.stream(vtsRequest('入港許可要請'))) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.join('')).toBe(await provider.invoke(vtsRequest('入港許可要請')));
+  });
+
+  it('should report healthy', async () => {
+    await expect(provider.health()).resolves.toMatchObject({ provider: 'local', healthy: true });
+  });
+
+  it('should drive BedrockProcessor streaming without AWS', async () => {
+    const processor = new BedrockProcessor({ provider });
+    const onPartial = jest.fn();
+
+    const result = await processor.processVTSCommunication('メーデー、機関故障', { onPartial });
+
+    expect(result.classification).toBe('RED');
+    expect(result.error).toBeUndefined();
+    expect(onPartial).toHaveBeenLastCalledWith(result.suggestedResponse);
+  });
+});
+
+describe('BedrockProvider', () => {
+  it('should yield text deltas from the response stream', async () => {
+    const provider = new BedrockProvider();
+    const event = (data) => ({ chunk: { bytes: new TextEncoder().encode(JSON.stringify(data)) } });
+    provider.client.send = jest.fn().mockResolvedValue({
+      body: (async function* () {
+        yield event({ type: 'message_start' });
+        yield event({ type: 'content_block_delta', delta: { type: 'text_delta', text: 'こちら' } });
+        yield event({ type: 'content_block_delta', delta: { type: 'text_delta', text: 'VTS' } });
+      })()
+    });
+
+    const chunks = [];
+    for await (const chunk of provider.stream('{}')) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks).toEqual(['こちら', 'VTS']);
+  });
+
+  it('should report unhealthy when the model call fails', async () => {
+    const provider = new BedrockProvider();
+    provider.client.send = jest.fn().mockRejectedValue(new Error('AccessDenied'));
+
+    await expect(provider.health()).resolves.toMatchObject({
+      provider: 'bedrock',
+      healthy: false,
+      error: 'AccessDenied'
+    });
+  });
+});
@@ -0,0 +1,286 @@
+const MessageRouter = require('../lambda/websocket-handler/message-router');
+const dynamodbClient = require('../lambda/websocket-handler/shared/dynamodb-client');
+
+jest.mock('../lambda/websocket-handler/shared/dynamodb-client', () => ({
+  putItem: jest.fn().mockResolvedValue(true),
+  queryPage: jest.fn().mockResolvedValue({ items: [], lastEvaluatedKey: null })
+}));
+
+const OPERATOR = { connectionId: 'conn-1', userId: 'user-1', role: 'operator', protocolVersion: 2 };
+
+describe('MessageRouter', () => {
+  let router;
+  let connectionManager;
+
+  const event = (message, connectionId = 'conn-1') => ({
+    requestContext: { connectionId },
+    body: JSON.stringify(message)
+  });
+  const sent = (connectionId = 'conn-1') => router.postToConnection.mock.calls
+    .filter(([target]) => target === connectionId)
+    .map(([, data]) => data);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    connectionManager = {
+      getConnection: jest.fn().mockResolvedValue(OPERATOR),
+      updateActivity: jest.fn().mockResolvedValue(true)
+    };
+    router = new MessageRouter();
+    router.postToConnection = jest.fn().mockResolvedValue(undefined);
+    router.bedrockProcessor = null;
+    router.rateLimiter.consume = jest.fn().mockResolvedValue({ allowed: true });
+  });
+
+  describe('acknowledge', () => {
+    it('should echo the requestId and send the ack after the related messages', async () => {
+      const result = await router.routeMessage(event({ action: 'message', payload: { text: 'test' }, requestId: 'req-1' }), connectionManager);
+
+      expect(result.statusCode).toBe(200);
+      expect(dynamodbClient.putItem).toHaveBeenCalled();
+      expect(sent().map(({ type, requestId }) => ({ type, requestId }))).toEqual([
+        { type: 'messageReceived', requestId: 'req-1' },
+        { type: 'ack', requestId: 'req-1' }
+      ]);
+      expect(sent()[1]).toMatchObject({ action: 'message' });
+    });
+
+    it('should not acknowledge messages without a requestId', async () => {
+      await router.routeMessage(event({ action: 'ping', payload: {} }), connectionManager);
+
+      expect(sent()).toEqual([expect.objectContaining({ type: 'pong', protocolVersion: 2 })]);
+      expect(sent()[0].requestId).toBeUndefined();
+    });
+
+    it('should only echo the requestId to the sender', async () => {
+      router.handlePing = jest.fn(async connectionId => {
+        await router.sendToConnection('conn-2', { type: 'alert' });
+        await router.sendToConnection(connectionId, { type: 'pong' });
+        return { statusCode: 200, body: 'Pong' };
+      });
+
+      await router.routeMessage(event({ action: 'ping', payload: {}, requestId: 'req-1' }), connectionManager);
+
+      expect(sent('conn-2')).toEqual([{ type: 'alert' }]);
+      expect(sent().map(({ type, requestId }) => ({ type, requestId }))).toEqual([
+        { type: 'pong', requestId: 'req-1' },
+        { type: 'ack', requestId: 'req-1' }
+      ]);
+    });
+  });
+
+  describe('message', () => {
+    beforeEach(() => {
+      router.bedrockProcessor = {
+        classifyDistress: jest.fn(text => (/MAYDAY/.test(text) ? { priority: 'DISTRESS', signal: 'MAYDAY' } : null)),
+        generateEmergencyResponse: jest.fn().mockResolvedValue({ classification: 'RED', priority: 'DISTRESS', isEmergency: true }),
+        processWithHistory: jest.fn()
+      };
+      router.rateLimiter.consumeBedrockBudget = jest.fn().mockResolvedValue({ allowed: false, scope: 'bedrockUser', retryAfter: 900 });
+      router.resolveVesselInfo = jest.fn().mockResolvedValue(null);
+      router.approvalManager.createPendingResponse = jest.fn().mockResolvedValue({ ItemTimestamp: 'AIRESPONSE#1', ApprovalStatus: 'PENDING' });
+      router.incidentManager.openIncident = jest.fn().mockResolvedValue({ incident: { incidentId: 'INC-1' }, created: true });
+      router.broadcastAlert = jest.fn().mockResolvedValue(null);
+    });
+
+    it('should answer a typed MAYDAY and open an incident after the Bedrock budget is spent', async () => {
+      await router.routeMessage(event({ action: 'message', payload: { text: 'MAYDAY MAYDAY MAYDAY' } }), connectionManager);
+
+      expect(router.rateLimiter.consumeBedrockBudget).not.toHaveBeenCalled();
+      expect(router.bedrockProcessor.generateEmergencyResponse).toHaveBeenCalledWith('MAYDAY MAYDAY MAYDAY', expect.objectContaining({
+        detection: { priority: 'DISTRESS', signal: 'MAYDAY' }
+      }));
+      expect(router.incidentManager.openIncident).toHaveBeenCalledWith('conn-1', expect.objectContaining({ priority: 'DISTRESS', responseId: 'AIRESPONSE#1' }));
+      expect(sent().map(({ type }) => type)).toEqual(['messageReceived', 'aiResponse', 'incident']);
+    });
+
+    it('should skip the AI analysis of routine traffic once the budget is spent', async () => {
+      await router.routeMessage(event({ action: 'message', payload: { text: '入港許可を要請します' } }), connectionManager);
+
+      expect(router.bedrockProcessor.processWithHistory).not.toHaveBeenCalled();
+      expect(sent().map(({ type, code }) => code || type)).toEqual(['messageReceived', 'rateLimited']);
+    });
+  });
+
+  describe('audioData', () => {
+    it('should tell the client which chunk was dropped by an instance that does not hold the stream', async () => {
+      router.transcriptionSessions.sendAudio = jest.fn().mockResolvedValue({ route: 'dropped' });
+
+      const result = await router.routeMessage(event({
+        action: 'audioData',
+        payload: { audio: 'AAAA', sessionId: 'TRANS-1', sequenceNumber: 7, channel: 'ch16' }
+      }), connectionManager);
+
+      expect(result.statusCode).toBe(409);
+      expect(sent()).toEqual([expect.objectContaining({
+        type: 'error',
+        code: 'audioNotDelivered',
+        channel: 'ch16',
+        sessionId: 'TRANS-1',
+        sequenceNumber: 7,
+        retryable: true
+      })]);
+    });
+  });
+
+  describe('getHistory', () => {
+    beforeEach(() => {
+      router.conversationHistory.getOwner = jest.fn().mockResolvedValue('user-1');
+      jest.spyOn(router.conversationHistory, 'getHistory');
+    });
+
+    it('should return the current conversation without checking the owner', async () => {
+      await router.routeMessage(event({ action: 'getHistory', payload: {} }), connectionManager);
+
+      expect(router.conversationHistory.getOwner).not.toHaveBeenCalled();
+      expect(sent()[0]).toMatchObject({ type: 'history', payload: { conversationId: 'CONN-conn-1', currentConversationId: 'CONN-conn-1' } });
+    });
+
+    it('should return a previous conversation of the same user', async () => {
+      await router.routeMessage(event({ action: 'getHistory', payload: { conversationId: 'CONN-old' } }), connectionManager);
+
+      expect(router.conversationHistory.getHistory).toHaveBeenCalledWith(expect.objectContaining({ conversationId: 'CONN-old', ownerId: 'user-1' }));
+      expect(sent()[0]).toMatchObject({ type: 'history', payload: { conversationId: 'CONN-old' } });
+    });
+
+    it('should reject a conversation of another user', async () => {
+      connectionManager.getConnection.mockResolvedValue({ ...OPERATOR, userId: 'user-2', role: 'observer' });
+
+      const result = await router.routeMessage(event({ action: 'getHistory', payload: { conversationId: 'CONN-old' }, requestId: 'req-1' }), connectionManager);
+
+      expect(result.statusCode).toBe(403);
+      expect(dynamodbClient.queryPage).not.toHaveBeenCalled();
+      expect(sent()[1]).toMatchObject({ type: 'nack', statusCode: 403, error: 'Conversation is not accessible' });
+    });
+  });
+
+  describe('getAudioClip', () => {
+    const clip = { sessionId: 'TRANS-1', recordingId: '2025-09-15T05:30:00.000Z', startTime: 1, endTime: 2 };
+
+    beforeEach(() => {
+      router.conversationHistory.getSessionConnectionId = jest.fn().mockResolvedValue('conn-old');
+      router.conversationHistory.getOwner = jest.fn().mockResolvedValue('user-1');
+      router.recordingStore.getClip = jest.fn().mockResolvedValue({ ...clip, url: 'https://example.com/clip' });
+    });
+
+    it('should issue a clip of a session started by the same user', async () => {
+      await router.routeMessage(event({ action: 'getAudioClip', payload: clip }), connectionManager);
+
+      expect(router.conversationHistory.getOwner).toHaveBeenCalledWith('CONN-conn-old');
+      expect(sent()[0]).toMatchObject({ type: 'audioClip', payload: { url: 'https://example.com/clip' } });
+    });
+
+    it('should issue a clip of the current connection without checking the owner', async () => {
+      router.conversationHistory.getSessionConnectionId.mockResolvedValue('conn-1');
+
+      await router.routeMessage(event({ action: 'getAudioClip', payload: clip }), connectionManager);
+
+      expect(router.conversationHistory.getOwner).not.toHaveBeenCalled();
+      expect(router.recordingStore.getClip).toHaveBeenCalled();
+    });
+
+    it('should reject sessions of another user and unknown sessions', async () => {
+      connectionManager.getConnection.mockResolvedValue({ ...OPERATOR, userId: 'user-2' });
+
+      const foreign = await router.routeMessage(event({ action: 'getAudioClip', payload: clip, requestId: 'req-1' }), connectionManager);
+      router.conversationHistory.getSessionConnectionId.mockResolvedValue(null);
+      const unknown = await router.routeMessage(event({ action: 'getAudioClip', payload: clip }), connectionManager);
+
+      expect(foreign.statusCode).toBe(403);
+      expect(unknown.statusCode).toBe(403);
+      expect(router.recordingStore.getClip).not.toHaveBeenCalled();
+      expect(sent()[1]).toMatchObject({ type: 'nack', statusCode: 403, error: 'Transcription session is not accessible' });
+    });
+  });
+
+  describe('setSpeakerRole', () => {
+    const assignment = { sessionId: 'TRANS-1', speaker: 'spk_0', role: 'PILOT' };
+
+    beforeEach(() => {
+      router.conversationHistory.getSessionConnectionId = jest.fn().mockResolvedValue('conn-1');
+      router.conversationHistory.getOwner = jest.fn().mockResolvedValue('user-1');
+      router.speakerRoles.setOverride = jest.fn().mockResolvedValue({ ...assignment, source: 'OPERATOR' });
+    });
+
+    it('should record the operator who assigned the role', async () => {
+      await router.routeMessage(event({ action: 'setSpeakerRole', payload: assignment }), connectionManager);
+
+      expect(router.speakerRoles.setOverride).toHaveBeenCalledWith('TRANS-1', 'spk_0', 'PILOT', 'user-1');
+      expect(sent()[0]).toMatchObject({ type: 'speakerRole', payload: { role: 'PILOT', source: 'OPERATOR' } });
+    });
+
+    it('should not write roles for a session of another user', async () => {
+      router.conversationHistory.getSessionConnectionId.mockResolvedValue('conn-other');
+      router.conversationHistory.getOwner.mockResolvedValue('user-2');
+
+      const result = await router.routeMessage(event({ action: 'setSpeakerRole', payload: assignment }), connectionManager);
+
+      expect(result.statusCode).toBe(403);
+      expect(router.speakerRoles.setOverride).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('nack', () => {
+    it('should reject an invalid message with the field errors', async () => {
+      const result = await router.routeMessage(event({ action: 'getIncident', payload: {}, requestId: 'req-1' }), connectionManager);
+
+      expect(result.statusCode).toBe(400);
+      expect(sent()).toEqual([
+        expect.objectContaining({ type: 'error', code: 'validationFailed', requestId: 'req-1' }),
+        expect.objectContaining({
+          type: 'nack',
+          requestId: 'req-1',
+          action: 'getIncident',
+          statusCode: 400,
+          code: 'validationFailed',
+          error: 'Invalid message',
+          errors: [{ field: 'payload.incidentId', message: 'is required' }]
+        })
+      ]);
+    });
+
+    it('should reject actions the role is not permitted', async () => {
+      connectionManager.getConnection.mockResolvedValue({ ...OPERATOR, role: 'observer' });
+
+      const result = await router.routeMessage(event({ action: 'approveResponse', payload: { responseId: 'RESP-1' }, requestId: 'req-1' }), connectionManager);
+
+      expect(result.statusCode).toBe(403);
+      expect(sent()[1]).toMatchObject({
+        type: 'nack',
+        requestId: 'req-1',
+        statusCode: 403,
+        error: 'Action approveResponse is not permitted for role observer'
+      });
+    });
+
+    it('should reject unauthenticated connections', async () => {
+      connectionManager.getConnection.mockResolvedValue({ connectionId: 'conn-1', protocolVersion: 2 });
+
+      const result = await router.routeMessage(event({ action: 'ping', payload: {}, requestId: 'req-1' }), connectionManager);
+
+      expect(result.statusCode).toBe(401);
+      expect(sent()[1]).toMatchObject({ type: 'nack', statusCode: 401, error: 'Not authenticated' });
+    });
+
+    it('should include the retry delay when rate limited, even if the notice was already sent', async () => {
+      router.rateLimiter.consume.mockResolvedValue({ allowed: false, scope: 'connection', retryAfter: 3 });
+
+      await router.routeMessage(event({ action: 'ping', payload: {}, requestId: 'req-1' }), connectionManager);
+      const result = await router.routeMessage(event({ action: 'ping', payload: {}, requestId: 'req-2' }), connectionManager);
+
+      expect(result.statusCode).toBe(429);
+      expect(sent().map(({ type, requestId }) => ({ type, requestId }))).toEqual([
+        { type: 'error', requestId: 'req-1' },
+        { type: 'nack', requestId: 'req-1' },
+        { type: 'nack', requestId: 'req-2' }
+      ]);
+      expect(sent()[2]).toMatchObject({
+        statusCode: 429,
+        code: 'rateLimited',
+        scope: 'connection',
+        retryAfter: 3,
+        error: 'Rate limit exceeded'
+      });
+    });
+  });
+});
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const MessageValidator = require('../lambda/websocket-handler/shared/message-validator');
+const schemas = require('../lambda/websocket-handler/shared/message-schemas.json');
+
+const FRONTEND_TYPES = path.join(__dirname, '../../frontend/src/types/index.ts');
+
+// interface の本体（1段のブロック）からフィールド名を取り出す
+const interfaceFields = (source, name) => {
+  const match = source.match(new RegExp(`export interface ${name} \\{\\n([\\s\\S]*?)\\n\\}`));
+  return match ? [...match[1].matchAll(/^ {2}(\w+)\??:/gm)].map(([, field]) => field) : null;
+};
+
+describe('MessageValidator', () => {
+  let validator;
+
+  beforeEach(() => {
+    validator = new MessageValidator();
+  });
+
+  describe('vts.v2', () => {
+    it('should accept a message matching the action schema', () => {
+      const result = validator.validate({
+        action: 'startTranscription',
+        payload: { languageCode: 'ja-JP', codecs: ['pcm'], sampleRateHertz: 16000, channel: 'ch16' },
+        timestamp: '2025-08-14T00:00:00.000Z',
+        connectionId: null
+      }, 2);
+
+      expect(result).toEqual({
+        valid: true,
+        action: 'startTranscription',
+        payload: { languageCode: 'ja-JP', codecs: ['pcm'], sampleRateHertz: 16000, channel: 'ch16' },
+        errors: []
+      });
+    });
+
+    it('should report every invalid field with its path', () => {
+      const result = validator.validate({
+        action: 'getAudioClip',
+        payload: { sessionId: 'TRANS-1', startTime: '0', endTime: -1 }
+      }, 2);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        { field: 'payload.recordingId', message: 'is required' },
+        { field: 'payload.startTime', message: 'must be number' },
+        { field: 'payload.endTime', message: 'must be >= 0' }
+      ]);
+    });
+
+    it('should validate nested objects, arrays, enums and patterns', () => {
+      const result = validator.validate({
+        action: 'message',
+        payload: { text: 'test', vesselInfo: { mmsi: '12345' }, channel: 'ch 16' }
+      }, 2);
+      const roles = validator.validate({ action: 'setSpeakerRole', payload: { sessionId: 's', speaker: 'spk_0', role: 'CAPTAIN' } }, 2);
+      const ais = validator.validate({ action: 'aisData', payload: { sentences: ['!AIVDM', 1] } }, 2);
+
+      expect(result.errors).toEqual([
+        { field: 'payload.vesselInfo.mmsi', message: 'has an invalid format' },
+        { field: 'payload.channel', message: 'has an invalid format' }
+      ]);
+      expect(roles.errors).toEqual([{ field: 'payload.role', message: 'must be one of: VTS, VESSEL, PILOT, PORT, UNKNOWN' }]);
+      expect(ais.errors).toEqual([{ field: 'payload.sentences[1]', message: 'must be string' }]);
+    });
+
+    it('should accept an MMSI given as a number', () => {
+      expect(validator.validate({ action: 'message', payload: { text: 'test', mmsi: 431000001 } }, 2).valid).toBe(true);
+      expect(validator.validate({ action: 'message', payload: { text: 'test', mmsi: 1.5 } }, 2).errors)
+        .toEqual([{ field: 'payload.mmsi', message: 'must be string or integer' }]);
+    });
+
+    it('should reject unknown fields in the envelope and the payload', () => {
+      const result = validator.validate({
+        action: 'approveResponse',
+        payload: { responseId: 'RESP-1', operatorId: 'someone-else' },
+        userId: 'someone-else'
+      }, 2);
+
+      expect(result.errors).toEqual([
+        { field: 'userId', message: 'is not allowed' },
+        { field: 'payload.operatorId', message: 'is not allowed' }
+      ]);
+    });
+
+    it('should require the payload', () => {
+      expect(validator.validate({ action: 'ping' }, 2).errors).toEqual([{ field: 'payload', message: 'is required' }]);
+      expect(validator.validate({ action: 'ping', payload: [] }, 2).errors).toEqual([{ field: 'payload', message: 'must be object' }]);
+    });
+  });
+
+  describe('vts.v1', () => {
+    it('should treat the whole message as the payload when it is omitted', () => {
+      const result = validator.validate({ action: 'message', text: 'test', timestamp: '2025-08-14T00:00:00Z' }, 1);
+
+      expect(result).toEqual({ valid: true, action: 'message', payload: { text: 'test' }, errors: [] });
+    });
+
+    it('should ignore unknown fields but still validate known ones', () => {
+      expect(validator.validate({ action: 'startTranscription', payload: { languageCode: 'ja-JP', vocabularyName: 'maritime' } }, 1).valid).toBe(true);
+      expect(validator.validate({ action: 'startTranscription', payload: { sampleRateHertz: 1000 } }, 1).errors)
+        .toEqual([{ field: 'payload.sampleRateHertz', message: 'must be >= 8000' }]);
+    });
+  });
+
+  it('should reject messages without a known action', () => {
+    expect(validator.validate('ping').errors).toEqual([{ field: '', message: 'must be object' }]);
+    expect(validator.validate({ payload: {} }).errors).toEqual([{ field: 'action', message: 'is required' }]);
+    expect(validator.validate({ action: 'dropTables', payload: {} }).errors).toEqual([{ field: 'action', message: 'Unknown action: dropTables' }]);
+  });
+
+  it('should reject an invalid timestamp', () => {
+    expect(validator.validate({ action: 'ping', payload: {}, timestamp: 'yesterday' }, 2).errors)
+      .toEqual([{ field: 'timestamp', message: 'has an invalid format' }]);
+  });
+
+  describe('requestIdOf', () => {
+    it('should return a valid requestId even when the rest of the message is invalid', () => {
+      const message = { action: 'getAudioClip', payload: {}, requestId: 'm2x9k1-42' };
+
+      expect(validator.validate(message, 2).valid).toBe(false);
+      expect(validator.requestIdOf(message)).toBe('m2x9k1-42');
+    });
+
+    it('should ignore a malformed requestId and report it as a field error', () => {
+      const message = { action: 'ping', payload: {}, requestId: '<script>' };
+
+      expect(validator.requestIdOf(message)).toBeNull();
+      expect(validator.requestIdOf('ping')).toBeNull();
+      expect(validator.validate(message, 2).errors).toEqual([{ field: 'requestId', message: 'has an invalid format' }]);
+    });
+  });
+
+  it('should cap the number of errors', () => {
+    const result = validator.validate({ action: 'aisData', payload: { sentences: Array(100).fill(0) } }, 2);
+
+    expect(result.errors).toHaveLength(20);
+  });
+
+  describe('negotiateProtocol', () => {
+    it('should select the newest supported protocol', () => {
+      expect(MessageValidator.negotiateProtocol('vts.v1, vts.v2')).toEqual({ protocol: 'vts.v2', protocolVersion: 2 });
+      expect(MessageValidator.negotiateProtocol('vts.v1, vts.v9')).toEqual({ protocol: 'vts.v1', protocolVersion: 1 });
+    });
+
+    it('should treat clients without a subprotocol as vts.v1', () => {
+      expect(MessageValidator.negotiateProtocol(undefined)).toEqual({ protocol: null, protocolVersion: 1 });
+    });
+
+    it('should return null when no offered protocol is supported', () => {
+      expect(MessageValidator.negotiateProtocol('graphql-ws')).toBeNull();
+    });
+
+    it('should read the header from the $connect event', () => {
+      expect(MessageValidator.extractProtocols({ headers: { 'Sec-WebSocket-Protocol': 'vts.v2' } })).toBe('vts.v2');
+      expect(MessageValidator.extractProtocols({ headers: { 'sec-websocket-protocol': 'vts.v1' } })).toBe('vts.v1');
+    });
+  });
+
+  // スキーマとフロントエンドの WebSocketMessage の型を一致させる
+  describe('frontend types', () => {
+    const source = fs.readFileSync(FRONTEND_TYPES, 'utf8');
+
+    it('should declare the same protocols', () => {
+      const protocols = source.match(/export type WebSocketProtocol = (.+);/)[1].match(/'[^']+'/g).map(value => value.slice(1, -1));
+
+      expect(protocols.sort()).toEqual(Object.keys(schemas.protocols).sort());
+    });
+
+    it('should declare a payload for every action', () => {
+      expect(interfaceFields(source, 'WebSocketPayloads').sort()).toEqual(Object.keys(schemas.actions).sort());
+    });
+
+    it('should only declare payload fields the schema accepts', () => {
+      const payloadTypes = [...source.match(/export interface WebSocketPayloads \{\n([\s\S]*?)\n\}/)[1].matchAll(/^ {2}(\w+): (\w+);/gm)];
+
+      for (const [, action, typeName] of payloadTypes) {
+        const fields = interfaceFields(source, typeName) || [];
+        const properties = Object.keys(schemas.actions[action].properties);
+
+        expect({ action, unknown: fields.filter(field => !properties.includes(field)) }).toEqual({ action, unknown: [] });
+      }
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const RateLimiter = require('../lambda/websocket-handler/shared/rate-limiter');
+const dynamodbClient = require('../lambda/websocket-handler/shared/dynamodb-client');
+const MemoryDynamoDB = require('../local/memory-dynamodb');
+
+jest.mock('../lambda/websocket-handler/shared/dynamodb-client', () => ({}));
+
+// 条件付きの更新を再現するインメモリのテーブル（ローカル開発サーバーと同じ実装）
+const useMemoryTable = () => {
+  const memory = new MemoryDynamoDB();
+  memory.attach(dynamodbClient);
+  jest.spyOn(dynamodbClient, 'incrementItem');
+  jest.spyOn(dynamodbClient, 'updateItem');
+  return memory;
+};
+
+describe('RateLimiter', () => {
+  let limiter;
+  let memory;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: new Date('2025-09-15T05:45:00.000Z') });
+    memory = useMemoryTable();
+    limiter = new RateLimiter({
+      limits: { message: { capacity: 2, refillPerMinute: 6 }, default: { capacity: 60, refillPerMinute: 60 } },
+      userFactor: 2,
+      bedrockUserBudget: 2,
+      bedrockTotalBudget: 3
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('consume', () => {
+    it('should allow a burst up to the capacity and refill one token per interval', async () => {
+      const identity = { connectionId: 'conn-1', userId: 'operator-1' };
+
+      expect(await limiter.consume('message', identity)).toEqual({ allowed: true });
+      expect(await limiter.consume('message', identity)).toEqual({ allowed: true });
+      // 1分あたり6件（10秒ごとに1つ補充）
+      expect(await limiter.consume('message', identity)).toEqual({ allowed: false, scope: 'connection', retryAfter: 10 });
+
+      jest.advanceTimersByTime(10000);
+      expect((await limiter.consume('message', identity)).allowed).toBe(true);
+      expect((await limiter.consume('message', identity)).allowed).toBe(false);
+
+      // 満杯に戻った後も capacity を超えて連続送信はできない
+      jest.advanceTimersByTime(60000);
+      expect((await limiter.consume('message', identity)).allowed).toBe(true);
+      expect((await limiter.consume('message', identity)).allowed).toBe(true);
+      expect((await limiter.consume('message', identity)).allowed).toBe(false);
+    });
+
+    it('should limit the user across connections', async () => {
+      for (const connectionId of ['conn-1', 'conn-1', 'conn-2', 'conn-2']) {
+        expect((await limiter.consume('message', { connectionId, userId: 'operator-1' })).allowed).toBe(true);
+      }
+
+      expect(await limiter.consume('message', { connectionId: 'conn-3', userId: 'operator-1' }))
+        .toMatchObject({ allowed: false, scope: 'user' });
+      expect((await limiter.consume('message', { connectionId: 'conn-3', userId: 'operator-2' })).allowed).toBe(true);
+    });
+
+    it('should share the bucket through conditional updates without reading it', async () => {
+      const now = Date.parse('2025-09-15T05:45:00.000Z');
+      const identity = { connectionId: 'conn-1' };
+
+      await limiter.consume('getIncidents', identity);
+      await limiter.consume('getIncidents', identity);
+
+      // 満杯のバケットは SET、使用中のバケットは ADD（1分あたり60件: 1秒ごとに1つ補充）
+      expect(dynamodbClient.updateItem).toHaveBeenCalledTimes(1);
+      expect(dynamodbClient.updateItem).toHaveBeenCalledWith(
+        'vts-rate-limits',
+        { bucketKey: 'CONN#conn-1#getIncidents' },
+        { fullAt: now + 1000, ttl: expect.any(Number) },
+        { ConditionExpression: 'attribute_not_exists(fullAt) OR fullAt < :now', ExpressionAttributeValues: { ':now': now } }
+      );
+      expect(dynamodbClient.incrementItem).toHaveBeenLastCalledWith(
+        'vts-rate-limits',
+        { bucketKey: 'CONN#conn-1#getIncidents' },
+        'fullAt',
+        1000,
+        { ttl: expect.any(Number) },
+        { ConditionExpression: '#counter >= :now AND #counter <= :maxFullAt', ExpressionAttributeValues: { ':now': now, ':maxFullAt': now + 59000 } }
+      );
+    });
+
+    it('should retry on the used bucket when another instance filled the empty bucket first', async () => {
+      const identity = { connectionId: 'conn-1' };
+      // 他のインスタンスが先に満杯のバケットから取り出した
+      dynamodbClient.updateItem.mockImplementationOnce(async (tableName, key, updates) => {
+        await memory.updateItem(tableName, key, updates);
+        const error = new Error('The conditional request failed');
+        error.name = 'ConditionalCheckFailedException';
+        throw error;
+      });
+
+      expect((await limiter.consume('message', identity)).allowed).toBe(true);
+      expect(dynamodbClient.incrementItem).toHaveBeenCalledTimes(2);
+      expect((await limiter.consume('message', identity)).allowed).toBe(false);
+    });
+
+    it('should limit audio frames in memory without DynamoDB', async () => {
+      limiter.limits.audioData = { capacity: 2, refillPerMinute: 60 };
+      const identity = { connectionId: 'conn-1', userId: 'operator-1' };
+
+      expect((await limiter.consume('audioData', identity)).allowed).toBe(true);
+      expect((await limiter.consume('audioData', identity)).allowed).toBe(true);
+      expect(await limiter.consume('audioData', identity)).toEqual({ allowed: false, scope: 'connection', retryAfter: 1 });
+      expect((await limiter.consume('audioData', { connectionId: 'conn-2', userId: 'operator-1' })).allowed).toBe(true);
+      expect(dynamodbClient.incrementItem).not.toHaveBeenCalled();
+      expect(dynamodbClient.updateItem).not.toHaveBeenCalled();
+
+      limiter.forgetConnection('conn-1');
+      expect((await limiter.consume('audioData', identity)).allowed).toBe(true);
+    });
+
+    it('should allow when the table is unavailable', async () => {
+      dynamodbClient.incrementItem.mockRejectedValue(new Error('ProvisionedThroughputExceededException'));
+      dynamodbClient.updateItem.mockRejectedValue(new Error('ProvisionedThroughputExceededException'));
+
+      expect(await limiter.consume('message', { connectionId: 'conn-1' })).toEqual({ allowed: true });
+    });
+  });
+
+  describe('consumeBedrockBudget', () => {
+    it('should enforce the per-user hourly budget until the next hour', async () => {
+      const identity = { connectionId: 'conn-1', userId: 'operator-1' };
+
+      expect((await limiter.consumeBedrockBudget(identity)).allowed).toBe(true);
+      expect((await limiter.consumeBedrockBudget(identity)).allowed).toBe(true);
+      expect(await limiter.consumeBedrockBudget(identity))
+        .toEqual({ allowed: false, scope: 'bedrockUser', retryAfter: 900, used: 2, budget: 2 });
+
+      jest.advanceTimersByTime(15 * 60 * 1000);
+      expect((await limiter.consumeBedrockBudget(identity)).allowed).toBe(true);
+    });
+
+    it('should enforce the centre-wide hourly budget', async () => {
+      for (const userId of ['operator-1', 'operator-2', 'operator-3']) {
+        expect((await limiter.consumeBedrockBudget({ connectionId: 'conn-1', userId })).allowed).toBe(true);
+      }
+
+      expect(await limiter.consumeBedrockBudget({ connectionId: 'conn-4', userId: 'operator-4' }))
+        .toMatchObject({ allowed: false, scope: 'bedrockTotal' });
+    });
+  });
+
+  it('should merge limits from RATE_LIMITS', () => {
+    process.env.RATE_LIMITS = '{"message":{"capacity":5,"refillPerMinute":5}}';
+    try {
+      const configured = new RateLimiter();
+
+      expect(configured.limits.message).toEqual({ capacity: 5, refillPerMinute: 5 });
+      expect(configured.limits.audioData).toEqual(RateLimiter.DEFAULT_LIMITS.audioData);
+    } finally {
+      delete process.env.RATE_LIMITS;
+    }
+  });
+});
@@ -0,0 +1,108 @@
+const RecordingStore = require('../lambda/websocket-handler/shared/recording-store');
+const dynamodbClient = require('../lambda/websocket-handler/shared/dynamodb-client');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+jest.mock('../lambda/websocket-handler/shared/dynamodb-client', () => ({
+  putItem: jest.fn().mockResolvedValue(true),
+  updateItem: jest.fn().mockResolvedValue({}),
+  getItem: jest.fn(),
+  isConditionalCheckFailed: jest.fn(error => error.name === 'ConditionalCheckFailedException')
+}));
+
+const manifest = {
+  sessionId: 'TRANS-1',
+  sessionStartedAt: '2026-01-01T00:00:00.000Z',
+  recordingStartedAt: '2026-01-01T00:00:00.500Z',
+  recordingEndedAt: '2026-01-01T00:01:00.500Z',
+  bucket: 'audio-bucket',
+  objectKey: 'audio/recordings/2026/01/01/TRANS-1/1767225600500.wav',
+  manifestKey: 'audio/recordings/2026/01/01/TRANS-1/1767225600500.json',
+  contentType: 'audio/wav',
+  codec: 'pcm',
+  sampleRate: 16000,
+  durationMs: 60000,
+  objectBytes: 1920044,
+  audioSha256: 'abc'
+};
+
+describe('RecordingStore', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = new RecordingStore({ s3Client: {} });
+  });
+
+  describe('link', () => {
+    it('should store the recording and point the transcription session at it', async () => {
+      await store.link('conn-1', manifest);
+
+      expect(dynamodbClient.putItem).toHaveBeenCalledWith('vts-conversations', expect.objectContaining({
+        ConversationID: 'TRANS-1',
+        ItemTimestamp: 'RECORDING#2026-01-01T00:00:00.500Z',
+        ItemType: 'AUDIO_RECORDING',
+        ObjectKey: manifest.objectKey
+      }));
+      expect(dynamodbClient.updateItem).toHaveBeenCalledWith(
+        'vts-conversations',
+        { ConversationID: 'TRANS-1', ItemTimestamp: 'SESSION#2026-01-01T00:00:00.000Z' },
+        expect.objectContaining({ RecordingKey: manifest.objectKey }),
+        { ConditionExpression: 'attribute_exists(ConversationID)' }
+      );
+    });
+
+    it('should not create a session item when it does not exist', async () => {
+      const error = new Error('conditional');
+      error.name = 'ConditionalCheckFailedException';
+      dynamodbClient.updateItem.mockRejectedValueOnce(error);
+
+      await expect(store.link('conn-1', manifest)).resolves.toBeUndefined();
+    });
+  });
+
+  describe('getClip', () => {
+    const recordingItem = {
+      Bucket: 'audio-bucket',
+      ObjectKey: manifest.objectKey,
+      ContentType: 'audio/wav',
+      Codec: 'pcm',
+      DurationMs: 60000
+    };
+
+    it('should issue a signed url with the padded utterance range', async () => {
+      dynamodbClient.getItem.mockResolvedValue(recordingItem);
+
+      const clip = await store.getClip({
+        sessionId: 'TRANS-1',
+        recordingId: '2026-01-01T00:00:00.500Z',
+        startTime: 0.1,
+        endTime: 59.9
+      });
+
+      expect(dynamodbClient.getItem).toHaveBeenCalledWith('vts-conversations', {
+        ConversationID: 'TRANS-1',
+        ItemTimestamp: 'RECORDING#2026-01-01T00:00:00.500Z'
+      });
+      expect(getSignedUrl).toHaveBeenCalledWith({}, expect.anything(), { expiresIn: 300 });
+      expect(clip).toMatchObject({
+        url: expect.stringContaining(manifest.objectKey),
+        contentType: 'audio/wav',
+        startTime: 0,
+        endTime: 60
+      });
+    });
+
+    it('should report recordings that are not stored yet', async () => {
+      dynamodbClient.getItem.mockResolvedValue(null);
+
+      await expect(store.getClip({ sessionId: 'TRANS-1', recordingId: 'x', startTime: 1, endTime: 2 }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should reject invalid ranges', async () => {
+      await expect(store.getClip({ sessionId: 'TRANS-1', recordingId: 'x', startTime: 5, endTime: 2 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(dynamodbClient.getItem).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const ResponseApprovalManager = require('../lambda/websocket-handler/shared/response-approval-manager');
+const dynamodbClient = require('../lambda/websocket-handler/shared/dynamodb-client');
+
+jest.mock('../lambda/websocket-handler/shared/dynamodb-client', () => ({
+  putItem: jest.fn().mockResolvedValue({}),
+  getItem: jest.fn(),
+  updateItem: jest.fn().mockResolvedValue({}),
+  isConditionalCheckFailed: jest.fn(error => error.name === 'ConditionalCheckFailedException')
+}));
+
+const PENDING_RESPONSE = {
+  ConversationID: 'CONN-conn-1',
+  ItemTimestamp: 'AI#2025-09-15T05:30:00.000Z',
+  ItemType: 'AI_RESPONSE',
+  Classification: 'GREEN',
+  SuggestedResponse: 'さくら丸、博多港VTS。入港を許可します。',
+  ApprovalStatus: 'PENDING'
+};
+
+describe('ResponseApprovalManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    manager = new ResponseApprovalManager();
+  });
+
+  describe('createPendingResponse', () => {
+    it('should save AI response as PENDING', async () => {
+      const item = await manager.createPendingResponse('conn-1', {
+        classification: 'GREEN',
+        suggestedResponse: '了解',
+        confidence: 0.9,
+        timestamp: '2025-09-15T05:30:00.000Z'
+      }, { SourceText: '入港要請' });
+
+      expect(item.ItemTimestamp).toBe('AI#2025-09-15T05:30:00.000Z');
+      expect(dynamodbClient.putItem).toHaveBeenCalledWith('vts-conversations', expect.objectContaining({
+        ItemType: 'AI_RESPONSE',
+        ApprovalStatus: 'PENDING',
+        SourceText: '入港要請'
+      }));
+    });
+  });
+
+  describe('recordDecision', () => {
+    it('should approve the original suggested response', async () => {
+      dynamodbClient.getItem.mockResolvedValue(PENDING_RESPONSE);
+
+      const result = await manager.recordDecision({
+        connectionId: 'conn-1',
+        responseId: PENDING_RESPONSE.ItemTimestamp,
+        decision: 'APPROVED',
+        operatorId: 'operator-1'
+      });
+
+      expect(result.approvedText).toBe(PENDING_RESPONSE.SuggestedResponse);
+      expect(result.decidedBy).toBe('operator-1');
+      expect(dynamodbClient.putItem).toHaveBeenCalledWith('vts-conversations', expect.objectContaining({
+        ItemType: 'DECISION',
+        ResponseID: PENDING_RESPONSE.ItemTimestamp,
+        Decision: 'APPROVED',
+        OperatorID: 'operator-1'
+      }));
+      expect(dynamodbClient.updateItem).toHaveBeenCalledWith(
+        'vts-conversations',
+        { ConversationID: 'CONN-conn-1', ItemTimestamp: PENDING_RESPONSE.ItemTimestamp },
+        expect.objectContaining({
+          ApprovalStatus: 'APPROVED',
+          DecisionID: result.decisionId
+        }),
+        {
+          ConditionExpression: 'ApprovalStatus = :pending',
+          ExpressionAttributeValues: { ':pending': 'PENDING' }
+        }
+      );
+    });
+
+    it('should use the edited text when edited', async () => {
+      dynamodbClient.getItem.mockResolvedValue(PENDING_RESPONSE);
+
+      const result = await manager.recordDecision({
+        connectionId: 'conn-1',
+        responseId: PENDING_RESPONSE.ItemTimestamp,
+        decision: 'EDITED',
+        operatorId: 'operator-1',
+        editedText: ' さくら丸、第2岸壁へ進入してください。 '
+      });
+
+      expect(result.approvedText).toBe('さくら丸、第2岸壁へ進入してください。');
+    });
+
+    it('should not produce text to speak when rejected', async () => {
+      dynamodbClient.getItem.mockResolvedValue(PENDING_RESPONSE);
+
+      const result = await manager.recordDecision({
+        connectionId: 'conn-1',
+        responseId: PENDING_RESPONSE.ItemTimestamp,
+        decision: 'REJECTED',
+        operatorId: 'operator-1',
+        reason: '状況と不一致'
+      });
+
+      expect(result.approvedText).toBeNull();
+      expect(dynamodbClient.putItem).toHaveBeenCalledWith('vts-conversations', expect.objectContaining({
+        Decision: 'REJECTED',
+        Reason: '状況と不一致'
+      }));
+    });
+
+    it('should reject a second decision on the same response', async () => {
+      dynamodbClient.getItem.mockResolvedValue({ ...PENDING_RESPONSE, ApprovalStatus: 'APPROVED' });
+
+      await expect(manager.recordDecision({
+        connectionId: 'conn-1',
+        responseId: PENDING_RESPONSE.ItemTimestamp,
+        decision: 'REJECTED',
+        operatorId: 'operator-1'
+      })).rejects.toMatchObject({ statusCode: 409 });
+      expect(dynamodbClient.putItem).not.toHaveBeenCalled();
+    });
+
+    it('should only record the decision that updated the pending response first', async () => {
+      dynamodbClient.getItem
+        .mockResolvedValueOnce(PENDING_RESPONSE)
+        .mockResolvedValueOnce({ ...PENDING_RESPONSE, ApprovalStatus: 'EDITED' });
+      dynamodbClient.updateItem.mockRejectedValueOnce(Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' }));
+
+      await expect(manager.recordDecision({
+        connectionId: 'conn-1',
+        responseId: PENDING_RESPONSE.ItemTimestamp,
+        decision: 'APPROVED',
+        operatorId: 'operator-2'
+      })).rejects.toMatchObject({ statusCode: 409, message: 'AI response already edited' });
+      expect(dynamodbClient.putItem).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for unknown responses', async () => {
+      dynamodbClient.getItem.mockResolvedValue(null);
+
+      await expect(manager.recordDecision({
+        connectionId: 'conn-1',
+        responseId: 'AI#unknown',
+        decision: 'APPROVED',
+        operatorId: 'operator-1'
+      })).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should require text for edits', async () => {
+      await expect(manager.recordDecision({
+        connectionId: 'conn-1',
+        responseId: PENDING_RESPONSE.ItemTimestamp,
+        decision: 'EDITED',
+        operatorId: 'operator-1',
+        editedText: '   '
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const SessionRecorder = require('../lambda/websocket-handler/shared/session-recorder');
+const {
+  PutObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+
+const isCommand = (command, Command) => Command.mock.results.some(result => result.value === command);
+
+const createS3Client = () => ({
+  send: jest.fn(async (command) => {
+    if (isCommand(command, UploadPartCommand)) {
+      return { ETag: `etag-${command.input.PartNumber}` };
+    }
+    if (isCommand(command, CreateMultipartUploadCommand)) {
+      return { UploadId: 'upload-1' };
+    }
+    return {};
+  })
+});
+
+const createRecorder = (s3Client, options = {}) => new SessionRecorder({
+  s3Client,
+  bucket: 'audio-bucket',
+  prefix: 'audio/recordings/',
+  sessionId: 'TRANS-1',
+  connectionId: 'conn-1',
+  codec: 'pcm',
+  sampleRate: 16000,
+  sessionStartedAt: '2026-01-01T00:00:00.000Z',
+  ...options
+});
+
+const sentCommands = (s3Client, Command) =>
+  s3Client.send.mock.calls.map(([command]) => command).filter(command => isCommand(command, Command));
+
+describe('SessionRecorder', () => {
+  let s3Client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    s3Client = createS3Client();
+  });
+
+  it('should store a short PCM session as a single WAV object with a manifest', async () => {
+    const recorder = createRecorder(s3Client);
+    const audio = Buffer.alloc(32000, 1); // 1秒
+
+    await recorder.append(audio.subarray(0, 16000));
+    await recorder.append(audio.subarray(16000));
+    const manifest = await recorder.finalize({ audioStats: { lost: 2 } });
+
+    const [wav, manifestObject] = sentCommands(s3Client, PutObjectCommand);
+    expect(wav.input.Key).toMatch(/^audio\/recordings\/\d{4}\/\d{2}\/\d{2}\/TRANS-1\/\d+\.wav$/);
+    expect(wav.input.ContentType).toBe('audio/wav');
+    expect(wav.input.Body.toString('ascii', 0, 4)).toBe('RIFF');
+    expect(wav.input.Body.readUInt32LE(24)).toBe(16000);
+    expect(wav.input.Body.readUInt32LE(40)).toBe(32000);
+    expect(wav.input.Body.length).toBe(44 + 32000);
+
+    expect(manifestObject.input.Key).toBe(manifest.manifestKey);
+    expect(manifest).toMatchObject({
+      sessionId: 'TRANS-1',
+      sessionStartedAt: '2026-01-01T00:00:00.000Z',
+      durationMs: 1000,
+      objectBytes: 32044,
+      audioSha256: crypto.createHash('sha256').update(audio).digest('hex'),
+      audioStats: { lost: 2 }
+    });
+    expect(CreateMultipartUploadCommand).not.toHaveBeenCalled();
+  });
+
+  it('should upload long PCM sessions in parts and write the WAV header into the first part last', async () => {
+    const recorder = createRecorder(s3Client, { partSizeBytes: 100 });
+
+    for (let i = 0; i < 5; i++) {
+      await recorder.append(Buffer.alloc(60, i));
+    }
+    const manifest = await recorder.finalize();
+
+    const parts = sentCommands(s3Client, UploadPartCommand).map(command => command.input);
+    expect(parts.map(part => part.PartNumber)).toEqual([2, 3, 1]);
+    expect(parts[2].Body.toString('ascii', 0, 4)).toBe('RIFF');
+    expect(parts[2].Body.readUInt32LE(40)).toBe(300);
+
+    const [complete] = sentCommands(s3Client, CompleteMultipartUploadCommand);
+    expect(complete.input.MultipartUpload.Parts.map(part => part.PartNumber)).toEqual([1, 2, 3]);
+    expect(manifest.objectBytes).toBe(344);
+  });
+
+  it('should store compressed codecs as-is without a WAV header', async () => {
+    const recorder = createRecorder(s3Client, { codec: 'ogg-opus', partSizeBytes: 100 });
+
+    await recorder.append(Buffer.alloc(120, 1));
+    await recorder.append(Buffer.alloc(30, 2));
+    const manifest = await recorder.finalize();
+
+    const parts = sentCommands(s3Client, UploadPartCommand).map(command => command.input);
+    expect(parts.map(part => part.PartNumber)).toEqual([1, 2]);
+    expect(parts[0].Body.toString('ascii', 0, 4)).not.toBe('RIFF');
+    expect(manifest.objectKey).toMatch(/\.ogg$/);
+    expect(manifest.contentType).toBe('audio/ogg');
+    expect(manifest.objectBytes).toBe(150);
+  });
+
+  it('should not store anything for a session without audio', async () => {
+    const recorder = createRecorder(s3Client);
+
+    await expect(recorder.finalize()).resolves.toBeNull();
+    expect(s3Client.send).not.toHaveBeenCalled();
+  });
+
+  it('should abort the multipart upload when completing fails', async () => {
+    const recorder = createRecorder(s3Client, { codec: 'flac', partSizeBytes: 10 });
+    await recorder.append(Buffer.alloc(20, 1));
+
+    s3Client.send.mockImplementation(async (command) => {
+      if (isCommand(command, CompleteMultipartUploadCommand)) {
+        throw new Error('S3 unavailable');
+      }
+      return isCommand(command, CreateMultipartUploadCommand) ? { UploadId: 'upload-1' } : { ETag: 'etag' };
+    });
+
+    await expect(recorder.finalize()).rejects.toThrow('S3 unavailable');
+    expect(AbortMultipartUploadCommand).toHaveBeenCalledWith(expect.objectContaining({ UploadId: 'upload-1' }));
+  });
+});
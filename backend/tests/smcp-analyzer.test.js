@@ -0,0 +1,100 @@
+const SmcpAnalyzer = require('../lambda/websocket-handler/shared/smcp-analyzer');
+
+describe('SmcpAnalyzer', () => {
+  let analyzer;
+
+  const codesOf = result => result.issues.map(issue => issue.code);
+
+  beforeEach(() => {
+    analyzer = new SmcpAnalyzer();
+  });
+
+  describe('message markers', () => {
+    it('should use explicit English markers', () => {
+      const result = analyzer.analyze('INSTRUCTION: Reduce speed to 8 knots.', { role: 'VTS' });
+
+      expect(result.marker).toBe('INSTRUCTION');
+      expect(result.explicit).toBe(true);
+      expect(result.language).toBe('en');
+      expect(result.compliant).toBe(true);
+      expect(result.issues).toEqual([]);
+    });
+
+    it('should use explicit Japanese markers', () => {
+      const result = analyzer.analyze('警告、前方に漂流物あり。', { role: 'VTS' });
+
+      expect(result.marker).toBe('WARNING');
+      expect(result.explicit).toBe(true);
+      expect(result.language).toBe('ja');
+    });
+
+    it('should tag each sentence', () => {
+      const result = analyzer.analyze('こちら福岡VTS。入港を許可します。指定の航路を航行してください。', { role: 'VTS' });
+
+      expect(result.sentences.map(sentence => sentence.marker)).toEqual([null, 'INFORMATION', 'INSTRUCTION']);
+      expect(result.markers).toEqual(['INFORMATION', 'INSTRUCTION']);
+    });
+
+    it('should infer markers from the phrasing and speaker role', () => {
+      expect(analyzer.analyze('What is your ETA?', { role: 'VTS' }).marker).toBe('QUESTION');
+      expect(analyzer.analyze('入港許可をお願いします。', { role: 'VESSEL' }).marker).toBe('REQUEST');
+      expect(analyzer.analyze('錨泊してください。', { role: 'VESSEL' }).marker).toBe('REQUEST');
+      expect(analyzer.analyze('錨泊してください。', { role: 'VTS' }).marker).toBe('INSTRUCTION');
+      expect(analyzer.analyze('I intend to enter the fairway.', { role: 'VESSEL' }).marker).toBe('INTENTION');
+    });
+  });
+
+  describe('non-standard phrasing', () => {
+    it('should flag contractions, ambiguous modals and informal words', () => {
+      const result = analyzer.analyze("You should maybe slow down, it's ok.", { role: 'VTS' });
+
+      expect(codesOf(result)).toEqual(expect.arrayContaining(['CONTRACTION', 'AMBIGUOUS_MODAL', 'INFORMAL_PHRASE']));
+      expect(result.compliant).toBe(false);
+    });
+
+    it('should flag bare yes/no answers', () => {
+      expect(codesOf(analyzer.analyze('Yes.', { role: 'VESSEL' }))).toContain('INCOMPLETE_ANSWER');
+      expect(codesOf(analyzer.analyze('はい', { role: 'VESSEL' }))).toContain('INCOMPLETE_ANSWER');
+    });
+
+    it('should flag markers that do not match the content', () => {
+      expect(codesOf(analyzer.analyze('QUESTION: I am at anchor.', { role: 'VESSEL' }))).toContain('MARKER_MISMATCH');
+    });
+
+    it('should flag INSTRUCTION from a vessel', () => {
+      expect(codesOf(analyzer.analyze('INSTRUCTION: Keep clear of me.', { role: 'VESSEL' })))
+        .toContain('INSTRUCTION_FROM_NON_AUTHORITY');
+    });
+
+    it('should flag missing VTS markers as warnings in English and info in Japanese', () => {
+      const english = analyzer.analyze('Reduce speed.', { role: 'VTS' });
+      const japanese = analyzer.analyze('速力を落としてください。', { role: 'VTS' });
+
+      expect(english.issues[0]).toMatchObject({ code: 'MISSING_MARKER', severity: 'warning' });
+      expect(english.compliant).toBe(false);
+      expect(japanese.issues[0]).toMatchObject({ code: 'MISSING_MARKER', severity: 'info' });
+      expect(japanese.compliant).toBe(true);
+    });
+  });
+
+  describe('rewrite', () => {
+    it('should rewrite template responses into SMCP English', () => {
+      expect(analyzer.rewrite('こちら福岡VTS。緊急事態確認。救助機関に通報しました。位置と状況を報告してください。'))
+        .toBe('This is Fukuoka VTS. INFORMATION: Your distress message is received. '
+          + 'INFORMATION: Search and rescue services are informed. INSTRUCTION: Report your position and situation.');
+      expect(analyzer.rewrite('了解しました。通信を継続してください。'))
+        .toBe('Understood. INSTRUCTION: Keep listening watch on this channel.');
+    });
+
+    it('should return null when no sentence can be rewritten', () => {
+      expect(analyzer.rewrite('明日の天気はどうでしょう')).toBeNull();
+    });
+
+    it('should enforce SMCP rules on English from the model', () => {
+      const english = "this is Fukuoka VTS. reduce speed. don't enter the fairway. instruction, stand by.";
+
+      expect(analyzer.rewrite('速力を落としてください。', { english }))
+        .toBe('This is Fukuoka VTS. INSTRUCTION: Reduce speed. INSTRUCTION: Do not enter the fairway. INSTRUCTION: Stand by.');
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const SpeakerRoleResolver = require('../lambda/websocket-handler/shared/speaker-role-resolver');
+const dynamodbClient = require('../lambda/websocket-handler/shared/dynamodb-client');
+
+jest.mock('../lambda/websocket-handler/shared/dynamodb-client', () => ({
+  query: jest.fn(),
+  putItem: jest.fn().mockResolvedValue(true),
+  isConditionalCheckFailed: jest.fn(error => error.name === 'ConditionalCheckFailedException')
+}));
+
+const { SPEAKER_ROLES, ROLE_SOURCES } = SpeakerRoleResolver;
+
+describe('SpeakerRoleResolver', () => {
+  let resolver;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dynamodbClient.query.mockResolvedValue([]);
+    resolver = new SpeakerRoleResolver();
+  });
+
+  describe('identifyStation', () => {
+    it.each([
+      ['博多港VTS、こちらさくら丸、入港許可を要請します', SPEAKER_ROLES.VESSEL],
+      ['さくら丸、こちら博多港VTS、入港を許可します', SPEAKER_ROLES.VTS],
+      ['こちら関門マーチス', SPEAKER_ROLES.VTS],
+      ['こちら博多パイロット、乗船します', SPEAKER_ROLES.PILOT],
+      ['こちら博多ポートラジオ', SPEAKER_ROLES.PORT],
+      ['Hakata VTS, this is Sakura Maru, requesting entry', SPEAKER_ROLES.VESSEL],
+      ['Sakura Maru, this is Hakata Pilot, over', SPEAKER_ROLES.PILOT],
+      ['第2バースへ向かってください', null]
+    ])('should identify the station in "%s"', (text, role) => {
+      expect(SpeakerRoleResolver.identifyStation(text)).toBe(role);
+    });
+  });
+
+  describe('dominantSpeaker', () => {
+    it('should pick the speaker with the longest speech', () => {
+      expect(SpeakerRoleResolver.dominantSpeaker([
+        { Speaker: 'spk_0', StartTime: 0, EndTime: 0.5 },
+        { Speaker: 'spk_1', StartTime: 0.5, EndTime: 2.0 },
+        { Speaker: 'spk_0', StartTime: 2.0, EndTime: 2.4 }
+      ])).toBe('spk_1');
+      expect(SpeakerRoleResolver.dominantSpeaker([{ Content: 'a' }])).toBeNull();
+    });
+  });
+
+  describe('resolve', () => {
+    it('should remember a self-identified speaker for later utterances', async () => {
+      const first = await resolver.resolve('TRANS-1', { speaker: 'spk_0', text: '博多港VTS、こちらさくら丸' });
+      const later = await resolver.resolve('TRANS-1', { speaker: 'spk_0', text: '了解しました' });
+
+      expect(first).toEqual({ role: SPEAKER_ROLES.VESSEL, source: ROLE_SOURCES.HEURISTIC });
+      expect(later).toEqual({ role: SPEAKER_ROLES.VESSEL, source: ROLE_SOURCES.HEURISTIC });
+      expect(dynamodbClient.putItem).toHaveBeenCalledWith('vts-conversations', expect.objectContaining({
+        ConversationID: 'TRANS-1',
+        ItemTimestamp: 'SPEAKER#spk_0',
+        SpeakerRole: SPEAKER_ROLES.VESSEL,
+        RoleSource: ROLE_SOURCES.HEURISTIC
+      }), expect.objectContaining({ ConditionExpression: expect.stringContaining('RoleSource') }));
+    });
+
+    it('should prefer the operator override over identification', async () => {
+      dynamodbClient.query.mockResolvedValue([
+        { SpeakerLabel: 'spk_1', SpeakerRole: SPEAKER_ROLES.PILOT, RoleSource: ROLE_SOURCES.OPERATOR }
+      ]);
+
+      const result = await resolver.resolve('TRANS-1', { speaker: 'spk_1', text: 'こちらさくら丸' });
+
+      expect(result).toEqual({ role: SPEAKER_ROLES.PILOT, source: ROLE_SOURCES.OPERATOR });
+      expect(dynamodbClient.putItem).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to phrases and then unknown without remembering them', async () => {
+      await expect(resolver.resolve('TRANS-1', { speaker: 'spk_0', text: '入港を許可します' }))
+        .resolves.toEqual({ role: SPEAKER_ROLES.VTS, source: ROLE_SOURCES.PHRASE });
+      await expect(resolver.resolve('TRANS-1', { speaker: 'spk_0', text: '了解' }))
+        .resolves.toEqual({ role: SPEAKER_ROLES.UNKNOWN, source: ROLE_SOURCES.DEFAULT });
+      expect(dynamodbClient.putItem).not.toHaveBeenCalled();
+    });
+
+    it('should not remember identification from partial results', async () => {
+      await resolver.resolve('TRANS-1', { speaker: 'spk_0', text: 'こちらさくら丸', isPartial: true });
+
+      expect(dynamodbClient.putItem).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('setOverride', () => {
+    it('should store the operator role and apply it to the session', async () => {
+      const assignment = await resolver.setOverride('TRANS-1', 'spk_0', SPEAKER_ROLES.PORT, 'operator-1');
+
+      expect(assignment).toEqual({ sessionId: 'TRANS-1', speaker: 'spk_0', role: SPEAKER_ROLES.PORT, source: ROLE_SOURCES.OPERATOR });
+      expect(dynamodbClient.putItem).toHaveBeenCalledWith('vts-conversations', expect.objectContaining({
+        RoleSource: ROLE_SOURCES.OPERATOR,
+        UpdatedBy: 'operator-1'
+      }), {});
+      await expect(resolver.resolve('TRANS-1', { speaker: 'spk_0', text: 'こちらさくら丸' }))
+        .resolves.toMatchObject({ role: SPEAKER_ROLES.PORT });
+    });
+
+    it('should reject unknown roles', async () => {
+      await expect(resolver.setOverride('TRANS-1', 'spk_0', 'CAPTAIN')).rejects.toMatchObject({ statusCode: 400 });
+      await expect(resolver.setOverride('TRANS-1', '', 'VTS')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('session cache', () => {
+    it('should drop a session when it is cleared', async () => {
+      await resolver.resolve('TRANS-1', { speaker: 'spk_0', text: 'こちらさくら丸' });
+      resolver.clearSession('TRANS-1');
+
+      expect(resolver.sessions.size).toBe(0);
+    });
+
+    it('should evict the least recently used sessions beyond the limit', async () => {
+      for (let i = 0; i <= SpeakerRoleResolver.MAX_CACHED_SESSIONS; i++) {
+        await resolver.loadSpeakers(`TRANS-${i}`);
+      }
+
+      expect(resolver.sessions.size).toBe(SpeakerRoleResolver.MAX_CACHED_SESSIONS);
+      expect(resolver.sessions.has('TRANS-0')).toBe(false);
+      expect(resolver.sessions.has(`TRANS-${SpeakerRoleResolver.MAX_CACHED_SESSIONS}`)).toBe(true);
+    });
+  });
+});
@@ -1,12 +1,29 @@
 const TranscribeProcessor = require('../lambda/websocket-handler/shared/transcribe-processor');
+const { StartStreamTranscriptionCommand } = require('@aws-sdk/client-transcribe-streaming');
 
 jest.mock('@aws-sdk/client-transcribe-streaming');
+jest.mock('../lambda/websocket-handler/shared/dynamodb-client', () => ({}));
+
+const createSessionStore = () => ({
+  instanceId: 'instance-a',
+  leaseMs: 30000,
+  acquire: jest.fn(async (connectionId, session) => ({
+    connectionId,
+    ...session,
+    ownerId: 'instance-a',
+    leaseExpiresAt: Date.now() + 30000
+  })),
+  renew: jest.fn(async () => Date.now() + 30000),
+  release: jest.fn().mockResolvedValue(true)
+});
 
 describe('TranscribeProcessor', () => {
   let processor;
+  let sessionStore;
 
   beforeEach(() => {
-    processor = new TranscribeProcessor();
+    sessionStore = createSessionStore();
+    processor = new TranscribeProcessor({ sessionStore });
     process.env.AWS_REGION = 'ap-northeast-1';
   });
 
@@ -17,6 +34,31 @@ describe('TranscribeProcessor', () => {
       await processor.startSession(connectionId, 'ja-JP');
       
       expect(processor.sessions.has(connectionId)).toBe(true);
+      expect(sessionStore.acquire).toHaveBeenCalledWith(
+        connectionId,
+        expect.objectContaining({ languageCode: 'ja-JP', sampleRate: 16000 }),
+        expect.objectContaining({ force: true })
+      );
+    });
+
+    it('should only take over an expired lease when resuming', async () => {
+      const previous = { connectionId: 'conn-1', ownerId: 'instance-b', takeovers: 0 };
+
+      await processor.startSession('conn-1', 'ja-JP', { sessionId: 'TRANS-1', previous });
+
+      expect(sessionStore.acquire).toHaveBeenCalledWith(
+        'conn-1',
+        expect.objectContaining({ sessionId: 'TRANS-1' }),
+        { force: false, previous }
+      );
+    });
+
+    it('should not start a stream when the lease is held elsewhere', async () => {
+      sessionStore.acquire.mockResolvedValue(null);
+
+      await expect(processor.startSession('conn-1', 'ja-JP', { previous: {} }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(processor.sessions.has('conn-1')).toBe(false);
     });
 
     it('should stop existing session before starting new one', async () => {
@@ -32,6 +74,207 @@ describe('TranscribeProcessor', () => {
     });
   });
 
+  describe('custom vocabulary', () => {
+    const createRegistry = (result) => ({
+      resolve: jest.fn().mockResolvedValue(result),
+      markUnavailable: jest.fn()
+    });
+
+    it('should use the vocabulary when it is READY', async () => {
+      const vocabularyRegistry = createRegistry({ vocabularyName: 'maritime-vts-vocabulary-ja', state: 'READY' });
+      processor = new TranscribeProcessor({ sessionStore, vocabularyRegistry });
+
+      const lease = await processor.startSession('conn-1', 'ja-JP');
+
+      expect(vocabularyRegistry.resolve).toHaveBeenCalledWith('ja-JP');
+      expect(StartStreamTranscriptionCommand).toHaveBeenLastCalledWith(expect.objectContaining({
+        VocabularyName: 'maritime-vts-vocabulary-ja'
+      }));
+      expect(lease).toMatchObject({ vocabularyName: 'maritime-vts-vocabulary-ja', vocabularyState: 'READY' });
+    });
+
+    it('should start without the vocabulary when it is not READY', async () => {
+      const vocabularyRegistry = createRegistry({ vocabularyName: null, state: 'PENDING' });
+      processor = new TranscribeProcessor({ sessionStore, vocabularyRegistry });
+
+      const lease = await processor.startSession('conn-1', 'ja-JP');
+
+      expect(StartStreamTranscriptionCommand.mock.calls.at(-1)[0]).not.toHaveProperty('VocabularyName');
+      expect(lease).toMatchObject({ vocabularyName: null, vocabularyState: 'PENDING' });
+    });
+
+    it('should mark the vocabulary unavailable when Transcribe rejects it', async () => {
+      const vocabularyRegistry = createRegistry({ vocabularyName: 'maritime-vts-vocabulary-ja', state: 'READY' });
+      processor = new TranscribeProcessor({ sessionStore, vocabularyRegistry });
+      await processor.startSession('conn-1', 'ja-JP');
+      processor.client.send = jest.fn().mockRejectedValue(
+        new Error('The requested vocabulary couldn\'t be found')
+      );
+
+      await expect(processor.processTranscribeStream('conn-1', {})).rejects.toThrow('語彙なし');
+
+      expect(vocabularyRegistry.markUnavailable).toHaveBeenCalledWith(
+        'maritime-vts-vocabulary-ja',
+        expect.stringContaining('vocabulary')
+      );
+      expect(processor.sessions.has('conn-1')).toBe(false);
+    });
+  });
+
+  describe('transcript normalization', () => {
+    const streamOf = (...transcripts) => ({
+      TranscriptResultStream: (async function* () {
+        for (const transcript of transcripts) {
+          yield {
+            TranscriptEvent: {
+              Transcript: {
+                Results: [{ ResultId: 'r1', IsPartial: false, Alternatives: [{ Transcript: transcript, Items: [] }] }]
+              }
+            }
+          };
+        }
+      })()
+    });
+
+    it('should pass corrected text with the raw text to the callback', async () => {
+      const results = [];
+      processor.onTranscriptionResult = jest.fn(async (connectionId, result) => results.push(result));
+      await processor.startSession('conn-1', 'ja-JP');
+      processor.client.send = jest.fn().mockResolvedValue(streamOf('はかたこうへじゅうにノットで航行中'));
+
+      await processor.processTranscribeStream('conn-1', {});
+
+      expect(processor.onTranscriptionResult).toHaveBeenCalledWith('conn-1', expect.any(Object));
+      expect(results[0]).toMatchObject({
+        text: '博多港へ12ノットで航行中',
+        rawText: 'はかたこうへじゅうにノットで航行中',
+        corrections: [
+          { type: 'place', from: 'はかたこう', to: '博多港' },
+          { type: 'number', from: 'じゅうにノット', to: '12ノット' }
+        ]
+      });
+    });
+
+    it('should leave the text unchanged when normalization is disabled', async () => {
+      processor = new TranscribeProcessor({ sessionStore, transcriptNormalizer: null });
+      processor.onTranscriptionResult = jest.fn();
+      await processor.startSession('conn-1', 'ja-JP');
+      processor.client.send = jest.fn().mockResolvedValue(streamOf('じゅうにノット'));
+
+      await processor.processTranscribeStream('conn-1', {});
+
+      expect(processor.onTranscriptionResult).toHaveBeenCalledWith('conn-1', expect.objectContaining({
+        text: 'じゅうにノット',
+        rawText: 'じゅうにノット',
+        corrections: []
+      }));
+    });
+  });
+
+  describe('language', () => {
+    it('should normalize requested languages', () => {
+      expect(TranscribeProcessor.normalizeLanguage(undefined)).toBe('ja-JP');
+      expect(TranscribeProcessor.normalizeLanguage('en')).toBe('en-US');
+      expect(TranscribeProcessor.normalizeLanguage('EN-us')).toBe('en-US');
+      expect(TranscribeProcessor.normalizeLanguage('auto')).toBe('auto');
+      expect(TranscribeProcessor.normalizeLanguage('ko-KR')).toBeNull();
+    });
+
+    it('should reject unsupported languages', async () => {
+      await expect(processor.startSession('conn-1', 'ko-KR')).rejects.toMatchObject({ statusCode: 400 });
+      expect(sessionStore.acquire).not.toHaveBeenCalled();
+    });
+
+    it('should identify the language between ja-JP and en-US with the vocabulary of each language', async () => {
+      const vocabularyRegistry = {
+        resolve: jest.fn(async languageCode => ({
+          vocabularyName: `maritime-vts-vocabulary-${languageCode.substring(0, 2)}`,
+          state: 'READY'
+        }))
+      };
+      processor = new TranscribeProcessor({ sessionStore, vocabularyRegistry });
+
+      const lease = await processor.startSession('conn-1', 'auto');
+
+      const params = StartStreamTranscriptionCommand.mock.calls.at(-1)[0];
+      expect(params).toMatchObject({
+        IdentifyLanguage: true,
+        LanguageOptions: 'ja-JP,en-US',
+        PreferredLanguage: 'ja-JP',
+        VocabularyNames: 'maritime-vts-vocabulary-ja,maritime-vts-vocabulary-en'
+      });
+      expect(params).not.toHaveProperty('LanguageCode');
+      expect(lease).toMatchObject({ languageCode: 'auto', vocabularyState: 'READY' });
+    });
+
+    it('should pass the identified language of each result', async () => {
+      processor.onTranscriptionResult = jest.fn();
+      await processor.startSession('conn-1', 'auto');
+      processor.client.send = jest.fn().mockResolvedValue({
+        TranscriptResultStream: (async function* () {
+          yield {
+            TranscriptEvent: {
+              Transcript: {
+                Results: [{
+                  ResultId: 'r1',
+                  IsPartial: false,
+                  LanguageCode: 'en-US',
+                  Alternatives: [{ Transcript: 'Request permission to enter port', Items: [] }]
+                }]
+              }
+            }
+          };
+        })()
+      });
+
+      await processor.processTranscribeStream('conn-1', {});
+
+      expect(processor.onTranscriptionResult).toHaveBeenCalledWith('conn-1', expect.objectContaining({
+        text: 'Request permission to enter port',
+        languageCode: 'en-US'
+      }));
+    });
+  });
+
+  describe('codec negotiation', () => {
+    it('should pick the first supported codec in preference order', () => {
+      expect(TranscribeProcessor.negotiateCodec(['speex', 'opus', 'pcm'])).toBe('ogg-opus');
+      expect(TranscribeProcessor.negotiateCodec('FLAC')).toBe('flac');
+      expect(TranscribeProcessor.negotiateCodec(undefined)).toBe('pcm');
+      expect(TranscribeProcessor.negotiateCodec(['speex'])).toBeNull();
+    });
+
+    it('should pass the negotiated codec to Transcribe as MediaEncoding', async () => {
+      await processor.startSession('conn-1', 'ja-JP', { codec: 'ogg-opus', sampleRate: 48000 });
+
+      expect(StartStreamTranscriptionCommand).toHaveBeenLastCalledWith(expect.objectContaining({
+        MediaEncoding: 'ogg-opus',
+        MediaSampleRateHertz: 48000
+      }));
+      expect(sessionStore.acquire).toHaveBeenCalledWith(
+        'conn-1',
+        expect.objectContaining({ codec: 'ogg-opus' }),
+        expect.any(Object)
+      );
+      expect(processor.getSession('conn-1')).toMatchObject({ codec: 'ogg-opus', sampleRate: 48000 });
+    });
+
+    it('should reject unsupported codecs', async () => {
+      await expect(processor.startSession('conn-1', 'ja-JP', { codec: 'speex' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should accept compressed pages of any length', async () => {
+      await processor.startSession('conn-1', 'ja-JP', { codec: 'ogg-opus' });
+      const session = processor.sessions.get('conn-1');
+      const writeSpy = jest.spyOn(session.audioStream, 'write');
+
+      await processor.processAudioChunk('conn-1', Buffer.from('OggS\x00'));
+
+      expect(writeSpy).toHaveBeenCalled();
+    });
+  });
+
   describe('processAudioChunk', () => {
     it('should handle base64 audio data', async () => {
       const connectionId = 'test-connection-123';
@@ -44,6 +287,27 @@ describe('TranscribeProcessor', () => {
       expect(processor.sessions.get(connectionId).isActive).toBe(true);
     });
 
+    it('should renew the lease when it is about to expire', async () => {
+      await processor.startSession('conn-1');
+      processor.sessions.get('conn-1').leaseExpiresAt = Date.now() + 1000;
+
+      await processor.processAudioChunk('conn-1', 'dGVzdCBhdWRpbw==');
+
+      expect(sessionStore.renew).toHaveBeenCalledWith('conn-1');
+      expect(processor.sessions.get('conn-1').chunksProcessed).toBe(1);
+    });
+
+    it('should close the stream when the lease was taken over', async () => {
+      await processor.startSession('conn-1');
+      processor.sessions.get('conn-1').leaseExpiresAt = Date.now() + 1000;
+      sessionStore.renew.mockResolvedValue(null);
+
+      await expect(processor.processAudioChunk('conn-1', 'dGVzdCBhdWRpbw=='))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(processor.hasSession('conn-1')).toBe(false);
+      expect(sessionStore.release).not.toHaveBeenCalled();
+    });
+
     it('should ignore audio without active session', async () => {
       const connectionId = 'no-session';
       const base64Audio = 'dGVzdCBhdWRpbyBkYXRh';
@@ -54,14 +318,99 @@ describe('TranscribeProcessor', () => {
     });
   });
 
+  describe('jitter buffer', () => {
+    it('should write reordered chunks in sequence and report stats on stop', async () => {
+      const onAudioStats = jest.fn();
+      processor.onAudioStats = onAudioStats;
+      await processor.startSession('conn-1', 'ja-JP', { sessionId: 'TRANS-1' });
+      const session = processor.sessions.get('conn-1');
+      const written = [];
+      jest.spyOn(session.audioStream, 'write').mockImplementation(chunk => written.push(chunk[0]));
+
+      await processor.processAudioChunk('conn-1', Buffer.from([1, 0]), { sequenceNumber: 0 });
+      await processor.processAudioChunk('conn-1', Buffer.from([3, 0]), { sequenceNumber: 2 });
+      await processor.processAudioChunk('conn-1', Buffer.from([2, 0]), { sequenceNumber: 1 });
+      await processor.stopSession('conn-1');
+
+      expect(written).toEqual([1, 2, 3]);
+      expect(onAudioStats).toHaveBeenCalledWith('conn-1', expect.objectContaining({
+        sessionId: 'TRANS-1',
+        received: 3,
+        reordered: 1,
+        lost: 0,
+        final: true
+      }));
+    });
+  });
+
+  describe('audio channels', () => {
+    it('should keep a separate stream per channel and report the channel to the connection', async () => {
+      const onAudioStats = jest.fn();
+      processor.onAudioStats = onAudioStats;
+
+      await processor.startSession('conn-1#ch16', 'ja-JP', { sessionId: 'TRANS-16' });
+      await processor.startSession('conn-1#ch12', 'ja-JP', { sessionId: 'TRANS-12' });
+
+      expect(processor.getActiveSessionCount()).toBe(2);
+      expect(processor.getSession('conn-1#ch16')).toMatchObject({ sessionId: 'TRANS-16' });
+
+      await processor.stopSession('conn-1#ch12');
+
+      expect(processor.hasSession('conn-1#ch16')).toBe(true);
+      expect(onAudioStats).toHaveBeenCalledWith('conn-1', expect.objectContaining({
+        sessionId: 'TRANS-12',
+        channel: 'ch12',
+        final: true
+      }));
+    });
+  });
+
+  describe('recording', () => {
+    it('should record the reordered audio and notify the stored manifest on stop', async () => {
+      const s3Client = { send: jest.fn().mockResolvedValue({}) };
+      const onRecordingStored = jest.fn();
+      processor = new TranscribeProcessor({ sessionStore, recordingEnabled: true, recorderOptions: { s3Client } });
+      processor.onRecordingStored = onRecordingStored;
+
+      await processor.startSession('conn-1', 'ja-JP', { sessionId: 'TRANS-1' });
+      await processor.processAudioChunk('conn-1', Buffer.from([1, 0]), { sequenceNumber: 0 });
+      await processor.processAudioChunk('conn-1', Buffer.from([3, 0]), { sequenceNumber: 2 });
+      await processor.processAudioChunk('conn-1', Buffer.from([2, 0]), { sequenceNumber: 1 });
+      await processor.stopSession('conn-1');
+
+      const wav = s3Client.send.mock.calls[0][0].input.Body;
+      expect([...wav.subarray(44)]).toEqual([1, 0, 2, 0, 3, 0]);
+      expect(onRecordingStored).toHaveBeenCalledWith('conn-1', expect.objectContaining({
+        sessionId: 'TRANS-1',
+        audioBytes: 6,
+        audioStats: expect.objectContaining({ reordered: 1 })
+      }));
+    });
+
+    it('should keep transcribing when recording fails', async () => {
+      const s3Client = { send: jest.fn().mockRejectedValue(new Error('S3 unavailable')) };
+      processor = new TranscribeProcessor({ sessionStore, recordingEnabled: true, recorderOptions: { s3Client, partSizeBytes: 2 } });
+      processor.onRecordingStored = jest.fn();
+
+      await processor.startSession('conn-1', 'ja-JP', { sessionId: 'TRANS-1' });
+      await processor.processAudioChunk('conn-1', Buffer.from([1, 0]));
+      await processor.processAudioChunk('conn-1', Buffer.from([2, 0]));
+      await processor.stopSession('conn-1');
+
+      expect(processor.onRecordingStored).not.toHaveBeenCalled();
+      expect(sessionStore.release).toHaveBeenCalledWith('conn-1', { ownedOnly: true });
+    });
+  });
+
   describe('stopSession', () => {
     it('should clean up session resources', async () => {
       const connectionId = 'test-connection-123';
       
       await processor.startSession(connectionId);
-      processor.stopSession(connectionId);
+      await processor.stopSession(connectionId);
       
       expect(processor.sessions.has(connectionId)).toBe(false);
+      expect(sessionStore.release).toHaveBeenCalledWith(connectionId, { ownedOnly: true });
     });
   });
 });
\ No newline at end of file
@@ -0,0 +1,205 @@
+const TranscribeSessionService = require('../lambda/websocket-handler/shared/transcribe-session-service');
+
+jest.mock('../lambda/websocket-handler/shared/dynamodb-client', () => ({}));
+
+const AUDIO = 'dGVzdCBhdWRpbw==';
+
+describe('TranscribeSessionService', () => {
+  let processor;
+  let sessionStore;
+  let service;
+
+  beforeEach(() => {
+    sessionStore = {
+      instanceId: 'instance-a',
+      get: jest.fn(),
+      release: jest.fn().mockResolvedValue(true),
+      isActive: (lease) => Boolean(lease) && lease.status === 'ACTIVE',
+      isExpired: (lease) => Boolean(lease) && lease.status === 'ACTIVE' && lease.leaseExpiresAt < Date.now(),
+      isOwnedByThisInstance: (lease) => Boolean(lease) && lease.ownerId === 'instance-a'
+    };
+    processor = {
+      sessionStore,
+      hasSession: jest.fn().mockReturnValue(false),
+      getSession: jest.fn().mockReturnValue(null),
+      startSession: jest.fn(async (connectionId, languageCode, options) => ({ connectionId, ownerId: 'instance-a', ...options })),
+      processAudioChunk: jest.fn().mockResolvedValue(),
+      stopSession: jest.fn().mockResolvedValue()
+    };
+    service = new TranscribeSessionService({ processor, workerUrl: '' });
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  describe('sendAudio', () => {
+    it('should write to the local stream', async () => {
+      processor.getSession.mockReturnValue({ sessionId: 'TRANS-1', sampleRate: 16000 });
+
+      await expect(service.sendAudio('conn-1', AUDIO)).resolves.toEqual({ route: 'local' });
+      expect(processor.processAudioChunk).toHaveBeenCalledWith('conn-1', AUDIO, { sequenceNumber: undefined, isLastChunk: undefined });
+      expect(sessionStore.get).not.toHaveBeenCalled();
+    });
+
+    it('should pass the frame sequence to the jitter buffer', async () => {
+      processor.getSession.mockReturnValue({ sessionId: 'TRANS-1', sampleRate: 16000, codec: 'pcm' });
+
+      await service.sendAudio('conn-1', AUDIO, { sessionId: 'TRANS-1', sequenceNumber: 7, isLastChunk: true });
+
+      expect(processor.processAudioChunk).toHaveBeenCalledWith('conn-1', AUDIO, { sequenceNumber: 7, isLastChunk: true });
+    });
+
+    it('should reject frames from a previous session or with a different sample rate', async () => {
+      processor.getSession.mockReturnValue({ sessionId: 'TRANS-2', sampleRate: 16000 });
+      const audio = Buffer.from(AUDIO, 'base64');
+
+      await expect(service.sendAudio('conn-1', audio, { sessionId: 'TRANS-1' })).rejects.toMatchObject({ statusCode: 409 });
+      await expect(service.sendAudio('conn-1', audio, { sampleRate: 8000 })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(service.sendAudio('conn-1', audio, { sessionId: 'TRANS-2', sampleRate: 16000 })).resolves.toEqual({ route: 'local' });
+      expect(processor.processAudioChunk).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not auto-start a session that was never started', async () => {
+      sessionStore.get.mockResolvedValue(null);
+
+      await expect(service.sendAudio('conn-1', AUDIO)).rejects.toMatchObject({ statusCode: 409 });
+      expect(processor.startSession).not.toHaveBeenCalled();
+    });
+
+    it('should take over a session whose owner stopped renewing', async () => {
+      const lease = {
+        status: 'ACTIVE',
+        ownerId: 'instance-b',
+        sessionId: 'TRANS-1',
+        languageCode: 'en-US',
+        sampleRate: 8000,
+        leaseExpiresAt: Date.now() - 1
+      };
+      sessionStore.get.mockResolvedValue(lease);
+
+      const result = await service.sendAudio('conn-1', AUDIO);
+
+      expect(result.route).toBe('takeover');
+      expect(processor.startSession).toHaveBeenCalledWith('conn-1', 'en-US', {
+        sessionId: 'TRANS-1',
+        sampleRate: 8000,
+        codec: undefined,
+        previous: lease
+      });
+      expect(processor.processAudioChunk).toHaveBeenCalledWith('conn-1', AUDIO, expect.any(Object));
+    });
+
+    it('should not resume a compressed stream without its headers', async () => {
+      sessionStore.get.mockResolvedValue({
+        status: 'ACTIVE',
+        ownerId: 'instance-b',
+        codec: 'ogg-opus',
+        leaseExpiresAt: Date.now() - 1
+      });
+
+      await expect(service.sendAudio('conn-1', AUDIO)).rejects.toMatchObject({ statusCode: 409 });
+      expect(sessionStore.release).toHaveBeenCalledWith('conn-1');
+      expect(processor.startSession).not.toHaveBeenCalled();
+    });
+
+    it('should reject frames encoded with another codec', async () => {
+      processor.getSession.mockReturnValue({ sessionId: 'TRANS-1', sampleRate: 16000, codec: 'pcm' });
+
+      await expect(service.sendAudio('conn-1', AUDIO, { codec: 'ogg-opus' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should forward audio to the worker holding the stream', async () => {
+      sessionStore.get.mockResolvedValue({
+        status: 'ACTIVE',
+        ownerId: 'worker-1',
+        ownerEndpoint: 'http://worker-1:8090',
+        leaseExpiresAt: Date.now() + 10000
+      });
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ route: 'local' }) });
+
+      await expect(service.sendAudio('conn-1', AUDIO)).resolves.toMatchObject({ route: 'forwarded' });
+      expect(global.fetch).toHaveBeenCalledWith(
+        'http://worker-1:8090/sessions/conn-1/audio',
+        expect.objectContaining({ method: 'POST', body: JSON.stringify({ audio: AUDIO }) })
+      );
+    });
+
+    it('should forward binary frames to the worker as base64', async () => {
+      sessionStore.get.mockResolvedValue({
+        status: 'ACTIVE',
+        ownerId: 'worker-1',
+        ownerEndpoint: 'http://worker-1:8090',
+        sessionId: 'TRANS-1',
+        leaseExpiresAt: Date.now() + 10000
+      });
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ route: 'local' }) });
+
+      await service.sendAudio('conn-1', Buffer.from(AUDIO, 'base64'), { sessionId: 'TRANS-1', sampleRate: 16000 });
+
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+        audio: AUDIO,
+        sessionId: 'TRANS-1',
+        sampleRate: 16000
+      });
+    });
+
+    it('should drop audio held by another live instance without an endpoint', async () => {
+      sessionStore.get.mockResolvedValue({
+        status: 'ACTIVE',
+        ownerId: 'instance-b',
+        leaseExpiresAt: Date.now() + 10000
+      });
+
+      await expect(service.sendAudio('conn-1', AUDIO)).resolves.toMatchObject({ route: 'dropped' });
+      expect(processor.startSession).not.toHaveBeenCalled();
+    });
+
+    it('should report an unreachable worker', async () => {
+      sessionStore.get.mockResolvedValue({
+        status: 'ACTIVE',
+        ownerEndpoint: 'http://worker-1:8090',
+        leaseExpiresAt: Date.now() + 10000
+      });
+      global.fetch.mockRejectedValue(new Error('ECONNREFUSED'));
+
+      await expect(service.sendAudio('conn-1', AUDIO)).rejects.toMatchObject({ statusCode: 503 });
+    });
+  });
+
+  describe('start', () => {
+    it('should start the session on the worker when configured', async () => {
+      service = new TranscribeSessionService({ processor, workerUrl: 'http://workers:8090/', workerToken: 'secret' });
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ lease: { ownerId: 'worker-1' } }) });
+
+      const lease = await service.start('conn-1', { sessionId: 'TRANS-1', languageCode: 'ja-JP' });
+
+      expect(lease.ownerId).toBe('worker-1');
+      expect(global.fetch).toHaveBeenCalledWith('http://workers:8090/sessions/conn-1/start', expect.objectContaining({
+        headers: expect.objectContaining({ 'X-Worker-Token': 'secret' })
+      }));
+      expect(processor.startSession).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('stop', () => {
+    it('should release a lease held by another Lambda instance', async () => {
+      sessionStore.get.mockResolvedValue({ status: 'ACTIVE', ownerId: 'instance-b', leaseExpiresAt: Date.now() + 10000 });
+
+      await service.stop('conn-1');
+
+      expect(sessionStore.release).toHaveBeenCalledWith('conn-1');
+    });
+  });
+
+  describe('getActiveLease', () => {
+    it('should return the lease of an active session only', async () => {
+      const lease = { status: 'ACTIVE', sessionId: 'TRANS-conn-1-ch16-1', startedAt: '2025-08-14T00:00:00.000Z' };
+      sessionStore.get.mockResolvedValueOnce(lease).mockResolvedValueOnce({ ...lease, status: 'STOPPED' });
+
+      await expect(service.getActiveLease('conn-1#ch16')).resolves.toBe(lease);
+      await expect(service.getActiveLease('conn-1#ch16')).resolves.toBeNull();
+    });
+  });
+});
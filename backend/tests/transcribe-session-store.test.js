@@ -0,0 +1,104 @@
+const TranscribeSessionStore = require('../lambda/websocket-handler/shared/transcribe-session-store');
+const dynamodbClient = require('../lambda/websocket-handler/shared/dynamodb-client');
+
+jest.mock('../lambda/websocket-handler/shared/dynamodb-client', () => ({
+  putItem: jest.fn().mockResolvedValue({}),
+  getItem: jest.fn(),
+  updateItem: jest.fn().mockResolvedValue({}),
+  isConditionalCheckFailed: (error) => error?.name === 'ConditionalCheckFailedException'
+}));
+
+const conditionalCheckFailed = () => Object.assign(new Error('The conditional request failed'), {
+  name: 'ConditionalCheckFailedException'
+});
+
+describe('TranscribeSessionStore', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = new TranscribeSessionStore({ instanceId: 'instance-a', leaseMs: 30000 });
+  });
+
+  describe('acquire', () => {
+    it('should write a lease that only free, stopped, expired or own sessions can overwrite', async () => {
+      const lease = await store.acquire('conn-1', { sessionId: 'TRANS-1', languageCode: 'ja-JP', sampleRate: 16000 });
+
+      expect(lease).toMatchObject({ connectionId: 'conn-1', ownerId: 'instance-a', status: 'ACTIVE', takeovers: 0 });
+      expect(dynamodbClient.putItem).toHaveBeenCalledWith('vts-transcribe-sessions', lease, expect.objectContaining({
+        ConditionExpression: expect.stringContaining('leaseExpiresAt < :now'),
+        ExpressionAttributeValues: expect.objectContaining({ ':owner': 'instance-a' })
+      }));
+    });
+
+    it('should write without a condition when forced', async () => {
+      await store.acquire('conn-1', { sessionId: 'TRANS-1' }, { force: true });
+
+      expect(dynamodbClient.putItem).toHaveBeenCalledWith('vts-transcribe-sessions', expect.any(Object), {});
+    });
+
+    it('should return null while another instance holds the lease', async () => {
+      dynamodbClient.putItem.mockRejectedValueOnce(conditionalCheckFailed());
+
+      await expect(store.acquire('conn-1', { sessionId: 'TRANS-1' })).resolves.toBeNull();
+    });
+
+    it('should count takeovers of a previous lease', async () => {
+      const lease = await store.acquire('conn-1', { sessionId: 'TRANS-1' }, {
+        previous: { ownerId: 'instance-b', takeovers: 1 }
+      });
+
+      expect(lease.takeovers).toBe(2);
+    });
+  });
+
+  describe('session keys', () => {
+    it('should key channel sessions by connection and channel', async () => {
+      expect(TranscribeSessionStore.sessionKey('conn-1', null)).toBe('conn-1');
+      expect(TranscribeSessionStore.sessionKey('conn-1', 'ch16')).toBe('conn-1#ch16');
+      expect(TranscribeSessionStore.parseSessionKey('conn-1#ch16')).toEqual({ connectionId: 'conn-1', channel: 'ch16' });
+      expect(TranscribeSessionStore.parseSessionKey('conn-1')).toEqual({ connectionId: 'conn-1', channel: null });
+
+      const lease = await store.acquire('conn-1#ch16', { sessionId: 'TRANS-1' });
+      expect(lease).toMatchObject({ connectionId: 'conn-1#ch16', channel: 'ch16' });
+    });
+
+    it('should reject invalid channel names', () => {
+      expect(TranscribeSessionStore.normalizeChannel(undefined)).toBeNull();
+      expect(TranscribeSessionStore.normalizeChannel('ch-16')).toBe('ch-16');
+      expect(() => TranscribeSessionStore.normalizeChannel('ch#16')).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() => TranscribeSessionStore.normalizeChannel(16)).toThrow('Invalid audio channel: 16');
+    });
+  });
+
+  describe('renew', () => {
+    it('should extend the lease only while owned and active', async () => {
+      const leaseExpiresAt = await store.renew('conn-1');
+
+      expect(leaseExpiresAt).toBeGreaterThan(Date.now());
+      expect(dynamodbClient.updateItem).toHaveBeenCalledWith(
+        'vts-transcribe-sessions',
+        { connectionId: 'conn-1' },
+        expect.objectContaining({ leaseExpiresAt }),
+        expect.objectContaining({ ConditionExpression: 'ownerId = :owner AND #status = :active' })
+      );
+    });
+
+    it('should report a lost lease', async () => {
+      dynamodbClient.updateItem.mockRejectedValueOnce(conditionalCheckFailed());
+
+      await expect(store.renew('conn-1')).resolves.toBeNull();
+    });
+  });
+
+  describe('lease state', () => {
+    it('should detect expired and owned leases', () => {
+      const now = Date.now();
+
+      expect(store.isExpired({ status: 'ACTIVE', leaseExpiresAt: now - 1 }, now)).toBe(true);
+      expect(store.isExpired({ status: 'ACTIVE', leaseExpiresAt: now + 1000 }, now)).toBe(false);
+      expect(store.isExpired({ status: 'STOPPED', leaseExpiresAt: now - 1 }, now)).toBe(false);
+      expect(store.isOwnedByThisInstance({ ownerId: 'instance-a' })).toBe(true);
+    });
+  });
+});
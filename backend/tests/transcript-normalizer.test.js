@@ -0,0 +1,114 @@
+const TranscriptNormalizer = require('../lambda/websocket-handler/shared/transcript-normalizer');
+
+describe('TranscriptNormalizer', () => {
+  let normalizer;
+
+  const normalize = text => normalizer.normalize(text).text;
+
+  beforeEach(() => {
+    normalizer = new TranscriptNormalizer();
+  });
+
+  describe('place names', () => {
+    it('should replace readings and known misrecognitions', () => {
+      expect(normalize('はかたこうに入港します')).toBe('博多港に入港します');
+      expect(normalize('関門開業を通過')).toBe('関門海峡を通過');
+      expect(normalize('限界灘は波が高い')).toBe('玄界灘は波が高い');
+    });
+
+    it('should accept additional place names', () => {
+      normalizer = new TranscriptNormalizer({ placeNames: [{ name: '若松', variants: ['わかまつ'] }] });
+
+      expect(normalize('わかまつ沖')).toBe('若松沖');
+    });
+  });
+
+  describe('numbers', () => {
+    it('should convert numerals followed by a unit', () => {
+      expect(normalize('じゅうにノットで航行中')).toBe('12ノットで航行中');
+      expect(normalize('にじゅうにてんごノット')).toBe('22.5ノット');
+      expect(normalize('ひゃくにじゅうど')).toBe('120度');
+      expect(normalize('一万トン級')).toBe('10000トン級');
+      expect(normalize('さんぜんメートル')).toBe('3000メートル');
+    });
+
+    it('should convert radio digit-by-digit readings', () => {
+      expect(normalize('針路ふたななまる度')).toBe('針路270度');
+      expect(normalize('ひとふたさんまるまる')).toBe('12300');
+    });
+
+    it('should leave common words alone', () => {
+      expect(normalize('十分注意してください')).toBe('十分注意してください');
+      expect(normalize('一時停止')).toBe('一時停止');
+      expect(normalize('ふたごの船')).toBe('ふたごの船');
+      expect(normalize('にじがでている')).toBe('にじがでている');
+    });
+
+    it('should convert full-width digits', () => {
+      expect(normalize('１２ノット')).toBe('12ノット');
+    });
+  });
+
+  describe('times', () => {
+    it('should normalize times to HH:MM', () => {
+      expect(normalize('十二時三十分に入港')).toBe('12:30に入港');
+      expect(normalize('午後三時半')).toBe('15:30');
+      expect(normalize('ひとふたさんまる時に入港予定')).toBe('12:30に入港予定');
+      expect(normalize('ごぜん九時')).toBe('09:00');
+    });
+
+    it('should not treat a bare hour as a time of day', () => {
+      expect(normalize('3時間待機')).toBe('3時間待機');
+    });
+  });
+
+  describe('bearings and speeds', () => {
+    it('should pad bearings to three digits', () => {
+      expect(normalize('方位45度')).toBe('方位045度');
+      expect(normalize('しんろ 90 度')).toBe('針路090度');
+    });
+
+    it('should unify speed units', () => {
+      expect(normalize('速力12.5 kt')).toBe('速力12.5ノット');
+      expect(normalize('speed 8 knots')).toBe('speed 8ノット');
+    });
+  });
+
+  describe('positions', () => {
+    it('should convert latitude and longitude read-outs', () => {
+      expect(normalize('北緯三十三度三十六分、東経百三十度二十四点五分'))
+        .toBe('33°36\'N、130°24.5\'E');
+      expect(normalize('ほくい33度36分')).toBe('33°36\'N');
+    });
+
+    it('should reject out-of-range positions', () => {
+      expect(normalize('北緯95度10分')).toBe('北緯95度10分');
+    });
+  });
+
+  describe('call signs', () => {
+    it('should join phonetic alphabet call signs', () => {
+      expect(normalize('こちらジュリエット デルタ ツー スリー フォー')).toBe('こちらJD234');
+      expect(normalize('Juliet Delta two three')).toBe('JD23');
+      expect(normalize('ジュリエット・アルファ・1・2')).toBe('JA12');
+    });
+
+    it('should not join single phonetic words', () => {
+      expect(normalize('ホテルに行く')).toBe('ホテルに行く');
+      expect(normalize('10キロ先')).toBe('10キロ先');
+    });
+  });
+
+  describe('normalize', () => {
+    it('should record each correction', () => {
+      expect(normalizer.normalize('はかたこうへ方位45度').corrections).toEqual([
+        { type: 'place', from: 'はかたこう', to: '博多港' },
+        { type: 'bearing', from: '方位45度', to: '方位045度' }
+      ]);
+    });
+
+    it('should handle empty text', () => {
+      expect(normalizer.normalize('')).toEqual({ text: '', corrections: [] });
+    });
+  });
+});
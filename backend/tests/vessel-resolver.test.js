@@ -0,0 +1,153 @@
+const VesselResolver = require('../lambda/websocket-handler/shared/vessel-resolver');
+const dynamodbClient = require('../lambda/websocket-handler/shared/dynamodb-client');
+
+jest.mock('../lambda/websocket-handler/shared/dynamodb-client', () => ({
+  query: jest.fn(),
+  updateItem: jest.fn().mockResolvedValue({})
+}));
+
+const REGISTRY = [
+  {
+    ConversationID: 'VESSEL_REGISTRY',
+    ItemTimestamp: 'MMSI#431000001',
+    MMSI: '431000001',
+    VesselName: 'SAKURA MARU',
+    CallSign: 'JD2345',
+    Aliases: ['桜丸']
+  },
+  {
+    ConversationID: 'VESSEL_REGISTRY',
+    ItemTimestamp: 'MMSI#431000002',
+    MMSI: '431000002',
+    VesselName: 'GENKAI',
+    CallSign: 'JK7788'
+  },
+  {
+    ConversationID: 'VESSEL_REGISTRY',
+    ItemTimestamp: 'MMSI#431000004',
+    MMSI: '431000004',
+    VesselName: 'SHOWA MARU NO.3'
+  }
+];
+
+describe('VesselResolver', () => {
+  let resolver;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // VesselNameIndexの完全一致検索はヒットなし、レジストリ全件取得はREGISTRYを返す
+    dynamodbClient.query.mockImplementation(async (table, params) =>
+      params.IndexName === 'VesselNameIndex'
+        ? REGISTRY.filter(item => item.VesselName === params.ExpressionAttributeValues[':name'])
+        : REGISTRY
+    );
+    resolver = new VesselResolver();
+  });
+
+  describe('toMatchKey', () => {
+    it('should normalize katakana, hiragana and romaji to the same key', () => {
+      const key = resolver.toMatchKey('SAKURA MARU');
+
+      expect(resolver.toMatchKey('さくら丸')).toBe(key);
+      expect(resolver.toMatchKey('サクラマル')).toBe(key);
+      expect(resolver.toMatchKey('ｓａｋｕｒａ　ｍａｒｕ')).toBe(key);
+    });
+
+    it('should absorb Hepburn/Kunrei and long vowel differences', () => {
+      expect(resolver.toMatchKey('ショウワ丸')).toBe(resolver.toMatchKey('SYOWA MARU'));
+      expect(resolver.toMatchKey('しょうわまる')).toBe(resolver.toMatchKey('SHOWA MARU'));
+    });
+  });
+
+  describe('extractCandidates', () => {
+    it('should extract MMSI, call sign and romaji vessel names', () => {
+      const result = resolver.extractCandidates('THIS IS SAKURA MARU, JD2345, MMSI 431 000 001');
+
+      expect(result.mmsis).toEqual(['431000001']);
+      expect(result.callSigns).toEqual(['JD2345']);
+      expect(result.names).toContain('SAKURA MARU');
+    });
+  });
+
+  describe('resolve', () => {
+    it('should resolve exact romaji name via VesselNameIndex', async () => {
+      const result = await resolver.resolve('SAKURA MARU, request berthing');
+
+      expect(result.vesselInfo).toEqual(expect.objectContaining({
+        mmsi: '431000001',
+        name: 'SAKURA MARU',
+        callSign: 'JD2345'
+      }));
+      expect(result.matches[0].method).toBe('exact');
+      expect(dynamodbClient.query).toHaveBeenCalledWith('vts-conversations', expect.objectContaining({
+        IndexName: 'VesselNameIndex'
+      }));
+    });
+
+    it('should resolve katakana and kanji variants', async () => {
+      expect((await resolver.resolve('こちらサクラマル、入港許可を要請します')).vesselInfo.mmsi).toBe('431000001');
+      expect((await resolver.resolve('桜丸、了解')).vesselInfo.mmsi).toBe('431000001');
+    });
+
+    it('should resolve misrecognized names by fuzzy matching', async () => {
+      const result = await resolver.resolve('しょうわまるなんばー3、こちら博多ポートラジオ');
+
+      expect(result.vesselInfo.mmsi).toBe('431000004');
+      expect(result.matches[0].method).toBe('fuzzy');
+    });
+
+    it('should resolve call signs', async () => {
+      const result = await resolver.resolve('JK7788 現在位置を報告してください');
+
+      expect(result.vesselInfo.name).toBe('GENKAI');
+      expect(result.matches[0].method).toBe('callSign');
+    });
+
+    it('should enrich with AIS state when available', async () => {
+      const aisProcessor = {
+        getVessel: jest.fn().mockResolvedValue({
+          mmsi: '431000001',
+          name: 'SAKURA MARU',
+          position: { lat: 33.605, lon: 130.401 },
+          speed: 12.3
+        })
+      };
+      resolver = new VesselResolver({ aisProcessor });
+
+      const result = await resolver.resolve('MMSI 431000001');
+
+      expect(result.vesselInfo.position).toEqual({ lat: 33.605, lon: 130.401 });
+      expect(result.vesselInfo.callSign).toBe('JD2345');
+    });
+
+    it('should return null when no vessel is mentioned', async () => {
+      expect(await resolver.resolve('本日は晴天です')).toBeNull();
+    });
+
+    it('should return null instead of throwing on registry errors', async () => {
+      dynamodbClient.query.mockRejectedValue(new Error('DynamoDB error'));
+
+      expect(await resolver.resolve('SAKURA MARU')).toBeNull();
+    });
+  });
+
+  describe('registerVessel', () => {
+    it('should upsert registry item with uppercase name', async () => {
+      await resolver.registerVessel({ mmsi: '431000009', name: 'Kaiyo Maru', callSign: 'jm1234' });
+
+      expect(dynamodbClient.updateItem).toHaveBeenCalledWith(
+        'vts-conversations',
+        { ConversationID: 'VESSEL_REGISTRY', ItemTimestamp: 'MMSI#431000009' },
+        expect.objectContaining({
+          ItemType: 'VESSEL_REGISTRY',
+          VesselName: 'KAIYO MARU',
+          CallSign: 'JM1234'
+        })
+      );
+    });
+
+    it('should require MMSI', async () => {
+      await expect(resolver.registerVessel({ name: 'NO MMSI' })).rejects.toThrow('MMSI is required');
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const VocabularyRegistry = require('../lambda/websocket-handler/shared/vocabulary-registry');
+
+const notFound = () => Object.assign(new Error('The requested vocabulary couldn\'t be found.'), {
+  name: 'NotFoundException'
+});
+
+describe('VocabularyRegistry', () => {
+  let client;
+
+  const createRegistry = (options = {}) => new VocabularyRegistry({
+    client,
+    vocabularyName: 'maritime-vts-vocabulary-ja',
+    ...options
+  });
+
+  beforeEach(() => {
+    client = {
+      send: jest.fn().mockResolvedValue({
+        VocabularyName: 'maritime-vts-vocabulary-ja',
+        LanguageCode: 'ja-JP',
+        VocabularyState: 'READY'
+      })
+    };
+  });
+
+  describe('parseVocabularyConfig', () => {
+    it('should accept a single name or per-language names', () => {
+      expect(VocabularyRegistry.parseVocabularyConfig('maritime-vts-vocabulary-ja')).toEqual({
+        default: 'maritime-vts-vocabulary-ja',
+        byLanguage: {}
+      });
+      expect(VocabularyRegistry.parseVocabularyConfig('ja-JP=vocab-ja, en-US=vocab-en')).toEqual({
+        default: null,
+        byLanguage: { 'ja-JP': 'vocab-ja', 'en-US': 'vocab-en' }
+      });
+    });
+  });
+
+  describe('resolve', () => {
+    it('should use a READY vocabulary', async () => {
+      const registry = createRegistry();
+
+      await expect(registry.resolve('ja-JP')).resolves.toEqual({
+        vocabularyName: 'maritime-vts-vocabulary-ja',
+        requestedName: 'maritime-vts-vocabulary-ja',
+        state: 'READY'
+      });
+    });
+
+    it('should fall back when the vocabulary is still being built', async () => {
+      client.send.mockResolvedValue({ LanguageCode: 'ja-JP', VocabularyState: 'PENDING' });
+
+      await expect(createRegistry().resolve('ja-JP')).resolves.toMatchObject({
+        vocabularyName: null,
+        state: 'PENDING'
+      });
+    });
+
+    it('should fall back when the vocabulary does not exist', async () => {
+      client.send.mockRejectedValue(notFound());
+
+      await expect(createRegistry().resolve('ja-JP')).resolves.toMatchObject({
+        vocabularyName: null,
+        state: 'NOT_FOUND'
+      });
+    });
+
+    it('should fall back when the vocabulary language differs from the session', async () => {
+      await expect(createRegistry().resolve('en-US')).resolves.toMatchObject({
+        vocabularyName: null,
+        state: 'LANGUAGE_MISMATCH'
+      });
+    });
+
+    it('should not call Transcribe when no vocabulary is configured', async () => {
+      const registry = createRegistry({ vocabularyName: '' });
+
+      await expect(registry.resolve('ja-JP')).resolves.toMatchObject({ vocabularyName: null, state: 'DISABLED' });
+      expect(client.send).not.toHaveBeenCalled();
+    });
+
+    it('should cache the vocabulary state', async () => {
+      const registry = createRegistry();
+
+      await registry.resolve('ja-JP');
+      await registry.resolve('ja-JP');
+
+      expect(client.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should recheck an unavailable vocabulary after the retry period', async () => {
+      client.send.mockRejectedValueOnce(notFound());
+      const registry = createRegistry({ retryTtlMs: 1 });
+
+      await expect(registry.resolve('ja-JP')).resolves.toMatchObject({ state: 'NOT_FOUND' });
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      await expect(registry.resolve('ja-JP')).resolves.toMatchObject({ state: 'READY' });
+    });
+  });
+
+  describe('markUnavailable', () => {
+    it('should start later sessions without a vocabulary rejected by Transcribe', async () => {
+      const registry = createRegistry();
+      await registry.resolve('ja-JP');
+
+      registry.markUnavailable('maritime-vts-vocabulary-ja', 'vocabulary is being updated');
+
+      await expect(registry.resolve('ja-JP')).resolves.toMatchObject({
+        vocabularyName: null,
+        state: 'UNAVAILABLE'
+      });
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const {
+  parseTable,
+  renderTable,
+  diffTables,
+  isEmptyDiff,
+  loadVocabulary
+} = require('../vocabulary/vocabulary-table');
+
+const HEADER = 'Phrase\tSoundsLike\tIPA\tDisplayAs';
+
+describe('vocabulary table', () => {
+  describe('parseTable', () => {
+    it('should skip comments and blank lines', () => {
+      const { rows, errors } = parseTable([
+        '# 港湾',
+        HEADER,
+        '',
+        'ハカタコウ\tハカタ-コウ\t\t博多港',
+        'VTS'
+      ].join('\n'));
+
+      expect(errors).toEqual([]);
+      expect(rows).toEqual([
+        { phrase: 'ハカタコウ', soundsLike: 'ハカタ-コウ', ipa: '', displayAs: '博多港', line: 4 },
+        { phrase: 'VTS', soundsLike: '', ipa: '', displayAs: '', line: 5 }
+      ]);
+    });
+
+    it('should report rows Transcribe would reject', () => {
+      const { errors } = parseTable([
+        HEADER,
+        'Hakata Port\t\t\t',
+        'ハカタコウ\tハカタ-コウ\thakata\t博多港',
+        'ハカタコウ\t\t\t',
+        'A\tB\tC\tD\tE'
+      ].join('\n'));
+
+      expect(errors).toEqual([
+        expect.stringContaining('line 2: Phrase "Hakata Port" must not contain spaces'),
+        'line 3: SoundsLike and IPA cannot both be set',
+        expect.stringContaining('line 4: duplicate Phrase "ハカタコウ"'),
+        'line 5: too many columns (5)'
+      ]);
+    });
+
+    it('should require the header', () => {
+      expect(parseTable('ハカタコウ\t\t\t博多港').errors[0]).toContain('header must be');
+      expect(parseTable('# empty').errors).toEqual(['table has no header']);
+    });
+  });
+
+  describe('renderTable', () => {
+    it('should render the Transcribe table format without comments', () => {
+      const { rows } = parseTable(`# comment\n${HEADER}\nモジコウ\tモジ-コウ\t\t門司港\n`);
+
+      expect(renderTable(rows)).toBe(`${HEADER}\nモジコウ\tモジ-コウ\t\t門司港\n`);
+    });
+  });
+
+  describe('diffTables', () => {
+    it('should report added, removed and changed phrases', () => {
+      const from = parseTable(`${HEADER}\nモジコウ\t\t\t\nVTS\t\t\t`).rows;
+      const to = parseTable(`${HEADER}\nモジコウ\tモジ-コウ\t\t門司港\nAIS\t\t\t`).rows;
+
+      const diff = diffTables(from, to);
+
+      expect(diff.added.map(row => row.phrase)).toEqual(['AIS']);
+      expect(diff.removed.map(row => row.phrase)).toEqual(['VTS']);
+      expect(diff.changed).toEqual([{
+        phrase: 'モジコウ',
+        from: { soundsLike: '', ipa: '', displayAs: '' },
+        to: { soundsLike: 'モジ-コウ', ipa: '', displayAs: '門司港' }
+      }]);
+      expect(isEmptyDiff(diffTables(to, to))).toBe(true);
+    });
+  });
+
+  describe('loadVocabulary', () => {
+    it('should load the latest version of the maritime vocabulary', () => {
+      const vocabulary = loadVocabulary('maritime-vts-vocabulary-ja');
+
+      expect(vocabulary).toMatchObject({ name: 'maritime-vts-vocabulary-ja', languageCode: 'ja-JP' });
+      expect(vocabulary.rows).toContainEqual(expect.objectContaining({ phrase: 'ハカタコウ', displayAs: '博多港' }));
+      expect(vocabulary.table.startsWith(`${HEADER}\n`)).toBe(true);
+    });
+
+    it('should reject unknown versions', () => {
+      expect(() => loadVocabulary('maritime-vts-vocabulary-ja', { version: 'v999' }))
+        .toThrow('has no table v999');
+    });
+  });
+});
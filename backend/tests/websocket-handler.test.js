@@ -2,23 +2,47 @@
  * WebSocket Handler Unit Tests
  */
 
-const { handler } = require('../lambda/websocket-handler/index');
-const ConnectionManager = require('../lambda/websocket-handler/connection-manager');
-const MessageRouter = require('../lambda/websocket-handler/message-router');
+const AuthService = require('../lambda/websocket-handler/auth-service');
 
 // モックの設定
 jest.mock('../lambda/websocket-handler/connection-manager');
 jest.mock('../lambda/websocket-handler/message-router');
 jest.mock('../lambda/shared/logger');
 
+const DEV_SECRET = 'test-dev-secret';
+
 describe('WebSocket Handler', () => {
+  let handler;
   let mockConnectionManager;
   let mockMessageRouter;
+  let token;
+
+  // $connect のイベント（開発用Issuerのトークンを Authorization ヘッダーで渡す）
+  const connectEvent = (headers = { Authorization: `Bearer ${token}` }, identity = {}) => ({
+    requestContext: {
+      connectionId: 'test-connection-id',
+      routeKey: '$connect',
+      identity,
+      stage: 'prod',
+      domainName: 'test.execute-api.amazonaws.com'
+    },
+    headers
+  });
 
   beforeEach(() => {
-    // モックのリセット
+    // モックのリセット（ハンドラーはインスタンスをモジュールに保持するためテストごとに読み込み直す）
     jest.clearAllMocks();
-    
+    jest.resetModules();
+
+    // 環境変数の設定
+    process.env.CONNECTIONS_TABLE = 'test-connections-table';
+    process.env.CONVERSATIONS_TABLE = 'test-conversations-table';
+    process.env.AWS_REGION = 'ap-northeast-1';
+    process.env.AUTH_DEV_SECRET = DEV_SECRET;
+
+    const ConnectionManager = require('../lambda/websocket-handler/connection-manager');
+    const MessageRouter = require('../lambda/websocket-handler/message-router');
+
     // ConnectionManagerのモック
     mockConnectionManager = {
       registerConnection: jest.fn().mockResolvedValue({
@@ -26,6 +50,8 @@ describe('WebSocket Handler', () => {
         connectedAt: '2024-01-01T00:00:00Z',
         status: 'CONNECTED'
       }),
+      getUserConnections: jest.fn().mockResolvedValue([{ connectionId: 'test-connection-id' }]),
+      getConnection: jest.fn().mockResolvedValue({ connectionId: 'test-connection-id', audioChannels: ['ch16'] }),
       removeConnection: jest.fn().mockResolvedValue(),
       isConnectionHealthy: jest.fn().mockResolvedValue(true),
     };
@@ -38,32 +64,37 @@ describe('WebSocket Handler', () => {
         body: 'Message processed'
       }),
       sendError: jest.fn().mockResolvedValue(),
+      transcriptionSessions: {
+        getActiveLease: jest.fn().mockResolvedValue(null)
+      },
+      endTranscriptionSession: jest.fn().mockResolvedValue(),
+      forgetConnection: jest.fn(),
+      conversationHistory: {
+        recordOwner: jest.fn().mockResolvedValue()
+      },
     };
     MessageRouter.mockImplementation(() => mockMessageRouter);
 
-    // 環境変数の設定
-    process.env.CONNECTIONS_TABLE = 'test-connections-table';
-    process.env.CONVERSATIONS_TABLE = 'test-conversations-table';
-    process.env.AWS_REGION = 'ap-northeast-1';
+    ({ handler } = require('../lambda/websocket-handler/index'));
+    token = new AuthService({ devSecret: DEV_SECRET }).issueDevToken({ userId: 'operator-1', role: 'operator' });
+  });
+
+  afterEach(() => {
+    delete process.env.AUTH_DEV_SECRET;
   });
 
   describe('$connect route', () => {
     it('should successfully handle new connection', async () => {
       const event = {
-        requestContext: {
-          connectionId: 'test-connection-id',
-          routeKey: '$connect',
-          identity: {
-            sourceIp: '192.168.1.1',
-            userAgent: 'test-agent'
-          },
-          stage: 'prod',
-          domainName: 'test.execute-api.amazonaws.com'
-        },
+        ...connectEvent(),
         queryStringParameters: {
-          clientType: 'web'
+          portArea: 'hakata'
         }
       };
+      event.requestContext.identity = {
+        sourceIp: '192.168.1.1',
+        userAgent: 'test-agent'
+      };
 
       const context = {
         requestId: 'test-request-id'
@@ -78,9 +109,51 @@ describe('WebSocket Handler', () => {
         expect.objectContaining({
           clientIp: '192.168.1.1',
           userAgent: 'test-agent',
-          clientType: 'web'
+          userId: 'operator-1',
+          role: 'operator',
+          portArea: 'hakata',
+          protocolVersion: 1
         })
       );
+      expect(mockMessageRouter.conversationHistory.recordOwner).toHaveBeenCalledWith('test-connection-id', 'operator-1');
+    });
+
+    it('should reject connections without a valid token', async () => {
+      const missing = await handler(connectEvent({}), { requestId: 'test-request-id' });
+      const invalid = await handler(connectEvent({ Authorization: `Bearer ${token.slice(0, -2)}` }), { requestId: 'test-request-id' });
+
+      expect(missing.statusCode).toBe(401);
+      expect(invalid.statusCode).toBe(401);
+      expect(JSON.parse(invalid.body)).toEqual({ error: 'Unauthorized' });
+      expect(mockConnectionManager.registerConnection).not.toHaveBeenCalled();
+    });
+
+    it('should select the newest offered subprotocol', async () => {
+      const response = await handler(
+        connectEvent({ Authorization: `Bearer ${token}`, 'Sec-WebSocket-Protocol': 'vts.v1, vts.v2' }),
+        { requestId: 'test-request-id' }
+      );
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers).toEqual({ 'Sec-WebSocket-Protocol': 'vts.v2' });
+      expect(mockConnectionManager.registerConnection).toHaveBeenCalledWith(
+        'test-connection-id',
+        expect.objectContaining({ protocolVersion: 2 })
+      );
+    });
+
+    it('should treat clients without a subprotocol as vts.v1 and reject unsupported ones', async () => {
+      const legacy = await handler(connectEvent(), { requestId: 'test-request-id' });
+      const unsupported = await handler(
+        connectEvent({ Authorization: `Bearer ${token}`, 'Sec-WebSocket-Protocol': 'graphql-ws' }),
+        { requestId: 'test-request-id' }
+      );
+
+      expect(legacy.statusCode).toBe(200);
+      expect(legacy.headers).toBeUndefined();
+      expect(unsupported.statusCode).toBe(400);
+      expect(JSON.parse(unsupported.body)).toEqual({ error: 'Unsupported protocol', supported: ['vts.v2', 'vts.v1'] });
+      expect(mockConnectionManager.registerConnection).toHaveBeenCalledTimes(1);
     });
 
     it('should handle connection error gracefully', async () => {
@@ -88,13 +161,7 @@ describe('WebSocket Handler', () => {
         new Error('DynamoDB error')
       );
 
-      const event = {
-        requestContext: {
-          connectionId: 'test-connection-id',
-          routeKey: '$connect',
-          identity: {}
-        }
-      };
+      const event = connectEvent();
 
       const context = {
         requestId: 'test-request-id'
@@ -130,6 +197,10 @@ describe('WebSocket Handler', () => {
       expect(mockConnectionManager.removeConnection).toHaveBeenCalledWith(
         'test-connection-id'
       );
+      // チャンネルを指定しないセッションと接続に記録したチャンネルのセッションを停止
+      expect(mockMessageRouter.endTranscriptionSession.mock.calls.map(([sessionKey]) => sessionKey))
+        .toEqual(['test-connection-id', 'test-connection-id#ch16']);
+      expect(mockMessageRouter.forgetConnection).toHaveBeenCalledWith('test-connection-id');
     });
 
     it('should handle disconnection error gracefully', async () => {
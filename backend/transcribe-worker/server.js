@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * VTS Transcribe Worker
+ * Transcribeストリームを保持する常駐プロセス（ECS/Fargate等のコンテナで実行）
+ * WebSocket Lambdaから TRANSCRIBE_WORKER_URL 経由で開始・音声・停止を受け取り、
+ * 文字起こし結果はLambdaと同じMessageRouterの処理（AI分析・保存・API Gateway送信）に渡す
+ *
+ * 環境変数:
+ *   PORT                             - 待ち受けポート（既定: 8090）
+ *   TRANSCRIBE_WORKER_ADVERTISE_URL  - 他インスタンスからこのワーカーに到達するURL（リースに記録）
+ *   TRANSCRIBE_WORKER_TOKEN          - Lambdaとの共有トークン
+ *   WEBSOCKET_ENDPOINT               - API Gateway Management APIのエンドポイント
+ *
+ * エンドポイント（:connectionId はセッションキー。音声チャンネル指定時は <接続ID>#<チャンネル名>）:
+ *   POST /sessions/:connectionId/start  { sessionId, languageCode, sampleRate, codec, mmsi }
+ *   POST /sessions/:connectionId/audio  { audio, sessionId, sampleRate, codec, sequenceNumber, isLastChunk }
+ *   POST /sessions/:connectionId/stop
+ *   GET  /health
+ */
+
+// ワーカー自身はセッションをローカルに保持する（自分自身へ転送しない）
+delete process.env.TRANSCRIBE_WORKER_URL;
+
+const http = require('http');
+const MessageRouter = require('../lambda/websocket-handler/message-router');
+const Logger = require('../lambda/websocket-handler/shared/logger');
+const TranscribeSessionStore = require('../lambda/websocket-handler/shared/transcribe-session-store');
+
+const PORT = parseInt(process.env.PORT || '8090', 10);
+const WORKER_TOKEN = process.env.TRANSCRIBE_WORKER_TOKEN || '';
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const logger = new Logger({ component: 'TranscribeWorker' });
+
+if (!process.env.TRANSCRIBE_WORKER_ADVERTISE_URL) {
+  logger.warn('TRANSCRIBE_WORKER_ADVERTISE_URL is not set; audio cannot be forwarded to this worker');
+}
+
+const router = new MessageRouter(process.env.WEBSOCKET_ENDPOINT);
+const sessions = router.transcriptionSessions;
+
+/**
+ * リクエストボディ（JSON）を読み込み
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+      } catch (error) {
+        reject(Object.assign(new Error('Invalid JSON'), { statusCode: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * セッションAPIの処理
+ */
+async function handleSessionRequest(connectionId, operation, body) {
+  switch (operation) {
+    case 'start': {
+      const lease = await sessions.start(connectionId, body);
+      if (body.mmsi) {
+        router.sessionVessels.set(connectionId, String(body.mmsi));
+      }
+      return { lease };
+    }
+
+    case 'audio': {
+      if (!body.audio) {
+        throw Object.assign(new Error('Audio data is required'), { statusCode: 400 });
+      }
+      const { route } = await sessions.sendAudio(connectionId, body.audio, {
+        sessionId: body.sessionId,
+        sampleRate: body.sampleRate,
+        codec: body.codec,
+        sequenceNumber: body.sequenceNumber,
+        isLastChunk: body.isLastChunk
+      });
+      if (route === 'takeover') {
+        const { connectionId: clientConnectionId, channel } = TranscribeSessionStore.parseSessionKey(connectionId);
+        await router.sendToConnection(clientConnectionId, {
+          type: 'status',
+          message: 'Transcription session resumed',
+          channel,
+          timestamp: new Date().toISOString()
+        });
+      }
+      return { route };
+    }
+
+    case 'stop':
+      await sessions.stop(connectionId);
+      router.sessionVessels.delete(connectionId);
+      return { stopped: true };
+
+    default:
+      throw Object.assign(new Error(`Unknown operation: ${operation}`), { statusCode: 404 });
+  }
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'GET' && req.url === '/health') {
+    sendJson(res, 200, {
+      status: 'ok',
+      instanceId: sessions.sessionStore.instanceId,
+      activeSessions: router.transcribeProcessor.getActiveSessionCount()
+    });
+    return;
+  }
+
+  const match = req.method === 'POST' && req.url.match(/^\/sessions\/([^/]+)\/(start|audio|stop)$/);
+  if (!match) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  if (WORKER_TOKEN && req.headers['x-worker-token'] !== WORKER_TOKEN) {
+    sendJson(res, 401, { error: 'Unauthorized' });
+    return;
+  }
+
+  const connectionId = decodeURIComponent(match[1]);
+  const operation = match[2];
+
+  try {
+    const body = await readBody(req);
+    sendJson(res, 200, await handleSessionRequest(connectionId, operation, body));
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error('Session request failed', { connectionId, operation, error: error.message });
+    }
+    sendJson(res, error.statusCode || 500, { error: error.message });
+  }
+});
+
+// 停止時はリースを解放し、他のワーカーが即座に引き継げるようにする
+async function shutdown(signal) {
+  logger.info('Shutting down Transcribe worker', { signal });
+  server.close();
+  await router.transcribeProcessor.stopAllSessions();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+server.listen(PORT, () => {
+  logger.info('Transcribe worker listening', {
+    port: PORT,
+    instanceId: sessions.sessionStore.instanceId,
+    advertiseUrl: process.env.TRANSCRIBE_WORKER_ADVERTISE_URL
+  });
+});
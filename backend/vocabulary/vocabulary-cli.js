@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+/**
+ * カスタム語彙の管理CLI（非対話）
+ * tables/<語彙名>/vN.tsv のテーブルとTranscribeに登録済みの語彙を比較・公開・確認する
+ *
+ * 使い方:
+ *   node vocabulary-cli.js diff    [--name 語彙名] [--version N] [--from N] [--json]
+ *   node vocabulary-cli.js publish [--name 語彙名] [--version N] --bucket バケット [--prefix vocabularies/] [--wait] [--timeout 秒] [--dry-run]
+ *   node vocabulary-cli.js check   [--name 語彙名] [--json]
+ *
+ *   --name     語彙名（既定: VOCABULARY_NAME または maritime-vts-vocabulary-ja）
+ *   --version  対象のテーブルのバージョン（既定: 最新）
+ *   --from     登録済みの語彙の代わりに比較する手元のバージョン（diffのみ）
+ *   --bucket   テーブルをアップロードするS3バケット（既定: VOCABULARY_BUCKET）
+ *   --wait     公開後、語彙がREADYまたはFAILEDになるまで待つ
+ *
+ * 終了コード:
+ *   0 差分なし / 公開済み / READYで最新バージョン
+ *   1 差分あり / READYだが最新バージョンではない
+ *   2 作成・更新中（PENDING）
+ *   3 作成失敗（FAILED）または未登録
+ *   4 引数・テーブル・APIのエラー
+ */
+
+const {
+  TranscribeClient,
+  GetVocabularyCommand,
+  CreateVocabularyCommand,
+  UpdateVocabularyCommand
+} = require('@aws-sdk/client-transcribe');
+const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const {
+  COLUMNS,
+  parseTable,
+  diffTables,
+  isEmptyDiff,
+  listVersions,
+  loadVocabulary
+} = require('./vocabulary-table');
+
+const EXIT_CODES = {
+  OK: 0,
+  DIFFERENT: 1,
+  PENDING: 2,
+  FAILED: 3,
+  ERROR: 4
+};
+
+const DEFAULT_VOCABULARY_NAME = 'maritime-vts-vocabulary-ja';
+const POLL_INTERVAL_MS = 10000;
+const DEFAULT_WAIT_TIMEOUT_SECONDS = 600;
+
+const region = process.env.AWS_REGION || 'ap-northeast-1';
+const transcribe = new TranscribeClient({ region });
+const s3 = new S3Client({ region });
+
+/**
+ * 引数を解析（--key value / --flag）
+ */
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    const match = rest[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!match) {
+      throw new Error(`Unknown argument: ${rest[i]}`);
+    }
+    if (match[2] !== undefined) {
+      options[match[1]] = match[2];
+    } else if (rest[i + 1] !== undefined && !rest[i + 1].startsWith('--')) {
+      options[match[1]] = rest[++i];
+    } else {
+      options[match[1]] = true;
+    }
+  }
+
+  return { command, options };
+}
+
+/**
+ * 登録済みの語彙（READYの場合は内容も取得）
+ * @returns {Promise<Object|null>} - { state, languageCode, failureReason, lastModifiedTime, rows } 未登録の場合はnull
+ */
+async function getDeployedVocabulary(name) {
+  let vocabulary;
+  try {
+    vocabulary = await transcribe.send(new GetVocabularyCommand({ VocabularyName: name }));
+  } catch (error) {
+    if (error.name === 'NotFoundException' || error.name === 'BadRequestException') {
+      return null;
+    }
+    throw error;
+  }
+
+  let rows = null;
+  if (vocabulary.VocabularyState === 'READY' && vocabulary.DownloadUri) {
+    const response = await fetch(vocabulary.DownloadUri);
+    if (!response.ok) {
+      throw new Error(`Failed to download vocabulary ${name}: HTTP ${response.status}`);
+    }
+    const body = await response.text();
+    // フレーズリストで作成された語彙にはヘッダーがない
+    const text = body.startsWith(COLUMNS[0]) ? body : `${COLUMNS.join('\t')}\n${body}`;
+    rows = parseTable(text).rows;
+  }
+
+  return {
+    state: vocabulary.VocabularyState,
+    languageCode: vocabulary.LanguageCode,
+    failureReason: vocabulary.FailureReason,
+    lastModifiedTime: vocabulary.LastModifiedTime,
+    rows
+  };
+}
+
+/**
+ * 登録済みの内容と一致する手元のバージョン
+ */
+function findDeployedVersion(name, deployedRows) {
+  if (!deployedRows) {
+    return null;
+  }
+  const match = listVersions(name).reverse().find(version =>
+    isEmptyDiff(diffTables(loadVocabulary(name, { version }).rows, deployedRows))
+  );
+  return match ?? null;
+}
+
+function printDiff(diff, labels) {
+  console.log(`--- ${labels.from}`);
+  console.log(`+++ ${labels.to}`);
+  for (const row of diff.removed) {
+    console.log(`- ${row.phrase}${row.displayAs ? ` (${row.displayAs})` : ''}`);
+  }
+  for (const row of diff.added) {
+    console.log(`+ ${row.phrase}${row.displayAs ? ` (${row.displayAs})` : ''}`);
+  }
+  for (const change of diff.changed) {
+    const fields = Object.keys(change.to)
+      .filter(key => change.from[key] !== change.to[key])
+      .map(key => `${key}: "${change.from[key]}" -> "${change.to[key]}"`);
+    console.log(`~ ${change.phrase} ${fields.join(', ')}`);
+  }
+  if (isEmptyDiff(diff)) {
+    console.log('(no differences)');
+  }
+}
+
+async function diffCommand(name, options) {
+  const local = loadVocabulary(name, { version: options.version });
+
+  let fromRows;
+  let fromLabel;
+  if (options.from) {
+    const from = loadVocabulary(name, { version: options.from });
+    fromRows = from.rows;
+    fromLabel = `${name}/v${from.version}.tsv`;
+  } else {
+    const deployed = await getDeployedVocabulary(name);
+    if (deployed && !deployed.rows) {
+      console.error(`Vocabulary ${name} is ${deployed.state}; its contents cannot be compared yet`);
+      return deployed.state === 'FAILED' ? EXIT_CODES.FAILED : EXIT_CODES.PENDING;
+    }
+    fromRows = deployed ? deployed.rows : [];
+    fromLabel = deployed ? `${name} (Transcribe)` : `${name} (not deployed)`;
+  }
+
+  const diff = diffTables(fromRows, local.rows);
+  if (options.json) {
+    console.log(JSON.stringify({ name, version: local.version, ...diff }, null, 2));
+  } else {
+    printDiff(diff, { from: fromLabel, to: `${name}/v${local.version}.tsv` });
+  }
+
+  return isEmptyDiff(diff) ? EXIT_CODES.OK : EXIT_CODES.DIFFERENT;
+}
+
+async function publishCommand(name, options) {
+  const local = loadVocabulary(name, { version: options.version });
+  const bucket = options.bucket || process.env.VOCABULARY_BUCKET;
+  const prefix = options.prefix || process.env.VOCABULARY_PREFIX || 'vocabularies/';
+
+  const deployed = await getDeployedVocabulary(name);
+  if (deployed?.state === 'PENDING') {
+    console.error(`Vocabulary ${name} is being updated; retry after it becomes READY`);
+    return EXIT_CODES.PENDING;
+  }
+
+  if (deployed?.rows) {
+    const diff = diffTables(deployed.rows, local.rows);
+    if (isEmptyDiff(diff)) {
+      console.log(`Vocabulary ${name} is already up to date with v${local.version}`);
+      return EXIT_CODES.OK;
+    }
+    printDiff(diff, { from: `${name} (Transcribe)`, to: `${name}/v${local.version}.tsv` });
+  } else {
+    console.log(`Vocabulary ${name} is ${deployed ? deployed.state : 'not deployed'}; publishing v${local.version} (${local.rows.length} phrases)`);
+  }
+
+  if (options['dry-run']) {
+    return EXIT_CODES.OK;
+  }
+  if (!bucket) {
+    throw new Error('--bucket (or VOCABULARY_BUCKET) is required to publish');
+  }
+
+  // テーブル形式の語彙はS3上のファイルからのみ作成できる
+  const key = `${prefix}${name}/v${local.version}.tsv`;
+  await s3.send(new PutObjectCommand({
+    Bucket: bucket,
+    Key: key,
+    Body: local.table,
+    ContentType: 'text/tab-separated-values; charset=utf-8'
+  }));
+
+  const params = {
+    VocabularyName: name,
+    LanguageCode: local.languageCode,
+    VocabularyFileUri: `s3://${bucket}/${key}`
+  };
+  const response = deployed
+    ? await transcribe.send(new UpdateVocabularyCommand(params))
+    : await transcribe.send(new CreateVocabularyCommand(params));
+
+  console.log(`Published ${name} v${local.version} from s3://${bucket}/${key} (${response.VocabularyState})`);
+
+  if (!options.wait) {
+    return EXIT_CODES.OK;
+  }
+  return waitForVocabulary(name, Number(options.timeout) || DEFAULT_WAIT_TIMEOUT_SECONDS);
+}
+
+async function waitForVocabulary(name, timeoutSeconds) {
+  const deadline = Date.now() + timeoutSeconds * 1000;
+
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    const { VocabularyState: state, FailureReason: reason } = await transcribe.send(
+      new GetVocabularyCommand({ VocabularyName: name })
+    );
+
+    if (state === 'READY') {
+      console.log(`Vocabulary ${name} is READY`);
+      return EXIT_CODES.OK;
+    }
+    if (state === 'FAILED') {
+      console.error(`Vocabulary ${name} FAILED: ${reason}`);
+      return EXIT_CODES.FAILED;
+    }
+  }
+
+  console.error(`Timed out after ${timeoutSeconds}s waiting for vocabulary ${name}`);
+  return EXIT_CODES.PENDING;
+}
+
+async function checkCommand(name, options) {
+  const latestVersion = listVersions(name).pop();
+  const deployed = await getDeployedVocabulary(name);
+  const deployedVersion = deployed ? findDeployedVersion(name, deployed.rows) : null;
+
+  const result = {
+    name,
+    state: deployed ? deployed.state : 'NOT_FOUND',
+    languageCode: deployed?.languageCode,
+    lastModifiedTime: deployed?.lastModifiedTime,
+    failureReason: deployed?.failureReason,
+    deployedVersion: deployedVersion ? `v${deployedVersion}` : null,
+    latestVersion: `v${latestVersion}`
+  };
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(`Vocabulary:       ${result.name}`);
+    console.log(`State:            ${result.state}`);
+    if (deployed) {
+      console.log(`Language:         ${result.languageCode}`);
+      console.log(`Last modified:    ${result.lastModifiedTime}`);
+    }
+    if (result.failureReason) {
+      console.log(`Failure reason:   ${result.failureReason}`);
+    }
+    console.log(`Deployed version: ${result.deployedVersion || (deployed?.rows ? 'unknown (not in tables/)' : '-')}`);
+    console.log(`Latest version:   ${result.latestVersion}`);
+  }
+
+  if (!deployed || deployed.state === 'FAILED') {
+    return EXIT_CODES.FAILED;
+  }
+  if (deployed.state !== 'READY') {
+    return EXIT_CODES.PENDING;
+  }
+  return deployedVersion === latestVersion ? EXIT_CODES.OK : EXIT_CODES.DIFFERENT;
+}
+
+const COMMANDS = {
+  diff: diffCommand,
+  publish: publishCommand,
+  check: checkCommand
+};
+
+async function main(argv) {
+  const { command, options } = parseArgs(argv);
+  const handler = COMMANDS[command];
+  if (!handler) {
+    console.error('Usage: node vocabulary-cli.js <diff|publish|check> [--name NAME] [--version N] [options]');
+    return EXIT_CODES.ERROR;
+  }
+
+  const name = options.name || process.env.VOCABULARY_NAME || DEFAULT_VOCABULARY_NAME;
+  return handler(name, options);
+}
+
+main(process.argv.slice(2))
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(EXIT_CODES.ERROR);
+  });
@@ -0,0 +1,178 @@
+/**
+ * カスタム語彙テーブル
+ * tables/<語彙名>/ に置いたバージョンごとのテーブル（v1.tsv, v2.tsv, ...）を読み込み、
+ * 検証・Transcribe形式への変換・差分の計算を行う
+ *
+ * テーブルはTranscribeのテーブル形式（Phrase / SoundsLike / IPA / DisplayAs のタブ区切り）に、
+ * リポジトリで管理するための # コメント行と空行を加えたもの
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TABLES_DIR = path.join(__dirname, 'tables');
+
+const COLUMNS = ['Phrase', 'SoundsLike', 'IPA', 'DisplayAs'];
+
+// Transcribeの制限
+const MAX_PHRASE_LENGTH = 256;
+const MAX_TABLE_BYTES = 50 * 1024;
+
+const VERSION_FILE_PATTERN = /^v(\d+)\.tsv$/;
+
+/**
+ * テーブルを解析
+ * @param {string} text - テーブルの内容
+ * @returns {Object} - { rows: [{ phrase, soundsLike, ipa, displayAs, line }], errors: [メッセージ] }
+ */
+function parseTable(text) {
+  const rows = [];
+  const errors = [];
+  const seen = new Map();
+  let headerFound = false;
+
+  String(text).replace(/^\uFEFF/, '').split(/\r?\n/).forEach((raw, index) => {
+    const line = index + 1;
+    if (raw.trim() === '' || raw.startsWith('#')) {
+      return;
+    }
+
+    const columns = raw.split('\t');
+    if (!headerFound) {
+      headerFound = true;
+      if (columns.map(column => column.trim()).join('\t') !== COLUMNS.join('\t')) {
+        errors.push(`line ${line}: header must be ${COLUMNS.join(' / ')} separated by tabs`);
+      }
+      return;
+    }
+
+    if (columns.length > COLUMNS.length) {
+      errors.push(`line ${line}: too many columns (${columns.length})`);
+      return;
+    }
+
+    const [phrase = '', soundsLike = '', ipa = '', displayAs = ''] = columns.map(column => column.trim());
+    const row = { phrase, soundsLike, ipa, displayAs, line };
+
+    if (!phrase) {
+      errors.push(`line ${line}: Phrase is required`);
+    } else if (/\s/.test(phrase)) {
+      errors.push(`line ${line}: Phrase "${phrase}" must not contain spaces (join words with hyphens)`);
+    } else if (phrase.length > MAX_PHRASE_LENGTH) {
+      errors.push(`line ${line}: Phrase "${phrase}" exceeds ${MAX_PHRASE_LENGTH} characters`);
+    }
+    if (/\s/.test(soundsLike)) {
+      errors.push(`line ${line}: SoundsLike "${soundsLike}" must not contain spaces (separate syllables with hyphens)`);
+    }
+    if (soundsLike && ipa) {
+      errors.push(`line ${line}: SoundsLike and IPA cannot both be set`);
+    }
+    if (phrase && seen.has(phrase)) {
+      errors.push(`line ${line}: duplicate Phrase "${phrase}" (first defined on line ${seen.get(phrase)})`);
+    }
+
+    seen.set(phrase, line);
+    rows.push(row);
+  });
+
+  if (!headerFound) {
+    errors.push('table has no header');
+  }
+
+  return { rows, errors };
+}
+
+/**
+ * Transcribeにアップロードする形式に変換（コメント・空行を除く）
+ * @param {Array} rows - parseTableの行
+ * @returns {string}
+ */
+function renderTable(rows) {
+  const lines = rows.map(row => [row.phrase, row.soundsLike, row.ipa, row.displayAs].join('\t'));
+  return `${[COLUMNS.join('\t'), ...lines].join('\n')}\n`;
+}
+
+/**
+ * 2つのテーブルの差分（Phrase単位）
+ * @param {Array} fromRows - 変更前の行
+ * @param {Array} toRows - 変更後の行
+ * @returns {Object} - { added, removed, changed: [{ phrase, from, to }] }
+ */
+function diffTables(fromRows, toRows) {
+  const fromByPhrase = new Map(fromRows.map(row => [row.phrase, row]));
+  const toByPhrase = new Map(toRows.map(row => [row.phrase, row]));
+  const columnsOf = row => ({ soundsLike: row.soundsLike, ipa: row.ipa, displayAs: row.displayAs });
+
+  const added = toRows.filter(row => !fromByPhrase.has(row.phrase));
+  const removed = fromRows.filter(row => !toByPhrase.has(row.phrase));
+  const changed = toRows
+    .filter(row => fromByPhrase.has(row.phrase))
+    .map(row => ({ phrase: row.phrase, from: columnsOf(fromByPhrase.get(row.phrase)), to: columnsOf(row) }))
+    .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+
+  return { added, removed, changed };
+}
+
+/**
+ * 差分がないかどうか
+ */
+function isEmptyDiff(diff) {
+  return diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0;
+}
+
+/**
+ * 語彙のバージョン一覧（昇順）
+ * @param {string} name - 語彙名
+ * @param {string} tablesDir - テーブルのディレクトリ
+ * @returns {Array<number>}
+ */
+function listVersions(name, tablesDir = TABLES_DIR) {
+  return fs.readdirSync(path.join(tablesDir, name))
+    .map(file => file.match(VERSION_FILE_PATTERN))
+    .filter(Boolean)
+    .map(match => Number(match[1]))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * 語彙のテーブルを読み込んで検証
+ * @param {string} name - 語彙名
+ * @param {Object} options - { version: 省略時は最新, tablesDir }
+ * @returns {Object} - { name, languageCode, version, rows, table }
+ */
+function loadVocabulary(name, options = {}) {
+  const tablesDir = options.tablesDir || TABLES_DIR;
+  const definition = JSON.parse(fs.readFileSync(path.join(tablesDir, name, 'vocabulary.json'), 'utf8'));
+  const versions = listVersions(name, tablesDir);
+  // バージョンは 2 / v2 のどちらでも指定できる
+  const version = options.version
+    ? Number(String(options.version).replace(/^v/, ''))
+    : versions[versions.length - 1];
+
+  if (!versions.includes(version)) {
+    throw new Error(`Vocabulary ${name} has no table ${options.version || ''} (available: ${versions.map(v => `v${v}`).join(', ') || 'none'})`);
+  }
+
+  const { rows, errors } = parseTable(fs.readFileSync(path.join(tablesDir, name, `v${version}.tsv`), 'utf8'));
+  if (errors.length > 0) {
+    throw new Error(`Invalid vocabulary table ${name}/v${version}.tsv:\n  ${errors.join('\n  ')}`);
+  }
+
+  const table = renderTable(rows);
+  if (Buffer.byteLength(table) > MAX_TABLE_BYTES) {
+    throw new Error(`Vocabulary table ${name}/v${version}.tsv exceeds ${MAX_TABLE_BYTES} bytes`);
+  }
+
+  return { name, languageCode: definition.languageCode, version, rows, table };
+}
+
+module.exports = {
+  TABLES_DIR,
+  COLUMNS,
+  parseTable,
+  renderTable,
+  diffTables,
+  isEmptyDiff,
+  listVersions,
+  loadVocabulary
+};
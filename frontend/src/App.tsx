@@ -2,12 +2,74 @@ import React, { useState, useEffect } from 'react';
 import ConnectionStatus from './components/common/ConnectionStatus';
 import TranscriptionDisplay from './components/transcription/TranscriptionDisplay';
 import AudioRecorder from './components/audio/AudioRecorder';
+import ChannelRecorderLanes from './components/audio/ChannelRecorderLanes';
 import AIResponsePanel from './components/ai/AIResponsePanel';
-import websocketService from './services/websocketService';
-import type { ConnectionStatus as Status, TranscriptionResult, AIResponse } from './types';
+import IncidentPanel from './components/incident/IncidentPanel';
+import AlertBanner from './components/alert/AlertBanner';
+import websocketService, { RequestError } from './services/websocketService';
+import { AUDIO_CHANNELS } from './services/audioChannels';
+import type { ConnectionStatus as Status, TranscriptionResult, TranscriptionLanguage, AIResponse, AIResponsePartial, ResponseDecision, HistoryPage, SpeakerRoleAssignment, Incident, Alert, AlertAcknowledgement, RateLimitNotice } from './types';
 
 const WS_URL = import.meta.env.VITE_WS_URL || 'ws://localhost:8080';
 
+// 再読み込み後に会話を復元するための会話ID保存キー
+const CONVERSATION_STORAGE_KEY = 'vts-conversation-id';
+
+// 文字起こしの言語（外国船との英語の交信に切り替え、auto は発話ごとに識別）
+const LANGUAGE_STORAGE_KEY = 'vts-transcription-language';
+const TRANSCRIPTION_LANGUAGES: { value: TranscriptionLanguage; label: string }[] = [
+  { value: 'ja-JP', label: '日本語' },
+  { value: 'en-US', label: 'English' },
+  { value: 'auto', label: '自動識別（日本語/English）' },
+];
+
+const loadTranscriptionLanguage = (): TranscriptionLanguage => {
+  const stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+  return TRANSCRIPTION_LANGUAGES.some(language => language.value === stored) ? stored as TranscriptionLanguage : 'ja-JP';
+};
+
+// 履歴から復元した文字起こしと現在の文字起こしを時刻順にマージ（重複除去）
+const mergeTranscriptions = (restored: TranscriptionResult[], current: TranscriptionResult[]) => {
+  const merged = new Map<string, TranscriptionResult>();
+  [...restored, ...current].forEach(transcript => {
+    merged.set(`${transcript.timestamp}|${transcript.channel || ''}|${transcript.transcriptText}`, transcript);
+  });
+  return Array.from(merged.values()).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+};
+
+// 受信したインシデントを一覧に反映（タイムラインを含まない通知では取得済みのタイムラインを保持、新しい順）
+const mergeIncident = (incidents: Incident[], incident: Incident) => {
+  const existing = incidents.find(item => item.incidentId === incident.incidentId);
+  const merged = { ...existing, ...incident, timeline: incident.timeline ?? existing?.timeline };
+  return [merged, ...incidents.filter(item => item.incidentId !== incident.incidentId)]
+    .sort((a, b) => b.openedAt.localeCompare(a.openedAt));
+};
+
+// 履歴ページから最新のAI応答を復元（承認判断を反映）
+const restoreLatestResponse = (page: HistoryPage): AIResponse | null => {
+  const latest = [...page.items].reverse().find(item => item.itemType === 'AI_RESPONSE');
+  if (!latest || !latest.classification) {
+    return null;
+  }
+
+  const decision = page.items.find(item => item.itemType === 'DECISION' && item.responseId === latest.responseId);
+
+  return {
+    classification: latest.classification,
+    priority: latest.priority,
+    suggestedResponse: latest.suggestedResponse || '',
+    smcpResponse: latest.smcpResponse,
+    language: latest.language,
+    japaneseGloss: latest.japaneseGloss,
+    confidence: latest.confidence || 0,
+    riskFactors: latest.riskFactors,
+    timestamp: latest.timestamp,
+    responseId: latest.responseId,
+    approvalStatus: decision?.decision || latest.approvalStatus,
+    approvedText: decision?.approvedText ?? latest.approvedText,
+  };
+};
+
 // デバッグパネルコンポーネント（Path A修正3）
 interface DebugPanelProps {
   isRecording: boolean;
@@ -56,15 +118,36 @@ function App() {
   const [connectionStatus, setConnectionStatus] = useState<Status>('connecting');
   const [transcriptions, setTranscriptions] = useState<TranscriptionResult[]>([]);
   const [aiResponse, setAiResponse] = useState<AIResponse | null>(null);
+  const [partialResponse, setPartialResponse] = useState<AIResponsePartial | null>(null);
   const [isRecording, setIsRecording] = useState(false);
   const [audioLevel, setAudioLevel] = useState(0);
   const [chunksProcessed, setChunksProcessed] = useState(0);
+  const [transcriptionLanguage, setTranscriptionLanguage] = useState<TranscriptionLanguage>(loadTranscriptionLanguage);
+  const [historyCursor, setHistoryCursor] = useState<{ conversationId: string; cursor: string } | null>(null);
+  const [incidents, setIncidents] = useState<Incident[]>([]);
+  const [alerts, setAlerts] = useState<Alert[]>([]);
+  const [rateLimit, setRateLimit] = useState<RateLimitNotice | null>(null);
 
   useEffect(() => {
     websocketService.connect(WS_URL);
     
     const unsubscribeConnected = websocketService.on('connected', () => {
       setConnectionStatus('connected');
+      // 前回の会話を復元（初回接続時は現在の会話IDの取得のみ）
+      const previousConversationId = sessionStorage.getItem(CONVERSATION_STORAGE_KEY);
+      if (previousConversationId) {
+        // 別のユーザーの会話等で拒否された場合は現在の会話IDのみ取得
+        websocketService.request('getHistory', { conversationId: previousConversationId }).catch((error: RequestError) => {
+          if (error.nack) {
+            sessionStorage.removeItem(CONVERSATION_STORAGE_KEY);
+            websocketService.getHistory();
+          }
+        });
+      } else {
+        websocketService.getHistory();
+      }
+      websocketService.getIncidents();
+      websocketService.getAlerts();
     });
     
     const unsubscribeDisconnected = websocketService.on('disconnected', () => {
@@ -81,6 +164,93 @@ function App() {
     
     const unsubscribeAiResponse = websocketService.on('aiResponse', (data: AIResponse) => {
       setAiResponse(data);
+      // 確定した応答で生成途中の表示を置き換える
+      setPartialResponse(prev => (prev && prev.streamId === data.streamId ? null : prev));
+    });
+    
+    const unsubscribeAiResponsePartial = websocketService.on('aiResponsePartial', (data: AIResponsePartial) => {
+      setPartialResponse(data);
+    });
+    
+    // 管制官の判断（承認・編集・却下）を表示中の応答に反映
+    const unsubscribeDecision = websocketService.on('responseDecision', (decision: ResponseDecision) => {
+      setAiResponse(prev => prev && prev.responseId === decision.responseId
+        ? { ...prev, approvalStatus: decision.decision, approvedText: decision.approvedText }
+        : prev
+      );
+    });
+    
+    // 管制官が指定した話者の役割を同じセッション・話者の文字起こしに反映
+    const unsubscribeSpeakerRole = websocketService.on('speakerRole', (assignment: SpeakerRoleAssignment) => {
+      setTranscriptions(prev => prev.map(transcript =>
+        transcript.sessionId === assignment.sessionId && transcript.speaker === assignment.speaker
+          ? { ...transcript, speakerLabel: assignment.role, speakerRoleSource: assignment.source }
+          : transcript
+      ));
+    });
+    
+    const unsubscribeHistory = websocketService.on('history', (page: HistoryPage) => {
+      sessionStorage.setItem(CONVERSATION_STORAGE_KEY, page.currentConversationId);
+
+      const restored: TranscriptionResult[] = page.items
+        .filter(item => item.itemType === 'TRANSCRIPTION' && item.transcriptText)
+        .map(item => ({
+          transcriptText: item.transcriptText!,
+          rawTranscriptText: item.rawTranscriptText,
+          corrections: item.corrections,
+          confidence: item.confidence ?? 0,
+          timestamp: item.timestamp,
+          isPartial: false,
+          vesselInfo: item.vesselInfo,
+          speaker: item.speaker,
+          speakerLabel: item.speakerRole,
+          speakerRoleSource: item.speakerRoleSource,
+          languageCode: item.languageCode,
+          smcp: item.smcpMarkers ? { markers: item.smcpMarkers, issues: item.smcpIssues ?? [] } : undefined,
+          sessionId: item.sessionId,
+          channel: item.channel,
+          recordingId: item.recordingId,
+          startTime: item.startTime,
+          endTime: item.endTime,
+        }));
+      setTranscriptions(prev => mergeTranscriptions(restored, prev));
+      setAiResponse(prev => prev ?? restoreLatestResponse(page));
+      setHistoryCursor(page.nextCursor ? { conversationId: page.conversationId, cursor: page.nextCursor } : null);
+    });
+    
+    const unsubscribeIncident = websocketService.on('incident', (incident: Incident) => {
+      setIncidents(prev => mergeIncident(prev, incident));
+    });
+    
+    // 対応中のインシデント一覧（取得済みのタイムラインは保持）
+    const unsubscribeIncidents = websocketService.on('incidents', ({ incidents: list }: { incidents: Incident[] }) => {
+      setIncidents(prev => list.map(incident => ({
+        ...incident,
+        timeline: prev.find(item => item.incidentId === incident.incidentId)?.timeline,
+      })));
+    });
+    
+    // 他の管制卓を含むセンター内の警報（格上げは同じ警報を置き換え）
+    const unsubscribeAlert = websocketService.on('alert', (alert: Alert) => {
+      setAlerts(prev => [alert, ...prev.filter(item => item.alertId !== alert.alertId)]);
+      setIncidents(prev => mergeIncident(prev, alert.incident));
+    });
+    
+    const unsubscribeAlerts = websocketService.on('alerts', ({ alerts: list }: { alerts: Alert[] }) => {
+      setAlerts(list);
+    });
+    
+    // いずれかの管制官が受領した警報を解除
+    const unsubscribeAlertAcknowledged = websocketService.on('alertAcknowledged', ({ alertId }: AlertAcknowledgement) => {
+      setAlerts(prev => prev.filter(item => item.alertId !== alertId));
+    });
+    
+    // レート制限の通知（再試行可能になったら表示を消す）
+    let rateLimitTimer: ReturnType<typeof setTimeout> | undefined;
+    const unsubscribeRateLimited = websocketService.on('rateLimited', (notice: RateLimitNotice) => {
+      setRateLimit(notice);
+      clearTimeout(rateLimitTimer);
+      rateLimitTimer = setTimeout(() => setRateLimit(null), notice.retryAfter * 1000);
     });
     
     // Track chunks processed for debugging
@@ -94,6 +264,17 @@ function App() {
       unsubscribeError();
       unsubscribeTranscription();
       unsubscribeAiResponse();
+      unsubscribeAiResponsePartial();
+      unsubscribeDecision();
+      unsubscribeSpeakerRole();
+      unsubscribeHistory();
+      unsubscribeIncident();
+      unsubscribeIncidents();
+      unsubscribeAlert();
+      unsubscribeAlerts();
+      unsubscribeAlertAcknowledged();
+      unsubscribeRateLimited();
+      clearTimeout(rateLimitTimer);
       unsubscribeChunks();
       websocketService.disconnect();
     };
@@ -113,12 +294,22 @@ function App() {
         </div>
       </header>
       
-      <ConnectionStatus status={connectionStatus} />
+      <ConnectionStatus status={connectionStatus} rateLimit={rateLimit} />
       
       <main className="container mx-auto p-4">
+        <AlertBanner alerts={alerts} />
+
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
-          <TranscriptionDisplay transcriptions={transcriptions} />
-          <AIResponsePanel response={aiResponse} />
+          <TranscriptionDisplay
+            transcriptions={transcriptions}
+            hasMoreHistory={historyCursor !== null}
+            onLoadMoreHistory={() => historyCursor && websocketService.getHistory(historyCursor)}
+          />
+          <AIResponsePanel response={aiResponse} partialResponse={partialResponse} />
+        </div>
+
+        <div className="mt-6">
+          <IncidentPanel incidents={incidents} />
         </div>
         
         <div className="mt-6 bg-gray-900 rounded-lg p-4">
@@ -126,15 +317,46 @@ function App() {
             <h3 className="text-lg font-semibold text-white">
               音声入力コントロール
             </h3>
-            <div className="text-xs text-gray-400">
-              WebSocket: {connectionStatus === 'connected' ? '接続済み' : '未接続'}
+            <div className="flex items-center space-x-3">
+              <label className="flex items-center text-xs text-gray-300">
+                言語:
+                <select
+                  value={transcriptionLanguage}
+                  onChange={(event) => {
+                    const language = event.target.value as TranscriptionLanguage;
+                    setTranscriptionLanguage(language);
+                    localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+                  }}
+                  disabled={isRecording}
+                  className="ml-1 px-2 py-1 rounded bg-gray-700 text-white disabled:opacity-50"
+                  title="文字起こしと推奨応答の言語（送信中は変更できません）"
+                >
+                  {TRANSCRIPTION_LANGUAGES.map(language => (
+                    <option key={language.value} value={language.value}>{language.label}</option>
+                  ))}
+                </select>
+              </label>
+              <div className="text-xs text-gray-400">
+                WebSocket: {connectionStatus === 'connected' ? '接続済み' : '未接続'}
+              </div>
             </div>
           </div>
-          <AudioRecorder 
-            onRecordingChange={setIsRecording}
-            onAudioLevelChange={setAudioLevel}
-            onChunksProcessedChange={setChunksProcessed}
-          />
+          {AUDIO_CHANNELS.length > 0 ? (
+            // 複数チャンネルの同時監視（VITE_AUDIO_CHANNELS）
+            <ChannelRecorderLanes
+              channels={AUDIO_CHANNELS}
+              languageCode={transcriptionLanguage}
+              onRecordingChange={setIsRecording}
+              onAudioLevelChange={setAudioLevel}
+            />
+          ) : (
+            <AudioRecorder 
+              languageCode={transcriptionLanguage}
+              onRecordingChange={setIsRecording}
+              onAudioLevelChange={setAudioLevel}
+              onChunksProcessedChange={setChunksProcessed}
+            />
+          )}
         </div>
       </main>
       
@@ -1,14 +1,35 @@
 import React, { useEffect, useState } from 'react';
-import type { AIResponse } from '../../types';
+import type { AIResponse, AIResponsePartial, DistressPriority } from '../../types';
+import websocketService from '../../services/websocketService';
 
 interface AIResponsePanelProps {
   response: AIResponse | null;
+  partialResponse?: AIResponsePartial | null;
 }
 
-const AIResponsePanel: React.FC<AIResponsePanelProps> = ({ response }) => {
+const AIResponsePanel: React.FC<AIResponsePanelProps> = ({ response, partialResponse = null }) => {
   // デフォルトをONに変更（緊急時応答遅延防止のため）
   const [isAutoSpeak, setIsAutoSpeak] = useState(true);
   const [isSpeaking, setIsSpeaking] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [editText, setEditText] = useState('');
+
+  // 生成途中の応答（確定した応答に置き換わるまで表示のみ、承認前のため読み上げない）
+  const streamingText = partialResponse && partialResponse.streamId !== response?.streamId
+    ? partialResponse.suggestedResponse
+    : null;
+
+  // 管制官が承認（または編集）した応答のみ読み上げ対象とする
+  const isApproved = response?.approvalStatus === 'APPROVED' || response?.approvalStatus === 'EDITED';
+  const approvedText = isApproved ? (response?.approvedText || response?.suggestedResponse || null) : null;
+  const isPending = !!response?.responseId && response.approvalStatus === 'PENDING';
+  const responseLanguage = response?.language;
+
+  // 新しい応答を受信したら編集状態をリセット
+  useEffect(() => {
+    setIsEditing(false);
+    setEditText(response?.suggestedResponse || '');
+  }, [response?.responseId, response?.suggestedResponse]);
 
   // グローバル録音状態の管理
   useEffect(() => {
@@ -16,8 +37,8 @@ const AIResponsePanel: React.FC<AIResponsePanelProps> = ({ response }) => {
     (window as any).isSpeaking = isSpeaking;
   }, [isSpeaking]);
 
-  // 音声合成関数
-  const speak = (text: string) => {
+  // 音声合成関数（英語の応答は英語の音声）
+  const speak = (text: string, language: AIResponse['language'] = 'ja') => {
     // 録音中なら一時停止を通知
     if ((window as any).isRecording) {
       console.log('音声出力開始のため録音を一時停止');
@@ -28,16 +49,16 @@ const AIResponsePanel: React.FC<AIResponsePanelProps> = ({ response }) => {
     window.speechSynthesis.cancel();
     
     const utterance = new SpeechSynthesisUtterance(text);
-    utterance.lang = 'ja-JP';
+    utterance.lang = language === 'en' ? 'en-US' : 'ja-JP';
     utterance.rate = 1.1; // 少し速めに
     utterance.pitch = 1.0;
     utterance.volume = 0.9;
     
-    // 日本語音声を選択
+    // 応答の言語の音声を選択
     const voices = window.speechSynthesis.getVoices();
-    const japaneseVoice = voices.find(voice => voice.lang === 'ja-JP');
-    if (japaneseVoice) {
-      utterance.voice = japaneseVoice;
+    const voice = voices.find(candidate => candidate.lang === utterance.lang);
+    if (voice) {
+      utterance.voice = voice;
     }
     
     utterance.onstart = () => {
@@ -67,12 +88,12 @@ const AIResponsePanel: React.FC<AIResponsePanelProps> = ({ response }) => {
     setIsSpeaking(false);
   };
   
-  // 新しい応答を自動読み上げ
+  // 承認された応答を自動読み上げ（AIは管制官の判断なしに送出しない）
   useEffect(() => {
-    if (response?.suggestedResponse && isAutoSpeak) {
+    if (approvedText && isAutoSpeak) {
       // 音声が利用可能になるまで少し待つ
       const timer = setTimeout(() => {
-        speak(response.suggestedResponse);
+        speak(approvedText, responseLanguage);
       }, 100);
       return () => clearTimeout(timer);
     }
@@ -80,7 +101,39 @@ const AIResponsePanel: React.FC<AIResponsePanelProps> = ({ response }) => {
     return () => {
       stop(); // クリーンアップ
     };
-  }, [response?.suggestedResponse, isAutoSpeak]);
+  }, [approvedText, isAutoSpeak, responseLanguage]);
+
+  const handleApprove = () => {
+    if (response?.responseId) {
+      websocketService.approveResponse(response.responseId);
+    }
+  };
+
+  const handleSubmitEdit = () => {
+    if (response?.responseId && editText.trim()) {
+      websocketService.editResponse(response.responseId, editText.trim());
+      setIsEditing(false);
+    }
+  };
+
+  const handleReject = () => {
+    if (response?.responseId) {
+      websocketService.rejectResponse(response.responseId);
+    }
+  };
+
+  const getApprovalText = (status?: string) => {
+    switch (status) {
+      case 'APPROVED':
+        return '✅ 承認済み';
+      case 'EDITED':
+        return '✏️ 編集して承認';
+      case 'REJECTED':
+        return '❌ 却下';
+      default:
+        return '⏳ 承認待ち';
+    }
+  };
   
   const getClassificationColor = (classification: string) => {
     switch (classification) {
@@ -108,6 +161,28 @@ const AIResponsePanel: React.FC<AIResponsePanelProps> = ({ response }) => {
     }
   };
 
+  const getPriorityColor = (priority: DistressPriority) => {
+    switch (priority) {
+      case 'DISTRESS':
+        return 'bg-red-700 animate-pulse';
+      case 'URGENCY':
+        return 'bg-orange-600';
+      case 'SAFETY':
+        return 'bg-blue-600';
+    }
+  };
+
+  const getPriorityText = (priority: DistressPriority) => {
+    switch (priority) {
+      case 'DISTRESS':
+        return '遭難 MAYDAY';
+      case 'URGENCY':
+        return '緊急 PAN-PAN';
+      case 'SAFETY':
+        return '安全 SECURITE';
+    }
+  };
+
   return (
     <div className="bg-gray-900 rounded-lg p-4 h-96">
       <div className="flex items-center justify-between mb-4">
@@ -117,18 +192,18 @@ const AIResponsePanel: React.FC<AIResponsePanelProps> = ({ response }) => {
         </h2>
         {/* 音声出力コントロールを常に表示 */}
         <div className="flex items-center space-x-2">
-          {/* 音声再生ボタン - responseがある時のみ有効化 */}
+          {/* 音声再生ボタン - 承認済みの応答がある時のみ有効化 */}
           <button
-            onClick={() => response && speak(response.suggestedResponse)}
-            disabled={!response}
+            onClick={() => approvedText && speak(approvedText, responseLanguage)}
+            disabled={!approvedText}
             className={`px-3 py-1 rounded text-white text-sm transition-all ${
-              !response 
+              !approvedText 
                 ? 'bg-gray-600 opacity-50 cursor-not-allowed' 
                 : isSpeaking 
                   ? 'bg-green-600 animate-pulse' 
                   : 'bg-blue-600 hover:bg-blue-700'
             }`}
-            title={!response ? "応答待機中" : "応答を読み上げ"}
+            title={!approvedText ? "承認待ち" : "承認済みの応答を読み上げ"}
           >
             {isSpeaking ? '🔊 再生中...' : '🔊 再生'}
           </button>
@@ -155,12 +230,31 @@ const AIResponsePanel: React.FC<AIResponsePanelProps> = ({ response }) => {
               onChange={(e) => setIsAutoSpeak(e.target.checked)}
               className="mr-1"
             />
-            自動読み上げ
+            承認後に自動読み上げ
           </label>
         </div>
       </div>
       
-      {!response ? (
+      {streamingText !== null ? (
+        <div className="space-y-4">
+          <div className="flex items-center space-x-3">
+            <span className="text-sm text-gray-400">リスクレベル:</span>
+            <span className="px-3 py-1 rounded-full text-white font-bold bg-gray-600 animate-pulse">
+              分析中
+            </span>
+          </div>
+
+          <div className="bg-gray-800 rounded-lg p-4">
+            <h3 className="text-sm font-semibold text-gray-300 mb-2">
+              推奨応答（生成中）
+            </h3>
+            <p className="text-white whitespace-pre-wrap">
+              {streamingText}
+              <span className="inline-block w-2 h-4 ml-1 bg-gray-400 animate-pulse align-middle" />
+            </p>
+          </div>
+        </div>
+      ) : !response ? (
         <div className="text-gray-500 text-center py-8">
           AI分析結果がここに表示されます
         </div>
@@ -176,6 +270,15 @@ const AIResponsePanel: React.FC<AIResponsePanelProps> = ({ response }) => {
               >
                 {getClassificationText(response.classification)}
               </span>
+              {response.priority && (
+                <span
+                  className={`px-3 py-1 rounded-full text-white font-bold ${getPriorityColor(response.priority)}`}
+                  title={response.earlyDetection ? '発話の途中で判定' : undefined}
+                >
+                  {getPriorityText(response.priority)}
+                  {response.relay && ' RELAY'}
+                </span>
+              )}
             </div>
             <span className="text-xs text-gray-500">
               {new Date(response.timestamp).toLocaleTimeString('ja-JP')}
@@ -183,12 +286,104 @@ const AIResponsePanel: React.FC<AIResponsePanelProps> = ({ response }) => {
           </div>
 
           <div className="bg-gray-800 rounded-lg p-4">
-            <h3 className="text-sm font-semibold text-gray-300 mb-2">
-              推奨応答
-            </h3>
-            <p className="text-white whitespace-pre-wrap">
-              {response.suggestedResponse}
-            </p>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm font-semibold text-gray-300">
+                推奨応答
+              </h3>
+              {response.responseId && (
+                <span className="text-xs text-gray-400">
+                  {getApprovalText(response.approvalStatus)}
+                </span>
+              )}
+            </div>
+            {isEditing ? (
+              <textarea
+                value={editText}
+                onChange={(e) => setEditText(e.target.value)}
+                className="w-full bg-gray-700 text-white rounded p-2 text-sm"
+                rows={3}
+              />
+            ) : (
+              <p className={`text-white whitespace-pre-wrap ${
+                response.approvalStatus === 'REJECTED' || response.approvalStatus === 'EDITED' ? 'line-through opacity-60' : ''
+              }`}>
+                {response.suggestedResponse}
+              </p>
+            )}
+            {response.approvalStatus === 'EDITED' && response.approvedText && (
+              <p className="text-white whitespace-pre-wrap mt-2">
+                {response.approvedText}
+              </p>
+            )}
+            {/* 英語の応答の日本語訳（管制官の確認用、送出・読み上げはしない） */}
+            {response.language === 'en' && response.japaneseGloss && response.approvalStatus !== 'EDITED' && (
+              <p className="text-sm text-gray-300 whitespace-pre-wrap mt-2">
+                訳: {response.japaneseGloss}
+              </p>
+            )}
+
+            {/* SMCP準拠の英語（SMCP_MODE=rewrite）- 日本語の応答と併記 */}
+            {response.smcpResponse && !isEditing && (
+              <p className="text-sm text-cyan-300 whitespace-pre-wrap mt-2" lang="en" title="IMO SMCP">
+                {response.smcpResponse}
+              </p>
+            )}
+            {response.smcp && response.smcp.issues.length > 0 && (
+              <ul className="mt-2 space-y-1">
+                {response.smcp.issues.map((issue, index) => (
+                  <li
+                    key={index}
+                    className={`text-xs ${issue.severity === 'warning' ? 'text-yellow-400' : 'text-gray-400'}`}
+                  >
+                    SMCP: {issue.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {/* 承認操作 - 承認待ちの応答のみ */}
+            {isPending && (
+              <div className="flex items-center justify-end space-x-2 mt-3">
+                {isEditing ? (
+                  <>
+                    <button
+                      onClick={handleSubmitEdit}
+                      disabled={!editText.trim()}
+                      className="px-3 py-1 rounded text-white text-sm bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      編集を承認
+                    </button>
+                    <button
+                      onClick={() => setIsEditing(false)}
+                      className="px-3 py-1 rounded text-white text-sm bg-gray-600 hover:bg-gray-700"
+                    >
+                      キャンセル
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <button
+                      onClick={handleApprove}
+                      className="px-3 py-1 rounded text-white text-sm bg-green-600 hover:bg-green-700"
+                    >
+                      ✅ 承認
+                    </button>
+                    <button
+                      onClick={() => setIsEditing(true)}
+                      className="px-3 py-1 rounded text-white text-sm bg-amber-600 hover:bg-amber-700"
+                    >
+                      ✏️ 編集
+                    </button>
+                    <button
+                      onClick={handleReject}
+                      className="px-3 py-1 rounded text-white text-sm bg-red-600 hover:bg-red-700"
+                    >
+                      ❌ 却下
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
           </div>
 
           {response.riskFactors && response.riskFactors.length > 0 && (
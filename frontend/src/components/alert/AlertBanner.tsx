@@ -0,0 +1,49 @@
+import React from 'react';
+import websocketService from '../../services/websocketService';
+import { getChannelLabel } from '../../services/audioChannels';
+import type { Alert } from '../../types';
+
+interface AlertBannerProps {
+  alerts: Alert[];
+}
+
+const formatTime = (timestamp?: string) =>
+  timestamp ? new Date(timestamp).toLocaleTimeString('ja-JP') : '';
+
+// センター内の未受領の警報（いずれかの管制官が受領すると全管制卓で解除される）
+const AlertBanner: React.FC<AlertBannerProps> = ({ alerts }) => {
+  if (alerts.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mb-4 space-y-2">
+      {alerts.map(({ alertId, incident, escalated }) => (
+        <div
+          key={alertId}
+          className={`flex items-center justify-between rounded-lg p-3 text-white animate-pulse ${
+            incident.classification === 'RED' ? 'bg-red-700' : 'bg-amber-600'
+          }`}
+        >
+          <div>
+            <div className="font-bold">
+              {escalated && <span className="mr-2 text-xs bg-white text-red-700 px-2 py-0.5 rounded">格上げ</span>}
+              {incident.signal || incident.classification} {incident.vesselName || '船舶未特定'}
+              {incident.channel && <span className="ml-2 text-xs">{getChannelLabel(incident.channel)}</span>}
+              <span className="ml-2 text-xs">{formatTime(incident.openedAt)}</span>
+            </div>
+            {incident.sourceText && <p className="text-sm mt-1">{incident.sourceText}</p>}
+          </div>
+          <button
+            onClick={() => websocketService.acknowledgeIncident(alertId)}
+            className="ml-4 px-4 py-2 rounded font-bold bg-white text-red-700 hover:bg-gray-100"
+          >
+            受領
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AlertBanner;
@@ -1,6 +1,16 @@
-import React, { useCallback, useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import { useAudioRecorder } from '../../hooks/useAudioRecorder';
 import websocketService from '../../services/websocketService';
+import { arrayBufferToBase64 } from '../../services/audioFrame';
+import { OggOpusEncoder } from '../../services/oggOpusEncoder';
+import type { AudioChannelConfig, AudioCodec, AudioStats, TranscriptionLanguage } from '../../types';
+
+// 音声の送信方式（binary: ヘッダー付きバイナリフレーム / json: Base64のJSONメッセージ）
+const AUDIO_TRANSPORT = import.meta.env.VITE_AUDIO_TRANSPORT === 'json' ? 'json' : 'binary';
+
+// 低帯域回線向けにOpusで圧縮する（VITE_AUDIO_CODEC=opus、バイナリ送信時のみ）
+const PREFER_OPUS = import.meta.env.VITE_AUDIO_CODEC === 'opus' && AUDIO_TRANSPORT === 'binary';
+const SAMPLE_RATE = 16000;
 
 interface AudioRecorderProps {
   onRecordingChange?: (isRecording: boolean) => void;
@@ -8,32 +18,91 @@ interface AudioRecorderProps {
   onChunksProcessedChange?: (chunks: number) => void;
   mode?: 'ptt' | 'toggle'; // 新規追加
   onModeChange?: (mode: 'ptt' | 'toggle') => void; // 新規追加
+  // 複数チャンネル監視時のチャンネルと入力デバイス（未指定の場合は既定のマイク1系統）
+  channel?: AudioChannelConfig;
+  deviceId?: string;
+  // 文字起こしの言語（次の送信開始から有効）
+  languageCode?: TranscriptionLanguage;
 }
 
 const AudioRecorder: React.FC<AudioRecorderProps> = ({ 
   onRecordingChange, 
   onAudioLevelChange,
   mode: propMode,
-  onModeChange
+  onModeChange,
+  channel,
+  deviceId,
+  languageCode = 'ja-JP'
 }) => {
+  const channelName = channel?.name;
   // デフォルトモードの設定（PTTをデフォルトに）
   const [mode, setMode] = useState<'ptt' | 'toggle'>(propMode || 'ptt');
+  const [audioStats, setAudioStats] = useState<AudioStats | null>(null);
   
-  const handleAudioData = useCallback((base64Data: string) => {
-    websocketService.send({
-      action: 'audioData',
-      payload: { audio: base64Data },
-      timestamp: new Date().toISOString()
-    });
+  const opusEncoderRef = useRef<OggOpusEncoder | null>(null);
+
+  const handleAudioData = useCallback((pcmData: ArrayBuffer, sampleRate: number) => {
+    if (AUDIO_TRANSPORT === 'json') {
+      websocketService.sendAudioJson(arrayBufferToBase64(pcmData), sampleRate, channelName);
+    } else if (opusEncoderRef.current) {
+      opusEncoderRef.current.encode(new Int16Array(pcmData));
+    } else {
+      websocketService.sendAudioData(pcmData, sampleRate, 'pcm', channelName);
+    }
+  }, [channelName]);
+
+  const stopOpusEncoder = useCallback(async () => {
+    const encoder = opusEncoderRef.current;
+    opusEncoderRef.current = null;
+    await encoder?.stop().catch(err => console.warn('Opus encoder stop error:', err));
   }, []);
 
+  // コーデックを提示して文字起こしを開始（Opus非対応のブラウザはPCM）
+  const beginTranscription = useCallback(async () => {
+    setAudioStats(null);
+    const codecs: AudioCodec[] = ['pcm'];
+    if (PREFER_OPUS && await OggOpusEncoder.isSupported(SAMPLE_RATE)) {
+      codecs.unshift('ogg-opus');
+      const encoder = new OggOpusEncoder(SAMPLE_RATE, (page) => {
+        websocketService.sendAudioData(page, SAMPLE_RATE, 'ogg-opus', channelName);
+      });
+      encoder.start();
+      opusEncoderRef.current = encoder;
+    }
+    websocketService.startTranscription({ codecs, sampleRate: SAMPLE_RATE, channel: channelName, languageCode });
+  }, [channelName, languageCode]);
+
+  // 残りのOpusページを送信してから停止
+  const endTranscription = useCallback(async () => {
+    await stopOpusEncoder();
+    websocketService.stopTranscription(channelName);
+  }, [stopOpusEncoder, channelName]);
+
+  // サーバー側で検出した音声の欠落・並べ替えの統計（このチャンネルのもののみ）
+  useEffect(() => {
+    return websocketService.on('audioStats', (stats: AudioStats) => {
+      if ((stats.channel ?? undefined) === channelName) {
+        setAudioStats(stats);
+      }
+    });
+  }, [channelName]);
+
+  // サーバーがOpusに対応していない場合はPCMに切り替え
+  useEffect(() => {
+    return websocketService.on('transcriptionStarted', ({ codec, channel: startedChannel }: { codec: AudioCodec; channel: string | null }) => {
+      if ((startedChannel ?? undefined) === channelName && codec !== 'ogg-opus' && opusEncoderRef.current) {
+        stopOpusEncoder();
+      }
+    });
+  }, [stopOpusEncoder, channelName]);
+
   const { 
     isRecording, 
     audioLevel, 
     startRecording, 
     stopRecording, 
     error 
-  } = useAudioRecorder(handleAudioData);
+  } = useAudioRecorder(handleAudioData, { deviceId, stereoSide: channel?.stereoSide });
 
   // Notify parent component of state changes
   useEffect(() => {
@@ -58,35 +127,35 @@ const AudioRecorder: React.FC<AudioRecorderProps> = ({
   const handleToggleRecording = useCallback(async () => {
     if (isRecording) {
       stopRecording();
-      websocketService.stopTranscription();
+      endTranscription();
     } else {
       await startRecording();
       if (!error) {
-        websocketService.startTranscription();
+        await beginTranscription();
       }
     }
-  }, [isRecording, startRecording, stopRecording, error]);
+  }, [isRecording, startRecording, stopRecording, error, beginTranscription, endTranscription]);
 
   // PTTイベントハンドラー
   const handlePTTStart = useCallback(async (e: React.MouseEvent | React.TouchEvent) => {
     e.preventDefault();
     if (!isRecording && !error) {
       await startRecording();
-      websocketService.startTranscription();
+      await beginTranscription();
     }
-  }, [isRecording, error, startRecording]);
+  }, [isRecording, error, startRecording, beginTranscription]);
 
   const handlePTTEnd = useCallback((e: React.MouseEvent | React.TouchEvent) => {
     e.preventDefault();
     if (isRecording) {
       stopRecording();
-      websocketService.stopTranscription();
+      endTranscription();
     }
-  }, [isRecording, stopRecording]);
+  }, [isRecording, stopRecording, endTranscription]);
 
-  // スペースキーでPTT操作
+  // スペースキーでPTT操作（複数チャンネル監視時は操作するチャンネルが決まらないため無効）
   useEffect(() => {
-    if (mode !== 'ptt') return;
+    if (mode !== 'ptt' || channel) return;
     
     const handleKeyDown = (e: KeyboardEvent) => {
       // テキスト入力中は無効
@@ -97,9 +166,7 @@ const AudioRecorder: React.FC<AudioRecorderProps> = ({
       
       if (e.code === 'Space' && !isRecording) {
         e.preventDefault();
-        startRecording().then(() => {
-          websocketService.startTranscription();
-        });
+        startRecording().then(beginTranscription);
       }
     };
     
@@ -107,7 +174,7 @@ const AudioRecorder: React.FC<AudioRecorderProps> = ({
       if (e.code === 'Space' && isRecording) {
         e.preventDefault();
         stopRecording();
-        websocketService.stopTranscription();
+        endTranscription();
       }
     };
     
@@ -118,7 +185,7 @@ const AudioRecorder: React.FC<AudioRecorderProps> = ({
       window.removeEventListener('keydown', handleKeyDown);
       window.removeEventListener('keyup', handleKeyUp);
     };
-  }, [mode, isRecording, startRecording, stopRecording]);
+  }, [mode, channel, isRecording, startRecording, stopRecording, beginTranscription, endTranscription]);
 
   // 音声レベルバーの数を計算
   const getAudioBars = () => {
@@ -131,7 +198,7 @@ const AudioRecorder: React.FC<AudioRecorderProps> = ({
     setMode(newMode);
     if (isRecording) {
       stopRecording();
-      websocketService.stopTranscription();
+      endTranscription();
     }
   };
 
@@ -262,6 +329,15 @@ const AudioRecorder: React.FC<AudioRecorderProps> = ({
           </span>
         </div>
       )}
+
+      {/* 音声の欠落状況（回線品質） */}
+      {audioStats && (audioStats.lost > 0 || audioStats.reordered > 0) && (
+        <div className={`text-xs ${audioStats.lossRate >= 0.05 ? 'text-red-400' : 'text-yellow-400'}`}>
+          音声欠落: {audioStats.lost}チャンク（{(audioStats.lossRate * 100).toFixed(1)}%）
+          ・並べ替え: {audioStats.reordered}
+          {audioStats.concealedMs > 0 && `・無音補完: ${audioStats.concealedMs}ms`}
+        </div>
+      )}
       
       {/* エラー表示 */}
       {error && (
@@ -276,7 +352,7 @@ const AudioRecorder: React.FC<AudioRecorderProps> = ({
           {mode === 'ptt' ? (
             <>
               <p>🎙️ ボタンを押し続けている間、送信されます</p>
-              <p>💡 ヒント: スペースキーも使用できます</p>
+              {!channel && <p>💡 ヒント: スペースキーも使用できます</p>}
             </>
           ) : (
             <>
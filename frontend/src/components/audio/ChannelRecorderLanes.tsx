@@ -0,0 +1,101 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import AudioRecorder from './AudioRecorder';
+import type { AudioChannelConfig, TranscriptionLanguage } from '../../types';
+
+interface ChannelRecorderLanesProps {
+  channels: AudioChannelConfig[];
+  languageCode?: TranscriptionLanguage;
+  onRecordingChange?: (isRecording: boolean) => void;
+  onAudioLevelChange?: (level: number) => void;
+}
+
+// 複数のVHFチャンネル（16ch と作業チャンネル等）をチャンネルごとの入力で同時に文字起こしする
+const ChannelRecorderLanes: React.FC<ChannelRecorderLanesProps> = ({
+  channels,
+  languageCode,
+  onRecordingChange,
+  onAudioLevelChange
+}) => {
+  const [inputDevices, setInputDevices] = useState<MediaDeviceInfo[]>([]);
+  const [deviceIds, setDeviceIds] = useState<Record<string, string>>({});
+  const [recordingChannels, setRecordingChannels] = useState<Set<string>>(new Set());
+
+  // 入力デバイスの一覧（ラベルはマイクの許可後に取得できる）
+  useEffect(() => {
+    const loadDevices = () => {
+      navigator.mediaDevices.enumerateDevices()
+        .then(devices => setInputDevices(devices.filter(device => device.kind === 'audioinput')))
+        .catch(error => console.warn('Failed to enumerate audio devices:', error));
+    };
+
+    loadDevices();
+    navigator.mediaDevices.addEventListener('devicechange', loadDevices);
+    return () => navigator.mediaDevices.removeEventListener('devicechange', loadDevices);
+  }, []);
+
+  useEffect(() => {
+    onRecordingChange?.(recordingChannels.size > 0);
+  }, [recordingChannels, onRecordingChange]);
+
+  const handleRecordingChange = useCallback((channel: string, isRecording: boolean) => {
+    setRecordingChannels(prev => {
+      if (prev.has(channel) === isRecording) {
+        return prev;
+      }
+      const next = new Set(prev);
+      if (isRecording) {
+        next.add(channel);
+      } else {
+        next.delete(channel);
+      }
+      return next;
+    });
+  }, []);
+
+  return (
+    <div className={`grid grid-cols-1 gap-4 ${channels.length > 1 ? 'lg:grid-cols-2' : ''}`}>
+      {channels.map(channel => (
+        <div key={channel.name} className="bg-gray-800 rounded-lg border border-gray-700">
+          <div className="flex items-center justify-between px-4 pt-3">
+            <span className="flex items-center text-white font-semibold">
+              📻 {channel.label}
+              {recordingChannels.has(channel.name) && (
+                <span className="ml-2 w-2 h-2 bg-red-500 rounded-full animate-pulse" />
+              )}
+            </span>
+            {channel.stereoSide ? (
+              <span className="text-xs text-gray-400">
+                ステレオ入力の{channel.stereoSide === 'left' ? '左' : '右'}チャンネル
+              </span>
+            ) : (
+              <select
+                value={deviceIds[channel.name] ?? ''}
+                onChange={(event) => setDeviceIds(prev => ({ ...prev, [channel.name]: event.target.value }))}
+                disabled={recordingChannels.has(channel.name)}
+                className="text-xs px-2 py-1 rounded bg-gray-700 text-white max-w-[14rem] disabled:opacity-50"
+                title="このチャンネルの入力デバイス"
+              >
+                <option value="">既定の入力</option>
+                {inputDevices.map((device, index) => (
+                  <option key={device.deviceId} value={device.deviceId}>
+                    {device.label || `入力 ${index + 1}`}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+          <AudioRecorder
+            channel={channel}
+            deviceId={deviceIds[channel.name] || undefined}
+            mode="toggle"
+            languageCode={languageCode}
+            onRecordingChange={(isRecording) => handleRecordingChange(channel.name, isRecording)}
+            onAudioLevelChange={onAudioLevelChange}
+          />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ChannelRecorderLanes;
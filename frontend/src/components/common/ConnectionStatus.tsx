@@ -1,11 +1,18 @@
 import React from 'react';
-import type { ConnectionStatus as Status } from '../../types';
+import type { ConnectionStatus as Status, RateLimitNotice } from '../../types';
 
 interface ConnectionStatusProps {
   status: Status;
+  rateLimit?: RateLimitNotice | null;
 }
 
-const ConnectionStatus: React.FC<ConnectionStatusProps> = ({ status }) => {
+// レート制限の表示文（Bedrockの予算は毎正時にリセット）
+const getRateLimitText = (notice: RateLimitNotice) =>
+  notice.action === 'bedrock'
+    ? `AI分析の上限に達しました（約${Math.ceil(notice.retryAfter / 60)}分後に再開）`
+    : `送信が制限されています（${notice.retryAfter}秒後に再試行）`;
+
+const ConnectionStatus: React.FC<ConnectionStatusProps> = ({ status, rateLimit }) => {
   const getStatusColor = () => {
     switch (status) {
       case 'connected':
@@ -37,11 +44,18 @@ const ConnectionStatus: React.FC<ConnectionStatusProps> = ({ status }) => {
   };
 
   return (
-    <div className="fixed top-4 right-4 z-50 flex items-center space-x-2 bg-gray-800 rounded-lg px-4 py-2 shadow-lg">
-      <div className={`w-3 h-3 rounded-full ${getStatusColor()}`} />
-      <span className="text-sm font-medium text-white">
-        {getStatusText()}
-      </span>
+    <div className="fixed top-4 right-4 z-50 bg-gray-800 rounded-lg px-4 py-2 shadow-lg">
+      <div className="flex items-center space-x-2">
+        <div className={`w-3 h-3 rounded-full ${getStatusColor()}`} />
+        <span className="text-sm font-medium text-white">
+          {getStatusText()}
+        </span>
+      </div>
+      {rateLimit && (
+        <div className="text-xs text-yellow-300 mt-1">
+          {getRateLimitText(rateLimit)}
+        </div>
+      )}
     </div>
   );
 };
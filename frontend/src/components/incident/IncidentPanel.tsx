@@ -0,0 +1,240 @@
+import React, { useEffect, useState } from 'react';
+import websocketService from '../../services/websocketService';
+import { getChannelLabel } from '../../services/audioChannels';
+import type { Incident, IncidentEvent, IncidentStatus } from '../../types';
+
+interface IncidentPanelProps {
+  incidents: Incident[];
+}
+
+const STATUS_LABELS: Record<IncidentStatus, string> = {
+  OPEN: '発生',
+  ACKNOWLEDGED: '受領',
+  RESPONDING: '対応中',
+  CLOSED: '終結',
+};
+
+const STATUS_COLORS: Record<IncidentStatus, string> = {
+  OPEN: 'bg-red-600 animate-pulse',
+  ACKNOWLEDGED: 'bg-amber-600',
+  RESPONDING: 'bg-blue-600',
+  CLOSED: 'bg-gray-600',
+};
+
+const formatTime = (timestamp?: string) =>
+  timestamp ? new Date(timestamp).toLocaleTimeString('ja-JP') : '';
+
+// タイムラインの記録の表示文
+const describeEvent = (event: IncidentEvent) => {
+  switch (event.eventType) {
+    case 'OPENED':
+      return `発生: ${event.text || ''}`;
+    case 'ESCALATED':
+      return `格上げ（${event.priority || event.text || ''}）`;
+    case 'STATUS_CHANGED':
+      return `${STATUS_LABELS[event.fromStatus!] || event.fromStatus} → ${STATUS_LABELS[event.toStatus!] || event.toStatus}`
+        + (event.text ? `: ${event.text}` : '');
+    case 'ASSIGNED':
+      return `担当: ${event.assignedTo}`;
+    case 'TRANSCRIPT':
+      return `${event.speakerRole ? `[${event.speakerRole}] ` : ''}${event.text || ''}`;
+    case 'NOTE':
+      return `メモ: ${event.text || ''}`;
+    default:
+      return event.text || '';
+  }
+};
+
+const IncidentPanel: React.FC<IncidentPanelProps> = ({ incidents }) => {
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [assignee, setAssignee] = useState('');
+  const [note, setNote] = useState('');
+
+  const selected = incidents.find(incident => incident.incidentId === selectedId) || null;
+
+  // 新しく発生したインシデントを選択（選択中の対応を妨げないよう未選択時のみ）
+  useEffect(() => {
+    if (!selectedId && incidents.length > 0) {
+      setSelectedId(incidents[0].incidentId);
+    }
+  }, [incidents, selectedId]);
+
+  // 選択したインシデントのタイムラインを取得
+  useEffect(() => {
+    if (selectedId) {
+      websocketService.getIncident(selectedId);
+    }
+    setNote('');
+    setAssignee('');
+  }, [selectedId]);
+
+  const handleTransition = (action: 'acknowledge' | 'respond' | 'close') => {
+    if (!selected) {
+      return;
+    }
+    const text = note.trim() || undefined;
+    if (action === 'acknowledge') {
+      websocketService.acknowledgeIncident(selected.incidentId, text);
+    } else if (action === 'respond') {
+      websocketService.respondToIncident(selected.incidentId, text);
+    } else {
+      // 入力中のメモを対応結果として記録
+      websocketService.closeIncident(selected.incidentId, text);
+    }
+    setNote('');
+  };
+
+  const handleAssign = () => {
+    if (selected && assignee.trim()) {
+      websocketService.assignIncident(selected.incidentId, assignee.trim());
+      setAssignee('');
+    }
+  };
+
+  const handleAddNote = () => {
+    if (selected && note.trim()) {
+      websocketService.addIncidentNote(selected.incidentId, note.trim());
+      setNote('');
+    }
+  };
+
+  return (
+    <div className="bg-gray-900 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-white flex items-center">
+          <span className="mr-2">🚨</span>
+          インシデント
+        </h2>
+        <button
+          onClick={() => websocketService.getIncidents()}
+          className="px-3 py-1 rounded text-white text-xs bg-gray-700 hover:bg-gray-600"
+        >
+          更新
+        </button>
+      </div>
+
+      {incidents.length === 0 ? (
+        <div className="text-gray-500 text-center py-4">
+          対応中のインシデントはありません
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          <ul className="space-y-2 max-h-80 overflow-y-auto">
+            {incidents.map(incident => (
+              <li key={incident.incidentId}>
+                <button
+                  onClick={() => setSelectedId(incident.incidentId)}
+                  className={`w-full text-left rounded p-2 ${
+                    incident.incidentId === selectedId ? 'bg-gray-700' : 'bg-gray-800 hover:bg-gray-700'
+                  }`}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className={`px-2 py-0.5 rounded text-white text-xs font-bold ${STATUS_COLORS[incident.status]}`}>
+                      {STATUS_LABELS[incident.status]}
+                    </span>
+                    <span className="text-xs text-gray-400">{formatTime(incident.openedAt)}</span>
+                  </div>
+                  <div className="text-sm text-white mt-1">
+                    {incident.signal || incident.classification} {incident.vesselName || '船舶未特定'}
+                  </div>
+                  {incident.assignedTo && (
+                    <div className="text-xs text-gray-400">担当: {incident.assignedTo}</div>
+                  )}
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {selected && (
+            <div className="lg:col-span-2 space-y-3">
+              <div className="bg-gray-800 rounded-lg p-3 text-sm text-white">
+                <div className="flex items-center justify-between">
+                  <span className="font-semibold">
+                    {selected.signal || selected.classification} {selected.vesselName || '船舶未特定'}
+                    {selected.channel && <span className="ml-2 text-xs text-gray-400">{getChannelLabel(selected.channel)}</span>}
+                  </span>
+                  <span className={`px-2 py-0.5 rounded text-white text-xs font-bold ${STATUS_COLORS[selected.status]}`}>
+                    {STATUS_LABELS[selected.status]}
+                  </span>
+                </div>
+                <p className="text-gray-300 mt-1">{selected.sourceText}</p>
+                {selected.resolution && <p className="text-gray-300 mt-1">対応結果: {selected.resolution}</p>}
+              </div>
+
+              <ol className="bg-gray-800 rounded-lg p-3 space-y-1 max-h-40 overflow-y-auto">
+                {(selected.timeline || []).map(event => (
+                  <li key={event.eventId} className="text-xs text-gray-200">
+                    <span className="text-gray-500 mr-2">{formatTime(event.timestamp)}</span>
+                    {describeEvent(event)}
+                    {event.actor && <span className="text-gray-500 ml-2">({event.actor})</span>}
+                  </li>
+                ))}
+              </ol>
+
+              {selected.status !== 'CLOSED' && (
+                <div className="space-y-2">
+                  <div className="flex items-center space-x-2">
+                    <input
+                      value={note}
+                      onChange={(event) => setNote(event.target.value)}
+                      placeholder="メモ・対応結果"
+                      className="flex-1 bg-gray-700 text-white rounded px-2 py-1 text-sm"
+                    />
+                    <button
+                      onClick={handleAddNote}
+                      disabled={!note.trim()}
+                      className="px-3 py-1 rounded text-white text-sm bg-gray-600 hover:bg-gray-500 disabled:opacity-50"
+                    >
+                      メモ
+                    </button>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <input
+                      value={assignee}
+                      onChange={(event) => setAssignee(event.target.value)}
+                      placeholder={selected.assignedTo ? `担当: ${selected.assignedTo}` : '担当者'}
+                      className="flex-1 bg-gray-700 text-white rounded px-2 py-1 text-sm"
+                    />
+                    <button
+                      onClick={handleAssign}
+                      disabled={!assignee.trim()}
+                      className="px-3 py-1 rounded text-white text-sm bg-gray-600 hover:bg-gray-500 disabled:opacity-50"
+                    >
+                      割当
+                    </button>
+                  </div>
+                  <div className="flex items-center justify-end space-x-2">
+                    {selected.status === 'OPEN' && (
+                      <button
+                        onClick={() => handleTransition('acknowledge')}
+                        className="px-3 py-1 rounded text-white text-sm bg-amber-600 hover:bg-amber-700"
+                      >
+                        受領
+                      </button>
+                    )}
+                    {selected.status === 'ACKNOWLEDGED' && (
+                      <button
+                        onClick={() => handleTransition('respond')}
+                        className="px-3 py-1 rounded text-white text-sm bg-blue-600 hover:bg-blue-700"
+                      >
+                        対応開始
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleTransition('close')}
+                      className="px-3 py-1 rounded text-white text-sm bg-green-600 hover:bg-green-700"
+                    >
+                      終結
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default IncidentPanel;
@@ -1,14 +1,120 @@
-import React, { useEffect, useRef, useState } from 'react';
-import type { TranscriptionResult } from '../../types';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import websocketService from '../../services/websocketService';
+import { AUDIO_CHANNELS, getChannelLabel } from '../../services/audioChannels';
+import type { AudioClip, SpeakerRole, TranscriptionResult } from '../../types';
+
+// 管制官が指定できる話者の役割
+const SPEAKER_ROLES: SpeakerRole[] = ['VTS', 'VESSEL', 'PILOT', 'PORT'];
 
 interface TranscriptionDisplayProps {
   transcriptions: TranscriptionResult[];
+  hasMoreHistory?: boolean;
+  onLoadMoreHistory?: () => void;
 }
 
-const TranscriptionDisplay: React.FC<TranscriptionDisplayProps> = ({ transcriptions }) => {
+const TranscriptionDisplay: React.FC<TranscriptionDisplayProps> = ({
+  transcriptions,
+  hasMoreHistory = false,
+  onLoadMoreHistory
+}) => {
   const scrollRef = useRef<HTMLDivElement>(null);
   const [autoScroll, setAutoScroll] = useState(true);
   const [showScrollButton, setShowScrollButton] = useState(false);
+  const [playingKey, setPlayingKey] = useState<string | null>(null);
+  const [loadingKey, setLoadingKey] = useState<string | null>(null);
+  const [editingRoleIndex, setEditingRoleIndex] = useState<number | null>(null);
+  const audioRef = useRef<HTMLAudioElement | null>(null);
+  const requestedClipRef = useRef<TranscriptionResult | null>(null);
+
+  // 発話区間の識別キー（録音と開始位置）
+  const getClipKey = (transcript: TranscriptionResult) =>
+    `${transcript.recordingId}|${transcript.startTime}`;
+
+  const stopPlayback = () => {
+    audioRef.current?.pause();
+    audioRef.current = null;
+    setPlayingKey(null);
+  };
+
+  // 再生用URLを受け取ったら発話区間を再生
+  useEffect(() => {
+    const playClip = (clip: AudioClip) => {
+      const requested = requestedClipRef.current;
+      if (!requested || requested.recordingId !== clip.recordingId) {
+        return;
+      }
+      requestedClipRef.current = null;
+      setLoadingKey(null);
+
+      audioRef.current?.pause();
+      const audio = new Audio(clip.url);
+      const key = getClipKey(requested);
+      audioRef.current = audio;
+
+      audio.addEventListener('loadedmetadata', () => {
+        audio.currentTime = clip.startTime;
+        audio.play().catch(error => {
+          console.error('Failed to play audio clip:', error);
+          setPlayingKey(null);
+        });
+      });
+      audio.addEventListener('timeupdate', () => {
+        if (audio.currentTime >= clip.endTime) {
+          audio.pause();
+          setPlayingKey(current => (current === key ? null : current));
+        }
+      });
+      audio.addEventListener('ended', () => {
+        setPlayingKey(current => (current === key ? null : current));
+      });
+      setPlayingKey(key);
+    };
+
+    // 録音がまだ保存されていない等で発行できなかった場合
+    const handleError = (message: { type?: string }) => {
+      if (message.type === 'error' && requestedClipRef.current) {
+        requestedClipRef.current = null;
+        setLoadingKey(null);
+      }
+    };
+
+    const unsubscribeClip = websocketService.on('audioClip', playClip);
+    const unsubscribeMessage = websocketService.on('message', handleError);
+    return () => {
+      unsubscribeClip();
+      unsubscribeMessage();
+      audioRef.current?.pause();
+    };
+  }, []);
+
+  const handlePlay = (transcript: TranscriptionResult) => {
+    const key = getClipKey(transcript);
+    if (playingKey === key) {
+      stopPlayback();
+      return;
+    }
+
+    requestedClipRef.current = transcript;
+    setLoadingKey(key);
+    websocketService.getAudioClip({
+      sessionId: transcript.sessionId!,
+      recordingId: transcript.recordingId!,
+      startTime: transcript.startTime!,
+      endTime: transcript.endTime!,
+    });
+  };
+
+  // 話者の役割の指定（同じセッション・話者の以降の発話にも適用される）
+  const handleRoleChange = (transcript: TranscriptionResult, role: SpeakerRole) => {
+    setEditingRoleIndex(null);
+    if (transcript.sessionId && transcript.speaker && role !== transcript.speakerLabel) {
+      websocketService.setSpeakerRole(transcript.sessionId, transcript.speaker, role);
+    }
+  };
+
+  const canPlay = (transcript: TranscriptionResult) =>
+    !transcript.isPartial && Boolean(transcript.sessionId && transcript.recordingId)
+      && transcript.startTime !== undefined && transcript.endTime !== undefined;
 
   // 新しい文字起こしが追加されたら自動スクロール
   useEffect(() => {
@@ -63,6 +169,133 @@ const TranscriptionDisplay: React.FC<TranscriptionDisplayProps> = ({ transcripti
     return 'text-orange-400';
   };
 
+  // 音声チャンネルごとのレーン（設定済みのチャンネルと、履歴等に含まれるチャンネル）
+  // チャンネルを使わない1系統の入力のみの場合はレーンに分けない
+  const lanes = useMemo(() => {
+    const names = AUDIO_CHANNELS.map(channel => channel.name);
+    transcriptions.forEach(transcript => {
+      const name = transcript.channel || '';
+      if (!names.includes(name)) {
+        names.push(name);
+      }
+    });
+    return names.length === 1 && names[0] === '' ? [] : names;
+  }, [transcriptions]);
+
+  // 1件の文字起こし（indexは全体の並び順、役割の編集状態の識別に使用）
+  const renderTranscript = (transcript: TranscriptionResult, index: number) => (
+    <div
+      key={index}
+      className={`p-3 rounded-lg transition-all duration-300 ${
+        transcript.isPartial
+          ? 'bg-gray-800 border border-gray-700 opacity-80'
+          : 'bg-gray-800 border border-blue-600 hover:border-blue-500'
+      }`}
+    >
+      {/* ヘッダー */}
+      <div className="flex justify-between items-start mb-2">
+        <div className="flex items-center space-x-2">
+          <span className="text-xs text-gray-400">
+            {new Date(transcript.timestamp).toLocaleTimeString('ja-JP', {
+              hour: '2-digit',
+              minute: '2-digit',
+              second: '2-digit'
+            })}
+          </span>
+          {editingRoleIndex === index ? (
+            <select
+              autoFocus
+              value={transcript.speakerLabel}
+              onChange={(event) => handleRoleChange(transcript, event.target.value as SpeakerRole)}
+              onBlur={() => setEditingRoleIndex(null)}
+              className="text-xs px-1 py-1 rounded bg-gray-700 text-white"
+            >
+              {SPEAKER_ROLES.map(role => (
+                <option key={role} value={role}>{role}</option>
+              ))}
+            </select>
+          ) : transcript.speakerLabel && (
+            <button
+              type="button"
+              onClick={() => transcript.speaker && transcript.sessionId && setEditingRoleIndex(index)}
+              className={`text-xs px-2 py-1 rounded text-white ${getSpeakerColor(transcript.speakerLabel)}`}
+              title={transcript.speaker
+                ? `話者 ${transcript.speaker}（クリックで役割を変更）`
+                : '話者ラベルなし'}
+            >
+              {transcript.speakerLabel}
+              {transcript.speakerRoleSource === 'operator' && ' ✎'}
+            </button>
+          )}
+          {transcript.languageCode?.startsWith('en') && (
+            <span className="text-xs px-2 py-1 rounded bg-indigo-700 text-white" title={transcript.languageCode}>
+              EN
+            </span>
+          )}
+          {/* SMCPのメッセージマーカー（非標準の表現がある場合は黄色、内容はツールチップ） */}
+          {transcript.smcp?.markers.map(marker => (
+            <span
+              key={marker}
+              className={`text-xs px-2 py-1 rounded bg-gray-700 ${
+                transcript.smcp!.issues.some(issue => issue.severity === 'warning') ? 'text-yellow-400' : 'text-gray-300'
+              }`}
+              title={transcript.smcp!.issues.map(issue => `${issue.message}: ${issue.text}`).join('\n') || 'SMCP準拠'}
+            >
+              {marker}
+            </span>
+          ))}
+          {transcript.vesselInfo && (
+            <span
+              className="text-xs px-2 py-1 rounded bg-gray-700 text-cyan-300"
+              title={`MMSI: ${transcript.vesselInfo.mmsi}`}
+            >
+              🚢 {transcript.vesselInfo.name}
+              {transcript.vesselInfo.callSign && ` (${transcript.vesselInfo.callSign})`}
+            </span>
+          )}
+        </div>
+        <div className="flex items-center space-x-2">
+          {canPlay(transcript) && (
+            <button
+              onClick={() => handlePlay(transcript)}
+              disabled={loadingKey === getClipKey(transcript)}
+              className="text-xs px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white disabled:opacity-50"
+              title="録音を再生（録音はセッション停止後に再生できます）"
+            >
+              {loadingKey === getClipKey(transcript)
+                ? '…'
+                : playingKey === getClipKey(transcript) ? '■ 停止' : '▶ 再生'}
+            </button>
+          )}
+          <span className={`text-xs ${getConfidenceColor(transcript.confidence)}`}>
+            {(transcript.confidence * 100).toFixed(0)}%
+          </span>
+          {transcript.isPartial && (
+            <span className="flex items-center text-xs text-yellow-500">
+              <span className="w-2 h-2 bg-yellow-500 rounded-full mr-1 animate-pulse" />
+              認識中
+            </span>
+          )}
+        </div>
+      </div>
+
+      {/* 文字起こしテキスト */}
+      <p className={`text-white leading-relaxed ${
+        transcript.isPartial ? 'italic opacity-90' : ''
+      }`}>
+        {transcript.transcriptText}
+      </p>
+      {transcript.corrections && transcript.corrections.length > 0 && transcript.rawTranscriptText && (
+        <p
+          className="mt-1 text-xs text-gray-500"
+          title={transcript.corrections.map(correction => `${correction.from} → ${correction.to}`).join('\n')}
+        >
+          補正前: {transcript.rawTranscriptText}
+        </p>
+      )}
+    </div>
+  );
+
   return (
     <div className="bg-gray-900 rounded-lg p-4 h-96 relative">
       <div className="flex justify-between items-center mb-4">
@@ -107,52 +340,36 @@ const TranscriptionDisplay: React.FC<TranscriptionDisplayProps> = ({ transcripti
           </div>
         ) : (
           <>
-            {transcriptions.map((transcript, index) => (
+            {/* 過去の履歴の読み込み */}
+            {hasMoreHistory && onLoadMoreHistory && (
+              <div className="text-center py-1">
+                <button
+                  onClick={onLoadMoreHistory}
+                  className="text-xs text-blue-400 hover:text-blue-300"
+                >
+                  過去の履歴を読み込む
+                </button>
+              </div>
+            )}
+            {lanes.length > 0 ? (
               <div
-                key={index}
-                className={`p-3 rounded-lg transition-all duration-300 ${
-                  transcript.isPartial
-                    ? 'bg-gray-800 border border-gray-700 opacity-80'
-                    : 'bg-gray-800 border border-blue-600 hover:border-blue-500'
-                }`}
+                className="grid gap-2"
+                style={{ gridTemplateColumns: `repeat(${lanes.length}, minmax(0, 1fr))` }}
               >
-                {/* ヘッダー */}
-                <div className="flex justify-between items-start mb-2">
-                  <div className="flex items-center space-x-2">
-                    <span className="text-xs text-gray-400">
-                      {new Date(transcript.timestamp).toLocaleTimeString('ja-JP', {
-                        hour: '2-digit',
-                        minute: '2-digit',
-                        second: '2-digit'
-                      })}
-                    </span>
-                    {transcript.speakerLabel && (
-                      <span className={`text-xs px-2 py-1 rounded text-white ${getSpeakerColor(transcript.speakerLabel)}`}>
-                        {transcript.speakerLabel}
-                      </span>
-                    )}
-                  </div>
-                  <div className="flex items-center space-x-2">
-                    <span className={`text-xs ${getConfidenceColor(transcript.confidence)}`}>
-                      {(transcript.confidence * 100).toFixed(0)}%
-                    </span>
-                    {transcript.isPartial && (
-                      <span className="flex items-center text-xs text-yellow-500">
-                        <span className="w-2 h-2 bg-yellow-500 rounded-full mr-1 animate-pulse" />
-                        認識中
-                      </span>
-                    )}
+                {lanes.map(lane => (
+                  <div key={lane} className="space-y-2 min-w-0">
+                    <div className="sticky top-0 z-10 bg-gray-900 py-1 text-xs font-semibold text-cyan-300 border-b border-gray-700">
+                      📻 {getChannelLabel(lane)}
+                    </div>
+                    {transcriptions.map((transcript, index) => (
+                      (transcript.channel || '') === lane ? renderTranscript(transcript, index) : null
+                    ))}
                   </div>
-                </div>
-                
-                {/* 文字起こしテキスト */}
-                <p className={`text-white leading-relaxed ${
-                  transcript.isPartial ? 'italic opacity-90' : ''
-                }`}>
-                  {transcript.transcriptText}
-                </p>
+                ))}
               </div>
-            ))}
+            ) : (
+              transcriptions.map(renderTranscript)
+            )}
             
             {/* 自動スクロールインジケーター */}
             {autoScroll && transcriptions.length > 0 && (
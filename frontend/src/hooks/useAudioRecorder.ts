@@ -8,7 +8,18 @@ interface UseAudioRecorderReturn {
   error: string | null;
 }
 
-export const useAudioRecorder = (onAudioData: (data: string) => void): UseAudioRecorderReturn => {
+// 入力デバイスの指定（複数チャンネル監視時）
+// deviceId: 使用する入力デバイス / stereoSide: ステレオ入力の左右どちらを取り出すか
+interface AudioInputOptions {
+  deviceId?: string;
+  stereoSide?: 'left' | 'right';
+}
+
+export const useAudioRecorder = (
+  onAudioData: (data: ArrayBuffer, sampleRate: number) => void,
+  options: AudioInputOptions = {}
+): UseAudioRecorderReturn => {
+  const { deviceId, stereoSide } = options;
   const [isRecording, setIsRecording] = useState(false);
   const [audioLevel, setAudioLevel] = useState(0);
   const [error, setError] = useState<string | null>(null);
@@ -50,12 +61,15 @@ export const useAudioRecorder = (onAudioData: (data: string) => void): UseAudioR
       console.log('音声録音を開始します（PCM形式 - AudioWorklet）...');
       
       // マイクへのアクセス許可を取得（エコーキャンセレーション設定を最適化）
+      // ステレオ分離時は左右の音声が混ざらないよう音声処理を無効にする
+      const stereo = Boolean(stereoSide);
       const stream = await navigator.mediaDevices.getUserMedia({ 
         audio: {
-          echoCancellation: true,    // エコーキャンセレーション有効
-          noiseSuppression: true,    // ノイズ抑制有効
-          autoGainControl: true,     // 自動ゲイン制御有効
-          channelCount: 1,
+          deviceId: deviceId ? { exact: deviceId } : undefined,
+          echoCancellation: !stereo,    // エコーキャンセレーション有効
+          noiseSuppression: !stereo,    // ノイズ抑制有効
+          autoGainControl: !stereo,     // 自動ゲイン制御有効
+          channelCount: stereo ? 2 : 1,
           sampleRate: 16000
         } 
       });
@@ -89,13 +103,25 @@ export const useAudioRecorder = (onAudioData: (data: string) => void): UseAudioR
       // メディアストリームから音声ソースを作成
       const source = audioContextRef.current.createMediaStreamSource(stream);
       console.log('MediaStreamSource created, stream active:', stream.active, 'tracks:', stream.getTracks().map(t => ({ kind: t.kind, enabled: t.enabled, readyState: t.readyState })));
+
+      // ステレオ入力の片側（左: 0 / 右: 1）だけをモノラルとして取り出す
+      let input: AudioNode = source;
+      if (stereoSide) {
+        const splitter = audioContextRef.current.createChannelSplitter(2);
+        const mono = audioContextRef.current.createGain();
+        mono.channelCount = 1;
+        mono.channelCountMode = 'explicit';
+        source.connect(splitter);
+        splitter.connect(mono, stereoSide === 'left' ? 0 : 1);
+        input = mono;
+      }
       
       // 音声レベル監視用アナライザー
       analyserRef.current = audioContextRef.current.createAnalyser();
       analyserRef.current.fftSize = 256;
       analyserRef.current.smoothingTimeConstant = 0.8;
       console.log('Analyser created, connecting source...');
-      source.connect(analyserRef.current);
+      input.connect(analyserRef.current);
       console.log('Source connected to analyser successfully');
       
       // AudioWorkletNode を作成
@@ -116,18 +142,17 @@ export const useAudioRecorder = (onAudioData: (data: string) => void): UseAudioR
           
           console.log('PCMデータを処理開始:', pcmData.length, 'samples');
           
-          // PCMデータをBase64に変換して送信
-          const uint8Array = new Uint8Array(pcmData.buffer);
-          const base64 = btoa(String.fromCharCode(...uint8Array));
+          // PCMデータ（Int16）をそのまま送信（エンコードは送信側で行う）
+          const sampleRate = audioContextRef.current?.sampleRate ?? 16000;
           
-          console.log('PCMデータを送信:', uint8Array.length, 'bytes', 'サンプルレート:', audioContextRef.current?.sampleRate);
-          onAudioData(base64);
+          console.log('PCMデータを送信:', pcmData.byteLength, 'bytes', 'サンプルレート:', sampleRate);
+          onAudioData(pcmData.buffer, sampleRate);
         }
       };
       
       // 音声処理チェーンを接続
       console.log('CRITICAL: Connecting audio source to AudioWorklet...');
-      source.connect(workletRef.current);
+      input.connect(workletRef.current);
       console.log('CRITICAL: Audio source connected to AudioWorklet successfully');
       
       setIsRecording(true);
@@ -158,7 +183,7 @@ export const useAudioRecorder = (onAudioData: (data: string) => void): UseAudioR
         setError(`録音開始エラー: ${errorMessage}`);
       }
     }
-  }, [onAudioData, updateAudioLevel]);
+  }, [onAudioData, updateAudioLevel, deviceId, stereoSide]);
 
   const stopRecording = useCallback(() => {
     console.log('PCM録音を停止します（AudioWorklet）...');
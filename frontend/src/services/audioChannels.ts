@@ -0,0 +1,39 @@
+import type { AudioChannelConfig } from '../types';
+
+// バックエンド（TranscribeSessionStore）と同じチャンネル名の制約
+const CHANNEL_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+// VITE_AUDIO_CHANNELS: 同時に監視する音声チャンネル（カンマ区切り）
+// 例: "ch16,ch12"（チャンネルごとに入力デバイスを選択） / "ch16:left,ch12:right"（ステレオ入力の左右を分離）
+// 未設定の場合はチャンネルを指定しない1系統の入力
+export const parseAudioChannels = (value: string | undefined): AudioChannelConfig[] => {
+  if (!value) {
+    return [];
+  }
+
+  return value.split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry.length > 0)
+    .flatMap((entry): AudioChannelConfig[] => {
+      const [name, side] = entry.split(':').map(part => part.trim());
+      if (!CHANNEL_PATTERN.test(name)) {
+        console.warn('Invalid audio channel name:', name);
+        return [];
+      }
+      return [{
+        name,
+        label: name.toUpperCase(),
+        stereoSide: side === 'left' || side === 'right' ? side : undefined,
+      }];
+    });
+};
+
+export const AUDIO_CHANNELS = parseAudioChannels(import.meta.env.VITE_AUDIO_CHANNELS);
+
+// 文字起こしに付与されたチャンネル名の表示名
+export const getChannelLabel = (channel?: string | null): string => {
+  if (!channel) {
+    return '既定';
+  }
+  return AUDIO_CHANNELS.find(config => config.name === channel)?.label ?? channel.toUpperCase();
+};
@@ -0,0 +1,62 @@
+import type { AudioCodec, AudioFrameHeader } from '../types';
+
+// バックエンド（shared/audio-frame.js）と同じフレーム構造
+// 0-1: "VA" / 2: バージョン / 3: コーデック / 4-7: シーケンス番号 / 8-11: サンプリングレート
+// 12: フラグ（bit0: 最終チャンク, bit1: チャンネル名あり） / 13: セッションID長 / 14-: セッションID
+// （bit1の場合）チャンネル名長 + チャンネル名 / 以降: 音声データ
+const FRAME_VERSION = 1;
+const HEADER_SIZE = 14;
+
+const FLAG_LAST_CHUNK = 0x01;
+const FLAG_CHANNEL = 0x02;
+
+const CODEC_IDS: Record<AudioCodec, number> = {
+  pcm: 0,
+  'ogg-opus': 1,
+  flac: 2,
+};
+
+const textEncoder = new TextEncoder();
+
+export const encodeAudioFrame = (audio: ArrayBuffer, header: AudioFrameHeader): ArrayBuffer => {
+  const sessionId = textEncoder.encode(header.sessionId || '');
+  if (sessionId.length > 255) {
+    throw new Error('Session id is too long for an audio frame');
+  }
+
+  const channel = textEncoder.encode(header.channel || '');
+  if (channel.length > 255) {
+    throw new Error('Channel name is too long for an audio frame');
+  }
+  const channelHeaderSize = channel.length > 0 ? 1 + channel.length : 0;
+
+  const frame = new Uint8Array(HEADER_SIZE + sessionId.length + channelHeaderSize + audio.byteLength);
+  const view = new DataView(frame.buffer);
+
+  frame[0] = 0x56; // 'V'
+  frame[1] = 0x41; // 'A'
+  view.setUint8(2, FRAME_VERSION);
+  view.setUint8(3, CODEC_IDS[header.codec]);
+  view.setUint32(4, header.sequenceNumber >>> 0);
+  view.setUint32(8, header.sampleRate);
+  view.setUint8(12, (header.isLastChunk ? FLAG_LAST_CHUNK : 0) | (channel.length > 0 ? FLAG_CHANNEL : 0));
+  view.setUint8(13, sessionId.length);
+  frame.set(sessionId, HEADER_SIZE);
+  if (channel.length > 0) {
+    view.setUint8(HEADER_SIZE + sessionId.length, channel.length);
+    frame.set(channel, HEADER_SIZE + sessionId.length + 1);
+  }
+  frame.set(new Uint8Array(audio), HEADER_SIZE + sessionId.length + channelHeaderSize);
+
+  return frame.buffer;
+};
+
+// JSON送信（互換モード）用のBase64変換
+export const arrayBufferToBase64 = (buffer: ArrayBuffer): string => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
@@ -0,0 +1,29 @@
+// WebSocket接続（$connect）で検証されるJWT
+// 1. ログイン画面（Cognito Hosted UI等）からのリダイレクトで URL のフラグメントに付与されたトークン（#id_token=... / #token=...）
+// 2. 同じタブで取得済みのトークン（sessionStorage）
+// 3. VITE_AUTH_TOKEN（ローカル開発サーバーの GET /dev/token で発行した開発用トークン等）
+const AUTH_TOKEN_STORAGE_KEY = 'vts.authToken';
+
+export const getAuthToken = (): string | null => {
+  const fragment = new URLSearchParams(window.location.hash.slice(1));
+  const redirected = fragment.get('id_token') || fragment.get('token');
+  if (redirected) {
+    sessionStorage.setItem(AUTH_TOKEN_STORAGE_KEY, redirected);
+    // トークンを履歴・画面共有に残さない
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    return redirected;
+  }
+
+  return sessionStorage.getItem(AUTH_TOKEN_STORAGE_KEY) || import.meta.env.VITE_AUTH_TOKEN || null;
+};
+
+// 接続URLにトークンを付与（ブラウザはWebSocketのヘッダーを指定できないためクエリパラメータで渡す）
+export const withAuthToken = (url: string): string => {
+  const token = getAuthToken();
+  if (!token) {
+    return url;
+  }
+
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}token=${encodeURIComponent(token)}`;
+};
@@ -0,0 +1,184 @@
+// PCM（Int16）をWebCodecsでOpusにエンコードし、Transcribeが受け付けるOGGコンテナのページとして出力する
+// ブラウザ側で圧縮することで衛星・携帯回線でも送信量を抑える（16kHzモノラルで約24kbps）
+
+const OPUS_GRANULE_RATE = 48000; // OGG/Opusのグラニュール位置は常に48kHz単位
+const OPUS_PRE_SKIP = 312;
+const DEFAULT_BITRATE = 24000;
+
+// OGGページのCRC32（多項式 0x04C11DB7, 反転なし）
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i << 24;
+    for (let j = 0; j < 8; j++) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+    }
+    table[i] = crc >>> 0;
+  }
+  return table;
+})();
+
+const oggCrc = (data: Uint8Array): number => {
+  let crc = 0;
+  for (let i = 0; i < data.length; i++) {
+    crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ data[i]) & 0xff]) >>> 0;
+  }
+  return crc;
+};
+
+const HEADER_TYPE = {
+  BEGIN_OF_STREAM: 0x02,
+  END_OF_STREAM: 0x04,
+};
+
+export class OggOpusEncoder {
+  private encoder: AudioEncoder | null = null;
+  private readonly serialNumber = Math.floor(Math.random() * 0xffffffff) >>> 0;
+  private pageSequence = 0;
+  private granulePosition = 0;
+  private timestampUs = 0;
+  private headersWritten = false;
+  private readonly sampleRate: number;
+  private readonly onPage: (page: ArrayBuffer) => void;
+  private readonly bitrate: number;
+
+  constructor(sampleRate: number, onPage: (page: ArrayBuffer) => void, bitrate = DEFAULT_BITRATE) {
+    this.sampleRate = sampleRate;
+    this.onPage = onPage;
+    this.bitrate = bitrate;
+  }
+
+  static async isSupported(sampleRate: number): Promise<boolean> {
+    if (typeof AudioEncoder === 'undefined') {
+      return false;
+    }
+    try {
+      const { supported } = await AudioEncoder.isConfigSupported({
+        codec: 'opus',
+        sampleRate,
+        numberOfChannels: 1,
+        bitrate: DEFAULT_BITRATE,
+      });
+      return Boolean(supported);
+    } catch {
+      return false;
+    }
+  }
+
+  start() {
+    this.encoder = new AudioEncoder({
+      output: (chunk) => this.handleChunk(chunk),
+      error: (error) => console.error('Opus encoder error:', error),
+    });
+    this.encoder.configure({
+      codec: 'opus',
+      sampleRate: this.sampleRate,
+      numberOfChannels: 1,
+      bitrate: this.bitrate,
+    });
+
+    // OpusHead / OpusTags ヘッダーページ（ストリームの先頭に必須）
+    this.writePage(this.createOpusHead(), 0, HEADER_TYPE.BEGIN_OF_STREAM);
+    this.writePage(this.createOpusTags(), 0, 0);
+    this.headersWritten = true;
+  }
+
+  encode(pcm: Int16Array) {
+    if (!this.encoder || this.encoder.state !== 'configured' || pcm.length === 0) {
+      return;
+    }
+
+    const audioData = new AudioData({
+      format: 's16',
+      sampleRate: this.sampleRate,
+      numberOfFrames: pcm.length,
+      numberOfChannels: 1,
+      timestamp: this.timestampUs,
+      data: pcm,
+    });
+    this.timestampUs += Math.round((pcm.length / this.sampleRate) * 1_000_000);
+
+    this.encoder.encode(audioData);
+    audioData.close();
+  }
+
+  async stop() {
+    if (!this.encoder) {
+      return;
+    }
+
+    try {
+      if (this.encoder.state === 'configured') {
+        await this.encoder.flush();
+      }
+    } finally {
+      this.encoder.close();
+      this.encoder = null;
+    }
+
+    // 空のEOSページでストリームを終了
+    if (this.headersWritten) {
+      this.writePage(new Uint8Array(0), this.granulePosition, HEADER_TYPE.END_OF_STREAM);
+    }
+  }
+
+  private handleChunk(chunk: EncodedAudioChunk) {
+    const packet = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(packet);
+
+    const durationUs = chunk.duration ?? 20_000;
+    this.granulePosition += Math.round((durationUs * OPUS_GRANULE_RATE) / 1_000_000);
+    this.writePage(packet, this.granulePosition, 0);
+  }
+
+  private createOpusHead(): Uint8Array {
+    const head = new Uint8Array(19);
+    const view = new DataView(head.buffer);
+    head.set(new TextEncoder().encode('OpusHead'), 0);
+    view.setUint8(8, 1); // バージョン
+    view.setUint8(9, 1); // チャンネル数
+    view.setUint16(10, OPUS_PRE_SKIP, true);
+    view.setUint32(12, this.sampleRate, true);
+    view.setInt16(16, 0, true); // 出力ゲイン
+    view.setUint8(18, 0); // チャンネルマッピング
+    return head;
+  }
+
+  private createOpusTags(): Uint8Array {
+    const vendor = new TextEncoder().encode('maritime-vts-ai');
+    const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+    const view = new DataView(tags.buffer);
+    tags.set(new TextEncoder().encode('OpusTags'), 0);
+    view.setUint32(8, vendor.length, true);
+    tags.set(vendor, 12);
+    view.setUint32(12 + vendor.length, 0, true); // ユーザーコメント数
+    return tags;
+  }
+
+  // 1パケットを1ページとして書き出し（255バイトごとのセグメントに分割）
+  private writePage(packet: Uint8Array, granulePosition: number, headerType: number) {
+    const segments: number[] = [];
+    let remaining = packet.length;
+    while (remaining >= 255) {
+      segments.push(255);
+      remaining -= 255;
+    }
+    segments.push(remaining);
+
+    const page = new Uint8Array(27 + segments.length + packet.length);
+    const view = new DataView(page.buffer);
+    page.set(new TextEncoder().encode('OggS'), 0);
+    view.setUint8(4, 0); // バージョン
+    view.setUint8(5, headerType);
+    view.setBigUint64(6, BigInt(granulePosition), true);
+    view.setUint32(14, this.serialNumber, true);
+    view.setUint32(18, this.pageSequence++, true);
+    view.setUint32(22, 0, true); // CRC（計算後に設定）
+    view.setUint8(26, segments.length);
+    page.set(segments, 27);
+    page.set(packet, 27 + segments.length);
+    view.setUint32(22, oggCrc(page), true);
+
+    this.onPage(page.buffer);
+  }
+}
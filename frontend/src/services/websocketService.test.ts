@@ -0,0 +1,148 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const sockets = vi.hoisted(() => [] as FakeSocket[]);
+
+interface FakeSocket {
+  readyState: number;
+  sent: (string | ArrayBuffer)[];
+  onopen?: () => void;
+  onclose?: () => void;
+  onmessage?: (event: { data: string }) => void;
+}
+
+vi.mock('reconnecting-websocket', () => ({
+  default: class {
+    readyState = 1;
+    sent: (string | ArrayBuffer)[] = [];
+
+    constructor() {
+      sockets.push(this);
+    }
+
+    send(data: string | ArrayBuffer) {
+      this.sent.push(data);
+    }
+
+    close() {}
+  },
+}));
+
+vi.mock('./authToken', () => ({ withAuthToken: (url: string) => url }));
+
+const { default: websocketService, RequestError } = await import('./websocketService');
+
+describe('websocketService.request', () => {
+  let socket: FakeSocket;
+
+  // サーバーからの受信
+  const receive = (data: object) => socket.onmessage!({ data: JSON.stringify(data) });
+  const lastRequestId = () => JSON.parse(socket.sent[socket.sent.length - 1] as string).requestId as string;
+
+  beforeEach(() => {
+    vi.stubGlobal('WebSocket', { OPEN: 1 });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    websocketService.connect('ws://localhost:8080');
+    socket = sockets[sockets.length - 1];
+  });
+
+  afterEach(() => {
+    websocketService.disconnect();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  it('should send the action with a requestId and resolve on ack with the related messages', async () => {
+    const result = websocketService.request('message', { text: 'test' });
+    const requestId = lastRequestId();
+
+    expect(JSON.parse(socket.sent[0] as string)).toMatchObject({ action: 'message', payload: { text: 'test' }, requestId });
+
+    receive({ type: 'messageReceived', requestId });
+    receive({ type: 'aiResponse', requestId: 'other' });
+    receive({ type: 'ack', requestId, action: 'message' });
+
+    await expect(result).resolves.toEqual({
+      requestId,
+      action: 'message',
+      messages: [expect.objectContaining({ type: 'messageReceived' })],
+    });
+  });
+
+  it('should reject with the nack', async () => {
+    const result = websocketService.request('getIncident', { incidentId: 'INC-1' });
+    const nack = { type: 'nack', requestId: lastRequestId(), action: 'getIncident', statusCode: 403, error: 'Forbidden' };
+
+    receive(nack);
+
+    await expect(result).rejects.toBeInstanceOf(RequestError);
+    await expect(result).rejects.toMatchObject({ message: 'Forbidden', action: 'getIncident', nack });
+  });
+
+  it('should reject when no response arrives before the timeout', async () => {
+    vi.useFakeTimers();
+    const result = websocketService.request('ping', {}, { timeout: 1000 });
+    const requestId = lastRequestId();
+
+    vi.advanceTimersByTime(1000);
+    receive({ type: 'ack', requestId, action: 'ping' });
+
+    await expect(result).rejects.toMatchObject({ message: 'Request timed out after 1000ms', requestId });
+  });
+
+  it('should reject pending requests when the connection closes', async () => {
+    const result = websocketService.request('getAlerts', {});
+
+    socket.onclose!();
+
+    await expect(result).rejects.toMatchObject({ message: 'WebSocket disconnected', action: 'getAlerts' });
+  });
+
+  it('should reject immediately when not connected', async () => {
+    socket.readyState = 3;
+
+    await expect(websocketService.request('ping', {})).rejects.toMatchObject({ message: 'WebSocket is not connected' });
+    expect(socket.sent).toHaveLength(0);
+  });
+});
+
+describe('websocketService.sendAudioData', () => {
+  let socket: FakeSocket;
+
+  const receive = (data: object) => socket.onmessage!({ data: JSON.stringify(data) });
+
+  beforeEach(() => {
+    vi.stubGlobal('WebSocket', { OPEN: 1 });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    websocketService.connect('ws://localhost:8080');
+    socket = sockets[sockets.length - 1];
+    receive({ type: 'status', message: 'Transcription started', sessionId: 'TRANS-1', channel: 'ch16', codec: 'pcm' });
+  });
+
+  afterEach(() => {
+    websocketService.disconnect();
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  it('should resend a frame the server did not deliver, up to the attempt limit', () => {
+    websocketService.sendAudioData(new ArrayBuffer(4), 16000, 'pcm', 'ch16');
+    const frame = socket.sent[0];
+
+    for (let attempt = 0; attempt < 4; attempt++) {
+      receive({ type: 'error', code: 'audioNotDelivered', channel: 'ch16', sessionId: 'TRANS-1', sequenceNumber: 0, retryable: true });
+    }
+
+    expect(socket.sent).toHaveLength(4);
+    expect(socket.sent.slice(1)).toEqual([frame, frame, frame]);
+  });
+
+  it('should not resend frames of another session', () => {
+    websocketService.sendAudioData(new ArrayBuffer(4), 16000, 'pcm', 'ch16');
+
+    receive({ type: 'error', code: 'audioNotDelivered', channel: 'ch16', sessionId: 'TRANS-0', sequenceNumber: 0, retryable: true });
+
+    expect(socket.sent).toHaveLength(1);
+  });
+});
@@ -1,10 +1,83 @@
 import ReconnectingWebSocket from 'reconnecting-websocket';
-import type { WebSocketMessage } from '../types';
+import type {
+  AudioClipRequest,
+  AudioCodec,
+  HistoryRequest,
+  IncidentStatus,
+  RequestNack,
+  RequestResult,
+  ServerMessage,
+  SpeakerRole,
+  TranscriptionLanguage,
+  WebSocketAction,
+  WebSocketMessage,
+  WebSocketPayloads,
+  WebSocketProtocol,
+} from '../types';
+import { encodeAudioFrame } from './audioFrame';
+import { withAuthToken } from './authToken';
+
+// セッション開始の確認前に保持する音声フレームの上限（超えた分は破棄）
+const MAX_PENDING_AUDIO_FRAMES = 500;
+
+// 再送のために保持する送信済みの音声フレーム数（チャンネルごと）
+const MAX_SENT_AUDIO_FRAMES = 100;
+
+// 文字起こしセッションに届かなかった音声フレームの再送回数の上限
+const MAX_AUDIO_RESEND_ATTEMPTS = 3;
+
+// 接続時に提示するサブプロトコル（新しい順、サーバーが対応する最新のものを選択）
+const PROTOCOLS: WebSocketProtocol[] = ['vts.v2', 'vts.v1'];
+
+// request() の既定のタイムアウト（AI推奨応答の生成を待つ message を含む）
+const DEFAULT_REQUEST_TIMEOUT_MS = 30000;
+
+// チャンネルを指定しない文字起こしのキー
+const DEFAULT_CHANNEL = '';
+
+// 音声チャンネルごとの文字起こしセッション
+interface ChannelSession {
+  sessionId: string | null;
+  codec: AudioCodec;
+  sequence: number;
+  // セッション開始の確認前に録音された音声（OGGのヘッダーページを失わないように保持）
+  pendingAudio: { data: ArrayBuffer; sampleRate: number; codec: AudioCodec }[];
+  // 送信済みの音声（シーケンス番号 → フレーム、サーバーが audioNotDelivered を返した場合に再送）
+  sentAudio: Map<number, { data: ArrayBuffer; sampleRate: number; codec: AudioCodec; attempts: number }>;
+}
+
+// request() の失敗（nack・タイムアウト・切断）
+export class RequestError extends Error {
+  requestId: string;
+  action: WebSocketAction;
+  // nack の場合のみ
+  nack?: RequestNack;
+
+  constructor(message: string, requestId: string, action: WebSocketAction, nack?: RequestNack) {
+    super(message);
+    this.name = 'RequestError';
+    this.requestId = requestId;
+    this.action = action;
+    this.nack = nack;
+  }
+}
+
+// 応答を待っている request()
+interface PendingRequest {
+  action: WebSocketAction;
+  messages: ServerMessage[];
+  resolve: (result: RequestResult) => void;
+  reject: (error: RequestError) => void;
+  timer: ReturnType<typeof setTimeout>;
+}
 
 class WebSocketService {
   private ws: ReconnectingWebSocket | null = null;
   private listeners: Map<string, Set<Function>> = new Map();
   private connectionId: string | null = null;
+  private channelSessions: Map<string, ChannelSession> = new Map();
+  private pendingRequests: Map<string, PendingRequest> = new Map();
+  private requestSequence = 0;
 
   connect(url: string) {
     if (this.ws?.readyState === WebSocket.OPEN) {
@@ -12,7 +85,8 @@ class WebSocketService {
       return;
     }
 
-    this.ws = new ReconnectingWebSocket(url, [], {
+    // 再接続のたびにトークンを取得し直す（期限切れ後に再ログインしたトークンを使う）
+    this.ws = new ReconnectingWebSocket(() => withAuthToken(url), PROTOCOLS, {
       maxRetries: 5,
       minReconnectionDelay: 3000,
       maxReconnectionDelay: 30000,
@@ -29,6 +103,8 @@ class WebSocketService {
       console.log('WebSocket disconnected');
       this.emit('disconnected');
       this.connectionId = null;
+      // 切断で応答を受け取れなくなった request() を失敗させる（再接続後に再送するかは呼び出し側が判断）
+      this.rejectPendingRequests('WebSocket disconnected');
     };
 
     this.ws.onerror = (error) => {
@@ -44,6 +120,20 @@ class WebSocketService {
         if (data.connectionId) {
           this.connectionId = data.connectionId;
         }
+
+        // 音声フレームのヘッダーに付与するセッションIDとネゴシエーションされたコーデック（チャンネルごと）
+        if (data.type === 'status' && data.message === 'Transcription started' && data.sessionId) {
+          const session = this.getChannelSession(data.channel);
+          session.sessionId = data.sessionId;
+          session.codec = data.codec || 'pcm';
+          this.emit('transcriptionStarted', {
+            sessionId: data.sessionId,
+            channel: data.channel ?? null,
+            codec: session.codec,
+            sampleRate: data.sampleRate,
+          });
+          this.flushPendingAudio(data.channel);
+        }
         
         this.emit('message', data);
         
@@ -51,6 +141,39 @@ class WebSocketService {
           this.emit('transcription', data.payload);
         } else if (data.type === 'aiResponse') {
           this.emit('aiResponse', data.payload);
+        } else if (data.type === 'aiResponsePartial') {
+          this.emit('aiResponsePartial', data.payload);
+        } else if (data.type === 'responseDecision') {
+          this.emit('responseDecision', data.payload);
+        } else if (data.type === 'history') {
+          this.emit('history', data.payload);
+        } else if (data.type === 'audioStats') {
+          this.emit('audioStats', data.payload);
+        } else if (data.type === 'audioClip') {
+          this.emit('audioClip', data.payload);
+        } else if (data.type === 'speakerRole') {
+          this.emit('speakerRole', data.payload);
+        } else if (data.type === 'incident') {
+          this.emit('incident', data.payload);
+        } else if (data.type === 'incidents') {
+          this.emit('incidents', data.payload);
+        } else if (data.type === 'alert') {
+          this.emit('alert', data.payload);
+        } else if (data.type === 'alertAcknowledged') {
+          this.emit('alertAcknowledged', data.payload);
+        } else if (data.type === 'alerts') {
+          this.emit('alerts', data.payload);
+        } else if (data.type === 'error' && data.code === 'rateLimited') {
+          this.emit('rateLimited', data);
+        } else if (data.type === 'error' && data.code === 'audioNotDelivered') {
+          this.resendAudio(data.channel, data.sessionId, data.sequenceNumber);
+        } else if (data.type === 'error' && data.code === 'validationFailed') {
+          console.warn(`WebSocket message rejected (${data.action}):`, data.errors);
+          this.emit('validationFailed', data);
+        }
+
+        if (data.requestId) {
+          this.settleRequest(data);
         }
       } catch (error) {
         console.error('Error parsing WebSocket message:', error);
@@ -104,6 +227,60 @@ class WebSocketService {
     }
   }
 
+  // requestId を付与して送信し、サーバーの ack で解決・nack で失敗する
+  // 結果には ack までに同じ requestId で受信したメッセージ（messageReceived, aiResponse 等）を含む
+  request<A extends WebSocketAction>(
+    action: A,
+    payload: WebSocketPayloads[A],
+    options: { timeout?: number } = {},
+  ): Promise<RequestResult> {
+    const requestId = `${Date.now().toString(36)}-${++this.requestSequence}`;
+
+    if (this.ws?.readyState !== WebSocket.OPEN) {
+      return Promise.reject(new RequestError('WebSocket is not connected', requestId, action));
+    }
+
+    return new Promise<RequestResult>((resolve, reject) => {
+      const timeout = options.timeout ?? DEFAULT_REQUEST_TIMEOUT_MS;
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        reject(new RequestError(`Request timed out after ${timeout}ms`, requestId, action));
+      }, timeout);
+
+      this.pendingRequests.set(requestId, { action, messages: [], resolve, reject, timer });
+      this.send({ action, payload, requestId, timestamp: new Date().toISOString() } as WebSocketMessage);
+    });
+  }
+
+  private settleRequest(data: ServerMessage) {
+    const requestId = data.requestId!;
+    const pending = this.pendingRequests.get(requestId);
+    if (!pending) {
+      return;
+    }
+
+    if (data.type === 'ack') {
+      clearTimeout(pending.timer);
+      this.pendingRequests.delete(requestId);
+      pending.resolve({ requestId, action: pending.action, messages: pending.messages });
+    } else if (data.type === 'nack') {
+      const nack = data as unknown as RequestNack;
+      clearTimeout(pending.timer);
+      this.pendingRequests.delete(requestId);
+      pending.reject(new RequestError(nack.error, requestId, pending.action, nack));
+    } else {
+      pending.messages.push(data);
+    }
+  }
+
+  private rejectPendingRequests(reason: string) {
+    this.pendingRequests.forEach((pending, requestId) => {
+      clearTimeout(pending.timer);
+      pending.reject(new RequestError(reason, requestId, pending.action));
+    });
+    this.pendingRequests.clear();
+  }
+
   sendPing() {
     this.send({
       action: 'ping',
@@ -112,35 +289,263 @@ class WebSocketService {
     });
   }
 
-  startTranscription() {
+  private getChannelSession(channel?: string | null): ChannelSession {
+    const key = channel || DEFAULT_CHANNEL;
+    let session = this.channelSessions.get(key);
+    if (!session) {
+      session = { sessionId: null, codec: 'pcm', sequence: 0, pendingAudio: [], sentAudio: new Map() };
+      this.channelSessions.set(key, session);
+    }
+    return session;
+  }
+
+  // codecs: 優先順のコーデック候補（サーバーが対応する最初のものを使用）
+  // channel: 音声チャンネル名（複数チャンネルを同時に文字起こしする場合）
+  // languageCode: 文字起こしの言語（auto は日本語・英語を発話ごとに識別）
+  startTranscription(options: { codecs?: AudioCodec[]; sampleRate?: number; channel?: string; languageCode?: TranscriptionLanguage } = {}) {
+    this.channelSessions.set(options.channel || DEFAULT_CHANNEL, {
+      sessionId: null,
+      codec: 'pcm',
+      sequence: 0,
+      pendingAudio: [],
+      sentAudio: new Map(),
+    });
     this.send({
       action: 'startTranscription',
       payload: {
-        languageCode: 'ja-JP',
-        vocabularyName: 'maritime-vts-vocabulary',
+        // カスタム語彙はサーバーの設定（TRANSCRIBE_VOCABULARY_NAME）で決まる
+        languageCode: options.languageCode ?? 'ja-JP',
+        codecs: options.codecs ?? ['pcm'],
+        sampleRateHertz: options.sampleRate ?? 16000,
+        channel: options.channel,
       },
       timestamp: new Date().toISOString(),
     });
   }
 
-  stopTranscription() {
+  stopTranscription(channel?: string) {
+    this.channelSessions.delete(channel || DEFAULT_CHANNEL);
     this.send({
       action: 'stopTranscription',
+      payload: { channel },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  getHistory(options: HistoryRequest = {}) {
+    this.send({
+      action: 'getHistory',
+      payload: options,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  getAudioClip(clip: AudioClipRequest) {
+    this.send({
+      action: 'getAudioClip',
+      payload: clip,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  setSpeakerRole(sessionId: string, speaker: string, role: SpeakerRole) {
+    this.send({
+      action: 'setSpeakerRole',
+      payload: { sessionId, speaker, role },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  approveResponse(responseId: string) {
+    this.send({
+      action: 'approveResponse',
+      payload: { responseId },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  editResponse(responseId: string, text: string) {
+    this.send({
+      action: 'editResponse',
+      payload: { responseId, text },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  rejectResponse(responseId: string, reason?: string) {
+    this.send({
+      action: 'rejectResponse',
+      payload: { responseId, reason },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  // 未受領の警報（接続時に取得して他の管制卓で発生した警報を表示）
+  getAlerts() {
+    this.send({
+      action: 'getAlerts',
       payload: {},
       timestamp: new Date().toISOString(),
     });
   }
 
-  sendAudioData(audioData: ArrayBuffer) {
+  // インシデント一覧（status 省略時は対応中のすべて）
+  getIncidents(status?: IncidentStatus) {
+    this.send({
+      action: 'getIncidents',
+      payload: { status },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  getIncident(incidentId: string) {
+    this.send({
+      action: 'getIncident',
+      payload: { incidentId },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  acknowledgeIncident(incidentId: string, note?: string) {
+    this.send({
+      action: 'acknowledgeIncident',
+      payload: { incidentId, note },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  respondToIncident(incidentId: string, note?: string) {
+    this.send({
+      action: 'respondToIncident',
+      payload: { incidentId, note },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  // 終結（note は対応結果として記録）
+  closeIncident(incidentId: string, note?: string) {
+    this.send({
+      action: 'closeIncident',
+      payload: { incidentId, note },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  assignIncident(incidentId: string, assignee: string) {
+    this.send({
+      action: 'assignIncident',
+      payload: { incidentId, assignee },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  addIncidentNote(incidentId: string, text: string) {
+    this.send({
+      action: 'addIncidentNote',
+      payload: { incidentId, text },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  sendAisData(sentences: string[]) {
+    this.send({
+      action: 'aisData',
+      payload: {
+        sentences,
+        source: 'live',
+      },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  // 音声データをヘッダー付きバイナリフレームで送信
+  // セッション開始の確認前は保持し、確認後にシーケンス順で送信する
+  sendAudioData(audioData: ArrayBuffer, sampleRate = 16000, codec: AudioCodec = 'pcm', channel?: string) {
+    const session = this.getChannelSession(channel);
+    if (!session.sessionId) {
+      if (session.pendingAudio.length < MAX_PENDING_AUDIO_FRAMES) {
+        session.pendingAudio.push({ data: audioData, sampleRate, codec });
+      }
+      return;
+    }
+
     if (this.ws?.readyState === WebSocket.OPEN) {
-      this.ws.send(audioData);
+      const sequenceNumber = session.sequence++;
+      this.ws.send(encodeAudioFrame(audioData, {
+        sessionId: session.sessionId,
+        sequenceNumber,
+        sampleRate,
+        codec,
+        channel,
+      }));
+
+      session.sentAudio.set(sequenceNumber, { data: audioData, sampleRate, codec, attempts: 0 });
+      if (session.sentAudio.size > MAX_SENT_AUDIO_FRAMES) {
+        session.sentAudio.delete(session.sentAudio.keys().next().value!);
+      }
     }
   }
 
+  // ストリームを保持していない実行環境が受けて破棄した音声フレームを同じシーケンス番号で再送
+  private resendAudio(channel: string | null | undefined, sessionId: string | undefined, sequenceNumber: number | undefined) {
+    const session = this.getChannelSession(channel);
+    const frame = sequenceNumber !== undefined ? session.sentAudio.get(sequenceNumber) : undefined;
+    if (!frame || !session.sessionId || sessionId !== session.sessionId || this.ws?.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    if (++frame.attempts > MAX_AUDIO_RESEND_ATTEMPTS) {
+      session.sentAudio.delete(sequenceNumber!);
+      console.warn(`Audio frame ${sequenceNumber} was not delivered after ${MAX_AUDIO_RESEND_ATTEMPTS} attempts`);
+      return;
+    }
+
+    this.ws.send(encodeAudioFrame(frame.data, {
+      sessionId: session.sessionId,
+      sequenceNumber: sequenceNumber!,
+      sampleRate: frame.sampleRate,
+      codec: frame.codec,
+      channel: channel ?? undefined,
+    }));
+  }
+
+  private flushPendingAudio(channel?: string) {
+    const session = this.getChannelSession(channel);
+    const pending = session.pendingAudio;
+    session.pendingAudio = [];
+    // サーバーが別のコーデックを選択した場合、そのコーデックの音声は送れない
+    pending
+      .filter(frame => frame.codec === session.codec)
+      .forEach(frame => this.sendAudioData(frame.data, frame.sampleRate, frame.codec, channel));
+  }
+
+  negotiatedCodec(channel?: string): AudioCodec {
+    return this.getChannelSession(channel).codec;
+  }
+
+  // 音声データをBase64のJSONメッセージで送信（互換モード）
+  sendAudioJson(base64Audio: string, sampleRate = 16000, channel?: string) {
+    this.send({
+      action: 'audioData',
+      payload: {
+        audio: base64Audio,
+        sequenceNumber: this.getChannelSession(channel).sequence++,
+        sampleRate,
+        channel,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
   get isConnected(): boolean {
     return this.ws?.readyState === WebSocket.OPEN;
   }
 
+  // 接続時にサーバーが選択したサブプロトコル
+  get protocol(): WebSocketProtocol | null {
+    return (this.ws?.protocol as WebSocketProtocol) || null;
+  }
+
   get readyState(): number | undefined {
     return this.ws?.readyState;
   }
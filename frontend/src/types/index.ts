@@ -1,29 +1,478 @@
-export interface WebSocketMessage {
-  action: 'ping' | 'message' | 'startTranscription' | 'stopTranscription' | 'audioData';
-  payload: any;
+// WebSocketのサブプロトコル（接続時に新しい順に提示し、サーバーが対応する最新のものを選択）
+// サーバーのスキーマ backend/lambda/websocket-handler/shared/message-schemas.json と対応させる
+export type WebSocketProtocol = 'vts.v2' | 'vts.v1';
+
+// 船舶の指定（MMSIは9桁）
+export type Mmsi = string | number;
+
+export interface MessagePayload {
+  text?: string;
+  content?: string;
+  type?: string;
+  priority?: string;
+  languageCode?: string;
+  mmsi?: Mmsi;
+  channel?: string | null;
+  vesselInfo?: { name?: string; mmsi?: Mmsi; callSign?: string; position?: string | object };
+}
+
+export interface StartTranscriptionPayload {
+  languageCode?: TranscriptionLanguage;
+  language?: string;
+  codecs?: AudioCodec[];
+  codec?: AudioCodec;
+  encodingFormat?: string;
+  sampleRateHertz?: number;
+  sampleRate?: number;
+  channel?: string | null;
+  mmsi?: Mmsi;
+}
+
+export interface StopTranscriptionPayload {
+  channel?: string | null;
+  sessionId?: string;
+}
+
+// 互換モード（Base64のJSONメッセージ）の音声データ
+export interface AudioDataPayload {
+  audio?: string;
+  audioData?: string;
+  sessionId?: string;
+  sequenceNumber?: number;
+  sampleRate?: number;
+  codec?: AudioCodec;
+  channel?: string | null;
+  isLastChunk?: boolean;
+}
+
+export interface AisDataPayload {
+  sentences?: string[];
+  nmea?: string;
+  source?: string;
+}
+
+export interface HistoryRequest {
+  conversationId?: string;
+  limit?: number;
+  cursor?: string;
+}
+
+export interface AudioClipRequest {
+  sessionId: string;
+  recordingId: string;
+  startTime: number;
+  endTime: number;
+}
+
+export interface SpeakerRoleRequest {
+  sessionId: string;
+  speaker: string;
+  role: SpeakerRole;
+}
+
+export interface ApproveResponsePayload {
+  responseId: string;
+}
+
+export interface EditResponsePayload {
+  responseId: string;
+  text: string;
+}
+
+export interface RejectResponsePayload {
+  responseId: string;
+  reason?: string;
+}
+
+export interface IncidentsQuery {
+  status?: IncidentStatus;
+}
+
+export interface IncidentRef {
+  incidentId: string;
+}
+
+export interface IncidentTransitionPayload {
+  incidentId: string;
+  note?: string;
+}
+
+export interface AssignIncidentPayload {
+  incidentId: string;
+  assignee: string;
+}
+
+export interface IncidentNotePayload {
+  incidentId: string;
+  text: string;
+}
+
+export type EmptyPayload = Record<string, never>;
+
+// アクション → payload（vts.v2 ではここにないフィールドはサーバーで拒否される）
+export interface WebSocketPayloads {
+  ping: EmptyPayload;
+  message: MessagePayload;
+  startTranscription: StartTranscriptionPayload;
+  stopTranscription: StopTranscriptionPayload;
+  audioData: AudioDataPayload;
+  aisData: AisDataPayload;
+  getHistory: HistoryRequest;
+  getAudioClip: AudioClipRequest;
+  setSpeakerRole: SpeakerRoleRequest;
+  approveResponse: ApproveResponsePayload;
+  editResponse: EditResponsePayload;
+  rejectResponse: RejectResponsePayload;
+  getAlerts: EmptyPayload;
+  getIncidents: IncidentsQuery;
+  getIncident: IncidentRef;
+  acknowledgeIncident: IncidentTransitionPayload;
+  respondToIncident: IncidentTransitionPayload;
+  closeIncident: IncidentTransitionPayload;
+  assignIncident: AssignIncidentPayload;
+  addIncidentNote: IncidentNotePayload;
+}
+
+export type WebSocketAction = keyof WebSocketPayloads;
+
+export type WebSocketMessage = {
+  [A in WebSocketAction]: {
+    action: A;
+    payload: WebSocketPayloads[A];
+    timestamp: string;
+    // 相関ID（サーバーは処理中の送信と ack / nack に付与する）
+    requestId?: string;
+  };
+}[WebSocketAction];
+
+// requestId を指定したメッセージの処理完了（type: 'ack'）
+export interface RequestAck {
+  type: 'ack';
+  requestId: string;
+  action: WebSocketAction;
+  timestamp: string;
+}
+
+// requestId を指定したメッセージの処理失敗（type: 'nack'、code 等はエラーの詳細）
+export interface RequestNack {
+  type: 'nack';
+  requestId: string;
+  action: WebSocketAction | null;
+  statusCode: number;
+  error: string;
+  code?: 'validationFailed' | 'rateLimited';
+  errors?: ValidationFailure['errors'];
+  retryAfter?: number;
   timestamp: string;
 }
 
+// サーバーから受信したメッセージ
+export interface ServerMessage {
+  type: string;
+  requestId?: string;
+  [key: string]: unknown;
+}
+
+// request() の結果（ack までに同じ requestId で受信したメッセージ）
+export interface RequestResult {
+  requestId: string;
+  action: WebSocketAction;
+  messages: ServerMessage[];
+}
+
+export type AudioCodec = 'pcm' | 'ogg-opus' | 'flac';
+
+// 文字起こしの言語（auto: 日本語・英語を発話ごとに識別）
+export type TranscriptionLanguage = 'ja-JP' | 'en-US' | 'auto';
+
+export interface AudioFrameHeader {
+  sessionId?: string | null;
+  sequenceNumber: number;
+  sampleRate: number;
+  codec: AudioCodec;
+  isLastChunk?: boolean;
+  channel?: string | null;
+}
+
+// 同時に監視する音声チャンネル（VHF 16ch と作業チャンネル等）
+// stereoSide: ステレオ入力の左右を別チャンネルとして扱う場合の取り出す側
+export interface AudioChannelConfig {
+  name: string;
+  label: string;
+  stereoSide?: 'left' | 'right';
+}
+
+export interface AudioStats {
+  sessionId: string;
+  channel?: string | null;
+  received: number;
+  reordered: number;
+  late: number;
+  duplicates: number;
+  lost: number;
+  concealedMs: number;
+  buffered: number;
+  lossRate: number;
+  final: boolean;
+}
+
+export type SpeakerRole = 'VTS' | 'VESSEL' | 'PILOT' | 'PORT' | 'UNKNOWN';
+
+// operator: 管制官が指定, heuristic: 名乗りから推定, phrase: 表現から推定, default: 推定できない
+export type SpeakerRoleSource = 'operator' | 'heuristic' | 'phrase' | 'default';
+
+export interface SpeakerRoleAssignment {
+  sessionId: string;
+  speaker: string;
+  role: SpeakerRole;
+  source: SpeakerRoleSource;
+}
+
+// 文字起こしの補正（数字・地名・呼出符号等）
+export interface TranscriptCorrection {
+  type: 'place' | 'term' | 'callSign' | 'number' | 'time' | 'bearing' | 'speed' | 'position';
+  from: string;
+  to: string;
+}
+
+// IMO SMCPのメッセージマーカー
+export type SmcpMarker =
+  | 'INSTRUCTION'
+  | 'ADVICE'
+  | 'WARNING'
+  | 'INFORMATION'
+  | 'QUESTION'
+  | 'ANSWER'
+  | 'REQUEST'
+  | 'INTENTION';
+
+// SMCPに沿わない表現の指摘（warning: 非準拠, info: 参考）
+export interface SmcpIssue {
+  code: string;
+  severity: 'warning' | 'info';
+  message: string;
+  text: string;
+}
+
+// 発話・推奨応答のSMCP分析
+export interface SmcpAnalysis {
+  marker: SmcpMarker | null;
+  markers: SmcpMarker[];
+  explicit: boolean;
+  language: 'ja' | 'en';
+  sentences: { text: string; marker: SmcpMarker | null; explicit: boolean }[];
+  issues: SmcpIssue[];
+  compliant: boolean;
+}
+
 export interface TranscriptionResult {
+  // 補正後の文字列（rawTranscriptText は Transcribe の出力そのまま）
   transcriptText: string;
+  rawTranscriptText?: string;
+  corrections?: TranscriptCorrection[];
   confidence: number;
   timestamp: string;
   isPartial: boolean;
-  speakerLabel?: string;
+  // 話者の役割（speakerはTranscribeの話者ラベル spk_0 等）
+  speakerLabel?: SpeakerRole;
+  speakerRoleSource?: SpeakerRoleSource;
+  speaker?: string;
+  // 発話の言語（言語識別で識別できなかった場合はnull）
+  languageCode?: string | null;
+  // 完全な文字起こしのみ（履歴から復元した場合はマーカーと指摘のみ）
+  smcp?: Pick<SmcpAnalysis, 'markers' | 'issues'>;
+  vesselInfo?: VesselInfo;
+  resultId?: string;
+  // 音声チャンネル名（チャンネルを指定せずに文字起こしした場合は未設定）
+  channel?: string | null;
+  // 録音内の発話区間（録音がない場合は未設定）
+  sessionId?: string;
+  recordingId?: string;
+  startTime?: number;
+  endTime?: number;
 }
 
+// 発話区間の再生用URL（urlは録音全体、startTime〜endTimeを再生する）
+export interface AudioClip {
+  sessionId: string;
+  recordingId: string;
+  url: string;
+  contentType: string;
+  codec: AudioCodec;
+  startTime: number;
+  endTime: number;
+  expiresAt: string;
+}
+
+// GMDSSの優先呼出の種別（遭難 MAYDAY / 緊急 PAN-PAN / 安全 SECURITE）
+export type DistressPriority = 'DISTRESS' | 'URGENCY' | 'SAFETY';
+
 export interface AIResponse {
   classification: 'GREEN' | 'AMBER' | 'RED';
+  // 優先呼出への定型応答の場合の種別（earlyDetection は文字起こしの途中結果で判定したもの）
+  priority?: DistressPriority;
+  signal?: 'MAYDAY' | 'PAN-PAN' | 'SECURITE';
+  relay?: boolean;
+  earlyDetection?: boolean;
   suggestedResponse: string;
+  // 推奨応答の言語（船舶の言語）。英語の場合は管制官向けの日本語訳を japaneseGloss に付ける
+  language?: 'ja' | 'en';
+  japaneseGloss?: string;
+  // SMCP準拠の英語（SMCP_MODE=rewrite の場合のみ）
+  smcpResponse?: string | null;
+  smcp?: SmcpAnalysis;
   confidence: number;
   riskFactors?: string[];
   timestamp: string;
+  responseId?: string;
+  approvalStatus?: ApprovalStatus;
+  approvedText?: string | null;
+  streamId?: string;
+}
+
+export interface AIResponsePartial {
+  streamId: string;
+  suggestedResponse: string;
+  timestamp: string;
+}
+
+export type ApprovalStatus = 'PENDING' | 'APPROVED' | 'EDITED' | 'REJECTED';
+
+export interface ResponseDecision {
+  responseId: string;
+  decisionId: string;
+  decision: Exclude<ApprovalStatus, 'PENDING'>;
+  approvedText: string | null;
+  decidedBy: string;
+  decidedAt: string;
+}
+
+// 遭難・緊急事態のインシデント（OPEN → ACKNOWLEDGED → RESPONDING → CLOSED）
+export type IncidentStatus = 'OPEN' | 'ACKNOWLEDGED' | 'RESPONDING' | 'CLOSED';
+
+export type IncidentEventType = 'OPENED' | 'ESCALATED' | 'STATUS_CHANGED' | 'ASSIGNED' | 'TRANSCRIPT' | 'NOTE';
+
+export interface IncidentEvent {
+  eventId: string;
+  eventType: IncidentEventType;
+  text?: string;
+  actor?: string;
+  fromStatus?: IncidentStatus;
+  toStatus?: IncidentStatus;
+  assignedTo?: string;
+  priority?: DistressPriority;
+  speakerRole?: SpeakerRole;
+  channel?: string;
+  timestamp: string;
+}
+
+export interface Incident {
+  incidentId: string;
+  status: IncidentStatus;
+  classification: AIResponse['classification'];
+  priority?: DistressPriority;
+  signal?: AIResponse['signal'];
+  connectionId: string;
+  channel?: string;
+  sourceText?: string;
+  responseId?: string;
+  vesselName?: string;
+  vesselMMSI?: string;
+  assignedTo?: string;
+  resolution?: string;
+  openedAt: string;
+  acknowledgedAt?: string;
+  respondingAt?: string;
+  closedAt?: string;
+  updatedAt: string;
+  // getIncident・状態変更の結果に含まれる（古い順）
+  timeline?: IncidentEvent[];
+  // 検知で新規に発生した場合 true（対応中のインシデントへの追加は false）
+  created?: boolean;
+}
+
+// レート制限・Bedrockの予算超過（type: 'error', code: 'rateLimited'）
+export interface RateLimitNotice {
+  error: string;
+  code: 'rateLimited';
+  // 制限したアクション（Bedrockの予算は 'bedrock'）
+  action: WebSocketAction | 'bedrock';
+  scope: 'connection' | 'user' | 'bedrockUser' | 'bedrockTotal';
+  // 再試行までの秒数
+  retryAfter: number;
+}
+
+// メッセージのスキーマ検証エラー（type: 'error', code: 'validationFailed'）
+export interface ValidationFailure {
+  error: string;
+  code: 'validationFailed';
+  action: string | null;
+  // フィールド（payload.text 等）ごとのエラー
+  errors: { field: string; message: string }[];
+}
+
+// 全管制卓に送信される遭難・緊急の警報（いずれかの管制官が受領するまで表示）
+export interface Alert {
+  alertId: string;
+  incident: Incident;
+  escalated: boolean;
+  requiresAcknowledgement: boolean;
+  originConnectionId: string;
+}
+
+export interface AlertAcknowledgement {
+  alertId: string;
+  status: IncidentStatus;
+  acknowledgedBy: string;
+  acknowledgedAt: string;
+}
+
+export interface HistoryEntry {
+  id: string;
+  itemType: 'TRANSCRIPTION' | 'MESSAGE' | 'AI_RESPONSE' | 'DECISION';
+  timestamp: string;
+  transcriptText?: string;
+  rawTranscriptText?: string;
+  corrections?: TranscriptCorrection[];
+  confidence?: number;
+  vesselInfo?: VesselInfo;
+  speaker?: string;
+  speakerRole?: SpeakerRole;
+  speakerRoleSource?: SpeakerRoleSource;
+  smcpMarkers?: SmcpMarker[];
+  smcpIssues?: SmcpIssue[];
+  languageCode?: string;
+  sessionId?: string;
+  channel?: string;
+  recordingId?: string;
+  startTime?: number;
+  endTime?: number;
+  text?: string;
+  responseId?: string;
+  classification?: AIResponse['classification'];
+  priority?: DistressPriority;
+  suggestedResponse?: string;
+  smcpResponse?: string;
+  language?: AIResponse['language'];
+  japaneseGloss?: string;
+  riskFactors?: string[];
+  approvalStatus?: ApprovalStatus;
+  approvedText?: string | null;
+  decision?: ResponseDecision['decision'];
+}
+
+export interface HistoryPage {
+  conversationId: string;
+  currentConversationId: string;
+  items: HistoryEntry[];
+  nextCursor: string | null;
 }
 
 export interface VesselInfo {
   mmsi: string;
   name: string;
   callSign?: string;
+  imo?: string;
   type?: string;
   position?: {
     lat: number;
@@ -31,7 +480,10 @@ export interface VesselInfo {
   };
   speed?: number;
   course?: number;
+  heading?: number;
   status?: string;
+  destination?: string;
+  lastUpdate?: string;
 }
 
 export type ConnectionStatus = 'connecting' | 'connected' | 'disconnected' | 'error';
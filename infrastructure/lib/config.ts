@@ -16,6 +16,9 @@ export class VtsConfiguration {
   static readonly DYNAMODB_CONFIG = {
     CONVERSATIONS_TABLE: 'vts-conversations',
     CONNECTIONS_TABLE: 'vts-connections',
+    VESSELS_TABLE: 'vts-vessels',
+    TRANSCRIBE_SESSIONS_TABLE: 'vts-transcribe-sessions',
+    RATE_LIMITS_TABLE: 'vts-rate-limits',
     BILLING_MODE: 'PAY_PER_REQUEST',
     TTL_DAYS: 30,
   } as const;
@@ -43,6 +46,38 @@ export class VtsConfiguration {
     VOCABULARY_NAME: 'maritime-vts-vocabulary-ja',
     TEMPERATURE: 0.3,
     MAX_TOKENS: 300,
+    STREAMING: true,  // 推奨応答を生成途中から逐次送信
+    LLM_PROVIDER: 'bedrock',  // 'local' はAWS不要のルールベース応答（ローカル開発用）
+    SMCP_MODE: 'analyze',  // 'rewrite' で推奨応答にSMCP準拠の英語を併記、'off' で推奨応答を分析しない
+  } as const;
+
+  // Transcribeストリーミングセッション設定
+  static readonly TRANSCRIBE_SESSION_CONFIG = {
+    LEASE_MS: 30000,  // セッション所有権のリース期間（期限切れで別インスタンスが引き継ぐ）
+    WORKER_URL: '',   // 常駐ワーカー（backend/transcribe-worker）のURL。空の場合はLambda内でストリームを保持
+    MAX_AUDIO_CHANNELS: 4,  // 1接続で同時に文字起こしできる音声チャンネル数（VHF 16ch + 作業チャンネル等）
+  } as const;
+
+  // WebSocket接続の認証設定（$connectでJWTを検証）
+  // Issuerが未設定ではすべての接続を拒否するため、cdk synth / deploy 時の環境変数 AUTH_ISSUER を必須とする
+  static readonly AUTH_CONFIG = {
+    ISSUER: process.env.AUTH_ISSUER || '',      // 信頼するIssuer（Cognitoユーザープールの場合は https://cognito-idp.<region>.amazonaws.com/<poolId>）
+    AUDIENCE: process.env.AUTH_AUDIENCE || '',  // 受け入れるAudience・アプリクライアントID（空の場合は検証しない）
+    ROLE_CLAIM: 'cognito:groups',  // 役割（operator / supervisor / observer）を格納したクレーム
+  } as const;
+
+  // WebSocketアクションのレート制限・Bedrockの予算
+  static readonly RATE_LIMIT_CONFIG = {
+    LIMITS: '',               // アクションごとのバケットの上書き（JSON、例: {"message":{"capacity":5,"refillPerMinute":5}}）
+    USER_FACTOR: 2,           // ユーザー単位のバケットの接続単位に対する倍率
+    BEDROCK_HOURLY_BUDGET_PER_USER: 120,  // ユーザーごとの1時間あたりのBedrock呼び出し数
+    BEDROCK_HOURLY_BUDGET: 2000,          // センター全体の1時間あたりのBedrock呼び出し数
+  } as const;
+
+  // 遭難・緊急の警報の一斉送信設定
+  static readonly ALERT_CONFIG = {
+    BROADCAST_ROLES: '',     // 警報を送る管制卓の役割（カンマ区切り、空の場合はすべて）
+    BROADCAST_SCOPE: 'all',  // 'portArea' で発生元と同じ担当海域の管制卓のみに送信
   } as const;
 
   // ログ設定
@@ -66,6 +101,10 @@ export class VtsConfiguration {
     LIFECYCLE_DAYS: 30,
     GLACIER_TRANSITION_DAYS: 90,
     DEEP_ARCHIVE_DAYS: 365,
+    AUDIO_PREFIX: 'audio/',
+    // セッション録音（WAV/OGG/FLAC + マニフェスト）。AUDIO_PREFIX配下のためライフサイクルが適用される
+    RECORDING_PREFIX: 'audio/recordings/',
+    RECORDING_ENABLED: true,
   } as const;
 
   // API Gateway設定
@@ -114,18 +153,45 @@ export class VtsConfiguration {
   static getWebSocketEnvironmentVariables(
     conversationsTable: string,
     connectionsTable: string,
+    vesselsTable: string,
+    transcribeSessionsTable: string,
+    rateLimitsTable: string,
     audioBucket: string,
     logGroup: string,
     logLevel: string
   ): Record<string, string> {
+    if (!this.AUTH_CONFIG.ISSUER) {
+      throw new Error('AUTH_ISSUER is not set: set the trusted token issuer (e.g. the Cognito user pool URL) before cdk synth / deploy');
+    }
+
     return {
       ...this.getCommonEnvironmentVariables(),
       CONVERSATIONS_TABLE: conversationsTable,
       CONNECTIONS_TABLE: connectionsTable,
+      VESSELS_TABLE: vesselsTable,
+      TRANSCRIBE_SESSIONS_TABLE: transcribeSessionsTable,
+      RATE_LIMITS_TABLE: rateLimitsTable,
+      RATE_LIMITS: this.RATE_LIMIT_CONFIG.LIMITS,
+      RATE_LIMIT_USER_FACTOR: String(this.RATE_LIMIT_CONFIG.USER_FACTOR),
+      BEDROCK_HOURLY_BUDGET_PER_USER: String(this.RATE_LIMIT_CONFIG.BEDROCK_HOURLY_BUDGET_PER_USER),
+      BEDROCK_HOURLY_BUDGET: String(this.RATE_LIMIT_CONFIG.BEDROCK_HOURLY_BUDGET),
+      TRANSCRIBE_LEASE_MS: String(this.TRANSCRIBE_SESSION_CONFIG.LEASE_MS),
+      TRANSCRIBE_WORKER_URL: this.TRANSCRIBE_SESSION_CONFIG.WORKER_URL,
+      MAX_AUDIO_CHANNELS: String(this.TRANSCRIBE_SESSION_CONFIG.MAX_AUDIO_CHANNELS),
+      AUTH_ISSUER: this.AUTH_CONFIG.ISSUER,
+      AUTH_AUDIENCE: this.AUTH_CONFIG.AUDIENCE,
+      AUTH_ROLE_CLAIM: this.AUTH_CONFIG.ROLE_CLAIM,
+      ALERT_BROADCAST_ROLES: this.ALERT_CONFIG.BROADCAST_ROLES,
+      ALERT_BROADCAST_SCOPE: this.ALERT_CONFIG.BROADCAST_SCOPE,
       AUDIO_BUCKET: audioBucket,
+      AUDIO_RECORDING_ENABLED: String(this.S3_CONFIG.RECORDING_ENABLED),
+      AUDIO_RECORDING_PREFIX: this.S3_CONFIG.RECORDING_PREFIX,
       VHF_LOG_GROUP: logGroup,
       LOG_LEVEL: logLevel,
       BEDROCK_MODEL_ID: this.AI_CONFIG.BEDROCK_MODEL_ID,
+      BEDROCK_STREAMING: String(this.AI_CONFIG.STREAMING),
+      LLM_PROVIDER: this.AI_CONFIG.LLM_PROVIDER,
+      SMCP_MODE: this.AI_CONFIG.SMCP_MODE,
       TRANSCRIBE_VOCABULARY_NAME: this.AI_CONFIG.VOCABULARY_NAME,
     };
   }
@@ -156,6 +222,8 @@ export class VtsConfiguration {
       CONVERSATIONS_TABLE: conversationsTable,
       LOG_LEVEL: logLevel,
       BEDROCK_MODEL_ID: this.AI_CONFIG.BEDROCK_MODEL_ID,
+      LLM_PROVIDER: this.AI_CONFIG.LLM_PROVIDER,
+      SMCP_MODE: this.AI_CONFIG.SMCP_MODE,
       TEMPERATURE: String(this.AI_CONFIG.TEMPERATURE),
       MAX_TOKENS: String(this.AI_CONFIG.MAX_TOKENS),
     };
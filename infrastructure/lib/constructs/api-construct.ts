@@ -39,9 +39,13 @@ export class ApiConstruct extends Construct {
 
   private createWebSocketApi(props: ApiConstructProps): apigatewayv2.WebSocketApi {
     // Lambda統合の作成
+    // バイナリフレーム（音声データ）はBase64テキストに変換してLambdaに渡す
     const webSocketIntegration = new apigatewayv2_integrations.WebSocketLambdaIntegration(
       'WebSocketIntegration',
-      props.webSocketHandler
+      props.webSocketHandler,
+      {
+        contentHandling: apigatewayv2.ContentHandling.CONVERT_TO_TEXT,
+      }
     );
 
     // WebSocket API作成
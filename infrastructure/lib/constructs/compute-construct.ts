@@ -17,6 +17,9 @@ export interface ComputeConstructProps {
   readonly environment: string;
   readonly conversationsTable: dynamodb.Table;
   readonly connectionsTable: dynamodb.Table;
+  readonly vesselsTable: dynamodb.Table;
+  readonly transcribeSessionsTable: dynamodb.Table;
+  readonly rateLimitsTable: dynamodb.Table;
   readonly audioStorageBucket: s3.Bucket;
   readonly vhfLogGroup: logs.LogGroup;
   readonly transcriptionLogGroup: logs.LogGroup;
@@ -77,6 +80,9 @@ export class ComputeConstruct extends Construct {
           resources: [
             props.conversationsTable.tableArn,
             props.connectionsTable.tableArn,
+            props.vesselsTable.tableArn,
+            props.transcribeSessionsTable.tableArn,
+            props.rateLimitsTable.tableArn,
             `${props.conversationsTable.tableArn}/index/*`,
             `${props.connectionsTable.tableArn}/index/*`,
           ],
@@ -89,6 +95,7 @@ export class ComputeConstruct extends Construct {
             's3:GetObject',
             's3:PutObject',
             's3:DeleteObject',
+            's3:AbortMultipartUpload',
           ],
           resources: [props.audioStorageBucket.arnForObjects('*')],
         }),
@@ -172,6 +179,9 @@ export class ComputeConstruct extends Construct {
       environment: VtsConfiguration.getWebSocketEnvironmentVariables(
         props.conversationsTable.tableName,
         props.connectionsTable.tableName,
+        props.vesselsTable.tableName,
+        props.transcribeSessionsTable.tableName,
+        props.rateLimitsTable.tableName,
         props.audioStorageBucket.bucketName,
         props.vhfLogGroup.logGroupName,
         logLevel
@@ -265,6 +275,9 @@ export class ComputeConstruct extends Construct {
     // DynamoDB権限付与
     props.conversationsTable.grantReadWriteData(this.webSocketHandler);
     props.connectionsTable.grantReadWriteData(this.webSocketHandler);
+    props.vesselsTable.grantReadWriteData(this.webSocketHandler);
+    props.transcribeSessionsTable.grantReadWriteData(this.webSocketHandler);
+    props.rateLimitsTable.grantReadWriteData(this.webSocketHandler);
     props.conversationsTable.grantReadWriteData(this.transcriptionProcessor);
     props.conversationsTable.grantReadWriteData(this.nlpProcessor);
 
@@ -15,6 +15,9 @@ export interface DatabaseConstructProps {
 export class DatabaseConstruct extends Construct {
   public readonly conversationsTable: dynamodb.Table;
   public readonly connectionsTable: dynamodb.Table;
+  public readonly vesselsTable: dynamodb.Table;
+  public readonly transcribeSessionsTable: dynamodb.Table;
+  public readonly rateLimitsTable: dynamodb.Table;
 
   constructor(scope: Construct, id: string, props: DatabaseConstructProps) {
     super(scope, id);
@@ -26,6 +29,15 @@ export class DatabaseConstruct extends Construct {
     
     // 接続管理テーブル
     this.connectionsTable = this.createConnectionsTable(removalPolicy);
+
+    // AIS船舶状態テーブル
+    this.vesselsTable = this.createVesselsTable(removalPolicy);
+
+    // Transcribeセッション所有権（リース）テーブル
+    this.transcribeSessionsTable = this.createTranscribeSessionsTable(removalPolicy);
+
+    // レート制限（トークンバケット・Bedrockの予算）テーブル
+    this.rateLimitsTable = this.createRateLimitsTable(removalPolicy);
   }
 
   private createConversationsTable(removalPolicy: cdk.RemovalPolicy): dynamodb.Table {
@@ -63,6 +75,21 @@ export class DatabaseConstruct extends Construct {
       projectionType: dynamodb.ProjectionType.ALL,
     });
 
+    // 船舶ごとの直近の交信の検索用GSI（AI分析の履歴、新しい順に取得）
+    // VesselNameIndexはConversationID順のため、接続をまたいだ時系列の取得にはこちらを使用する
+    table.addGlobalSecondaryIndex({
+      indexName: 'VesselTimeIndex',
+      partitionKey: {
+        name: 'VesselName',
+        type: dynamodb.AttributeType.STRING,
+      },
+      sortKey: {
+        name: 'Timestamp',
+        type: dynamodb.AttributeType.STRING,
+      },
+      projectionType: dynamodb.ProjectionType.ALL,
+    });
+
     // 日時による検索用GSI
     // Date属性は実行時にYYYY-MM-DD形式で追加される
     table.addGlobalSecondaryIndex({
@@ -93,6 +120,21 @@ export class DatabaseConstruct extends Construct {
       projectionType: dynamodb.ProjectionType.ALL,
     });
 
+    // インシデントの状態による検索用GSI（対応中のインシデント一覧）
+    // IncidentStatus属性はINCIDENTアイテムのみに付くOPEN/ACKNOWLEDGED/RESPONDING/CLOSED値
+    table.addGlobalSecondaryIndex({
+      indexName: 'IncidentStatusIndex',
+      partitionKey: {
+        name: 'IncidentStatus',
+        type: dynamodb.AttributeType.STRING,
+      },
+      sortKey: {
+        name: 'OpenedAt',
+        type: dynamodb.AttributeType.STRING,
+      },
+      projectionType: dynamodb.ProjectionType.ALL,
+    });
+
     return table;
   }
 
@@ -124,7 +166,7 @@ export class DatabaseConstruct extends Construct {
       projectionType: dynamodb.ProjectionType.ALL,
     });
 
-    // ユーザーIDによる検索用GSI（将来の認証機能用）
+    // ユーザーIDによる検索用GSI（$connectで認証したユーザーの接続）
     table.addGlobalSecondaryIndex({
       indexName: 'UserIdIndex',
       partitionKey: {
@@ -141,11 +183,62 @@ export class DatabaseConstruct extends Construct {
     return table;
   }
 
+  private createVesselsTable(removalPolicy: cdk.RemovalPolicy): dynamodb.Table {
+    // MMSIごとの最新状態（位置・SOG/COG・静的情報）を保持
+    // 最終受信から24時間でTTLにより自動削除
+    return new dynamodb.Table(this, 'VesselsTable', {
+      tableName: VtsConfiguration.DYNAMODB_CONFIG.VESSELS_TABLE,
+      partitionKey: {
+        name: 'MMSI',
+        type: dynamodb.AttributeType.STRING,
+      },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      timeToLiveAttribute: 'ttl',
+      removalPolicy,
+      encryption: dynamodb.TableEncryption.AWS_MANAGED,
+    });
+  }
+
+  private createTranscribeSessionsTable(removalPolicy: cdk.RemovalPolicy): dynamodb.Table {
+    // 接続ごとのTranscribeストリームの所有インスタンスとリース期限を保持
+    // 終了・放棄されたセッションはTTLにより自動削除
+    return new dynamodb.Table(this, 'TranscribeSessionsTable', {
+      tableName: VtsConfiguration.DYNAMODB_CONFIG.TRANSCRIBE_SESSIONS_TABLE,
+      partitionKey: {
+        name: 'connectionId',
+        type: dynamodb.AttributeType.STRING,
+      },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      timeToLiveAttribute: 'ttl',
+      removalPolicy,
+      encryption: dynamodb.TableEncryption.AWS_MANAGED,
+    });
+  }
+
+  private createRateLimitsTable(removalPolicy: cdk.RemovalPolicy): dynamodb.Table {
+    // 接続・ユーザー・アクションごとのトークンバケットと1時間ごとのBedrock呼び出し数のカウンターをLambdaインスタンス間で共有
+    // 使われなくなったバケット・カウンターはTTLにより自動削除
+    return new dynamodb.Table(this, 'RateLimitsTable', {
+      tableName: VtsConfiguration.DYNAMODB_CONFIG.RATE_LIMITS_TABLE,
+      partitionKey: {
+        name: 'bucketKey',
+        type: dynamodb.AttributeType.STRING,
+      },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      timeToLiveAttribute: 'ttl',
+      removalPolicy,
+      encryption: dynamodb.TableEncryption.AWS_MANAGED,
+    });
+  }
+
   // DynamoDBテーブルのタグ設定
   public addTagsToTables(tags: Record<string, string>): void {
     Object.entries(tags).forEach(([key, value]) => {
       cdk.Tags.of(this.conversationsTable).add(key, value);
       cdk.Tags.of(this.connectionsTable).add(key, value);
+      cdk.Tags.of(this.vesselsTable).add(key, value);
+      cdk.Tags.of(this.transcribeSessionsTable).add(key, value);
+      cdk.Tags.of(this.rateLimitsTable).add(key, value);
     });
   }
 
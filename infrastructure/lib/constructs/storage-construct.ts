@@ -69,7 +69,7 @@ export class StorageConstruct extends Construct {
         {
           id: 'audio-lifecycle-rule',
           enabled: true,
-          prefix: 'audio/',
+          prefix: VtsConfiguration.S3_CONFIG.AUDIO_PREFIX,
           
           // 30日後にStandard-IA
           transitions: [
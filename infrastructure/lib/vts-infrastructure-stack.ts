@@ -49,6 +49,9 @@ export class VtsInfrastructureStack extends cdk.Stack {
       environment,
       conversationsTable: this.database.conversationsTable,
       connectionsTable: this.database.connectionsTable,
+      vesselsTable: this.database.vesselsTable,
+      transcribeSessionsTable: this.database.transcribeSessionsTable,
+      rateLimitsTable: this.database.rateLimitsTable,
       audioStorageBucket: this.storage.audioStorageBucket,
       vhfLogGroup: this.storage.vhfCommunicationLogGroup,
       transcriptionLogGroup: this.storage.transcriptionLogGroup,
@@ -192,6 +195,24 @@ export class VtsInfrastructureStack extends cdk.Stack {
       exportName: `VtsConnectionsTableName-${this.stackName}`,
     });
 
+    new cdk.CfnOutput(this, 'VesselsTableName', {
+      value: this.database.vesselsTable.tableName,
+      description: 'DynamoDB AIS Vessel State Table Name',
+      exportName: `VtsVesselsTableName-${this.stackName}`,
+    });
+
+    new cdk.CfnOutput(this, 'TranscribeSessionsTableName', {
+      value: this.database.transcribeSessionsTable.tableName,
+      description: 'DynamoDB Transcribe Session Lease Table Name',
+      exportName: `VtsTranscribeSessionsTableName-${this.stackName}`,
+    });
+
+    new cdk.CfnOutput(this, 'RateLimitsTableName', {
+      value: this.database.rateLimitsTable.tableName,
+      description: 'DynamoDB WebSocket Rate Limit Table Name',
+      exportName: `VtsRateLimitsTableName-${this.stackName}`,
+    });
+
     // S3バケット名
     new cdk.CfnOutput(this, 'AudioBucketName', {
       value: this.storage.audioStorageBucket.bucketName,